@@ -0,0 +1,90 @@
+// 位置数据迁移 - 为已有的用户、宠物、警报与发现报告补写GeoJSON点位并重建2dsphere索引
+// 用法: node scripts/migrateGeoLocations.js [--dry-run]
+
+import dotenv from 'dotenv';
+import { createRequire } from 'module';
+
+dotenv.config();
+
+const require = createRequire(import.meta.url);
+const mongoose = require('mongoose');
+const { User, Pet, EmergencyAlert, FoundReport } = require('../src/models');
+
+// 各模型的位置路径，以及被2dsphere索引取代的旧经纬度索引
+const TARGETS = [
+  { model: User, path: 'location', legacyIndexes: ['location.latitude_1_location.longitude_1'] },
+  { model: Pet, path: 'lastKnownLocation', legacyIndexes: ['lastKnownLocation.latitude_1_lastKnownLocation.longitude_1'] },
+  { model: EmergencyAlert, path: 'location', legacyIndexes: ['status_location'] },
+  { model: FoundReport, path: 'location', legacyIndexes: ['status_1_location.latitude_1_location.longitude_1'] }
+];
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * 经纬度有效且尚未写入点位的文档
+ * @param {string} path - 位置路径
+ * @returns {Object} 查询条件
+ */
+const pendingFilter = (path) => ({
+  [`${path}.latitude`]: { $type: 'number', $gte: -90, $lte: 90 },
+  [`${path}.longitude`]: { $type: 'number', $gte: -180, $lte: 180 },
+  [`${path}.point`]: { $exists: false }
+});
+
+/**
+ * 迁移单个模型：以聚合管道更新从经纬度生成点位，删除旧索引后按Schema建索引
+ * @param {Object} target - { model, path, legacyIndexes }
+ * @returns {Promise<Object>} { pending, updated, invalid }
+ */
+const migrate = async ({ model, path, legacyIndexes }) => {
+  const collection = model.collection;
+  const pending = await collection.countDocuments(pendingFilter(path));
+  // 经纬度越界的文档无法写入2dsphere索引，仅统计供人工处理
+  const invalid = await collection.countDocuments({
+    $or: [
+      { [`${path}.latitude`]: { $type: 'number', $not: { $gte: -90, $lte: 90 } } },
+      { [`${path}.longitude`]: { $type: 'number', $not: { $gte: -180, $lte: 180 } } }
+    ]
+  });
+
+  if (dryRun) {
+    return { pending, updated: 0, invalid };
+  }
+
+  const result = await collection.updateMany(pendingFilter(path), [
+    {
+      $set: {
+        [`${path}.point`]: {
+          type: 'Point',
+          coordinates: [`$${path}.longitude`, `$${path}.latitude`]
+        }
+      }
+    }
+  ]);
+
+  const existing = (await collection.indexes()).map(index => index.name);
+  for (const name of legacyIndexes.filter(legacy => existing.includes(legacy))) {
+    await collection.dropIndex(name);
+    console.log(`  🗑️ 已删除旧索引 ${name}`);
+  }
+  await model.createIndexes();
+
+  return { pending, updated: result.modifiedCount, invalid };
+};
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URL || 'mongodb://localhost:27017/furlink');
+  console.log(`✅ MongoDB connected${dryRun ? '（试运行，不写入）' : ''}`);
+
+  for (const target of TARGETS) {
+    const { pending, updated, invalid } = await migrate(target);
+    console.log(`📍 ${target.model.modelName}: 待迁移 ${pending}，已更新 ${updated}，坐标越界 ${invalid}`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ 位置迁移失败:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
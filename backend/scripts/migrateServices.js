@@ -0,0 +1,196 @@
+// 宠物服务数据迁移 - 为已有服务补写GeoJSON点位、风控状态、更新时间、评分累计值与预约时段，并回填用户的服务发布名额
+// 用法: node scripts/migrateServices.js [--dry-run]
+
+import dotenv from 'dotenv';
+import { createRequire } from 'module';
+
+dotenv.config();
+
+const require = createRequire(import.meta.url);
+const mongoose = require('mongoose');
+const { User, PetService } = require('../src/models');
+
+// 被 location.point 2dsphere 索引取代的旧经纬度索引
+const LEGACY_INDEXES = ['location.latitude_1_location.longitude_1', 'location_2dsphere'];
+
+const dryRun = process.argv.includes('--dry-run');
+
+// 早期预约未记录时长时按默认时长补写，与 AppointmentService 一致
+const defaultDuration = parseInt(process.env.BOOKING_DEFAULT_DURATION_MINUTES) || 30;
+
+// 经纬度有效且尚未写入点位的服务
+const pendingPointFilter = {
+  'location.latitude': { $type: 'number', $gte: -90, $lte: 90 },
+  'location.longitude': { $type: 'number', $gte: -180, $lte: 180 },
+  'location.point': { $exists: false }
+};
+
+// 早期评分只存了 overall（实为累加值），没有累计字段
+const pendingRatingsFilter = {
+  'reviews.0': { $exists: true },
+  'ratings.total': { $exists: false }
+};
+
+// 早期预约的预约时间为选填，也没有结束时间，冲突检测与日历都依赖这两个字段
+const pendingAppointmentsFilter = {
+  appointments: {
+    $elemMatch: {
+      $or: [{ scheduledTime: null }, { endTime: null }]
+    }
+  }
+};
+
+/**
+ * 补写点位、风控状态与更新时间（以 updatedAt 作为最后更新时间），删除旧索引后按Schema建索引
+ * @returns {Promise<Object>} { points, moralStatus, lastUpdated }
+ */
+const migrateFields = async () => {
+  const collection = PetService.collection;
+  const counts = {
+    points: await collection.countDocuments(pendingPointFilter),
+    moralStatus: await collection.countDocuments({ moralStatus: { $exists: false } }),
+    lastUpdated: await collection.countDocuments({ lastUpdated: { $exists: false } })
+  };
+  if (dryRun) {
+    return counts;
+  }
+
+  await collection.updateMany(pendingPointFilter, [
+    { $set: { 'location.point': { type: 'Point', coordinates: ['$location.longitude', '$location.latitude'] } } }
+  ]);
+  await collection.updateMany({ moralStatus: { $exists: false } }, { $set: { moralStatus: 'active' } });
+  await collection.updateMany({ lastUpdated: { $exists: false } }, [
+    { $set: { lastUpdated: { $ifNull: ['$updatedAt', '$createdAt', '$$NOW'] } } }
+  ]);
+
+  const existing = (await collection.indexes()).map(index => index.name);
+  for (const name of LEGACY_INDEXES.filter(legacy => existing.includes(legacy))) {
+    await collection.dropIndex(name);
+    console.log(`  🗑️ 已删除旧索引 ${name}`);
+  }
+  await PetService.createIndexes();
+
+  return counts;
+};
+
+/**
+ * 由评价记录重算评分统计
+ * @returns {Promise<number>} 待重算的服务数
+ */
+const migrateRatings = async () => {
+  const pending = await PetService.countDocuments(pendingRatingsFilter);
+  if (dryRun) {
+    return pending;
+  }
+
+  for await (const service of PetService.find(pendingRatingsFilter).select('reviews ratings').cursor()) {
+    service.recalculateRatings();
+    await PetService.updateOne({ _id: service._id }, { $set: { ratings: service.toObject().ratings } });
+  }
+  return pending;
+};
+
+/**
+ * 补写预约的时长与结束时间；缺少预约时间的以创建时间补写，其中未结束的预约无法履约，一并取消并注明原因
+ * @returns {Promise<number>} 待补写的服务数
+ */
+const migrateAppointments = async () => {
+  const collection = PetService.collection;
+  const pending = await collection.countDocuments(pendingAppointmentsFilter);
+  if (dryRun) {
+    return pending;
+  }
+
+  const unscheduledActive = {
+    $and: [
+      { $eq: [{ $ifNull: ['$$appointment.scheduledTime', null] }, null] },
+      { $in: [{ $ifNull: ['$$appointment.status', 'pending'] }, PetService.APPOINTMENT_ACTIVE_STATUSES] }
+    ]
+  };
+
+  await collection.updateMany(pendingAppointmentsFilter, [
+    {
+      $set: {
+        appointments: {
+          $map: {
+            input: '$appointments',
+            as: 'appointment',
+            in: {
+              $let: {
+                vars: {
+                  start: { $ifNull: ['$$appointment.scheduledTime', '$$appointment.createdAt', '$createdAt', '$$NOW'] },
+                  duration: { $ifNull: ['$$appointment.duration', defaultDuration] }
+                },
+                in: {
+                  $mergeObjects: [
+                    '$$appointment',
+                    {
+                      scheduledTime: '$$start',
+                      duration: '$$duration',
+                      endTime: {
+                        $ifNull: ['$$appointment.endTime', { $add: ['$$start', { $multiply: ['$$duration', 60 * 1000] }] }]
+                      }
+                    },
+                    {
+                      $cond: [
+                        unscheduledActive,
+                        { status: 'cancelled', cancelledAt: '$$NOW', cancelReason: '数据迁移：预约缺少预约时间，已自动取消' },
+                        {}
+                      ]
+                    }
+                  ]
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  ]);
+  return pending;
+};
+
+/**
+ * 按已发布的服务数回填用户的 serviceSlots.currentServices
+ * @returns {Promise<number>} 有服务的用户数
+ */
+const migrateServiceSlots = async () => {
+  const counts = await PetService.aggregate([
+    { $group: { _id: '$providerId', count: { $sum: 1 } } }
+  ]);
+  if (dryRun || counts.length === 0) {
+    return counts.length;
+  }
+
+  await User.bulkWrite(counts.map(({ _id, count }) => ({
+    updateOne: {
+      filter: { _id },
+      update: { $set: { 'serviceSlots.currentServices': count } }
+    }
+  })));
+  return counts.length;
+};
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URL || 'mongodb://localhost:27017/furlink');
+  console.log(`✅ MongoDB connected${dryRun ? '（试运行，不写入）' : ''}`);
+
+  const fields = await migrateFields();
+  console.log(`📍 PetService: 补写点位 ${fields.points}，风控状态 ${fields.moralStatus}，更新时间 ${fields.lastUpdated}`);
+
+  const ratings = await migrateRatings();
+  console.log(`⭐ PetService: 重算评分 ${ratings}`);
+
+  const appointments = await migrateAppointments();
+  console.log(`📅 PetService: 补写预约时段 ${appointments}`);
+
+  const providers = await migrateServiceSlots();
+  console.log(`👤 User: 回填服务名额 ${providers}`);
+}
+
+main()
+  .catch(error => {
+    console.error('❌ 服务数据迁移失败:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
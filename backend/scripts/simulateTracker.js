@@ -0,0 +1,72 @@
+// 模拟GPS项圈 - 从安全区中心出发逐步走出安全区，按间隔向后端上报定位，用于本地调试地理围栏
+// 用法: node scripts/simulateTracker.js --device <设备ID> --secret <设备密钥> --lat 31.2304 --lng 121.4737
+//       [--api http://localhost:3000] [--radius 200] [--steps 20] [--interval 2] [--minutes 1]
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+
+dotenv.config();
+
+const { values: args } = parseArgs({
+  options: {
+    api: { type: 'string', default: process.env.API_BASE_URL || 'http://localhost:3000' },
+    device: { type: 'string' },
+    secret: { type: 'string' },
+    lat: { type: 'string' },
+    lng: { type: 'string' },
+    radius: { type: 'string', default: '200' }, // 安全区半径(米)，终点为其两倍距离处
+    steps: { type: 'string', default: '20' },
+    interval: { type: 'string', default: '2' }, // 实际发送间隔(秒)
+    minutes: { type: 'string', default: '1' } // 每步在上报时间戳上推进的分钟数，便于快速越过停留时间
+  }
+});
+
+const METERS_PER_DEGREE = 111320;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const latitude = parseFloat(args.lat);
+  const longitude = parseFloat(args.lng);
+  if (!args.device || !args.secret || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw new Error('必须提供 --device、--secret、--lat、--lng');
+  }
+
+  const steps = parseInt(args.steps, 10);
+  const distance = parseFloat(args.radius) * 2;
+  const intervalMs = parseFloat(args.interval) * 1000;
+  const stepMs = parseFloat(args.minutes) * 60 * 1000;
+  // 时间戳从过去开始推进，最后一步为当前时间
+  const startedAt = Date.now() - steps * stepMs;
+
+  for (let step = 0; step <= steps; step++) {
+    // 向正北移动
+    const offset = distance * step / steps;
+    const ping = {
+      deviceId: args.device,
+      latitude: latitude + offset / METERS_PER_DEGREE,
+      longitude,
+      timestamp: new Date(startedAt + step * stepMs).toISOString()
+    };
+
+    const response = await fetch(`${args.api}/api/trackers/pings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Device-Secret': args.secret },
+      body: JSON.stringify(ping)
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(`上报失败 (${response.status}): ${JSON.stringify(body)}`);
+    }
+
+    const { inside, outsideSince, draftAlertId } = body.data;
+    console.log(`📡 #${step} ${offset.toFixed(0)}m ${ping.timestamp} 区内=${inside} 离开于=${outsideSince || '-'} 草稿=${draftAlertId || '-'}`);
+
+    if (step < steps) await sleep(intervalMs);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ 模拟设备失败:', error.message);
+  process.exitCode = 1;
+});
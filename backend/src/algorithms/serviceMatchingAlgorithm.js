@@ -1,20 +1,55 @@
-const { User, UserService, Resonance } = require('../models');
+const { User, PetService } = require('../models');
+const { rankingConfig } = require('../config/serviceRanking');
+const { SIGNAL_SCORERS } = require('./serviceScorers');
+
+// 候选服务只加载排序与展示所需字段
+const CANDIDATE_PROJECTION = { appointments: 0, reviews: 0, calendarToken: 0, metadata: 0 };
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
 
 /**
  * 服务匹配算法
  * 基于《德道经》"天道无亲，常与善人"原则
- * 集成共鸣算法计算信用权重
+ * 以 PetService 为服务数据源，按可插拔的排序信号加权排序，每条结果附带各信号的得分说明
  */
 class ServiceMatchingAlgorithm {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - 排序配置（权重、分页等），默认读取 config/serviceRanking
+   */
+  constructor({ config = rankingConfig } = {}) {
+    this.config = config;
+    this.scorers = { ...SIGNAL_SCORERS };
+  }
+
+  /**
+   * 注册或替换排序信号
+   * @param {string} name - 信号名
+   * @param {Function} scorer - (service, context) => { value, detail } | null，见 serviceScorers
+   * @param {number} weight - 权重
+   */
+  registerScorer(name, scorer, weight) {
+    this.scorers[name] = scorer;
+    this.config = { ...this.config, weights: { ...this.config.weights, [name]: weight } };
+  }
+
   /**
    * 匹配服务提供者
    * @param {ObjectId} seekerId - 寻求服务的用户ID
-   * @param {Object} seekerLocation - 用户位置 {coordinates: [lng, lat]}
+   * @param {Object} seekerLocation - 用户位置GeoJSON点位 {coordinates: [lng, lat]}，即 user.location.point
    * @param {String} serviceType - 服务类型
    * @param {Number} maxDistance - 最大距离（米），默认1000米
+   * @param {Object} [options]
+   * @param {Array<string>} [options.species] - 需要服务的宠物物种
+   * @param {string} [options.priceBand] - 期望价格档位 low / medium / high
+   * @param {boolean} [options.emergency] - 是否紧急求助，默认急诊类服务为紧急
+   * @param {number} [options.page] - 页码
+   * @param {number} [options.limit] - 每页数量，默认取配置 pageSize，不超过 maxPageSize
+   * @returns {Promise<Object>} { items: [{ service, score, distance(米), explanation }], total, capped, page, limit }
+   * 只有最近的 candidateLimit 个服务参与排序：附近服务更多时 capped 为 true，total 为参与排序的数量而非附近服务总数
    */
   // 匹配服务提供者 - 优化16: 添加输入验证和错误处理
-  async matchServices(seekerId, seekerLocation, serviceType, maxDistance = 1000) {
+  async matchServices(seekerId, seekerLocation, serviceType, maxDistance = 1000, options = {}) {
     try {
       // 优化16: 输入验证
       if (!seekerId || !seekerLocation || !serviceType) {
@@ -32,81 +67,84 @@ class ServiceMatchingAlgorithm {
         throw new Error('用户不存在');
       }
 
-      // 1. 地理围栏查询：查找附近的服务 - 优化17: 优化数据库查询
-      const nearbyServices = await UserService.find({
+      const { species, priceBand, emergency = serviceType === 'emergency_care', page = 1 } = options;
+      const limit = Math.min(options.limit || this.config.pageSize, this.config.maxPageSize);
+      const now = new Date();
+
+      // 1. 地理围栏查询：按距离取最近的候选服务（不含自己发布的）
+      const [longitude, latitude] = seekerLocation.coordinates;
+      // 候选数在数据库中截断（多取一条用于判断是否截断），预约、评价等排序用不到的大字段不加载
+      const candidates = await PetService.findWithinRadius(latitude, longitude, maxDistance / 1000, {
+        ...PetService.LISTED_QUERY,
         serviceType,
-        isActive: true,
-        moralStatus: 'active',
-        location: {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates: seekerLocation.coordinates
-            },
-            $maxDistance: maxDistance
-          }
-        },
-        // 服务必须在30天内更新
+        providerId: { $ne: seeker._id },
+        // 超过时效期未更新的服务不参与匹配
         lastUpdated: {
-          $gt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+          $gt: new Date(now.getTime() - this.config.freshnessDays * 24 * 60 * 60 * 1000)
         }
-      })
-      .populate('userId', 'username creditScore')
-      .hint({ serviceType: 1, isActive: 1, location: '2dsphere' })
-      .limit(20);
-
-      // 2. 计算加权得分
-      const scoredServices = await Promise.all(
-        nearbyServices.map(async (service) => {
-          // 2.1 距离权重（1公里线性衰减）
-          const distance = this.calculateDistance(
-            seekerLocation.coordinates,
-            service.location.coordinates
-          );
-          const distanceWeight = Math.max(0, 1 - distance / 1000);
-
-          // 2.2 信用分权重（利用共鸣算法计算）
-          const creditWeight = await this.calculateCreditWeight(
-            seekerId,
-            service.userId._id
-          );
-
-          // 2.3 时效性权重（30天线性衰减）
-          const daysSinceUpdate = (Date.now() - service.lastUpdated) / (24 * 60 * 60 * 1000);
-          const freshnessWeight = Math.max(0, 1 - daysSinceUpdate / 30);
-
-          // 2.4 综合得分
-          const totalWeight = (
-            distanceWeight * 0.4 +
-            creditWeight * 0.4 +
-            freshnessWeight * 0.2
-          );
-
-          return {
-            service,
-            score: totalWeight,
-            distance: Math.round(distance),
-            breakdown: {
-              distanceWeight: distanceWeight.toFixed(2),
-              creditWeight: creditWeight.toFixed(2),
-              freshnessWeight: freshnessWeight.toFixed(2)
-            }
-          };
-        })
-      );
-
-      // 3. 排序并限制数量
-      const sortedServices = scoredServices
-        .sort((a, b) => b.score - a.score)
-        .slice(0, seeker.isNewUser ? 3 : 5); // 新用户限制3个，老用户5个
-
-      return sortedServices;
+      }, {
+        limit: this.config.candidateLimit + 1,
+        projection: CANDIDATE_PROJECTION
+      });
+      const capped = candidates.length > this.config.candidateLimit;
+      if (capped) {
+        candidates.pop();
+      }
+      await PetService.populate(candidates, { path: 'providerId', select: 'nickname creditScore' });
+
+      // 2. 各信号加权打分，同分时距离近的在前
+      const context = { maxDistance, now, species, priceBand, emergency, config: this.config };
+      const ranked = candidates
+        .map(service => ({
+          service,
+          distance: Math.round(service.distance * 1000),
+          ...this.scoreService(service, context)
+        }))
+        .sort((a, b) => b.score - a.score || a.distance - b.distance);
+
+      // 3. 分页
+      return {
+        items: ranked.slice((page - 1) * limit, page * limit),
+        total: ranked.length,
+        capped,
+        page,
+        limit
+      };
     } catch (error) {
       console.error('服务匹配失败:', error);
       throw error;
     }
   }
 
+  /**
+   * 计算服务得分：只在适用的信号之间按权重归一化，各信号贡献之和即总分
+   * @param {Object} service - 服务（已填充 providerId，带 distance）
+   * @param {Object} context - 打分上下文，见 serviceScorers
+   * @returns {Object} { score, explanation: [{ signal, weight, value, contribution, detail }] }，说明按贡献由高到低
+   */
+  scoreService(service, context) {
+    const signals = Object.entries(this.scorers)
+      .map(([signal, scorer]) => ({ signal, weight: this.config.weights[signal] || 0, result: scorer(service, context) }))
+      .filter(({ weight, result }) => weight > 0 && result);
+    const totalWeight = signals.reduce((sum, { weight }) => sum + weight, 0);
+    if (totalWeight === 0) {
+      return { score: 0, explanation: [] };
+    }
+
+    const explanation = signals
+      .map(({ signal, weight, result }) => ({
+        signal,
+        weight: round(weight / totalWeight, 3),
+        value: round(result.value, 2),
+        contribution: round(weight * result.value / totalWeight, 3),
+        detail: result.detail
+      }))
+      .sort((a, b) => b.contribution - a.contribution);
+    const score = signals.reduce((sum, { weight, result }) => sum + weight * result.value, 0) / totalWeight;
+
+    return { score: round(score, 3), explanation };
+  }
+
   /**
    * 计算距离（米）- Haversine公式
    */
@@ -128,50 +166,6 @@ class ServiceMatchingAlgorithm {
     return R * c;
   }
 
-  /**
-   * 计算信用权重（集成共鸣算法）
-   * "天道无亲，常与善人" - 利用现有的Resonance共鸣值来辅助计算信用
-   */
-  async calculateCreditWeight(seekerId, providerId) {
-    try {
-      // 优化18: 输入验证
-      if (!seekerId || !providerId) {
-        return 0.8;
-      }
-
-      // 优化18: 添加缓存检查
-      const cacheKey = `credit_weight:${seekerId}:${providerId}`;
-      // 这里可以添加Redis缓存检查
-
-      // 基础信用分转换（60→0.6, 100→1.0）
-      const provider = await User.findById(providerId).lean();
-      if (!provider) {
-        return 0.8; // 默认值
-      }
-      
-      const baseCreditWeight = (provider.creditScore || 60) / 100;
-
-      // 尝试获取共鸣值（如果存在历史互动）
-      const resonance = await Resonance.findOne({
-        $or: [
-          { userA: seekerId, userB: providerId },
-          { userA: providerId, userB: seekerId }
-        ]
-      }).sort({ calculatedAt: -1 });
-
-      if (resonance) {
-        // 共鸣值加成（0-1范围，最高加成20%）
-        const resonanceBonus = (resonance.totalResonance / 100) * 0.2;
-        return Math.min(1.0, baseCreditWeight + resonanceBonus);
-      }
-
-      return baseCreditWeight;
-    } catch (error) {
-      console.error('计算信用权重失败:', error);
-      return 0.8; // 默认值
-    }
-  }
-
   /**
    * 检查用户轨迹与服务提供者是否有交集
    * 用于触发"毒株"推送
@@ -179,9 +173,9 @@ class ServiceMatchingAlgorithm {
   async checkTrajectoryIntersection(userId, serviceId) {
     try {
       const user = await User.findById(userId);
-      const service = await UserService.findById(serviceId);
+      const service = await PetService.findById(serviceId);
 
-      if (!user || !service || !user.locationHistory || user.locationHistory.length === 0) {
+      if (!user || !service || !service.location?.point || !user.locationHistory || user.locationHistory.length === 0) {
         return false;
       }
 
@@ -195,7 +189,7 @@ class ServiceMatchingAlgorithm {
       for (const loc of recentLocations) {
         const distance = this.calculateDistance(
           loc.coordinates,
-          service.location.coordinates
+          service.location.point.coordinates
         );
 
         // 如果距离小于服务范围，则有交集
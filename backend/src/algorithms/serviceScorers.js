@@ -0,0 +1,122 @@
+/**
+ * 服务匹配排序信号
+ *
+ * 每个信号为 (service, context) => { value, detail } | null：
+ * value 为0-1的信号值，detail 为面向用户的说明；返回null表示该信号对本次匹配不适用，不参与加权
+ *
+ * context: { maxDistance(米), now, species, priceBand, emergency, config }
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SPECIES_LABELS = {
+  dog: '狗', cat: '猫', bird: '鸟', rabbit: '兔', hamster: '仓鼠', fish: '鱼', reptile: '爬宠', other: '其他'
+};
+
+const PRICE_BAND_LABELS = { low: '低价位', medium: '中价位', high: '高价位' };
+
+/**
+ * 价格所在档位
+ * @param {number} price - 价格
+ * @param {Array<Object>} bands - [{ band, max }]，按 max 升序
+ * @returns {string} 档位
+ */
+const getPriceBand = (price, bands) => bands.find(({ max }) => price <= max).band;
+
+const SIGNAL_SCORERS = {
+  // 距离：在搜索半径内线性衰减
+  distance(service, { maxDistance }) {
+    const meters = service.distance * 1000;
+    return {
+      value: Math.max(0, 1 - meters / maxDistance),
+      detail: `距离 ${Math.round(meters)} 米（搜索半径 ${Math.round(maxDistance)} 米）`
+    };
+  },
+
+  // 信用：服务提供者信用分由60-100映射到0-1
+  credit(service) {
+    const provider = service.providerId;
+    if (!provider || !Number.isFinite(provider.creditScore)) {
+      return { value: 0.5, detail: '服务提供者信用分未知' };
+    }
+    return {
+      value: Math.min(1, Math.max(0, (provider.creditScore - 60) / 40)),
+      detail: `服务提供者信用分 ${provider.creditScore}`
+    };
+  },
+
+  // 评分：贝叶斯平均，评价少时向先验均分靠拢，避免一两条好评排到最前
+  rating(service, { config }) {
+    const { overall = 0, count = 0 } = service.ratings || {};
+    const { mean, count: priorCount } = config.ratingPrior;
+    const adjusted = (overall * count + mean * priorCount) / (count + priorCount);
+    return {
+      value: Math.min(1, Math.max(0, (adjusted - 1) / 4)),
+      detail: count > 0 ? `评分 ${overall}（${count} 条评价）` : '暂无评价'
+    };
+  },
+
+  // 时效：最后更新后在 freshnessDays 内线性衰减
+  freshness(service, { now, config }) {
+    const days = Math.max(0, (now - service.lastUpdated) / DAY_MS);
+    return {
+      value: Math.max(0, 1 - days / config.freshnessDays),
+      detail: days < 1 ? '今天更新过' : `${Math.floor(days)} 天前更新`
+    };
+  },
+
+  // 营业中：未填写营业时间按0.5计
+  openNow(service, { now, config }) {
+    if (!service.hasBusinessHours()) {
+      return { value: 0.5, detail: '未填写营业时间' };
+    }
+    const isOpen = service.isOpenAt(now, config.utcOffsetMinutes);
+    return { value: isOpen ? 1 : 0, detail: isOpen ? '营业中' : '当前不在营业时间' };
+  },
+
+  // 物种：服务支持的比例；未指定物种时不适用，服务未声明支持物种时按0.5计
+  species(service, { species }) {
+    if (!species || species.length === 0) return null;
+    const supported = service.supportedSpecies || [];
+    if (supported.length === 0) {
+      return { value: 0.5, detail: '服务未注明支持的宠物类型' };
+    }
+
+    const matched = species.filter(item => supported.includes(item));
+    const labels = (items) => items.map(item => SPECIES_LABELS[item] || item).join('、');
+    return {
+      value: matched.length / species.length,
+      detail: matched.length > 0 ? `支持${labels(matched)}` : `不支持${labels(species)}`
+    };
+  },
+
+  // 价格档位：同档1，相邻档0.5；未指定档位时不适用，服务未标价时按0.5计
+  priceBand(service, { priceBand, config }) {
+    if (!priceBand) return null;
+    const minPrice = service.getMinPrice();
+    if (minPrice === null) {
+      return { value: 0.5, detail: '服务未标价' };
+    }
+
+    const bands = config.priceBands.map(item => item.band);
+    const band = getPriceBand(minPrice, config.priceBands);
+    const gap = Math.abs(bands.indexOf(band) - bands.indexOf(priceBand));
+    return {
+      value: Math.max(0, 1 - gap * 0.5),
+      detail: `最低 ${minPrice} 元，属${PRICE_BAND_LABELS[band] || band}`
+    };
+  },
+
+  // 急诊：仅紧急求助时适用
+  emergency(service, { emergency }) {
+    if (!emergency) return null;
+    return service.hasEmergencyService
+      ? { value: 1, detail: '提供急诊服务' }
+      : { value: 0, detail: '不提供急诊服务' };
+  }
+};
+
+module.exports = {
+  SIGNAL_SCORERS,
+  getPriceBand
+};
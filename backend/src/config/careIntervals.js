@@ -0,0 +1,26 @@
+// 护理计划默认间隔(天) - 按物种区分，未列出的物种或类型需在计划中显式指定间隔
+const CARE_INTERVAL_DAYS = {
+  dog: { vaccination: 365, deworming: 90 },
+  cat: { vaccination: 365, deworming: 90 },
+  rabbit: { vaccination: 365, deworming: 180 },
+  bird: { deworming: 180 },
+  hamster: { deworming: 180 },
+  reptile: { deworming: 180 },
+  other: { deworming: 180 }
+};
+
+/**
+ * 获取物种的默认护理间隔
+ * @param {string} species - 物种
+ * @param {string} type - 护理类型 vaccination / deworming / medication
+ * @returns {number|null} 间隔天数，无默认值时返回null
+ */
+const getDefaultIntervalDays = (species, type) => {
+  const intervals = CARE_INTERVAL_DAYS[species] || {};
+  return intervals[type] || null;
+};
+
+module.exports = {
+  CARE_INTERVAL_DAYS,
+  getDefaultIntervalDays
+};
@@ -0,0 +1,10 @@
+// 服务端生成PDF/图片所用的中文字体，默认使用 Alpine 镜像中 font-noto-cjk 提供的字体
+const CJK_FONT = {
+  path: process.env.POSTER_FONT_PATH || '/usr/share/fonts/noto/NotoSansCJK-Regular.ttc',
+  // TTC 字体集合中使用的字体名
+  family: process.env.POSTER_FONT_FAMILY || 'NotoSansCJKsc-Regular'
+};
+
+module.exports = {
+  CJK_FONT
+};
@@ -0,0 +1,14 @@
+// FurLink 安全配置 - 与 backend-standalone 保持一致的上传限制
+
+const securityConfig = {
+  // 文件上传
+  fileUpload: {
+    maxFileSize: 10 * 1024 * 1024, // 10MB
+    allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    allowedExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp']
+  }
+};
+
+module.exports = {
+  securityConfig
+};
@@ -0,0 +1,66 @@
+// 服务匹配排序配置 - 各信号权重、价格档位与分页，权重可通过环境变量覆盖
+
+// 默认信号权重，排序时只在适用的信号之间归一化
+const DEFAULT_WEIGHTS = {
+  distance: 0.3,
+  credit: 0.2,
+  rating: 0.2,
+  freshness: 0.1,
+  openNow: 0.1,
+  species: 0.05,
+  priceBand: 0.05,
+  emergency: 0.2
+};
+
+// 价格档位（按服务项目最低价，元），max 为该档上限
+const PRICE_BANDS = [
+  { band: 'low', max: 100 },
+  { band: 'medium', max: 300 },
+  { band: 'high', max: Infinity }
+];
+
+/**
+ * 解析权重配置，格式如 "distance:0.5,rating:0.3"；未知信号与非法数值被忽略
+ * @param {string} [value] - 配置字符串
+ * @returns {Object} 覆盖的权重
+ */
+const parseWeights = (value) => {
+  if (!value) return {};
+
+  return value.split(',').reduce((weights, pair) => {
+    const [name, raw] = pair.split(':').map(part => part && part.trim());
+    const weight = parseFloat(raw);
+    if (name in DEFAULT_WEIGHTS && Number.isFinite(weight) && weight >= 0) {
+      weights[name] = weight;
+    }
+    return weights;
+  }, {});
+};
+
+const envOffset = parseInt(process.env.BOOKING_UTC_OFFSET_MINUTES);
+
+const rankingConfig = {
+  weights: { ...DEFAULT_WEIGHTS, ...parseWeights(process.env.SERVICE_RANKING_WEIGHTS) },
+  // 每页返回的匹配数与上限
+  pageSize: parseInt(process.env.SERVICE_MATCH_PAGE_SIZE) || 5,
+  maxPageSize: parseInt(process.env.SERVICE_MATCH_MAX_PAGE_SIZE) || 20,
+  // 参与排序的候选服务数（按距离取最近的）
+  candidateLimit: parseInt(process.env.SERVICE_MATCH_CANDIDATE_LIMIT) || 50,
+  // 超过此天数未更新的服务不参与匹配，时效性在此期间线性衰减
+  freshnessDays: parseInt(process.env.SERVICE_MATCH_FRESHNESS_DAYS) || 30,
+  // 评分按贝叶斯平均修正：评价少的服务向先验均分靠拢
+  ratingPrior: {
+    mean: parseFloat(process.env.SERVICE_RATING_PRIOR_MEAN) || 3.5,
+    count: parseInt(process.env.SERVICE_RATING_PRIOR_COUNT) || 5
+  },
+  // 营业时间所在时区与UTC的偏移(分钟)，与预约一致
+  utcOffsetMinutes: Number.isFinite(envOffset) ? envOffset : 480,
+  priceBands: PRICE_BANDS
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  PRICE_BANDS,
+  parseWeights,
+  rankingConfig
+};
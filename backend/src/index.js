@@ -1,14 +1,52 @@
 // FurLink 后端主入口文件 - 极简测试版本
 // 宠物紧急寻回平台 - 云端开发模式
 
-import express from 'express';
-import cors from 'cors';
-import dotenv from 'dotenv';
+const http = require('http');
+const express = require('express');
+const cors = require('cors');
+const dotenv = require('dotenv');
 
 // 加载环境变量
 dotenv.config();
 
+const mongoose = require('mongoose');
+const EmergencyProtocol = require('./services/emergencyProtocol');
+const AlertScheduler = require('./services/alertScheduler');
+const ReunionService = require('./services/reunionService');
+const FoundMatchService = require('./services/foundMatchService');
+const PosterService = require('./services/posterService');
+const PetProfileService = require('./services/petProfileService');
+const ChipRegistryService = require('./services/chipRegistryService');
+const CareScheduleService = require('./services/careScheduleService');
+const CareReminderScheduler = require('./services/careReminderScheduler');
+const WebSocketService = require('./services/webSocketService');
+const MedicalRecordService = require('./services/medicalRecordService');
+const PetOwnershipService = require('./services/petOwnershipService');
+const WeightTrackingService = require('./services/weightTrackingService');
+const PetVerificationService = require('./services/petVerificationService');
+const GeofenceService = require('./services/geofenceService');
+const AppointmentService = require('./services/appointmentService');
+const CalendarService = require('./services/calendarService');
+const ReviewService = require('./services/reviewService');
+const ServiceCatalogService = require('./services/serviceCatalogService');
+const moralGuardService = require('./services/moralGuardService');
+const serviceMatchingAlgorithm = require('./algorithms/serviceMatchingAlgorithm');
+const storageService = require('./services/storageService');
+const ReporterPolicy = require('./policies/reporterPolicy');
+const createAlertRoutes = require('./routes/alerts');
+const createReporterGrantRoutes = require('./routes/reporterGrants');
+const createFoundReportRoutes = require('./routes/foundReports');
+const createPetRoutes = require('./routes/pets');
+const createRegistryRoutes = require('./routes/registry');
+const createPetTransferRoutes = require('./routes/petTransfers');
+const createPetVerificationRoutes = require('./routes/petVerifications');
+const createTrackerRoutes = require('./routes/trackers');
+const createServiceRoutes = require('./routes/services');
+const createAppointmentRoutes = require('./routes/appointments');
+const { errorHandler } = require('./middleware/errorHandler');
+
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 
 // 基础中间件
@@ -29,6 +67,54 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// 实时推送通道
+const webSocketService = new WebSocketService(server);
+
+// 业务服务
+const reporterPolicy = new ReporterPolicy();
+const emergencyProtocol = new EmergencyProtocol({ reporterPolicy, notifier: webSocketService });
+const alertScheduler = new AlertScheduler({ emergencyProtocol });
+const reunionService = new ReunionService({ emergencyProtocol });
+const foundMatchService = new FoundMatchService({ emergencyProtocol });
+const posterService = new PosterService();
+const petProfileService = new PetProfileService();
+const chipRegistryService = new ChipRegistryService({ emergencyProtocol });
+const careScheduleService = new CareScheduleService();
+const careReminderScheduler = new CareReminderScheduler({ notifier: webSocketService });
+const medicalRecordService = new MedicalRecordService();
+const petOwnershipService = new PetOwnershipService({ emergencyProtocol });
+const weightTrackingService = new WeightTrackingService({ emergencyProtocol });
+const petVerificationService = new PetVerificationService({ emergencyProtocol });
+const geofenceService = new GeofenceService({ emergencyProtocol });
+const appointmentService = new AppointmentService({ emergencyProtocol });
+const calendarService = new CalendarService({ appointmentService });
+const reviewService = new ReviewService({ appointmentService, moralGuardService, emergencyProtocol });
+const serviceCatalogService = new ServiceCatalogService({ moralGuardService, serviceMatchingAlgorithm });
+
+// 业务路由
+app.use('/api/alerts', createAlertRoutes({ emergencyProtocol, reunionService, posterService }));
+app.use('/api/reporter-grants', createReporterGrantRoutes({ reporterPolicy }));
+app.use('/api/found-reports', createFoundReportRoutes({ foundMatchService }));
+app.use('/api/pets', createPetRoutes({
+  petProfileService,
+  chipRegistryService,
+  careScheduleService,
+  medicalRecordService,
+  petOwnershipService,
+  weightTrackingService,
+  petVerificationService,
+  geofenceService
+}));
+app.use('/api/registry', createRegistryRoutes({ chipRegistryService }));
+app.use('/api/pet-transfers', createPetTransferRoutes({ petOwnershipService }));
+app.use('/api/pet-verifications', createPetVerificationRoutes({ petVerificationService }));
+app.use('/api/trackers', createTrackerRoutes({ geofenceService }));
+app.use('/api/services', createServiceRoutes({ serviceCatalogService, appointmentService, calendarService, reviewService }));
+app.use('/api/appointments', createAppointmentRoutes({ appointmentService, calendarService, reviewService }));
+
+// 上传文件
+app.use('/uploads', express.static(storageService.baseDir));
+
 // 根路径
 app.get('/', (req, res) => {
   res.json({
@@ -37,7 +123,17 @@ app.get('/', (req, res) => {
     status: 'running',
     port: PORT,
     endpoints: {
-      health: '/api/health'
+      health: '/api/health',
+      alerts: '/api/alerts',
+      reporterGrants: '/api/reporter-grants',
+      foundReports: '/api/found-reports',
+      pets: '/api/pets',
+      registry: '/api/registry',
+      petTransfers: '/api/pet-transfers',
+      petVerifications: '/api/pet-verifications',
+      trackers: '/api/trackers',
+      services: '/api/services',
+      appointments: '/api/appointments'
     }
   });
 });
@@ -52,20 +148,25 @@ app.use('*', (req, res) => {
 });
 
 // 错误处理中间件
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({
-    success: false,
-    message: err.message || '服务器内部错误',
-    timestamp: new Date().toISOString()
-  });
-});
+app.use(errorHandler);
 
 // 启动服务器
-function startServer() {
+async function startServer() {
   try {
+    // 连接MongoDB
+    if (process.env.MONGODB_ENABLED !== 'false') {
+      await mongoose.connect(process.env.MONGODB_URL || 'mongodb://localhost:27017/furlink');
+      console.log('✅ MongoDB connected successfully');
+
+      // 警报过期与升级调度
+      alertScheduler.start();
+
+      // 疫苗、驱虫与用药到期提醒，经 WebSocket 推送给在线的主人
+      careReminderScheduler.start();
+    }
+
     // 启动服务器
-    app.listen(PORT, '0.0.0.0', () => {
+    server.listen(PORT, '0.0.0.0', () => {
       console.log(`🐾 FurLink后端服务启动成功！`);
       console.log(`📱 端口: ${PORT}`);
       console.log(`🌐 环境: ${process.env.NODE_ENV || 'development'}`);
@@ -81,11 +182,15 @@ function startServer() {
 // 优雅关闭
 process.on('SIGTERM', () => {
   console.log('🔄 收到SIGTERM信号，正在优雅关闭...');
+  alertScheduler.stop();
+  careReminderScheduler.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('🔄 收到SIGINT信号，正在优雅关闭...');
+  alertScheduler.stop();
+  careReminderScheduler.stop();
   process.exit(0);
 });
 
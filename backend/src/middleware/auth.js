@@ -1,7 +1,6 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { User } = require('../models');
-const redisService = require('../services/redisService');
 
 /**
  * AuthService - 认证服务类
@@ -99,12 +98,6 @@ class AuthService {
    */
   async verifyToken(token, type = 'access') {
     try {
-      // 优化5: 检查令牌黑名单
-      const isBlacklisted = await this.isTokenBlacklisted(token);
-      if (isBlacklisted) {
-        throw new Error('令牌已被撤销');
-      }
-
       // 优化6: 增强验证选项
       const decoded = jwt.verify(token, this.secretKey, {
         algorithms: ['HS256'],
@@ -179,7 +172,7 @@ const authMiddleware = async (req, res, next) => {
 
     const authService = new AuthService();
     const token = authService.extractTokenFromHeader(authHeader);
-    const decoded = authService.verifyToken(token);
+    const decoded = await authService.verifyToken(token);
 
     // 验证用户是否存在且活跃
     const user = await User.findById(decoded.userId);
@@ -223,7 +216,7 @@ const optionalAuthMiddleware = async (req, res, next) => {
 
     const authService = new AuthService();
     const token = authService.extractTokenFromHeader(authHeader);
-    const decoded = authService.verifyToken(token);
+    const decoded = await authService.verifyToken(token);
 
     const user = await User.findById(decoded.userId);
     if (user && user.isActive) {
@@ -257,7 +250,7 @@ const adminAuthMiddleware = async (req, res, next) => {
 
     const authService = new AuthService();
     const token = authService.extractTokenFromHeader(authHeader);
-    const decoded = authService.verifyToken(token);
+    const decoded = await authService.verifyToken(token);
 
     const user = await User.findById(decoded.userId);
     if (!user || !user.isActive) {
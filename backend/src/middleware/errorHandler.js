@@ -0,0 +1,91 @@
+const { AppError } = require('../utils/errors');
+
+/**
+ * 包装异步路由处理器，将拒绝的Promise交给错误处理中间件
+ * @param {Function} handler - 异步路由处理器
+ * @returns {Function} Express中间件
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/**
+ * 将各类错误归一为 { statusCode, code, message, details }
+ * @param {Error} err - 错误对象
+ * @returns {Object} 归一化的错误信息
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return {
+      statusCode: err.statusCode,
+      code: err.code,
+      message: err.message,
+      details: err.details
+    };
+  }
+
+  // Mongoose 校验错误
+  if (err.name === 'ValidationError' && err.errors) {
+    return {
+      statusCode: 400,
+      code: 'VALIDATION_ERROR',
+      message: '参数校验失败',
+      details: Object.values(err.errors).map(e => ({ field: e.path, message: e.message }))
+    };
+  }
+
+  // 无效的ObjectId等类型转换错误
+  if (err.name === 'CastError') {
+    return {
+      statusCode: 400,
+      code: 'INVALID_ID',
+      message: `无效的参数: ${err.path}`
+    };
+  }
+
+  // 唯一索引冲突
+  if (err.code === 11000) {
+    return {
+      statusCode: 409,
+      code: 'DUPLICATE_KEY',
+      message: '数据已存在',
+      details: err.keyValue ? Object.keys(err.keyValue).map(field => ({ field })) : undefined
+    };
+  }
+
+  // 请求体JSON解析失败
+  if (err.type === 'entity.parse.failed') {
+    return { statusCode: 400, code: 'INVALID_JSON', message: '请求体格式错误' };
+  }
+
+  return {
+    statusCode: 500,
+    code: 'INTERNAL_ERROR',
+    message: '服务器内部错误'
+  };
+};
+
+/**
+ * 统一错误处理中间件
+ */
+const errorHandler = (err, req, res, next) => {
+  const { statusCode, code, message, details } = normalizeError(err);
+
+  if (statusCode >= 500) {
+    console.error('Error:', err);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    code,
+    message,
+    ...(details ? { details } : {}),
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  asyncHandler,
+  normalizeError,
+  errorHandler
+};
@@ -0,0 +1,69 @@
+const path = require('path');
+const multer = require('multer');
+const { securityConfig } = require('../config/security');
+const { AppError } = require('../utils/errors');
+
+// 文件头签名，防止仅修改扩展名或Content-Type的伪装文件
+const IMAGE_SIGNATURES = {
+  'image/jpeg': buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/png': buffer => buffer.toString('hex', 0, 8) === '89504e470d0a1a0a',
+  'image/gif': buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6)),
+  'image/webp': buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+};
+
+/**
+ * 校验上传图片的实际内容是否与声明类型一致
+ * @param {Object} file - multer 内存文件
+ * @returns {boolean} 是否一致
+ */
+const matchesImageSignature = (file) => {
+  const check = IMAGE_SIGNATURES[file.mimetype];
+  return !!check && file.buffer.length >= 12 && check(file.buffer);
+};
+
+/**
+ * 单张图片上传中间件 - 按 securityConfig.fileUpload 限制大小、类型与扩展名
+ * @param {string} field - 表单字段名
+ * @returns {Function} Express 中间件
+ */
+const imageUpload = (field) => {
+  const { maxFileSize, allowedTypes, allowedExtensions } = securityConfig.fileUpload;
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const ext = path.extname(file.originalname || '').toLowerCase();
+      if (!allowedTypes.includes(file.mimetype) || !allowedExtensions.includes(ext)) {
+        return cb(AppError.badRequest('UNSUPPORTED_FILE_TYPE', `仅支持 ${allowedExtensions.join(', ')} 格式的图片`));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return next(new AppError('FILE_TOO_LARGE', `图片不能超过 ${Math.round(maxFileSize / 1024 / 1024)}MB`, 413));
+        }
+        return next(AppError.badRequest('INVALID_UPLOAD', error.message));
+      }
+      if (error) {
+        return next(error);
+      }
+      if (!req.file) {
+        return next(AppError.badRequest('MISSING_FILE', `缺少上传字段 ${field}`));
+      }
+      if (!matchesImageSignature(req.file)) {
+        return next(AppError.badRequest('UNSUPPORTED_FILE_TYPE', '文件内容与图片类型不符'));
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  imageUpload,
+  matchesImageSignature
+};
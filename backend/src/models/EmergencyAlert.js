@@ -0,0 +1,652 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+const { geoPointField, geoPointPlugin } = require('./geoPoint');
+
+// 警报状态流转 - "反者道之动"，每一步变化都需有迹可循
+// draft（设备自动生成、待主人确认）可发布为 active 或取消
+// active 可转为 resolved / cancelled / expired；expired 可经延期重新激活；resolved 与 cancelled 为终态
+const STATUS_TRANSITIONS = {
+  draft: ['active', 'cancelled'],
+  active: ['resolved', 'cancelled', 'expired'],
+  expired: ['active'],
+  resolved: [],
+  cancelled: []
+};
+
+// 紧急警报模型 - 基于道德经"宠辱若惊"理念，紧急情况立即响应
+const emergencyAlertSchema = new mongoose.Schema({
+  // 关联信息
+  // 未登记动物的发现警报可不关联宠物
+  petId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: function() {
+      return this.alertType !== 'found';
+    },
+    index: true
+  },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // 警报内容
+  alertType: {
+    type: String,
+    enum: ['lost', 'injured', 'stolen', 'medical', 'found', 'other'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 100,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 1000,
+    trim: true
+  },
+  urgencyLevel: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'high',
+    index: true
+  },
+
+  // 事发位置
+  location: {
+    latitude: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180
+    },
+    address: {
+      type: String,
+      maxlength: 200
+    },
+    city: String,
+    district: String,
+    point: geoPointField()
+  },
+  incidentTime: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 联系方式
+  contactInfo: {
+    name: String,
+    phone: String,
+    wechat: String
+  },
+
+  // 附件（照片等）
+  attachments: [{
+    url: String,
+    type: {
+      type: String,
+      enum: ['image', 'video', 'document'],
+      default: 'image'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // 状态管理
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'active',
+    index: true
+  },
+  resolvedAt: Date,
+  cancelledAt: Date,
+  expiredAt: Date,
+  expiresAt: {
+    type: Date,
+    index: true
+  },
+
+  // 传播设置
+  propagationSettings: {
+    forcePropagation: {
+      type: Boolean,
+      default: true
+    },
+    propagationRadius: {
+      type: Number,
+      default: 5,
+      min: 0,
+      comment: '传播半径(公里)'
+    },
+    propagationDelay: {
+      type: Number,
+      default: 0,
+      min: 0,
+      comment: '传播延迟(秒)'
+    },
+    propagationDuration: {
+      type: Number,
+      default: 24,
+      min: 1,
+      comment: '传播持续时间(小时)'
+    },
+    verifiedPet: {
+      type: Boolean,
+      default: false,
+      comment: '已认证宠物，传播半径按倍数放大'
+    }
+  },
+
+  // 升级记录
+  escalation: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastEscalatedAt: Date
+  },
+
+  // 已收到警报的用户，保证重复传播不重复通知
+  notifiedUserIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // 传播中心（走失地点及重新传播的目击点）
+  propagationCenters: [{
+    latitude: Number,
+    longitude: Number,
+    propagatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // 传播统计
+  propagationStats: {
+    totalReached: {
+      type: Number,
+      default: 0
+    },
+    totalViewed: {
+      type: Number,
+      default: 0
+    },
+    totalResponses: {
+      type: Number,
+      default: 0
+    },
+    propagationCount: {
+      type: Number,
+      default: 0
+    },
+    lastPropagatedAt: Date
+  },
+
+  // 响应记录
+  responses: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    responseType: {
+      type: String,
+      enum: ['seen', 'found', 'helping', 'info', 'resolved'],
+      required: true
+    },
+    message: {
+      type: String,
+      maxlength: 500
+    },
+    location: {
+      latitude: Number,
+      longitude: Number,
+      address: String
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    isVerified: {
+      type: Boolean,
+      default: false
+    }
+  }],
+
+  // 目击记录
+  sightings: [{
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    seenAt: {
+      type: Date,
+      required: true
+    },
+    location: {
+      latitude: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+      },
+      longitude: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+      },
+      address: String
+    },
+    photo: String,
+    confidence: {
+      type: Number,
+      default: 0.5,
+      min: 0,
+      max: 1,
+      comment: '目击可信度(0-1)'
+    },
+    note: {
+      type: String,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // 团聚认领 - 发现者认领、主人确认后才能结案
+  reunionClaims: [{
+    finderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'rejected', 'expired'],
+      default: 'pending'
+    },
+    message: {
+      type: String,
+      maxlength: 500
+    },
+    location: {
+      latitude: Number,
+      longitude: Number,
+      address: String
+    },
+    // 发现者提供的身份证据（芯片号、特征标记）
+    evidence: {
+      chipNumber: String,
+      marks: [{
+        type: {
+          type: String,
+          enum: ['scar', 'tattoo', 'chip', 'collar', 'other']
+        },
+        location: String,
+        description: String
+      }]
+    },
+    codeHash: String,
+    codeExpiresAt: Date,
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    verificationMethod: {
+      type: String,
+      enum: ['code', 'identity']
+    },
+    claimedAt: {
+      type: Date,
+      default: Date.now
+    },
+    decidedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+
+  // 生命周期历史
+  history: [{
+    action: {
+      type: String,
+      required: true
+    },
+    fromStatus: String,
+    toStatus: String,
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    data: mongoose.Schema.Types.Mixed,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // 时间戳
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      // 已通知用户列表仅供内部去重，验证码摘要不可外泄
+      delete ret.notifiedUserIds;
+      (ret.reunionClaims || []).forEach(claim => delete claim.codeHash);
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// 虚拟字段
+emergencyAlertSchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && this.expiresAt.getTime() <= Date.now();
+});
+
+emergencyAlertSchema.virtual('isOpen').get(function() {
+  return this.status === 'active' && !this.isExpired;
+});
+
+emergencyAlertSchema.virtual('remainingHours').get(function() {
+  if (!this.expiresAt) return null;
+  return Math.max(0, (this.expiresAt.getTime() - Date.now()) / (60 * 60 * 1000));
+});
+
+// 索引优化
+emergencyAlertSchema.index({ status: 1, expiresAt: 1 });
+emergencyAlertSchema.index({ petId: 1, status: 1 });
+emergencyAlertSchema.index({ reporterId: 1, createdAt: -1 });
+
+// 地理索引
+emergencyAlertSchema.index({
+  'location.point': '2dsphere',
+  status: 1
+}, {
+  name: 'location_point_status'
+});
+
+// 事发位置同步为GeoJSON点位
+emergencyAlertSchema.plugin(geoPointPlugin, { path: 'location' });
+
+// 中间件
+emergencyAlertSchema.post('init', function() {
+  // 记录持久化时的状态，用于校验状态流转
+  this.$locals.persistedStatus = this.status;
+});
+
+emergencyAlertSchema.pre('validate', function(next) {
+  // 按传播持续时间计算默认过期时间
+  if (!this.expiresAt) {
+    const baseTime = this.incidentTime || this.createdAt || new Date();
+    const hours = this.propagationSettings.propagationDuration;
+    this.expiresAt = new Date(baseTime.getTime() + hours * 60 * 60 * 1000);
+  }
+
+  // 校验状态流转
+  const fromStatus = this.$locals.persistedStatus;
+  if (!this.isNew && this.isModified('status') && fromStatus && fromStatus !== this.status) {
+    if (!emergencyAlertSchema.statics.canTransition(fromStatus, this.status)) {
+      return next(AppError.conflict('INVALID_STATUS_TRANSITION', `警报状态不能从 ${fromStatus} 变更为 ${this.status}`));
+    }
+  }
+
+  next();
+});
+
+emergencyAlertSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+emergencyAlertSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// 静态方法
+emergencyAlertSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+emergencyAlertSchema.statics.canTransition = function(fromStatus, toStatus) {
+  return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+// 查询半径内的活跃警报，按距离排序并附带 distance(公里)
+emergencyAlertSchema.statics.findNearby = function(latitude, longitude, radius = 10, query = {}) {
+  return this.findWithinRadius(latitude, longitude, radius, {
+    ...query,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+emergencyAlertSchema.statics.findActiveByPet = function(petId) {
+  return this.find({ petId, status: 'active' }).sort({ createdAt: -1 });
+};
+
+emergencyAlertSchema.statics.findExpired = function(now = new Date()) {
+  return this.find({
+    status: 'active',
+    expiresAt: { $lt: now }
+  });
+};
+
+emergencyAlertSchema.statics.findEscalationCandidates = function(cutoff, now = new Date()) {
+  return this.find({
+    status: 'active',
+    expiresAt: { $gt: now },
+    urgencyLevel: { $ne: 'critical' },
+    $or: [
+      { 'escalation.lastEscalatedAt': { $lt: cutoff } },
+      { 'escalation.lastEscalatedAt': null, createdAt: { $lt: cutoff } }
+    ]
+  });
+};
+
+// 实例方法
+emergencyAlertSchema.methods.hasSightingsSince = function(since) {
+  return this.sightings.some(sighting => sighting.createdAt >= since) ||
+    this.responses.some(response =>
+      ['seen', 'found'].includes(response.responseType) && response.timestamp >= since
+    );
+};
+
+emergencyAlertSchema.methods.getSortedSightings = function() {
+  return [...this.sightings].sort((a, b) => a.seenAt - b.seenAt);
+};
+
+emergencyAlertSchema.methods.recordHistory = function(action, details = {}) {
+  this.history.push({
+    action,
+    fromStatus: details.fromStatus,
+    toStatus: details.toStatus,
+    actorId: details.actorId,
+    note: details.note,
+    data: details.data,
+    createdAt: new Date()
+  });
+  return this;
+};
+
+emergencyAlertSchema.methods.transitionTo = function(toStatus, details = {}) {
+  const fromStatus = this.status;
+  if (!emergencyAlertSchema.statics.canTransition(fromStatus, toStatus)) {
+    throw AppError.conflict('INVALID_STATUS_TRANSITION', `警报状态不能从 ${fromStatus} 变更为 ${toStatus}`);
+  }
+
+  const now = new Date();
+  this.status = toStatus;
+  if (toStatus === 'resolved') this.resolvedAt = now;
+  if (toStatus === 'cancelled') this.cancelledAt = now;
+  if (toStatus === 'expired') this.expiredAt = now;
+
+  this.recordHistory(details.action || toStatus, {
+    ...details,
+    fromStatus,
+    toStatus
+  });
+  return this;
+};
+
+emergencyAlertSchema.methods.addResponse = function(response) {
+  if (this.status !== 'active') {
+    return Promise.reject(AppError.conflict('ALERT_NOT_ACTIVE', '警报已关闭，无法响应'));
+  }
+
+  this.responses.push(response);
+  this.propagationStats.totalResponses = this.responses.length;
+  this.recordHistory('response', {
+    actorId: response.userId,
+    data: { responseType: response.responseType }
+  });
+  return this.save();
+};
+
+emergencyAlertSchema.methods.addSighting = function(sighting) {
+  if (this.status !== 'active') {
+    return Promise.reject(AppError.conflict('ALERT_NOT_ACTIVE', '警报已关闭，无法上报目击'));
+  }
+
+  this.sightings.push(sighting);
+  const saved = this.sightings[this.sightings.length - 1];
+  this.recordHistory('sighting', {
+    actorId: sighting.reporterId,
+    data: {
+      sightingId: saved._id,
+      seenAt: sighting.seenAt,
+      confidence: saved.confidence
+    }
+  });
+  return this.save().then(() => saved);
+};
+
+emergencyAlertSchema.methods.markAsResolved = function(actorId, note) {
+  this.transitionTo('resolved', { actorId, note });
+  return this.save();
+};
+
+emergencyAlertSchema.methods.markAsCancelled = function(actorId, note) {
+  this.transitionTo('cancelled', { actorId, note });
+  return this.save();
+};
+
+emergencyAlertSchema.methods.markAsExpired = function(note) {
+  this.transitionTo('expired', { note });
+  return this.save();
+};
+
+emergencyAlertSchema.methods.extendExpiration = function(hours, actorId) {
+  if (!Number.isFinite(hours) || hours <= 0) {
+    return Promise.reject(AppError.badRequest('INVALID_EXTENSION', '延长时间必须为正数'));
+  }
+  // 只有进行中或已过期的警报可以延期；草稿、已找回、已取消的警报不可延期
+  if (!['active', 'expired'].includes(this.status)) {
+    return Promise.reject(AppError.conflict('ALERT_NOT_EXTENDABLE', '只有进行中或已过期的警报可以延期'));
+  }
+
+  // 过期警报延期后重新激活，从当前时间起算
+  const wasExpired = this.status === 'expired' || this.isExpired;
+  const baseTime = wasExpired ? Date.now() : this.expiresAt.getTime();
+  this.expiresAt = new Date(baseTime + hours * 60 * 60 * 1000);
+
+  if (this.status === 'expired') {
+    this.transitionTo('active', { action: 'reactivated', actorId, data: { hours } });
+  } else {
+    this.recordHistory('extended', { actorId, data: { hours, expiresAt: this.expiresAt } });
+  }
+  return this.save();
+};
+
+emergencyAlertSchema.methods.escalate = function({ urgencyLevel, propagationRadius, propagationDuration, note }) {
+  const fromUrgency = this.urgencyLevel;
+  const fromRadius = this.propagationSettings.propagationRadius;
+
+  this.urgencyLevel = urgencyLevel;
+  this.propagationSettings.propagationRadius = Math.max(fromRadius, propagationRadius);
+  this.propagationSettings.propagationDuration = propagationDuration;
+
+  // 持续时间随紧急程度增加，过期时间只延后不提前
+  const baseTime = (this.incidentTime || this.createdAt).getTime();
+  const escalatedExpiry = new Date(baseTime + propagationDuration * 60 * 60 * 1000);
+  if (escalatedExpiry > this.expiresAt) {
+    this.expiresAt = escalatedExpiry;
+  }
+
+  this.escalation.count += 1;
+  this.escalation.lastEscalatedAt = new Date();
+
+  this.recordHistory('escalated', {
+    note,
+    data: {
+      fromUrgency,
+      toUrgency: urgencyLevel,
+      fromRadius,
+      toRadius: this.propagationSettings.propagationRadius,
+      expiresAt: this.expiresAt
+    }
+  });
+  return this.save();
+};
+
+emergencyAlertSchema.methods.getPropagationCenters = function() {
+  if (this.propagationCenters.length > 0) {
+    return this.propagationCenters;
+  }
+  return [{ latitude: this.location.latitude, longitude: this.location.longitude }];
+};
+
+emergencyAlertSchema.methods.markUsersNotified = function(userIds) {
+  // addToSet 保存时生成 $addToSet，并发传播也不会产生重复
+  if (userIds.length > 0) {
+    this.notifiedUserIds.addToSet(...userIds);
+  }
+  return this;
+};
+
+emergencyAlertSchema.methods.updatePropagationStats = function(stats = {}) {
+  const { totalReached = 0, totalViewed = 0, center } = stats;
+  this.propagationStats.totalReached += totalReached;
+  this.propagationStats.totalViewed += totalViewed;
+  this.propagationStats.propagationCount += 1;
+  this.propagationStats.lastPropagatedAt = new Date();
+
+  if (center && !this.propagationCenters.some(c =>
+    c.latitude === center.latitude && c.longitude === center.longitude)) {
+    this.propagationCenters.push(center);
+  }
+
+  this.recordHistory('propagated', { data: { totalReached, center } });
+  return this.save();
+};
+
+module.exports = mongoose.model('EmergencyAlert', emergencyAlertSchema);
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const { geoPointField, geoPointPlugin } = require('./geoPoint');
+
+// 候选匹配 - 记录每项评分，便于双方理解匹配依据
+const matchSchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyAlert'
+  },
+  petId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+  breakdown: {
+    species: Number,
+    color: Number,
+    breed: Number,
+    marks: Number,
+    distance: Number,
+    time: Number,
+    verified: Number
+  },
+  distanceKm: Number,
+  status: {
+    type: String,
+    enum: ['suggested', 'dismissed'],
+    default: 'suggested'
+  },
+  notifiedAt: Date,
+  dismissedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 发现报告模型 - 陌生人发现走失动物后上报，自动与走失警报比对
+const foundReportSchema = new mongoose.Schema({
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // 动物特征
+  species: {
+    type: String,
+    required: true,
+    enum: ['dog', 'cat', 'bird', 'rabbit', 'hamster', 'fish', 'reptile', 'other']
+  },
+  color: {
+    type: String,
+    maxlength: 50,
+    trim: true
+  },
+  breedGuess: {
+    type: String,
+    maxlength: 50,
+    trim: true
+  },
+  photos: [{
+    url: {
+      type: String,
+      required: true
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  specialMarks: [{
+    type: {
+      type: String,
+      enum: ['scar', 'tattoo', 'chip', 'collar', 'other']
+    },
+    location: String,
+    description: String
+  }],
+  description: {
+    type: String,
+    maxlength: 1000,
+    trim: true
+  },
+
+  // 发现位置与时间
+  location: {
+    latitude: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180
+    },
+    address: {
+      type: String,
+      maxlength: 200
+    },
+    city: String,
+    district: String,
+    point: geoPointField()
+  },
+  foundAt: {
+    type: Date,
+    default: Date.now
+  },
+  contactInfo: {
+    phone: String,
+    wechat: String,
+    note: String
+  },
+
+  // 状态：open 待匹配；matched 已有超过阈值的候选；closed 由发现者关闭
+  status: {
+    type: String,
+    enum: ['open', 'matched', 'closed'],
+    default: 'open',
+    index: true
+  },
+  closedAt: Date,
+
+  matches: [matchSchema],
+  lastMatchedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 虚拟字段
+foundReportSchema.virtual('topMatch').get(function() {
+  const suggested = (this.matches || []).filter(match => match.status === 'suggested');
+  return suggested.sort((a, b) => b.score - a.score)[0] || null;
+});
+
+// 索引优化
+foundReportSchema.index({ 'matches.ownerId': 1 });
+foundReportSchema.index({ createdAt: -1 });
+
+// 地理索引
+foundReportSchema.index({
+  'location.point': '2dsphere',
+  status: 1
+}, {
+  name: 'location_point_status'
+});
+
+// 发现位置同步为GeoJSON点位
+foundReportSchema.plugin(geoPointPlugin, { path: 'location' });
+
+// 静态方法
+// 查询半径内未关闭的发现报告，按距离排序并附带 distance(公里)；候选匹配只对相关方可见，不在列表中返回
+foundReportSchema.statics.findNearby = function(latitude, longitude, radius = 10) {
+  return this.findWithinRadius(latitude, longitude, radius, {
+    status: { $in: ['open', 'matched'] }
+  }, {
+    projection: { matches: 0 }
+  });
+};
+
+// 实例方法
+foundReportSchema.methods.close = function() {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('FoundReport', foundReportSchema);
@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const { isValidChipNumber } = require('../utils/microchip');
+const { geoPointField, geoPointPlugin } = require('./geoPoint');
+const { AppError } = require('../utils/errors');
+
+const PET_STATUSES = ['normal', 'lost', 'found', 'emergency', 'medical_attention'];
+
+// 视为已找回的状态历史事件
+const REUNION_EVENTS = ['alert_resolved', 'reunion_confirmed'];
+
+// 认证审核时核对过的证据字段，已认证宠物的这些字段变化后需重新审核
+const VERIFIED_EVIDENCE_PATHS = [
+  'species', 'breed', 'color', 'photos', 'specialMarks', 'identification.microchip.number', 'identification.tags'
+];
+
+// 证据快照：忽略子文档ID与登记时间，重新提交相同内容不算变更
+const evidenceSnapshot = (pet) => JSON.stringify(
+  VERIFIED_EVIDENCE_PATHS.map(path => pet.get(path)),
+  (key, value) => (['_id', 'id', 'uploadedAt', 'registeredAt'].includes(key) ? undefined : value)
+);
 
 // 宠物数据模型 - 基于道德经"道法自然"理念设计
 const petSchema = new mongoose.Schema({
@@ -25,11 +44,37 @@ const petSchema = new mongoose.Schema({
     min: 0,
     max: 30
   },
+  // 最新体重(kg)，历史见 weightHistory
   weight: {
     type: Number,
     min: 0,
     max: 200
   },
+  // 体重与体况评分(BCS, 9分制)时间序列
+  weightHistory: [{
+    weight: {
+      type: Number,
+      min: 0,
+      max: 200
+    },
+    bodyConditionScore: {
+      type: Number,
+      min: 1,
+      max: 9
+    },
+    recordedAt: {
+      type: Date,
+      required: true
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: 200
+    }
+  }],
   gender: {
     type: String,
     enum: ['male', 'female', 'unknown']
@@ -80,6 +125,49 @@ const petSchema = new mongoose.Schema({
     }]
   }],
   
+  // 周期性护理计划（疫苗、驱虫、用药）
+  careSchedules: [{
+    type: {
+      type: String,
+      enum: ['vaccination', 'deworming', 'medication'],
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 50,
+      trim: true
+    },
+    intervalDays: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 3650
+    },
+    dosage: {
+      type: String,
+      maxlength: 100
+    },
+    notes: {
+      type: String,
+      maxlength: 500
+    },
+    lastAdministeredAt: Date,
+    nextDueAt: {
+      type: Date,
+      required: true
+    },
+    lastRemindedAt: Date,
+    active: {
+      type: Boolean,
+      default: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // 紧急联系信息
   emergencyContacts: [{
     name: {
@@ -111,6 +199,125 @@ const petSchema = new mongoose.Schema({
     photo: String
   }],
   
+  // 芯片与身份牌登记
+  identification: {
+    microchip: {
+      number: {
+        type: String,
+        trim: true,
+        validate: {
+          validator: function(v) {
+            return !v || isValidChipNumber(v);
+          },
+          message: '芯片号必须为符合 ISO 11784/11785 的15位数字'
+        }
+      },
+      implantedAt: Date,
+      clinic: {
+        name: {
+          type: String,
+          maxlength: 100
+        },
+        contact: {
+          type: String,
+          maxlength: 50
+        }
+      },
+      registeredAt: Date
+    },
+    tags: [{
+      type: {
+        type: String,
+        enum: ['collar_tag', 'qr_tag', 'license'],
+        required: true
+      },
+      code: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+      },
+      issuedBy: {
+        type: String,
+        maxlength: 100
+      },
+      registeredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+
+  // 安全区（地理围栏），圆形或多边形
+  safeZones: [{
+    name: {
+      type: String,
+      required: true,
+      maxlength: 50,
+      trim: true
+    },
+    shape: {
+      type: String,
+      enum: ['circle', 'polygon'],
+      required: true
+    },
+    center: {
+      latitude: Number,
+      longitude: Number
+    },
+    radiusMeters: {
+      type: Number,
+      min: 10,
+      max: 50000
+    },
+    polygon: [{
+      _id: false,
+      latitude: Number,
+      longitude: Number
+    }],
+    active: {
+      type: Boolean,
+      default: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // GPS定位设备，设备以密钥摘要认证
+  trackers: [{
+    deviceId: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 64
+    },
+    label: {
+      type: String,
+      maxlength: 50
+    },
+    secretHash: {
+      type: String,
+      select: false
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastPingAt: Date
+  }],
+
+  // 围栏状态：离开安全区的起始时间与自动生成的警报草稿
+  geofence: {
+    outsideSince: Date,
+    lastPingAt: Date,
+    draftAlertId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmergencyAlert'
+    }
+  },
+
   // 行为特征
   personality: [{
     type: String,
@@ -125,16 +332,50 @@ const petSchema = new mongoose.Schema({
     timestamp: {
       type: Date,
       default: Date.now
-    }
+    },
+    point: geoPointField()
   },
   
   // 状态管理
   status: {
     type: String,
-    enum: ['normal', 'lost', 'found', 'emergency', 'medical_attention'],
+    enum: PET_STATUSES,
     default: 'normal',
     index: true
   },
+  // 状态变更历史，只追加不修改
+  statusHistory: [{
+    fromStatus: {
+      type: String,
+      enum: PET_STATUSES
+    },
+    toStatus: {
+      type: String,
+      enum: PET_STATUSES,
+      required: true
+    },
+    event: {
+      type: String,
+      enum: ['manual', 'alert_created', 'alert_resolved', 'reunion_confirmed', 'alert_cancelled'],
+      default: 'manual'
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: 200
+    },
+    alertId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmergencyAlert'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // 主人信息
   ownerId: {
@@ -143,6 +384,30 @@ const petSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+
+  // 共同主人：view 可查看完整档案，edit 可编辑档案，alert 可发布和处理警报
+  coOwners: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    permissions: {
+      type: [{
+        type: String,
+        enum: ['view', 'edit', 'alert']
+      }],
+      default: ['view']
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // 验证状态
   verificationStatus: {
@@ -152,6 +417,43 @@ const petSchema = new mongoose.Schema({
   },
   verifiedAt: Date,
   verificationNotes: String,
+  // 主人提交的审核申请与补充材料
+  verificationRequest: {
+    submittedAt: Date,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: 500
+    },
+    documents: [{
+      url: String,
+      name: String
+    }]
+  },
+  // 审核日志，每次提交与决定都会记录
+  verificationLog: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected', 'reset'],
+      required: true
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    notes: {
+      type: String,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // 统计信息
   viewCount: {
@@ -191,11 +493,45 @@ petSchema.virtual('isEmergency').get(function() {
 
 // 索引优化
 petSchema.index({ ownerId: 1, createdAt: -1 });
+petSchema.index({ 'coOwners.userId': 1 });
 petSchema.index({ species: 1, status: 1 });
-petSchema.index({ 'lastKnownLocation.latitude': 1, 'lastKnownLocation.longitude': 1 });
+petSchema.index({ 'statusHistory.event': 1, 'statusHistory.changedAt': -1 });
+petSchema.index({ 'lastKnownLocation.point': '2dsphere' });
 petSchema.index({ verificationStatus: 1, createdAt: -1 });
+petSchema.index({ verificationStatus: 1, 'verificationRequest.submittedAt': 1 });
+petSchema.index({ 'identification.microchip.number': 1 }, { unique: true, sparse: true });
+petSchema.index({ 'identification.tags.code': 1 });
+petSchema.index({ 'trackers.deviceId': 1 }, { unique: true, sparse: true });
+petSchema.index({ 'careSchedules.active': 1, 'careSchedules.nextDueAt': 1 });
+
+// 最后已知位置同步为GeoJSON点位
+petSchema.plugin(geoPointPlugin, { path: 'lastKnownLocation' });
 
 // 中间件
+petSchema.post('init', function() {
+  // 记录持久化时的历史条数，用于校验状态历史只追加
+  this.$locals.persistedHistoryLength = this.statusHistory.length;
+  // 记录持久化时的认证证据，用于判断修改后是否需要重新认证
+  this.$locals.persistedEvidence = evidenceSnapshot(this);
+});
+
+petSchema.pre('validate', function(next) {
+  const persisted = this.$locals.persistedHistoryLength || 0;
+  const rewritten = this.modifiedPaths().some(path => {
+    const match = /^statusHistory\.(\d+)/.exec(path);
+    return match && Number(match[1]) < persisted;
+  });
+  if (this.statusHistory.length < persisted || rewritten) {
+    return next(AppError.conflict('STATUS_HISTORY_APPEND_ONLY', '状态历史只能追加，不能修改或删除'));
+  }
+  next();
+});
+
+petSchema.post('save', function() {
+  this.$locals.persistedHistoryLength = this.statusHistory.length;
+  this.$locals.persistedEvidence = evidenceSnapshot(this);
+});
+
 petSchema.pre('save', function(next) {
   this.updatedAt = new Date();
   next();
@@ -206,50 +542,152 @@ petSchema.statics.findByOwner = function(ownerId) {
   return this.find({ ownerId }).sort({ createdAt: -1 });
 };
 
+// 用户可访问的宠物：自己的与作为共同主人的
+petSchema.statics.findAccessible = function(userId) {
+  return this.find({
+    $or: [{ ownerId: userId }, { 'coOwners.userId': userId }]
+  }).sort({ createdAt: -1 });
+};
+
 petSchema.statics.findEmergency = function() {
   return this.find({ 
     status: { $in: ['emergency', 'lost'] } 
   }).sort({ updatedAt: -1 });
 };
 
-petSchema.statics.findNearby = function(latitude, longitude, radius = 10) {
-  return this.find({
-    'lastKnownLocation.latitude': {
-      $gte: latitude - radius / 111,
-      $lte: latitude + radius / 111
-    },
-    'lastKnownLocation.longitude': {
-      $gte: longitude - radius / (111 * Math.cos(latitude * Math.PI / 180)),
-      $lte: longitude + radius / (111 * Math.cos(latitude * Math.PI / 180))
+// 按最后已知位置查询半径内的宠物，按距离排序并附带 distance(公里)
+petSchema.statics.findNearby = function(latitude, longitude, radius = 10, query = {}) {
+  return this.findWithinRadius(latitude, longitude, radius, query);
+};
+
+/**
+ * 从状态历史中提取走失区间：进入 lost 到回到 normal/found
+ * @param {Array} history - 按时间追加的状态历史（文档或lean对象均可）
+ * @returns {Array} [{ lostAt, endedAt, durationMs, alertId, event, reunited }]
+ */
+petSchema.statics.lostPeriods = function(history = []) {
+  const periods = [];
+  let start = null;
+  for (const entry of history) {
+    if (entry.toStatus === 'lost' && !start) {
+      start = entry;
+    } else if (['normal', 'found'].includes(entry.toStatus) && start) {
+      periods.push({
+        lostAt: start.changedAt,
+        endedAt: entry.changedAt,
+        durationMs: entry.changedAt - start.changedAt,
+        alertId: entry.alertId || start.alertId,
+        event: entry.event,
+        reunited: REUNION_EVENTS.includes(entry.event)
+      });
+      start = null;
     }
-  });
+  }
+  return periods;
+};
+
+petSchema.statics.REUNION_EVENTS = REUNION_EVENTS;
+petSchema.statics.VERIFIED_EVIDENCE_PATHS = VERIFIED_EVIDENCE_PATHS;
+
+// 对外展示的特征只保留类型；部位与描述仅主人可见，留作团聚时核验发现者的身份证据
+petSchema.statics.publicMarks = function(marks = []) {
+  return marks.map(mark => ({ type: mark.type }));
+};
+
+petSchema.statics.findByChip = function(chipNumber) {
+  return this.findOne({ 'identification.microchip.number': chipNumber });
 };
 
 // 实例方法
+petSchema.methods.isOwner = function(userId) {
+  return !!userId && this.ownerId.toString() === userId.toString();
+};
+
+petSchema.methods.getCoOwner = function(userId) {
+  if (!userId) return null;
+  return (this.coOwners || []).find(coOwner => coOwner.userId.toString() === userId.toString()) || null;
+};
+
+// 主人拥有全部权限；共同主人均可查看，edit/alert 需单独授予
+petSchema.methods.hasPermission = function(userId, permission) {
+  if (this.isOwner(userId)) return true;
+  const coOwner = this.getCoOwner(userId);
+  if (!coOwner) return false;
+  return permission === 'view' || coOwner.permissions.includes(permission);
+};
+
+petSchema.methods.getAccess = function(userId) {
+  if (this.isOwner(userId)) {
+    return { role: 'owner', permissions: ['view', 'edit', 'alert'] };
+  }
+  const coOwner = this.getCoOwner(userId);
+  if (!coOwner) return null;
+  return { role: 'co_owner', permissions: [...new Set(['view', ...coOwner.permissions])] };
+};
+
+// 已认证宠物的证据与审核时不同则退回待审核并记录日志；已提交的申请重新进入审核队列
+petSchema.methods.resetVerificationIfEvidenceChanged = function(actorId) {
+  if (this.isNew || this.verificationStatus !== 'verified') return false;
+  if (evidenceSnapshot(this) === this.$locals.persistedEvidence) return false;
+
+  this.verificationStatus = 'pending';
+  this.verifiedAt = undefined;
+  this.verificationLog.push({ action: 'reset', actorId, notes: '认证材料已变更，需重新审核' });
+  return true;
+};
+
 petSchema.methods.addHealthRecord = function(record) {
   this.healthRecords.push(record);
   return this.save();
 };
 
-petSchema.methods.updateLocation = function(latitude, longitude, address) {
+// 追加体重记录；不早于已有记录时同步最新体重
+petSchema.methods.recordWeight = function({ weight, bodyConditionScore, recordedAt = new Date(), recordedBy, note }) {
+  const isLatest = this.weightHistory.every(entry => entry.recordedAt <= recordedAt);
+  this.weightHistory.push({ weight, bodyConditionScore, recordedAt, recordedBy, note });
+  if (isLatest && weight !== undefined && weight !== null) {
+    this.weight = weight;
+  }
+  return this.weightHistory[this.weightHistory.length - 1];
+};
+
+petSchema.methods.updateLocation = function(latitude, longitude, address, timestamp = new Date()) {
   this.lastKnownLocation = {
     latitude,
     longitude,
     address,
-    timestamp: new Date()
+    timestamp
   };
   return this.save();
 };
 
-petSchema.methods.markAsLost = function() {
-  this.status = 'lost';
-  this.updatedAt = new Date();
+// 变更状态并追加历史；状态未变化时不记录
+petSchema.methods.changeStatus = function(toStatus, { event = 'manual', changedBy, reason, alertId } = {}) {
+  const fromStatus = this.status;
+  if (fromStatus === toStatus) {
+    return this;
+  }
+
+  this.status = toStatus;
+  this.statusHistory.push({
+    fromStatus,
+    toStatus,
+    event,
+    changedBy,
+    reason: reason && String(reason).slice(0, 200),
+    alertId,
+    changedAt: new Date()
+  });
+  return this;
+};
+
+petSchema.methods.markAsLost = function(details) {
+  this.changeStatus('lost', details);
   return this.save();
 };
 
-petSchema.methods.markAsFound = function() {
-  this.status = 'normal';
-  this.updatedAt = new Date();
+petSchema.methods.markAsFound = function(details) {
+  this.changeStatus('normal', details);
   return this.save();
 };
 
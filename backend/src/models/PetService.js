@@ -1,4 +1,43 @@
 const mongoose = require('mongoose');
+const { geoPointField, geoPointPlugin } = require('./geoPoint');
+
+// 预约状态流转 - "图难于其易，为大于其细"，每一步都留下时间
+const APPOINTMENT_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['in_progress', 'cancelled', 'no_show'],
+  in_progress: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// 评价维度，与 ratings.breakdown 对应
+const REVIEW_DIMENSIONS = ['service', 'cleanliness', 'staff', 'value'];
+
+// 差评阈值：总评分不高于此值计为差评
+const NEGATIVE_RATING_MAX = 2;
+
+// 占用时间段的预约状态
+const APPOINTMENT_ACTIVE_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+// 进入各状态时记录的时间字段
+const APPOINTMENT_STATUS_TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  in_progress: 'startedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  no_show: 'noShowAt'
+};
+
+// 公开展示、匹配与预约的服务条件：已认证、上架且未被风控暂停
+const LISTED_QUERY = Object.freeze({
+  status: 'active',
+  verificationStatus: 'verified',
+  moralStatus: { $ne: 'suspended' }
+});
+
+// 营业时间的星期键，下标与 Date#getDay 一致
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
 
 // 宠物服务模型 - 基于道德经"上善若水"理念，服务如水般自然流动
 const petServiceSchema = new mongoose.Schema({
@@ -54,7 +93,8 @@ const petServiceSchema = new mongoose.Schema({
     district: {
       type: String,
       maxlength: 50
-    }
+    },
+    point: geoPointField()
   },
   
   // 服务范围
@@ -153,7 +193,7 @@ const petServiceSchema = new mongoose.Schema({
     }
   }],
   
-  // 评价系统
+  // 评价系统：overall 与 breakdown 为平均分，由累计值 total 与 breakdownTotals 增量推算
   ratings: {
     overall: {
       type: Number,
@@ -165,26 +205,58 @@ const petServiceSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    total: {
+      type: Number,
+      default: 0
+    },
+    negativeCount: {
+      type: Number,
+      default: 0
+    },
+    negativeRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    },
+    // 含各维度评分的评价数（早期评价只有总评分）
+    scoredCount: {
+      type: Number,
+      default: 0
+    },
     breakdown: {
       service: { type: Number, default: 0 },
       cleanliness: { type: Number, default: 0 },
       staff: { type: Number, default: 0 },
       value: { type: Number, default: 0 }
+    },
+    breakdownTotals: {
+      service: { type: Number, default: 0 },
+      cleanliness: { type: Number, default: 0 },
+      staff: { type: Number, default: 0 },
+      value: { type: Number, default: 0 }
     }
   },
   
-  // 评价记录
+  // 评价记录，每个已完成的预约最多一条
   reviews: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    appointmentId: mongoose.Schema.Types.ObjectId,
     rating: {
       type: Number,
       required: true,
       min: 1,
       max: 5
     },
+    scores: {
+      service: { type: Number, min: 1, max: 5 },
+      cleanliness: { type: Number, min: 1, max: 5 },
+      staff: { type: Number, min: 1, max: 5 },
+      value: { type: Number, min: 1, max: 5 }
+    },
     comment: {
       type: String,
       maxlength: 500
@@ -192,6 +264,14 @@ const petServiceSchema = new mongoose.Schema({
     serviceUsed: String,
     visitDate: Date,
     photos: [String],
+    // 服务提供者回复
+    reply: {
+      content: {
+        type: String,
+        maxlength: 500
+      },
+      repliedAt: Date
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -212,21 +292,60 @@ const petServiceSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Pet'
     },
+    serviceItemId: mongoose.Schema.Types.ObjectId,
     serviceName: String,
-    scheduledTime: Date,
-    duration: Number,
+    scheduledTime: {
+      type: Date,
+      required: true
+    },
+    endTime: {
+      type: Date,
+      comment: '结束时间，用于冲突检测'
+    },
+    duration: {
+      type: Number,
+      comment: '预约时长(分钟)'
+    },
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show'],
+      enum: Object.keys(APPOINTMENT_TRANSITIONS),
       default: 'pending'
     },
-    notes: String,
+    notes: {
+      type: String,
+      maxlength: 500
+    },
+    confirmedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+    noShowAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelReason: {
+      type: String,
+      maxlength: 200
+    },
+    rescheduledAt: Date,
+    // iCalendar 修订序号，改期或取消时递增
+    sequence: {
+      type: Number,
+      default: 0
+    },
     createdAt: {
       type: Date,
       default: Date.now
     }
   }],
   
+  // 预约日历订阅令牌
+  calendarToken: {
+    type: String,
+    select: false
+  },
+
   // 状态管理
   status: {
     type: String,
@@ -234,6 +353,28 @@ const petServiceSchema = new mongoose.Schema({
     default: 'pending_verification',
     index: true
   },
+
+  // 道德风控状态，由 moralGuardService 维护；suspended 的服务下架，不参与列表、匹配与预约
+  moralStatus: {
+    type: String,
+    enum: ['active', 'warning', 'suspended'],
+    default: 'active',
+    index: true
+  },
+
+  // 服务信息最后一次由提供者更新的时间，匹配时据此计算时效性
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 发布元数据，用于风控
+  metadata: {
+    ipAddress: {
+      type: String,
+      select: false
+    }
+  },
   
   // 验证信息
   verificationStatus: {
@@ -279,23 +420,11 @@ const petServiceSchema = new mongoose.Schema({
 
 // 虚拟字段
 petServiceSchema.virtual('isOpen').get(function() {
-  if (!this.contactInfo.businessHours) return true;
-  
-  const now = new Date();
-  const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][now.getDay()];
-  const todayHours = this.contactInfo.businessHours[dayOfWeek];
-  
-  if (!todayHours || todayHours.closed) return false;
-  
-  const currentTime = now.getHours() * 100 + now.getMinutes();
-  const openTime = parseInt(todayHours.open.replace(':', ''));
-  const closeTime = parseInt(todayHours.close.replace(':', ''));
-  
-  return currentTime >= openTime && currentTime <= closeTime;
+  return this.isOpenAt(new Date(), -new Date().getTimezoneOffset());
 });
 
 petServiceSchema.virtual('averageRating').get(function() {
-  return this.ratings.count > 0 ? this.ratings.overall / this.ratings.count : 0;
+  return this.ratings.count > 0 ? this.ratings.overall : 0;
 });
 
 petServiceSchema.virtual('hasEmergencyService').get(function() {
@@ -305,18 +434,20 @@ petServiceSchema.virtual('hasEmergencyService').get(function() {
 
 // 索引优化
 petServiceSchema.index({ serviceType: 1, status: 1 });
-petServiceSchema.index({ 'location.latitude': 1, 'location.longitude': 1 });
 petServiceSchema.index({ providerId: 1, createdAt: -1 });
 petServiceSchema.index({ verificationStatus: 1, status: 1 });
 petServiceSchema.index({ 'ratings.overall': -1, 'ratings.count': -1 });
+petServiceSchema.index({ 'appointments._id': 1 });
+petServiceSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+petServiceSchema.index({ 'appointments.userId': 1, 'appointments.scheduledTime': -1 });
+
+petServiceSchema.index({ 'metadata.ipAddress': 1, status: 1 });
 
 // 地理索引
-petServiceSchema.index({ 
-  'location.latitude': 1, 
-  'location.longitude': 1 
-}, { 
-  name: 'location_2dsphere' 
-});
+petServiceSchema.index({ 'location.point': '2dsphere' });
+
+// 位置同步为GeoJSON点位
+petServiceSchema.plugin(geoPointPlugin, { path: 'location' });
 
 // 中间件
 petServiceSchema.pre('save', function(next) {
@@ -325,44 +456,38 @@ petServiceSchema.pre('save', function(next) {
 });
 
 // 静态方法
+petServiceSchema.statics.APPOINTMENT_TRANSITIONS = APPOINTMENT_TRANSITIONS;
+petServiceSchema.statics.APPOINTMENT_ACTIVE_STATUSES = APPOINTMENT_ACTIVE_STATUSES;
+petServiceSchema.statics.APPOINTMENT_STATUS_TIMESTAMPS = APPOINTMENT_STATUS_TIMESTAMPS;
+
+petServiceSchema.statics.LISTED_QUERY = LISTED_QUERY;
+
+petServiceSchema.statics.REVIEW_DIMENSIONS = REVIEW_DIMENSIONS;
+petServiceSchema.statics.NEGATIVE_RATING_MAX = NEGATIVE_RATING_MAX;
+
+petServiceSchema.statics.canTransitionAppointment = function(fromStatus, toStatus) {
+  return (APPOINTMENT_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+// 查询半径内已认证的可用服务，按距离排序并附带 distance(公里)
 petServiceSchema.statics.findNearby = function(latitude, longitude, radius = 10, serviceType = null) {
-  const query = {
-    status: 'active',
-    verificationStatus: 'verified',
-    'location.latitude': {
-      $gte: latitude - radius / 111,
-      $lte: latitude + radius / 111
-    },
-    'location.longitude': {
-      $gte: longitude - radius / (111 * Math.cos(latitude * Math.PI / 180)),
-      $lte: longitude + radius / (111 * Math.cos(latitude * Math.PI / 180))
-    }
-  };
-  
+  const query = { ...LISTED_QUERY };
+
   if (serviceType) {
     query.serviceType = serviceType;
   }
   
-  return this.find(query).sort({ 'ratings.overall': -1, 'ratings.count': -1 });
+  return this.findWithinRadius(latitude, longitude, radius, query);
 };
 
 petServiceSchema.statics.findEmergency = function(latitude, longitude, radius = 20) {
-  return this.find({
-    status: 'active',
-    verificationStatus: 'verified',
+  return this.findWithinRadius(latitude, longitude, radius, {
+    ...LISTED_QUERY,
     $or: [
       { 'services.isEmergency': true },
       { specialties: 'emergency' }
-    ],
-    'location.latitude': {
-      $gte: latitude - radius / 111,
-      $lte: latitude + radius / 111
-    },
-    'location.longitude': {
-      $gte: longitude - radius / (111 * Math.cos(latitude * Math.PI / 180)),
-      $lte: longitude + radius / (111 * Math.cos(latitude * Math.PI / 180))
-    }
-  }).sort({ 'ratings.overall': -1 });
+    ]
+  });
 };
 
 petServiceSchema.statics.findByProvider = function(providerId) {
@@ -371,29 +496,76 @@ petServiceSchema.statics.findByProvider = function(providerId) {
 
 petServiceSchema.statics.findTopRated = function(limit = 10) {
   return this.find({
-    status: 'active',
-    verificationStatus: 'verified',
+    ...LISTED_QUERY,
     'ratings.count': { $gte: 5 }
   }).sort({ 'ratings.overall': -1, 'ratings.count': -1 }).limit(limit);
 };
 
 // 实例方法
-petServiceSchema.methods.addReview = function(review) {
-  this.reviews.push(review);
+// 由评价记录完整重算评分统计，用于修复历史数据；日常评价走增量更新
+petServiceSchema.methods.recalculateRatings = function() {
+  const reviews = this.reviews;
+  const average = (total, count) => count > 0 ? Math.round(total / count * 100) / 100 : 0;
+  const total = reviews.reduce((sum, r) => sum + r.rating, 0);
+  const negativeCount = reviews.filter(r => r.rating <= NEGATIVE_RATING_MAX).length;
+
+  const scored = reviews.filter(r => r.scores && REVIEW_DIMENSIONS.every(d => Number.isFinite(r.scores[d])));
+  const breakdown = {};
+  const breakdownTotals = {};
+  for (const dimension of REVIEW_DIMENSIONS) {
+    breakdownTotals[dimension] = scored.reduce((sum, r) => sum + r.scores[dimension], 0);
+    breakdown[dimension] = average(breakdownTotals[dimension], scored.length);
+  }
+
+  this.ratings = {
+    overall: average(total, reviews.length),
+    count: reviews.length,
+    total,
+    negativeCount,
+    negativeRate: reviews.length > 0 ? negativeCount / reviews.length : 0,
+    scoredCount: scored.length,
+    breakdown,
+    breakdownTotals
+  };
+  return this;
+};
+
+// 指定时刻是否在营业时间内，营业时间按 utcOffsetMinutes 所在时区理解；未填写当天营业时间视为全天营业
+petServiceSchema.methods.isOpenAt = function(time, utcOffsetMinutes = 0) {
+  if (!this.contactInfo || !this.contactInfo.businessHours) return true;
   
-  // 更新评分统计
-  const totalRating = this.reviews.reduce((sum, r) => sum + r.rating, 0);
-  this.ratings.overall = totalRating;
-  this.ratings.count = this.reviews.length;
+  const local = new Date(time.getTime() + utcOffsetMinutes * 60 * 1000);
+  const dayOfWeek = WEEK_DAYS[local.getUTCDay()];
+  const todayHours = this.contactInfo.businessHours[dayOfWeek];
   
-  return this.save();
+  if (!todayHours || todayHours.closed) return false;
+  if (!todayHours.open || !todayHours.close) return true;
+  
+  const currentTime = local.getUTCHours() * 100 + local.getUTCMinutes();
+  const openTime = parseInt(todayHours.open.replace(':', ''));
+  const closeTime = parseInt(todayHours.close.replace(':', ''));
+  
+  return currentTime >= openTime && currentTime <= closeTime;
 };
 
-petServiceSchema.methods.bookAppointment = function(appointment) {
-  this.appointments.push(appointment);
-  this.stats.totalBookings += 1;
-  this.stats.lastBookingDate = new Date();
-  return this.save();
+// 是否满足公开展示与预约条件，与 LISTED_QUERY 一致
+petServiceSchema.methods.isListed = function() {
+  return this.status === LISTED_QUERY.status &&
+    this.verificationStatus === LISTED_QUERY.verificationStatus &&
+    this.moralStatus !== LISTED_QUERY.moralStatus.$ne;
+};
+
+// 是否填写过营业时间
+petServiceSchema.methods.hasBusinessHours = function() {
+  const hours = this.contactInfo && this.contactInfo.businessHours;
+  if (!hours) return false;
+  return WEEK_DAYS.some(day => hours[day] && (hours[day].closed || (hours[day].open && hours[day].close)));
+};
+
+// 服务项目的最低标价，未标价时返回null
+petServiceSchema.methods.getMinPrice = function() {
+  const prices = this.services.map(item => item.price).filter(Number.isFinite);
+  return prices.length > 0 ? Math.min(...prices) : null;
 };
 
 petServiceSchema.methods.updateLocation = function(latitude, longitude, address) {
@@ -403,6 +575,7 @@ petServiceSchema.methods.updateLocation = function(latitude, longitude, address)
     longitude,
     address
   };
+  this.lastUpdated = new Date();
   return this.save();
 };
 
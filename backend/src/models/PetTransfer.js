@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// 宠物转让模型 - 领养、转送时的邀请、接受与审计记录
+const petTransferSchema = new mongoose.Schema({
+  petId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true,
+    index: true
+  },
+
+  // 转出方（发起时的主人）与接收方
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  reason: {
+    type: String,
+    enum: ['adoption', 'rehoming', 'family', 'other'],
+    default: 'rehoming'
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+
+  // 状态管理
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired'],
+    default: 'pending',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+
+  // 审计记录
+  history: [{
+    action: {
+      type: String,
+      required: true
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    data: mongoose.Schema.Types.Mixed,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 虚拟字段
+petTransferSchema.virtual('isOpen').get(function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+});
+
+// 索引优化
+petTransferSchema.index({ petId: 1, status: 1 });
+petTransferSchema.index({ toUserId: 1, status: 1, createdAt: -1 });
+
+// 静态方法
+petTransferSchema.statics.findOpenByPet = function(petId) {
+  return this.findOne({ petId, status: 'pending', expiresAt: { $gt: new Date() } });
+};
+
+// 实例方法
+petTransferSchema.methods.recordHistory = function(action, details = {}) {
+  this.history.push({
+    action,
+    actorId: details.actorId,
+    note: details.note,
+    data: details.data,
+    createdAt: new Date()
+  });
+  return this;
+};
+
+module.exports = mongoose.model('PetTransfer', petTransferSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// 报告授权模型 - 记录谁可以代为发布紧急警报
+const reporterGrantSchema = new mongoose.Schema({
+  // 被授权用户
+  granteeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // 授权人（宠物主人或管理员）
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 授权范围：pet 为指定宠物代报；found_animal 为未登记动物的发现警报
+  scope: {
+    type: String,
+    enum: ['pet', 'found_animal'],
+    required: true
+  },
+  petId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: function() {
+      return this.scope === 'pet';
+    }
+  },
+
+  // 授权角色
+  role: {
+    type: String,
+    enum: ['family', 'veterinarian', 'rescue_team', 'shelter', 'volunteer'],
+    required: true
+  },
+  note: {
+    type: String,
+    maxlength: 200
+  },
+
+  // 状态管理
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active',
+    index: true
+  },
+  expiresAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokeReason: {
+    type: String,
+    maxlength: 200
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 虚拟字段
+reporterGrantSchema.virtual('isEffective').get(function() {
+  return this.status === 'active' && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// 索引优化
+reporterGrantSchema.index({ granteeId: 1, scope: 1, status: 1 });
+reporterGrantSchema.index({ petId: 1, status: 1 });
+
+// 静态方法
+reporterGrantSchema.statics.findEffective = function(granteeId, scope, petId) {
+  const query = {
+    granteeId,
+    scope,
+    status: 'active',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+  if (petId) {
+    query.petId = petId;
+  }
+  return this.findOne(query);
+};
+
+// 实例方法
+reporterGrantSchema.methods.revoke = function(revokedBy, reason) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  this.revokeReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('ReporterGrant', reporterGrantSchema);
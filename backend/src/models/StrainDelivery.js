@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// 毒株投递记录 - 记录每个用户的紧急毒株送达情况
+const strainDeliverySchema = new mongoose.Schema({
+  // 接收用户
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // 关联警报
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyAlert',
+    index: true
+  },
+
+  // 毒株信息
+  strainType: {
+    type: String,
+    required: true
+  },
+  strainSubtype: String,
+
+  // 投递结果
+  status: {
+    type: String,
+    enum: ['delivered', 'blocked', 'failed'],
+    required: true
+  },
+  reason: String,
+  forced: {
+    type: Boolean,
+    default: false
+  },
+  immunityLevel: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  deliveredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// 索引优化
+strainDeliverySchema.index({ alertId: 1, userId: 1 });
+strainDeliverySchema.index({ userId: 1, deliveredAt: -1 });
+
+module.exports = mongoose.model('StrainDelivery', strainDeliverySchema);
@@ -0,0 +1,112 @@
+/**
+ * GeoJSON 点位支持
+ *
+ * 位置仍以 latitude/longitude 读写，保存前同步出 GeoJSON 点位 point 供 2dsphere 索引与 $geoNear 查询使用；
+ * 经纬度缺失时不写 point，2dsphere 索引会跳过该文档
+ */
+
+/**
+ * GeoJSON 点位字段定义，嵌入各位置对象中
+ * @returns {Object} Schema 定义
+ */
+const geoPointField = () => ({
+  type: {
+    type: String,
+    enum: ['Point']
+  },
+  coordinates: {
+    type: [Number],
+    default: undefined,
+    comment: '[经度, 纬度]'
+  }
+});
+
+/**
+ * 经纬度转为 GeoJSON 点位
+ * @param {Object} [location] - { latitude, longitude }
+ * @returns {Object|undefined} { type: 'Point', coordinates: [lng, lat] }，经纬度无效时返回undefined
+ */
+const toGeoPoint = (location) => {
+  if (!location) return undefined;
+  const { latitude, longitude } = location;
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    return undefined;
+  }
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+/**
+ * 构造 $geoNear 聚合阶段，距离以公里返回在 distance 字段
+ * @param {Object} options
+ * @param {number} options.latitude - 中心纬度
+ * @param {number} options.longitude - 中心经度
+ * @param {number} options.radius - 半径(公里)
+ * @param {string} options.key - 2dsphere 索引字段
+ * @param {Object} [options.query] - 附加过滤条件（不会自动类型转换）
+ * @returns {Object} 聚合阶段
+ */
+const geoNearStage = ({ latitude, longitude, radius, key, query = {} }) => ({
+  $geoNear: {
+    near: { type: 'Point', coordinates: [longitude, latitude] },
+    key,
+    distanceField: 'distance',
+    distanceMultiplier: 0.001, // 米 -> 公里
+    maxDistance: radius * 1000,
+    spherical: true,
+    query
+  }
+});
+
+/**
+ * Schema 插件：保存前同步 GeoJSON 点位，并提供 distance 虚拟字段
+ * @param {mongoose.Schema} schema - Schema
+ * @param {Object} options
+ * @param {string} options.path - 位置对象路径，如 location / lastKnownLocation
+ */
+const geoPointPlugin = (schema, { path }) => {
+  schema.pre('validate', function(next) {
+    this.set(`${path}.point`, toGeoPoint(this.get(path)));
+    next();
+  });
+
+  // findNearby 返回的文档带有与查询中心的距离(公里)
+  schema.virtual('distance').get(function() {
+    return this.$locals.distance;
+  });
+
+  /**
+   * 查询半径内的文档，按距离由近到远排序
+   * @param {number} latitude - 中心纬度
+   * @param {number} longitude - 中心经度
+   * @param {number} [radius] - 半径(公里)
+   * @param {Object} [query] - 附加过滤条件
+   * @param {Object} [options]
+   * @param {number} [options.limit] - 最多返回的文档数（取最近的），在数据库中截断
+   * @param {Object} [options.projection] - $project 投影，如 { appointments: 0 }
+   * @returns {Promise<Array>} 文档列表，distance 为距离(公里)
+   */
+  schema.statics.findWithinRadius = async function(latitude, longitude, radius = 10, query = {}, { limit, projection } = {}) {
+    const pipeline = [geoNearStage({ latitude, longitude, radius, key: `${path}.point`, query })];
+    if (limit) {
+      pipeline.push({ $limit: limit });
+    }
+    if (projection) {
+      pipeline.push({ $project: projection });
+    }
+    const results = await this.aggregate(pipeline);
+
+    return results.map(({ distance, ...fields }) => {
+      const doc = this.hydrate(fields);
+      doc.$locals.distance = distance;
+      return doc;
+    });
+  };
+};
+
+module.exports = {
+  geoPointField,
+  toGeoPoint,
+  geoNearStage,
+  geoPointPlugin
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { geoPointField, geoPointPlugin } = require('./geoPoint');
 
 // 用户模型 - 复用FluLink用户系统，适配宠物场景
 const userSchema = new mongoose.Schema({
@@ -77,7 +78,8 @@ const userSchema = new mongoose.Schema({
     lastUpdated: {
       type: Date,
       default: Date.now
-    }
+    },
+    point: geoPointField()
   },
   
   // 宠物相关统计
@@ -153,6 +155,11 @@ const userSchema = new mongoose.Schema({
       social: {
         type: Boolean,
         default: true
+      },
+      // 疫苗、驱虫、用药与体重变化提醒
+      health: {
+        type: Boolean,
+        default: true
       }
     },
     // 隐私设置
@@ -191,6 +198,13 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // 服务信用分，由道德风控根据评价与履约情况调整
+  creditScore: {
+    type: Number,
+    default: 80,
+    min: 60,
+    max: 100
+  },
   
   // 服务限制
   serviceLimits: {
@@ -208,7 +222,20 @@ const userSchema = new mongoose.Schema({
       comment: '小时'
     }
   },
-  
+
+  // 服务发布名额，currentServices 随发布与删除服务增减
+  serviceSlots: {
+    currentServices: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    maxServices: {
+      type: Number,
+      default: 3
+    }
+  },
+
   // 时间戳
   createdAt: {
     type: Date,
@@ -244,11 +271,14 @@ userSchema.virtual('trustScore').get(function() {
 
 // 索引优化
 userSchema.index({ phone: 1 });
-userSchema.index({ 'location.latitude': 1, 'location.longitude': 1 });
+userSchema.index({ 'location.point': '2dsphere' });
 userSchema.index({ tags: 1 });
 userSchema.index({ isActive: 1, isVerified: 1 });
 userSchema.index({ createdAt: -1 });
 
+// 位置同步为GeoJSON点位
+userSchema.plugin(geoPointPlugin, { path: 'location' });
+
 // 中间件
 userSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -262,18 +292,9 @@ userSchema.pre('save', function(next) {
 });
 
 // 静态方法
+// 查询半径内的活跃用户，按距离排序并附带 distance(公里)
 userSchema.statics.findNearby = function(latitude, longitude, radius = 10) {
-  return this.find({
-    isActive: true,
-    'location.latitude': {
-      $gte: latitude - radius / 111,
-      $lte: latitude + radius / 111
-    },
-    'location.longitude': {
-      $gte: longitude - radius / (111 * Math.cos(latitude * Math.PI / 180)),
-      $lte: longitude + radius / (111 * Math.cos(latitude * Math.PI / 180))
-    }
-  });
+  return this.findWithinRadius(latitude, longitude, radius, { isActive: true });
 };
 
 userSchema.statics.findByTags = function(tags) {
@@ -301,6 +322,7 @@ userSchema.methods.addPet = function() {
 };
 
 userSchema.methods.removePet = function() {
+  this.petStats.totalPets = Math.max(0, this.petStats.totalPets - 1);
   this.petStats.activePets = Math.max(0, this.petStats.activePets - 1);
   return this.save();
 };
@@ -330,10 +352,18 @@ const User = mongoose.model('User', userSchema);
 const Pet = require('./Pet');
 const EmergencyAlert = require('./EmergencyAlert');
 const PetService = require('./PetService');
+const StrainDelivery = require('./StrainDelivery');
+const ReporterGrant = require('./ReporterGrant');
+const FoundReport = require('./FoundReport');
+const PetTransfer = require('./PetTransfer');
 
 module.exports = {
   User,
   Pet,
   EmergencyAlert,
-  PetService
+  PetService,
+  StrainDelivery,
+  ReporterGrant,
+  FoundReport,
+  PetTransfer
 };
@@ -0,0 +1,221 @@
+const { User, Pet, ReporterGrant } = require('../models');
+const { AppError } = require('../utils/errors');
+
+// 默认授权规则
+const DEFAULT_RULES = {
+  // 可为指定宠物代报的角色（由主人授予）
+  petDelegateRoles: ['family'],
+  // 凭认证标签即可发布未登记动物发现警报的用户
+  foundAnimal: {
+    tags: ['veterinarian', 'rescue_team'],
+    requireVerified: true
+  },
+  // 管理员可授予发现警报权限的角色（如收容所、志愿者）
+  foundAnimalGrantRoles: ['veterinarian', 'rescue_team', 'shelter', 'volunteer']
+};
+
+/**
+ * 报告者授权策略 - 基于道德经"信言不美，美言不信"理念
+ * 统一判断谁可以发布紧急警报，所有授权均持久化存储、可撤销
+ */
+class ReporterPolicy {
+  /**
+   * @param {Object} [rules] - 覆盖默认授权规则
+   */
+  constructor(rules = {}) {
+    this.rules = {
+      ...DEFAULT_RULES,
+      ...rules,
+      foundAnimal: { ...DEFAULT_RULES.foundAnimal, ...(rules.foundAnimal || {}) }
+    };
+  }
+
+  /**
+   * 是否可为指定宠物发布警报 - 主人与具备 alert 权限的共同主人无需授权
+   * @param {string} userId - 用户ID
+   * @param {Object} pet - 宠物
+   * @returns {Promise<boolean>} 是否授权
+   */
+  async canReportForPet(userId, pet) {
+    if (pet.hasPermission(userId, 'alert')) {
+      return true;
+    }
+
+    const grant = await ReporterGrant.findEffective(userId, 'pet', pet._id);
+    return !!grant && this.rules.petDelegateRoles.includes(grant.role);
+  }
+
+  /**
+   * 是否可为未登记动物发布发现警报
+   * 有效授权优先；被撤销后即使具备认证标签也不再自动获得权限
+   * @param {string} userId - 用户ID
+   * @returns {Promise<boolean>} 是否授权
+   */
+  async canReportFoundAnimal(userId) {
+    const grant = await ReporterGrant.findEffective(userId, 'found_animal');
+    if (grant) {
+      return true;
+    }
+
+    const revoked = await ReporterGrant.exists({ granteeId: userId, scope: 'found_animal', status: 'revoked' });
+    if (revoked) {
+      return false;
+    }
+
+    const user = await User.findById(userId).select('tags isVerified isActive');
+    if (!user || !user.isActive) {
+      return false;
+    }
+
+    const { tags, requireVerified } = this.rules.foundAnimal;
+    return (!requireVerified || user.isVerified) &&
+      (user.tags || []).some(tag => tags.includes(tag));
+  }
+
+  /**
+   * 主人授权家人代报
+   * @param {string} ownerId - 主人ID
+   * @param {Object} grantData - { granteeId, petId, role, expiresAt, note }
+   * @returns {Promise<Object>} 授权记录
+   */
+  async grantPetReporter(ownerId, { granteeId, petId, role = 'family', expiresAt, note }) {
+    if (!this.rules.petDelegateRoles.includes(role)) {
+      throw AppError.badRequest('INVALID_GRANT_ROLE', `主人只能授予以下角色: ${this.rules.petDelegateRoles.join(', ')}`);
+    }
+
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    if (pet.ownerId.toString() !== ownerId.toString()) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以授权代报');
+    }
+    if (granteeId.toString() === ownerId.toString()) {
+      throw AppError.badRequest('INVALID_GRANTEE', '无需为自己授权');
+    }
+
+    const grantee = await User.findById(granteeId).select('_id');
+    if (!grantee) {
+      throw AppError.notFound('USER_NOT_FOUND', '被授权用户不存在');
+    }
+
+    const existing = await ReporterGrant.findEffective(granteeId, 'pet', petId);
+    if (existing) {
+      throw AppError.conflict('GRANT_EXISTS', '该用户已获授权');
+    }
+
+    return ReporterGrant.create({
+      granteeId,
+      grantedBy: ownerId,
+      scope: 'pet',
+      petId,
+      role,
+      expiresAt,
+      note
+    });
+  }
+
+  /**
+   * 管理员授予发现警报权限（收容所、志愿者等）
+   * @param {string} adminId - 管理员ID
+   * @param {Object} grantData - { granteeId, role, expiresAt, note }
+   * @returns {Promise<Object>} 授权记录
+   */
+  async grantFoundAnimalReporter(adminId, { granteeId, role, expiresAt, note }) {
+    if (!this.rules.foundAnimalGrantRoles.includes(role)) {
+      throw AppError.badRequest('INVALID_GRANT_ROLE', `可授予的角色: ${this.rules.foundAnimalGrantRoles.join(', ')}`);
+    }
+
+    const grantee = await User.findById(granteeId).select('_id');
+    if (!grantee) {
+      throw AppError.notFound('USER_NOT_FOUND', '被授权用户不存在');
+    }
+
+    const existing = await ReporterGrant.findEffective(granteeId, 'found_animal');
+    if (existing) {
+      throw AppError.conflict('GRANT_EXISTS', '该用户已获授权');
+    }
+
+    return ReporterGrant.create({
+      granteeId,
+      grantedBy: adminId,
+      scope: 'found_animal',
+      role,
+      expiresAt,
+      note
+    });
+  }
+
+  /**
+   * 撤销授权 - 宠物主人可撤销自己宠物的授权，管理员可撤销任何授权
+   * @param {string} grantId - 授权ID
+   * @param {Object} actor - { id, isAdmin }
+   * @param {string} [reason] - 撤销原因
+   * @returns {Promise<Object>} 撤销后的授权
+   */
+  async revokeGrant(grantId, actor, reason) {
+    const grant = await ReporterGrant.findById(grantId);
+    if (!grant) {
+      throw AppError.notFound('GRANT_NOT_FOUND', '授权记录不存在');
+    }
+    if (grant.status === 'revoked') {
+      throw AppError.conflict('GRANT_ALREADY_REVOKED', '授权已撤销');
+    }
+
+    if (!actor.isAdmin) {
+      const pet = grant.scope === 'pet' ? await Pet.findById(grant.petId) : null;
+      if (!pet || pet.ownerId.toString() !== actor.id.toString()) {
+        throw AppError.forbidden('NOT_GRANT_OWNER', '无权限撤销此授权');
+      }
+    }
+
+    return grant.revoke(actor.id, reason);
+  }
+
+  /**
+   * 管理员撤销用户的发现警报权限，包括基于认证标签的默认权限
+   * @param {string} userId - 用户ID
+   * @param {string} adminId - 管理员ID
+   * @param {string} [reason] - 撤销原因
+   * @returns {Promise<number>} 撤销的显式授权数量
+   */
+  async revokeFoundAnimalAccess(userId, adminId, reason) {
+    const grants = await ReporterGrant.find({ granteeId: userId, scope: 'found_animal', status: 'active' });
+    for (const grant of grants) {
+      await grant.revoke(adminId, reason);
+    }
+
+    // 无显式授权时写入一条已撤销记录，阻止基于标签的默认权限
+    if (grants.length === 0) {
+      const user = await User.findById(userId).select('tags');
+      if (!user) {
+        throw AppError.notFound('USER_NOT_FOUND', '用户不存在');
+      }
+      await ReporterGrant.create({
+        granteeId: userId,
+        grantedBy: adminId,
+        scope: 'found_animal',
+        role: (user.tags || []).find(tag => this.rules.foundAnimal.tags.includes(tag)) || 'volunteer',
+        status: 'revoked',
+        revokedAt: new Date(),
+        revokedBy: adminId,
+        revokeReason: reason
+      });
+    }
+
+    return grants.length;
+  }
+
+  /**
+   * 查询授权记录
+   * @param {Object} filter - { granteeId, grantedBy, petId, scope, status }
+   * @returns {Promise<Array>} 授权列表
+   */
+  async listGrants(filter) {
+    return ReporterGrant.find(filter).sort({ createdAt: -1 });
+  }
+}
+
+ReporterPolicy.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = ReporterPolicy;
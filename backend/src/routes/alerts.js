@@ -0,0 +1,220 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { imageUpload } = require('../middleware/upload');
+const { AppError } = require('../utils/errors');
+const { parseCoordinates } = require('../utils/coordinates');
+
+const MAX_ATTACHMENTS = 9;
+
+/**
+ * 紧急警报路由 - /api/alerts
+ * @param {Object} deps - 依赖
+ * @param {EmergencyProtocol} deps.emergencyProtocol - 紧急协议服务实例
+ * @param {ReunionService} deps.reunionService - 团聚验证服务实例
+ * @param {PosterService} deps.posterService - 寻宠海报服务实例
+ * @returns {express.Router} 路由
+ */
+const createAlertRoutes = ({ emergencyProtocol, reunionService, posterService }) => {
+  const router = express.Router();
+
+  router.use(authMiddleware);
+
+  // 发布紧急警报
+  router.post('/', asyncHandler(async (req, res) => {
+    const { petId, alertType, title, description, location, urgencyLevel, contactInfo, attachments } = req.body;
+
+    if (attachments !== undefined && (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS)) {
+      throw AppError.badRequest('INVALID_ATTACHMENTS', `附件最多${MAX_ATTACHMENTS}个`);
+    }
+
+    const alert = await emergencyProtocol.createEmergencyAlert({
+      petId,
+      reporterId: req.user.id.toString(),
+      alertType,
+      title,
+      description,
+      location: location && { ...location, ...parseCoordinates(location) },
+      urgencyLevel,
+      contactInfo,
+      attachments
+    });
+
+    res.status(201).json({ success: true, data: alert });
+  }));
+
+  // 上传警报附图（multipart，字段名 image），返回的附件信息随发布警报一并提交
+  router.post('/attachments', imageUpload('image'), asyncHandler(async (req, res) => {
+    const attachment = emergencyProtocol.saveAttachment(req.user.id.toString(), req.file);
+    res.status(201).json({ success: true, data: attachment });
+  }));
+
+  // 附近的活跃警报
+  router.get('/nearby', asyncHandler(async (req, res) => {
+    const { latitude, longitude } = parseCoordinates(req.query);
+    const radius = req.query.radius !== undefined ? parseFloat(req.query.radius) : 10;
+
+    if (!Number.isFinite(radius) || radius <= 0 || radius > 50) {
+      throw AppError.badRequest('INVALID_RADIUS', '搜索半径必须在0-50公里之间');
+    }
+
+    const alerts = await emergencyProtocol.getActiveAlerts(latitude, longitude, radius);
+    res.json({ success: true, data: alerts });
+  }));
+
+  // 警报统计（含各物种、各区县的团聚时长）
+  router.get('/stats', asyncHandler(async (req, res) => {
+    const stats = await emergencyProtocol.getAlertStats();
+    res.json({ success: true, data: stats });
+  }));
+
+  // 警报详情
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const alert = await emergencyProtocol.getAlertById(req.params.id);
+    res.json({ success: true, data: alert });
+  }));
+
+  // 响应警报
+  router.post('/:id/responses', asyncHandler(async (req, res) => {
+    const { type, message, location } = req.body;
+
+    if (!type) {
+      throw AppError.badRequest('MISSING_RESPONSE_TYPE', '缺少响应类型');
+    }
+
+    const response = await emergencyProtocol.handleAlertResponse(req.params.id, req.user.id.toString(), {
+      type,
+      message,
+      location: location && { ...location, ...parseCoordinates(location) }
+    });
+
+    res.status(201).json({ success: true, data: response });
+  }));
+
+  // 上报目击
+  router.post('/:id/sightings', asyncHandler(async (req, res) => {
+    const { seenAt, location, photo, confidence, note } = req.body;
+
+    if (!location) {
+      throw AppError.badRequest('INVALID_COORDINATES', '缺少目击位置');
+    }
+
+    const parsedConfidence = confidence !== undefined ? Number(confidence) : undefined;
+    if (parsedConfidence !== undefined && !(parsedConfidence >= 0 && parsedConfidence <= 1)) {
+      throw AppError.badRequest('INVALID_CONFIDENCE', '可信度必须在0-1之间');
+    }
+
+    const sighting = await emergencyProtocol.reportSighting(req.params.id, req.user.id.toString(), {
+      seenAt,
+      location: { ...location, ...parseCoordinates(location) },
+      photo,
+      confidence: parsedConfidence,
+      note
+    });
+
+    res.status(201).json({ success: true, data: sighting });
+  }));
+
+  // 目击轨迹(GeoJSON)
+  router.get('/:id/sightings/trail', asyncHandler(async (req, res) => {
+    const trail = await emergencyProtocol.getSightingTrail(req.params.id);
+    res.type('application/geo+json').json(trail);
+  }));
+
+  // 可打印的A4寻宠海报(PDF)
+  router.get('/:id/poster.pdf', asyncHandler(async (req, res) => {
+    const pdf = await posterService.generatePoster(req.params.id);
+    res.type('application/pdf')
+      .set('Content-Disposition', `inline; filename="poster-${req.params.id}.pdf"`)
+      .send(pdf);
+  }));
+
+  // 方形分享卡片(PNG)
+  router.get('/:id/share-card.png', asyncHandler(async (req, res) => {
+    const png = await posterService.generateShareCard(req.params.id);
+    res.type('image/png').send(png);
+  }));
+
+  // 发现者认领：返回一次性验证码，交接时出示给主人
+  router.post('/:id/reunion/claims', asyncHandler(async (req, res) => {
+    const { message, location, evidence } = req.body;
+
+    const result = await reunionService.claimFound(req.params.id, req.user.id.toString(), {
+      message,
+      location: location && { ...location, ...parseCoordinates(location) },
+      evidence
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        claimId: result.claim._id,
+        code: result.code,
+        codeExpiresAt: result.codeExpiresAt
+      }
+    });
+  }));
+
+  // 主人确认团聚
+  router.post('/:id/reunion/claims/:claimId/confirm', asyncHandler(async (req, res) => {
+    const { method, code } = req.body;
+
+    const alert = await reunionService.confirmReunion(req.params.id, req.user.id.toString(), {
+      claimId: req.params.claimId,
+      method,
+      code
+    });
+
+    res.json({ success: true, data: alert });
+  }));
+
+  // 主人拒绝认领
+  router.post('/:id/reunion/claims/:claimId/reject', asyncHandler(async (req, res) => {
+    const claim = await reunionService.rejectClaim(
+      req.params.id,
+      req.user.id.toString(),
+      req.params.claimId,
+      req.body.reason
+    );
+
+    res.json({ success: true, data: claim });
+  }));
+
+  // 延长警报
+  router.post('/:id/extend', asyncHandler(async (req, res) => {
+    const hours = Number(req.body.hours);
+
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 72) {
+      throw AppError.badRequest('INVALID_EXTENSION', '延长时间必须在0-72小时之间');
+    }
+
+    const alert = await emergencyProtocol.extendAlert(req.params.id, req.user.id.toString(), hours);
+    res.json({ success: true, data: alert });
+  }));
+
+  // 发布定位设备生成的警报草稿
+  router.post('/:id/publish', asyncHandler(async (req, res) => {
+    const alert = await emergencyProtocol.publishDraftAlert(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: alert });
+  }));
+
+  // 取消警报（含未发布的草稿）
+  router.post('/:id/cancel', asyncHandler(async (req, res) => {
+    const alert = await emergencyProtocol.cancelAlert(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: alert });
+  }));
+
+  // 主人标记警报已解决（发现者请走团聚认领）
+  router.post('/:id/resolve', asyncHandler(async (req, res) => {
+    const response = await emergencyProtocol.handleAlertResponse(req.params.id, req.user.id.toString(), {
+      type: 'resolved',
+      message: req.body.message
+    });
+
+    res.json({ success: true, data: response });
+  }));
+
+  return router;
+};
+
+module.exports = createAlertRoutes;
@@ -0,0 +1,107 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination } = require('../utils/pagination');
+
+/**
+ * 服务预约路由 - /api/appointments
+ * @param {Object} deps - 依赖
+ * @param {AppointmentService} deps.appointmentService - 服务预约服务实例
+ * @param {CalendarService} deps.calendarService - 预约日历服务实例
+ * @param {ReviewService} deps.reviewService - 服务评价服务实例
+ * @returns {express.Router} 路由
+ */
+const createAppointmentRoutes = ({ appointmentService, calendarService, reviewService }) => {
+  const router = express.Router();
+
+  router.use(authMiddleware);
+
+  // 我的预约：role=customer 为我预约的，role=provider 为我的服务收到的
+  router.get('/', asyncHandler(async (req, res) => {
+    const result = await appointmentService.listAppointments(req.user.id.toString(), {
+      role: req.query.role,
+      status: req.query.status,
+      ...parsePagination(req.query)
+    });
+    res.json({ success: true, data: result });
+  }));
+
+  // 预约服务，scheduledTime 应取自空闲时段
+  router.post('/', asyncHandler(async (req, res) => {
+    const { serviceId, serviceItemId, petId, scheduledTime, notes } = req.body;
+    const appointment = await appointmentService.book(req.user.id.toString(), {
+      serviceId,
+      serviceItemId,
+      petId,
+      scheduledTime,
+      notes
+    });
+    res.status(201).json({ success: true, data: appointment });
+  }));
+
+  // 预约详情（预约人或服务提供者）
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const appointment = await appointmentService.getAppointment(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: appointment });
+  }));
+
+  // 日历邀请（.ics），已取消的预约返回 METHOD:CANCEL
+  router.get('/:id/invite.ics', asyncHandler(async (req, res) => {
+    const { method, content } = await calendarService.renderInvite(req.params.id, req.user.id.toString());
+    res.type(`text/calendar; charset=utf-8; method=${method}`)
+      .set('Content-Disposition', `attachment; filename="appointment-${req.params.id}.ics"`)
+      .send(content);
+  }));
+
+  // 改期（预约人或服务提供者）
+  router.post('/:id/reschedule', asyncHandler(async (req, res) => {
+    const appointment = await appointmentService.reschedule(req.params.id, req.user.id.toString(), req.body.scheduledTime);
+    res.json({ success: true, data: appointment });
+  }));
+
+  // 服务提供者确认预约
+  router.post('/:id/confirm', asyncHandler(async (req, res) => {
+    const appointment = await appointmentService.confirm(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: appointment });
+  }));
+
+  // 服务提供者开始服务
+  router.post('/:id/start', asyncHandler(async (req, res) => {
+    const appointment = await appointmentService.start(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: appointment });
+  }));
+
+  // 服务提供者完成服务
+  router.post('/:id/complete', asyncHandler(async (req, res) => {
+    const appointment = await appointmentService.complete(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: appointment });
+  }));
+
+  // 服务提供者标记未到场（预约时间之后）
+  router.post('/:id/no-show', asyncHandler(async (req, res) => {
+    const appointment = await appointmentService.markNoShow(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: appointment });
+  }));
+
+  // 取消预约（预约人或服务提供者）
+  router.post('/:id/cancel', asyncHandler(async (req, res) => {
+    const appointment = await appointmentService.cancel(req.params.id, req.user.id.toString(), req.body.reason);
+    res.json({ success: true, data: appointment });
+  }));
+
+  // 评价已完成的预约：rating 为总评分，scores 为 service/cleanliness/staff/value 各维度评分
+  router.post('/:id/review', asyncHandler(async (req, res) => {
+    const { rating, scores, comment, photos } = req.body;
+    const result = await reviewService.createReview(req.params.id, req.user.id.toString(), {
+      rating,
+      scores,
+      comment,
+      photos
+    });
+    res.status(201).json({ success: true, data: result });
+  }));
+
+  return router;
+};
+
+module.exports = createAppointmentRoutes;
@@ -0,0 +1,94 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { AppError } = require('../utils/errors');
+const { parseCoordinates } = require('../utils/coordinates');
+
+const MAX_PHOTOS = 9;
+
+/**
+ * 发现报告路由 - /api/found-reports
+ * @param {Object} deps - 依赖
+ * @param {FoundMatchService} deps.foundMatchService - 发现报告匹配服务实例
+ * @returns {express.Router} 路由
+ */
+const createFoundReportRoutes = ({ foundMatchService }) => {
+  const router = express.Router();
+
+  router.use(authMiddleware);
+
+  // 上报发现的动物，返回报告及候选匹配
+  router.post('/', asyncHandler(async (req, res) => {
+    const { species, color, breedGuess, photos, specialMarks, description, location, foundAt, contactInfo } = req.body;
+
+    if (!location) {
+      throw AppError.badRequest('INVALID_COORDINATES', '缺少发现位置');
+    }
+    if (photos !== undefined && (!Array.isArray(photos) || photos.length > MAX_PHOTOS)) {
+      throw AppError.badRequest('INVALID_PHOTOS', `照片最多${MAX_PHOTOS}张`);
+    }
+    if (specialMarks !== undefined && !Array.isArray(specialMarks)) {
+      throw AppError.badRequest('INVALID_SPECIAL_MARKS', '特征必须为数组');
+    }
+
+    const report = await foundMatchService.createFoundReport(req.user.id.toString(), {
+      species,
+      color,
+      breedGuess,
+      photos,
+      specialMarks,
+      description,
+      location: { ...location, ...parseCoordinates(location) },
+      foundAt,
+      contactInfo
+    });
+
+    res.status(201).json({ success: true, data: report });
+  }));
+
+  // 附近未关闭的发现报告
+  router.get('/nearby', asyncHandler(async (req, res) => {
+    const { latitude, longitude } = parseCoordinates(req.query);
+    const radius = req.query.radius !== undefined ? parseFloat(req.query.radius) : 10;
+
+    if (!Number.isFinite(radius) || radius <= 0 || radius > 50) {
+      throw AppError.badRequest('INVALID_RADIUS', '搜索半径必须在0-50公里之间');
+    }
+
+    const reports = await foundMatchService.getNearbyReports(latitude, longitude, radius);
+    res.json({ success: true, data: reports });
+  }));
+
+  // 报告详情，候选匹配按查看者过滤
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const report = await foundMatchService.getFoundReport(req.params.id);
+    res.json({ success: true, data: await foundMatchService.toReportView(report, req.user.id.toString()) });
+  }));
+
+  // 重新匹配（如附近有新的走失警报）
+  router.post('/:id/rematch', asyncHandler(async (req, res) => {
+    const report = await foundMatchService.getFoundReport(req.params.id);
+    if (report.reporterId.toString() !== req.user.id.toString()) {
+      throw AppError.forbidden('NOT_REPORT_OWNER', '只有发现者可以重新匹配');
+    }
+
+    await foundMatchService.matchReport(report);
+    res.json({ success: true, data: report });
+  }));
+
+  // 驳回候选匹配
+  router.post('/:id/matches/:matchId/dismiss', asyncHandler(async (req, res) => {
+    const report = await foundMatchService.dismissMatch(req.params.id, req.params.matchId, req.user.id.toString());
+    res.json({ success: true, data: await foundMatchService.toReportView(report, req.user.id.toString()) });
+  }));
+
+  // 关闭报告
+  router.post('/:id/close', asyncHandler(async (req, res) => {
+    const report = await foundMatchService.closeReport(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: report });
+  }));
+
+  return router;
+};
+
+module.exports = createFoundReportRoutes;
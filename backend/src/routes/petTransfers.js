@@ -0,0 +1,75 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { AppError } = require('../utils/errors');
+
+const TRANSFER_STATUSES = ['pending', 'accepted', 'declined', 'cancelled', 'expired'];
+
+/**
+ * 宠物转让路由 - /api/pet-transfers
+ * @param {Object} deps - 依赖
+ * @param {PetOwnershipService} deps.petOwnershipService - 宠物归属服务实例
+ * @returns {express.Router} 路由
+ */
+const createPetTransferRoutes = ({ petOwnershipService }) => {
+  const router = express.Router();
+
+  router.use(authMiddleware);
+
+  // 主人发起转让邀请
+  router.post('/', asyncHandler(async (req, res) => {
+    const { petId, toUserId, reason, message } = req.body;
+    if (!petId) {
+      throw AppError.badRequest('MISSING_PET_ID', '缺少宠物ID');
+    }
+
+    const transfer = await petOwnershipService.createTransfer(petId, req.user.id.toString(), {
+      toUserId,
+      reason,
+      message
+    });
+    res.status(201).json({ success: true, data: transfer });
+  }));
+
+  // 我的转让记录：direction=incoming 为收到的邀请，outgoing 为发出的邀请
+  router.get('/', asyncHandler(async (req, res) => {
+    const { direction, status } = req.query;
+    if (direction && !['incoming', 'outgoing'].includes(direction)) {
+      throw AppError.badRequest('INVALID_DIRECTION', 'direction 必须为 incoming 或 outgoing');
+    }
+    if (status && !TRANSFER_STATUSES.includes(status)) {
+      throw AppError.badRequest('INVALID_TRANSFER_STATUS', `转让状态必须为 ${TRANSFER_STATUSES.join(', ')} 之一`);
+    }
+
+    const transfers = await petOwnershipService.listTransfers(req.user.id.toString(), { direction, status });
+    res.json({ success: true, data: transfers });
+  }));
+
+  // 转让详情（含审计记录）
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const transfer = await petOwnershipService.getTransfer(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: transfer });
+  }));
+
+  // 接收方接受
+  router.post('/:id/accept', asyncHandler(async (req, res) => {
+    const result = await petOwnershipService.acceptTransfer(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: result });
+  }));
+
+  // 接收方拒绝
+  router.post('/:id/decline', asyncHandler(async (req, res) => {
+    const transfer = await petOwnershipService.declineTransfer(req.params.id, req.user.id.toString(), req.body.reason);
+    res.json({ success: true, data: transfer });
+  }));
+
+  // 发起方撤回
+  router.post('/:id/cancel', asyncHandler(async (req, res) => {
+    const transfer = await petOwnershipService.cancelTransfer(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: transfer });
+  }));
+
+  return router;
+};
+
+module.exports = createPetTransferRoutes;
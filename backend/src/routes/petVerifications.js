@@ -0,0 +1,47 @@
+const express = require('express');
+const { adminAuthMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination } = require('../utils/pagination');
+
+/**
+ * 宠物认证审核路由（管理员）- /api/pet-verifications
+ * @param {Object} deps - 依赖
+ * @param {PetVerificationService} deps.petVerificationService - 宠物认证审核服务实例
+ * @returns {express.Router} 路由
+ */
+const createPetVerificationRoutes = ({ petVerificationService }) => {
+  const router = express.Router();
+
+  router.use(adminAuthMiddleware);
+
+  // 审核队列，?status=pending|verified|rejected
+  router.get('/', asyncHandler(async (req, res) => {
+    const queue = await petVerificationService.listQueue({
+      status: req.query.status || 'pending',
+      ...parsePagination(req.query)
+    });
+    res.json({ success: true, data: queue });
+  }));
+
+  // 查看证据与审核日志
+  router.get('/:petId', asyncHandler(async (req, res) => {
+    const evidence = await petVerificationService.getEvidence(req.params.petId);
+    res.json({ success: true, data: evidence });
+  }));
+
+  // 审核通过
+  router.post('/:petId/approve', asyncHandler(async (req, res) => {
+    const status = await petVerificationService.approve(req.params.petId, req.user.id.toString(), req.body.notes);
+    res.json({ success: true, data: status });
+  }));
+
+  // 驳回或撤销认证，必须填写原因
+  router.post('/:petId/reject', asyncHandler(async (req, res) => {
+    const status = await petVerificationService.reject(req.params.petId, req.user.id.toString(), req.body.notes);
+    res.json({ success: true, data: status });
+  }));
+
+  return router;
+};
+
+module.exports = createPetVerificationRoutes;
@@ -0,0 +1,338 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { imageUpload } = require('../middleware/upload');
+const { AppError } = require('../utils/errors');
+
+const PHOTO_TYPES = ['profile', 'side', 'front', 'back', 'detail'];
+
+/**
+ * 宠物档案路由 - /api/pets
+ * @param {Object} deps - 依赖
+ * @param {PetProfileService} deps.petProfileService - 宠物档案服务实例
+ * @param {ChipRegistryService} deps.chipRegistryService - 芯片登记服务实例
+ * @param {CareScheduleService} deps.careScheduleService - 护理计划服务实例
+ * @param {MedicalRecordService} deps.medicalRecordService - 医疗档案服务实例
+ * @param {PetOwnershipService} deps.petOwnershipService - 宠物归属服务实例
+ * @param {WeightTrackingService} deps.weightTrackingService - 体重追踪服务实例
+ * @param {PetVerificationService} deps.petVerificationService - 宠物认证审核服务实例
+ * @param {GeofenceService} deps.geofenceService - 地理围栏服务实例
+ * @returns {express.Router} 路由
+ */
+const createPetRoutes = ({
+  petProfileService,
+  chipRegistryService,
+  careScheduleService,
+  medicalRecordService,
+  petOwnershipService,
+  weightTrackingService,
+  petVerificationService,
+  geofenceService
+}) => {
+  const router = express.Router();
+
+  router.use(authMiddleware);
+
+  // 我的宠物（含作为共同主人的宠物）
+  router.get('/', asyncHandler(async (req, res) => {
+    const pets = await petProfileService.listAccessible(req.user.id.toString());
+    res.json({ success: true, data: pets });
+  }));
+
+  // 添加宠物
+  router.post('/', asyncHandler(async (req, res) => {
+    const pet = await petProfileService.createPet(req.user.id.toString(), req.body);
+    res.status(201).json({ success: true, data: pet });
+  }));
+
+  // 我所有宠物的逾期与即将到期护理计划
+  router.get('/schedules/due', asyncHandler(async (req, res) => {
+    const withinDays = req.query.withinDays !== undefined ? parseInt(req.query.withinDays, 10) : 7;
+    if (!Number.isInteger(withinDays) || withinDays < 0 || withinDays > 365) {
+      throw AppError.badRequest('INVALID_WITHIN_DAYS', 'withinDays 必须为0-365之间的整数');
+    }
+
+    const items = await careScheduleService.getDueItems(req.user.id.toString(), withinDays);
+    res.json({ success: true, data: items });
+  }));
+
+  // 宠物详情
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const pet = await petProfileService.getPet(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: pet });
+  }));
+
+  // 状态时间线（走失、找回等变更记录）
+  router.get('/:id/status-history', asyncHandler(async (req, res) => {
+    const timeline = await petProfileService.getStatusTimeline(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: timeline });
+  }));
+
+  // 更新宠物档案（仅更新提交的字段）
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const pet = await petProfileService.updatePet(req.params.id, req.user.id.toString(), req.body);
+    res.json({ success: true, data: pet });
+  }));
+
+  // 删除宠物
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    await petProfileService.deletePet(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: { id: req.params.id } });
+  }));
+
+  // 上传照片（multipart，字段名 photo）
+  router.post('/:id/photos', imageUpload('photo'), asyncHandler(async (req, res) => {
+    const type = req.body.type || 'profile';
+    if (!PHOTO_TYPES.includes(type)) {
+      throw AppError.badRequest('INVALID_PHOTO_TYPE', `照片类型必须为 ${PHOTO_TYPES.join(', ')} 之一`);
+    }
+
+    const photo = await petProfileService.addPhoto(req.params.id, req.user.id.toString(), req.file, type);
+    res.status(201).json({ success: true, data: photo });
+  }));
+
+  // 删除照片
+  router.delete('/:id/photos/:photoId', asyncHandler(async (req, res) => {
+    const pet = await petProfileService.removePhoto(req.params.id, req.user.id.toString(), req.params.photoId);
+    res.json({ success: true, data: pet });
+  }));
+
+  // 登记或更新芯片
+  router.put('/:id/microchip', asyncHandler(async (req, res) => {
+    const { number, implantedAt, clinic } = req.body;
+    const pet = await chipRegistryService.registerMicrochip(req.params.id, req.user.id.toString(), {
+      number,
+      implantedAt,
+      clinic
+    });
+    res.json({ success: true, data: pet.identification });
+  }));
+
+  // 注销芯片
+  router.delete('/:id/microchip', asyncHandler(async (req, res) => {
+    const pet = await chipRegistryService.removeMicrochip(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: pet.identification });
+  }));
+
+  // 登记身份牌
+  router.post('/:id/tags', asyncHandler(async (req, res) => {
+    const { type, code, issuedBy } = req.body;
+    const tag = await chipRegistryService.addTag(req.params.id, req.user.id.toString(), { type, code, issuedBy });
+    res.status(201).json({ success: true, data: tag });
+  }));
+
+  // 注销身份牌
+  router.delete('/:id/tags/:tagId', asyncHandler(async (req, res) => {
+    const pet = await chipRegistryService.removeTag(req.params.id, req.user.id.toString(), req.params.tagId);
+    res.json({ success: true, data: pet.identification });
+  }));
+
+  // 护理计划（疫苗、驱虫、用药）
+  router.get('/:id/schedules', asyncHandler(async (req, res) => {
+    const schedules = await careScheduleService.listSchedules(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: schedules });
+  }));
+
+  // 新建护理计划，未指定间隔时按物种默认值
+  router.post('/:id/schedules', asyncHandler(async (req, res) => {
+    const schedule = await careScheduleService.createSchedule(req.params.id, req.user.id.toString(), req.body);
+    res.status(201).json({ success: true, data: schedule });
+  }));
+
+  // 更新护理计划
+  router.put('/:id/schedules/:scheduleId', asyncHandler(async (req, res) => {
+    const schedule = await careScheduleService.updateSchedule(
+      req.params.id,
+      req.user.id.toString(),
+      req.params.scheduleId,
+      req.body
+    );
+    res.json({ success: true, data: schedule });
+  }));
+
+  // 删除护理计划
+  router.delete('/:id/schedules/:scheduleId', asyncHandler(async (req, res) => {
+    await careScheduleService.deleteSchedule(req.params.id, req.user.id.toString(), req.params.scheduleId);
+    res.json({ success: true, data: { id: req.params.scheduleId } });
+  }));
+
+  // 标记已执行：写入健康记录并顺延下次到期
+  router.post('/:id/schedules/:scheduleId/complete', asyncHandler(async (req, res) => {
+    const { administeredAt, description, veterinarian } = req.body;
+    const schedule = await careScheduleService.completeSchedule(
+      req.params.id,
+      req.user.id.toString(),
+      req.params.scheduleId,
+      { administeredAt, description, veterinarian }
+    );
+    res.json({ success: true, data: schedule });
+  }));
+
+  // 共同主人
+  router.get('/:id/co-owners', asyncHandler(async (req, res) => {
+    const coOwners = await petOwnershipService.listCoOwners(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: coOwners });
+  }));
+
+  // 添加共同主人，permissions 为 view / edit / alert 的组合
+  router.post('/:id/co-owners', asyncHandler(async (req, res) => {
+    const { userId, permissions } = req.body;
+    const coOwner = await petOwnershipService.addCoOwner(req.params.id, req.user.id.toString(), { userId, permissions });
+    res.status(201).json({ success: true, data: coOwner });
+  }));
+
+  // 调整共同主人权限
+  router.put('/:id/co-owners/:userId', asyncHandler(async (req, res) => {
+    const coOwner = await petOwnershipService.updateCoOwner(
+      req.params.id,
+      req.user.id.toString(),
+      req.params.userId,
+      req.body.permissions
+    );
+    res.json({ success: true, data: coOwner });
+  }));
+
+  // 移除共同主人（共同主人也可自行退出）
+  router.delete('/:id/co-owners/:userId', asyncHandler(async (req, res) => {
+    await petOwnershipService.removeCoOwner(req.params.id, req.user.id.toString(), req.params.userId);
+    res.json({ success: true, data: { userId: req.params.userId } });
+  }));
+
+  // 体重与体况评分记录
+  router.get('/:id/weights', asyncHandler(async (req, res) => {
+    const measurements = await weightTrackingService.listMeasurements(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: measurements });
+  }));
+
+  // 添加记录，返回记录与当前的体重提醒
+  router.post('/:id/weights', asyncHandler(async (req, res) => {
+    const { weight, bodyConditionScore, recordedAt, note } = req.body;
+    const result = await weightTrackingService.addMeasurement(req.params.id, req.user.id.toString(), {
+      weight,
+      bodyConditionScore,
+      recordedAt,
+      note
+    });
+    res.status(201).json({ success: true, data: result });
+  }));
+
+  // 体重趋势：days 为返回的天数范围，window 为移动平均点数
+  router.get('/:id/weights/trend', asyncHandler(async (req, res) => {
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 180;
+    const window = req.query.window !== undefined ? parseInt(req.query.window, 10) : 3;
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+      throw AppError.badRequest('INVALID_DAYS', 'days 必须为1-3650之间的整数');
+    }
+    if (!Number.isInteger(window) || window < 1 || window > 30) {
+      throw AppError.badRequest('INVALID_WINDOW', 'window 必须为1-30之间的整数');
+    }
+
+    const trend = await weightTrackingService.getTrend(req.params.id, req.user.id.toString(), { days, window });
+    res.json({ success: true, data: trend });
+  }));
+
+  // 删除记录
+  router.delete('/:id/weights/:measurementId', asyncHandler(async (req, res) => {
+    await weightTrackingService.deleteMeasurement(req.params.id, req.user.id.toString(), req.params.measurementId);
+    res.json({ success: true, data: { id: req.params.measurementId } });
+  }));
+
+  // 导出医疗档案（签名JSON）
+  router.get('/:id/medical-record.json', asyncHandler(async (req, res) => {
+    const record = await medicalRecordService.exportJson(req.params.id, req.user.id.toString());
+    res.set('Content-Disposition', `attachment; filename="medical-record-${req.params.id}.json"`)
+      .json({ success: true, data: record });
+  }));
+
+  // 导出医疗档案摘要（PDF），签名同时放在响应头中
+  router.get('/:id/medical-record.pdf', asyncHandler(async (req, res) => {
+    const { buffer, signature } = await medicalRecordService.exportPdf(req.params.id, req.user.id.toString());
+    res.type('application/pdf')
+      .set('Content-Disposition', `attachment; filename="medical-record-${req.params.id}.pdf"`)
+      .set('X-Record-Signature', `${signature.algorithm} ${signature.value}`)
+      .send(buffer);
+  }));
+
+  // 导入医疗档案（请求体为导出的 { bundle, signature }）
+  router.post('/:id/medical-record/import', asyncHandler(async (req, res) => {
+    const { bundle, signature } = req.body;
+    const result = await medicalRecordService.importJson(req.params.id, req.user.id.toString(), { bundle, signature });
+    res.json({ success: true, data: result });
+  }));
+
+  // 认证状态与审核记录
+  router.get('/:id/verification', asyncHandler(async (req, res) => {
+    const status = await petVerificationService.getStatus(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: status });
+  }));
+
+  // 提交认证申请（被驳回后可补充材料重新提交）
+  router.post('/:id/verification', asyncHandler(async (req, res) => {
+    const { note, documents } = req.body;
+    const status = await petVerificationService.submit(req.params.id, req.user.id.toString(), { note, documents });
+    res.status(201).json({ success: true, data: status });
+  }));
+
+  // 安全区（地理围栏）
+  router.get('/:id/safe-zones', asyncHandler(async (req, res) => {
+    const zones = await geofenceService.listZones(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: zones });
+  }));
+
+  // 添加安全区：shape 为 circle（center + radiusMeters）或 polygon（顶点数组）
+  router.post('/:id/safe-zones', asyncHandler(async (req, res) => {
+    const { name, shape, center, radiusMeters, polygon, active } = req.body;
+    const zone = await geofenceService.createZone(req.params.id, req.user.id.toString(), {
+      name,
+      shape,
+      center,
+      radiusMeters,
+      polygon,
+      active
+    });
+    res.status(201).json({ success: true, data: zone });
+  }));
+
+  // 修改安全区
+  router.put('/:id/safe-zones/:zoneId', asyncHandler(async (req, res) => {
+    const { name, shape, center, radiusMeters, polygon, active } = req.body;
+    const zone = await geofenceService.updateZone(req.params.id, req.user.id.toString(), req.params.zoneId, {
+      name,
+      shape,
+      center,
+      radiusMeters,
+      polygon,
+      active
+    });
+    res.json({ success: true, data: zone });
+  }));
+
+  // 删除安全区
+  router.delete('/:id/safe-zones/:zoneId', asyncHandler(async (req, res) => {
+    await geofenceService.deleteZone(req.params.id, req.user.id.toString(), req.params.zoneId);
+    res.json({ success: true, data: { id: req.params.zoneId } });
+  }));
+
+  // 定位设备与当前围栏状态
+  router.get('/:id/trackers', asyncHandler(async (req, res) => {
+    const result = await geofenceService.getTrackers(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: result });
+  }));
+
+  // 绑定定位设备，设备密钥仅在此返回一次
+  router.post('/:id/trackers', asyncHandler(async (req, res) => {
+    const { deviceId, label } = req.body;
+    const tracker = await geofenceService.registerTracker(req.params.id, req.user.id.toString(), { deviceId, label });
+    res.status(201).json({ success: true, data: tracker });
+  }));
+
+  // 解绑定位设备
+  router.delete('/:id/trackers/:deviceId', asyncHandler(async (req, res) => {
+    await geofenceService.removeTracker(req.params.id, req.user.id.toString(), req.params.deviceId);
+    res.json({ success: true, data: { deviceId: req.params.deviceId } });
+  }));
+
+  return router;
+};
+
+module.exports = createPetRoutes;
@@ -0,0 +1,34 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * 芯片公开查询路由 - /api/registry
+ * @param {Object} deps - 依赖
+ * @param {ChipRegistryService} deps.chipRegistryService - 芯片登记服务实例
+ * @returns {express.Router} 路由
+ */
+const createRegistryRoutes = ({ chipRegistryService }) => {
+  const router = express.Router();
+
+  // 按芯片号查询（供兽医、收容所扫描后使用，无需登录）
+  router.get('/chips/:number', asyncHandler(async (req, res) => {
+    const result = await chipRegistryService.lookup(req.params.number);
+    res.json({ success: true, data: result });
+  }));
+
+  // 经平台转达联系主人
+  router.post('/chips/:number/contact', authMiddleware, asyncHandler(async (req, res) => {
+    const { message, callbackPhone, location } = req.body;
+    const delivery = await chipRegistryService.contactOwner(req.params.number, req.user.id.toString(), {
+      message,
+      callbackPhone,
+      location
+    });
+    res.status(202).json({ success: true, data: { status: delivery.status } });
+  }));
+
+  return router;
+};
+
+module.exports = createRegistryRoutes;
@@ -0,0 +1,117 @@
+const express = require('express');
+const { authMiddleware, adminAuthMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { AppError } = require('../utils/errors');
+
+/**
+ * 解析可选的过期时间
+ * @param {*} value - 原始值
+ * @returns {Date|undefined} 过期时间
+ */
+const parseExpiresAt = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const expiresAt = new Date(value);
+  if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+    throw AppError.badRequest('INVALID_EXPIRES_AT', '过期时间必须是将来的时间');
+  }
+  return expiresAt;
+};
+
+/**
+ * 报告授权路由 - /api/reporter-grants
+ * @param {Object} deps - 依赖
+ * @param {ReporterPolicy} deps.reporterPolicy - 报告者授权策略
+ * @returns {express.Router} 路由
+ */
+const createReporterGrantRoutes = ({ reporterPolicy }) => {
+  const router = express.Router();
+
+  // 管理员授予发现警报权限（收容所、志愿者等）
+  router.post('/admin/found-animal', adminAuthMiddleware, asyncHandler(async (req, res) => {
+    const { granteeId, role, expiresAt, note } = req.body;
+
+    if (!granteeId) {
+      throw AppError.badRequest('MISSING_GRANTEE', '缺少被授权用户');
+    }
+
+    const grant = await reporterPolicy.grantFoundAnimalReporter(req.user.id, {
+      granteeId,
+      role,
+      expiresAt: parseExpiresAt(expiresAt),
+      note
+    });
+
+    res.status(201).json({ success: true, data: grant });
+  }));
+
+  // 管理员撤销用户的全部发现警报权限（含认证标签带来的默认权限）
+  router.post('/admin/users/:userId/revoke-found-animal', adminAuthMiddleware, asyncHandler(async (req, res) => {
+    const revoked = await reporterPolicy.revokeFoundAnimalAccess(req.params.userId, req.user.id, req.body.reason);
+    res.json({ success: true, data: { revoked } });
+  }));
+
+  // 管理员撤销任意授权
+  router.post('/admin/:id/revoke', adminAuthMiddleware, asyncHandler(async (req, res) => {
+    const grant = await reporterPolicy.revokeGrant(req.params.id, req.user, req.body.reason);
+    res.json({ success: true, data: grant });
+  }));
+
+  router.use(authMiddleware);
+
+  // 主人授权家人代报
+  router.post('/', asyncHandler(async (req, res) => {
+    const { granteeId, petId, role, expiresAt, note } = req.body;
+
+    if (!granteeId || !petId) {
+      throw AppError.badRequest('MISSING_GRANT_FIELDS', '缺少被授权用户或宠物');
+    }
+
+    const grant = await reporterPolicy.grantPetReporter(req.user.id.toString(), {
+      granteeId,
+      petId,
+      role,
+      expiresAt: parseExpiresAt(expiresAt),
+      note
+    });
+
+    res.status(201).json({ success: true, data: grant });
+  }));
+
+  // 我授予的或我获得的授权
+  router.get('/', asyncHandler(async (req, res) => {
+    const userId = req.user.id.toString();
+    const filter = req.query.direction === 'received'
+      ? { granteeId: userId }
+      : { grantedBy: userId };
+
+    if (req.query.petId) {
+      filter.petId = req.query.petId;
+    }
+    if (req.query.status) {
+      if (!['active', 'revoked'].includes(req.query.status)) {
+        throw AppError.badRequest('INVALID_GRANT_STATUS', '授权状态必须为 active 或 revoked');
+      }
+      filter.status = req.query.status;
+    }
+
+    const grants = await reporterPolicy.listGrants(filter);
+    res.json({ success: true, data: grants });
+  }));
+
+  // 主人撤销自己宠物的授权
+  router.post('/:id/revoke', asyncHandler(async (req, res) => {
+    const grant = await reporterPolicy.revokeGrant(req.params.id, {
+      id: req.user.id.toString(),
+      isAdmin: false
+    }, req.body.reason);
+
+    res.json({ success: true, data: grant });
+  }));
+
+  return router;
+};
+
+module.exports = createReporterGrantRoutes;
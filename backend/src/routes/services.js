@@ -0,0 +1,154 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { AppError } = require('../utils/errors');
+const { parseCoordinates } = require('../utils/coordinates');
+const { parsePagination } = require('../utils/pagination');
+
+/**
+ * 解析搜索半径(公里)
+ * @param {Object} query - 查询参数
+ * @param {number} defaultRadius - 默认半径
+ * @returns {number} 半径
+ */
+const parseRadius = (query, defaultRadius) => {
+  const radius = query.radius !== undefined ? parseFloat(query.radius) : defaultRadius;
+  if (!Number.isFinite(radius) || radius <= 0 || radius > 50) {
+    throw AppError.badRequest('INVALID_RADIUS', '搜索半径必须在0-50公里之间');
+  }
+  return radius;
+};
+
+/**
+ * 宠物服务路由 - /api/services
+ * @param {Object} deps - 依赖
+ * @param {ServiceCatalogService} deps.serviceCatalogService - 宠物服务目录实例
+ * @param {AppointmentService} deps.appointmentService - 服务预约服务实例
+ * @param {CalendarService} deps.calendarService - 预约日历服务实例
+ * @param {ReviewService} deps.reviewService - 服务评价服务实例
+ * @returns {express.Router} 路由
+ */
+const createServiceRoutes = ({ serviceCatalogService, appointmentService, calendarService, reviewService }) => {
+  const router = express.Router();
+
+  // 公开服务列表
+  router.get('/', asyncHandler(async (req, res) => {
+    const result = await serviceCatalogService.listServices({
+      serviceType: req.query.serviceType,
+      ...parsePagination(req.query)
+    });
+    res.json({ success: true, data: result });
+  }));
+
+  // 我发布的服务
+  router.get('/mine', authMiddleware, asyncHandler(async (req, res) => {
+    const services = await serviceCatalogService.listMine(req.user.id.toString());
+    res.json({ success: true, data: services });
+  }));
+
+  // 附近的服务，radius 单位为公里
+  router.get('/nearby', asyncHandler(async (req, res) => {
+    const { latitude, longitude } = parseCoordinates(req.query);
+    const services = await serviceCatalogService.findNearby({
+      latitude,
+      longitude,
+      radius: parseRadius(req.query, 10),
+      serviceType: req.query.serviceType
+    });
+    res.json({ success: true, data: services });
+  }));
+
+  // 匹配服务：按距离、信用、评分、时效、营业状态、物种与价格档位综合排序，每条结果附带得分说明
+  // 未传经纬度时使用用户最近上报的位置；species 为逗号分隔的物种列表
+  router.get('/match', authMiddleware, asyncHandler(async (req, res) => {
+    const coordinates = req.query.latitude !== undefined || req.query.longitude !== undefined
+      ? parseCoordinates(req.query)
+      : {};
+    const { config } = serviceCatalogService.serviceMatchingAlgorithm;
+    const matches = await serviceCatalogService.matchServices(req.user.id.toString(), {
+      serviceType: req.query.serviceType,
+      radius: parseRadius(req.query, 1),
+      species: req.query.species ? String(req.query.species).split(',').map(item => item.trim()) : undefined,
+      priceBand: req.query.priceBand,
+      emergency: req.query.emergency !== undefined ? req.query.emergency === 'true' : undefined,
+      ...parsePagination(req.query, { defaultLimit: config.pageSize, maxLimit: config.maxPageSize }),
+      ...coordinates
+    });
+    res.json({ success: true, data: matches });
+  }));
+
+  // 发布服务
+  router.post('/', authMiddleware, asyncHandler(async (req, res) => {
+    const service = await serviceCatalogService.createService(req.user.id.toString(), req.body, { ipAddress: req.ip });
+    res.status(201).json({ success: true, data: service });
+  }));
+
+  // 服务详情
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const service = await serviceCatalogService.getService(req.params.id);
+    res.json({ success: true, data: service });
+  }));
+
+  // 编辑服务
+  router.put('/:id', authMiddleware, asyncHandler(async (req, res) => {
+    const service = await serviceCatalogService.updateService(req.params.id, req.user.id.toString(), req.body);
+    res.json({ success: true, data: service });
+  }));
+
+  // 删除服务
+  router.delete('/:id', authMiddleware, asyncHandler(async (req, res) => {
+    await serviceCatalogService.deleteService(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: { id: req.params.id } });
+  }));
+
+  // 空闲时段：date 为 YYYY-MM-DD（营业时区），days 为连续查询的天数
+  router.get('/:id/slots', asyncHandler(async (req, res) => {
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 1;
+    if (!Number.isInteger(days)) {
+      throw AppError.badRequest('INVALID_DAYS', 'days 必须为整数');
+    }
+
+    const slots = await appointmentService.getSlots(req.params.id, {
+      date: req.query.date,
+      days,
+      serviceItemId: req.query.serviceItemId
+    });
+    res.json({ success: true, data: slots });
+  }));
+
+  // 评价列表与评分统计
+  router.get('/:id/reviews', asyncHandler(async (req, res) => {
+    const result = await reviewService.listReviews(req.params.id, parsePagination(req.query));
+    res.json({ success: true, data: result });
+  }));
+
+  // 服务提供者回复评价
+  router.post('/:id/reviews/:reviewId/reply', authMiddleware, asyncHandler(async (req, res) => {
+    const review = await reviewService.reply(req.params.id, req.params.reviewId, req.user.id.toString(), req.body.content);
+    res.json({ success: true, data: review });
+  }));
+
+  // 预约日历订阅源（iCalendar），凭订阅令牌免登录访问
+  router.get('/:id/calendar.ics', asyncHandler(async (req, res) => {
+    const ics = await calendarService.renderFeed(req.params.id, req.query.token);
+    res.type('text/calendar; charset=utf-8')
+      .set('Cache-Control', 'private, max-age=300')
+      .send(ics);
+  }));
+
+  // 服务提供者查看订阅地址
+  router.get('/:id/calendar', authMiddleware, asyncHandler(async (req, res) => {
+    const feed = await calendarService.getFeed(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: feed });
+  }));
+
+  // 重置订阅地址（旧地址失效）
+  router.post('/:id/calendar/rotate', authMiddleware, asyncHandler(async (req, res) => {
+    const feed = await calendarService.rotateFeedToken(req.params.id, req.user.id.toString());
+    res.json({ success: true, data: feed });
+  }));
+
+  return router;
+};
+
+module.exports = createServiceRoutes;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * 定位设备上报路由 - /api/trackers
+ * @param {Object} deps - 依赖
+ * @param {GeofenceService} deps.geofenceService - 地理围栏服务实例
+ * @returns {express.Router} 路由
+ */
+const createTrackerRoutes = ({ geofenceService }) => {
+  const router = express.Router();
+
+  // 设备上报定位（设备以 X-Device-Secret 头携带绑定时下发的密钥，无需用户登录）
+  router.post('/pings', asyncHandler(async (req, res) => {
+    const { deviceId, latitude, longitude, timestamp } = req.body;
+    const result = await geofenceService.ingestPing({
+      deviceId,
+      secret: req.get('X-Device-Secret'),
+      latitude,
+      longitude,
+      timestamp
+    });
+    res.status(202).json({ success: true, data: result });
+  }));
+
+  return router;
+};
+
+module.exports = createTrackerRoutes;
@@ -0,0 +1,70 @@
+/**
+ * 警报调度器 - 基于道德经"天网恢恢，疏而不失"理念
+ * 定期使过期警报失效，并升级长时间无目击的警报
+ */
+class AlertScheduler {
+  /**
+   * @param {Object} options
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例
+   * @param {number} [options.intervalMs] - 调度间隔(毫秒)
+   * @param {number} [options.escalationHours] - 无目击多少小时后升级
+   */
+  constructor({ emergencyProtocol, intervalMs, escalationHours } = {}) {
+    this.emergencyProtocol = emergencyProtocol;
+    this.intervalMs = intervalMs || parseInt(process.env.ALERT_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+    this.escalationHours = escalationHours || parseFloat(process.env.ALERT_ESCALATION_HOURS) || 6;
+    this.timer = null;
+    this.isRunning = false;
+    this.isTicking = false;
+  }
+
+  // 开始调度
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('警报调度失败:', error);
+      });
+    }, this.intervalMs);
+
+    // 不阻止进程退出
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    console.log(`⏱️ 警报调度器启动，间隔 ${this.intervalMs / 1000} 秒`);
+  }
+
+  // 停止调度
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    console.log('⏹️ 警报调度器已停止');
+  }
+
+  /**
+   * 执行一次调度：先过期、再升级
+   * @returns {Promise<Object>} { expired, escalated }，上次调度未结束时返回null
+   */
+  async tick() {
+    // 上一轮尚未结束时跳过，避免重复处理
+    if (this.isTicking) return null;
+
+    this.isTicking = true;
+    try {
+      const expired = await this.emergencyProtocol.cleanupExpiredAlerts();
+      const escalated = await this.emergencyProtocol.escalateStaleAlerts(this.escalationHours);
+      return { expired, escalated };
+    } finally {
+      this.isTicking = false;
+    }
+  }
+}
+
+module.exports = AlertScheduler;
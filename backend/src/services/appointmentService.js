@@ -0,0 +1,552 @@
+const mongoose = require('mongoose');
+const { Pet, PetService } = require('../models');
+const { AppError } = require('../utils/errors');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_SLOT_DAYS = 14;
+
+/**
+ * 解析营业时间 "HH:MM"
+ * @param {string} value - 时间
+ * @returns {number|null} 当天零点起的分钟数
+ */
+const parseClock = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return minutes <= 24 * 60 && parseInt(match[2], 10) < 60 ? minutes : null;
+};
+
+/**
+ * 服务预约服务 - 基于道德经"图难于其易，为大于其细"理念
+ * 按营业时间与已有预约计算空闲时段；以原子条件更新写入预约，并发请求也不会重复占用同一时段
+ */
+class AppointmentService {
+  /**
+   * @param {Object} options
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例，复用其推送通道
+   * @param {number} [options.slotMinutes] - 时段间隔(分钟)
+   * @param {number} [options.defaultDuration] - 服务项目未设置时长时的预约时长(分钟)
+   * @param {number} [options.leadMinutes] - 最少提前预约的分钟数
+   * @param {number} [options.maxDaysAhead] - 最多提前预约的天数
+   * @param {number} [options.utcOffsetMinutes] - 营业时间所在时区与UTC的偏移(分钟)
+   */
+  constructor({ emergencyProtocol, slotMinutes, defaultDuration, leadMinutes, maxDaysAhead, utcOffsetMinutes } = {}) {
+    this.emergencyProtocol = emergencyProtocol;
+    this.slotMinutes = slotMinutes || parseInt(process.env.BOOKING_SLOT_MINUTES) || 30;
+    this.defaultDuration = defaultDuration || parseInt(process.env.BOOKING_DEFAULT_DURATION_MINUTES) || 30;
+    this.leadMinutes = leadMinutes || parseInt(process.env.BOOKING_LEAD_MINUTES) || 60;
+    this.maxDaysAhead = maxDaysAhead || parseInt(process.env.BOOKING_MAX_DAYS_AHEAD) || 60;
+    // 偏移可以为0，默认北京时间
+    const envOffset = parseInt(process.env.BOOKING_UTC_OFFSET_MINUTES);
+    this.utcOffsetMinutes = utcOffsetMinutes ?? (Number.isFinite(envOffset) ? envOffset : 480);
+  }
+
+  /**
+   * 加载可预约的服务：与公开列表同一条件，未认证或被风控暂停的服务不可预约
+   * @param {string} serviceId - 服务ID
+   * @returns {Promise<Object>} 服务
+   */
+  async loadBookableService(serviceId) {
+    const service = mongoose.Types.ObjectId.isValid(serviceId) ? await PetService.findById(serviceId) : null;
+    if (!service) {
+      throw AppError.notFound('SERVICE_NOT_FOUND', '服务不存在');
+    }
+    if (!service.isListed()) {
+      throw AppError.conflict('SERVICE_NOT_BOOKABLE', '该服务当前不可预约');
+    }
+    return service;
+  }
+
+  /**
+   * 确定预约的服务项目与时长；只有一个项目时可省略
+   * @param {Object} service - 服务
+   * @param {string} [serviceItemId] - 服务项目ID
+   * @returns {Object} { item, duration }
+   */
+  resolveItem(service, serviceItemId) {
+    let item = null;
+    if (serviceItemId) {
+      item = service.services.id(serviceItemId);
+      if (!item) {
+        throw AppError.notFound('SERVICE_ITEM_NOT_FOUND', '服务项目不存在');
+      }
+    } else if (service.services.length === 1) {
+      item = service.services[0];
+    } else if (service.services.length > 1) {
+      throw AppError.badRequest('SERVICE_ITEM_REQUIRED', '请选择服务项目');
+    }
+    return { item, duration: (item && item.duration) || this.defaultDuration };
+  }
+
+  /**
+   * 解析 YYYY-MM-DD 为营业时区当天零点
+   * @param {string} date - 日期
+   * @returns {Object} { dayStart, weekday }
+   */
+  parseDate(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+    const utcMidnight = match ? Date.UTC(+match[1], +match[2] - 1, +match[3]) : NaN;
+    if (!Number.isFinite(utcMidnight) || new Date(utcMidnight).getUTCDate() !== +match[3]) {
+      throw AppError.badRequest('INVALID_DATE', '日期格式应为 YYYY-MM-DD');
+    }
+    return {
+      dayStart: utcMidnight - this.utcOffsetMinutes * MINUTE_MS,
+      weekday: new Date(utcMidnight).getUTCDay()
+    };
+  }
+
+  /**
+   * 时间点在营业时区的日期
+   * @param {number} time - 时间(毫秒)
+   * @returns {string} YYYY-MM-DD
+   */
+  formatDate(time) {
+    return new Date(time + this.utcOffsetMinutes * MINUTE_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * 某天的营业时间窗口
+   * @param {Object} service - 服务
+   * @param {number} dayStart - 营业时区当天零点(毫秒)
+   * @param {number} weekday - 星期(0为周日)
+   * @returns {Object|null} { open, close }(毫秒)，休息或未设置时为null
+   */
+  businessWindow(service, dayStart, weekday) {
+    const hours = service.contactInfo && service.contactInfo.businessHours;
+    const today = hours && hours[DAY_NAMES[weekday]];
+    if (!today || today.closed) return null;
+
+    const open = parseClock(today.open);
+    const close = parseClock(today.close);
+    if (open === null || close === null || close <= open) return null;
+
+    return { open: dayStart + open * MINUTE_MS, close: dayStart + close * MINUTE_MS };
+  }
+
+  /**
+   * 与时间段重叠的有效预约
+   * @param {Object} service - 服务
+   * @param {number} start - 开始(毫秒)
+   * @param {number} end - 结束(毫秒)
+   * @returns {boolean} 是否冲突
+   */
+  overlaps(service, start, end) {
+    return service.appointments.some(appointment =>
+      PetService.APPOINTMENT_ACTIVE_STATUSES.includes(appointment.status) &&
+      appointment.scheduledTime && appointment.endTime &&
+      appointment.scheduledTime.getTime() < end && appointment.endTime.getTime() > start
+    );
+  }
+
+  /**
+   * 查询空闲时段
+   * @param {string} serviceId - 服务ID
+   * @param {Object} options - { date, days, serviceItemId }
+   * @returns {Promise<Object>} { serviceId, serviceItemId, duration, slotMinutes, days: [{ date, open, close, slots }] }
+   */
+  async getSlots(serviceId, { date, days = 1, serviceItemId } = {}) {
+    const { dayStart, weekday } = this.parseDate(date);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SLOT_DAYS) {
+      throw AppError.badRequest('INVALID_DAYS', `days 必须为1-${MAX_SLOT_DAYS}之间的整数`);
+    }
+
+    const service = await this.loadBookableService(serviceId);
+    const { item, duration } = this.resolveItem(service, serviceItemId);
+    const earliest = Date.now() + this.leadMinutes * MINUTE_MS;
+    const latest = Date.now() + this.maxDaysAhead * DAY_MS;
+
+    const result = [];
+    for (let offset = 0; offset < days; offset++) {
+      const start = dayStart + offset * DAY_MS;
+      const window = this.businessWindow(service, start, (weekday + offset) % 7);
+      const slots = [];
+
+      if (window) {
+        for (let slot = window.open; slot + duration * MINUTE_MS <= window.close; slot += this.slotMinutes * MINUTE_MS) {
+          const end = slot + duration * MINUTE_MS;
+          if (slot >= earliest && slot <= latest && !this.overlaps(service, slot, end)) {
+            slots.push({ start: new Date(slot), end: new Date(end) });
+          }
+        }
+      }
+
+      result.push({
+        date: this.formatDate(start),
+        open: window ? new Date(window.open) : null,
+        close: window ? new Date(window.close) : null,
+        slots
+      });
+    }
+
+    return {
+      serviceId: service._id,
+      serviceItemId: item ? item._id : null,
+      duration,
+      slotMinutes: this.slotMinutes,
+      days: result
+    };
+  }
+
+  /**
+   * 校验预约开始时间：不早于最少提前时间，不晚于可预约天数
+   * @param {*} scheduledTime - 预约时间
+   * @returns {number} 开始时间(毫秒)
+   */
+  parseStartTime(scheduledTime) {
+    const start = new Date(scheduledTime).getTime();
+    if (!Number.isFinite(start)) {
+      throw AppError.badRequest('INVALID_SCHEDULED_TIME', '预约时间无效');
+    }
+    if (start < Date.now() + this.leadMinutes * MINUTE_MS) {
+      throw AppError.badRequest('BOOKING_TOO_SOON', `请至少提前${this.leadMinutes}分钟预约`);
+    }
+    if (start > Date.now() + this.maxDaysAhead * DAY_MS) {
+      throw AppError.badRequest('BOOKING_TOO_FAR', `最多可提前${this.maxDaysAhead}天预约`);
+    }
+    return start;
+  }
+
+  assertWithinBusinessHours(service, start, end) {
+    const { dayStart, weekday } = this.parseDate(this.formatDate(start));
+    const window = this.businessWindow(service, dayStart, weekday);
+    if (!window || start < window.open || end > window.close) {
+      throw AppError.badRequest('OUTSIDE_BUSINESS_HOURS', '预约时间不在营业时间内');
+    }
+  }
+
+  /**
+   * 预约服务。时间须落在营业时间内；写入时以"不存在重叠的有效预约"为条件原子追加
+   * @param {string} userId - 预约用户ID
+   * @param {Object} data - { serviceId, serviceItemId, petId, scheduledTime, notes }
+   * @returns {Promise<Object>} 预约
+   */
+  async book(userId, { serviceId, serviceItemId, petId, scheduledTime, notes } = {}) {
+    const start = this.parseStartTime(scheduledTime);
+    const service = await this.loadBookableService(serviceId);
+    const { item, duration } = this.resolveItem(service, serviceItemId);
+    const end = start + duration * MINUTE_MS;
+    this.assertWithinBusinessHours(service, start, end);
+
+    if (petId) {
+      const pet = await Pet.findById(petId);
+      if (!pet) {
+        throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+      }
+      if (!pet.hasPermission(userId, 'edit')) {
+        throw AppError.forbidden('NOT_PET_OWNER', '只能为自己的宠物预约');
+      }
+    }
+
+    const appointment = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      petId,
+      serviceItemId: item ? item._id : undefined,
+      serviceName: item ? item.name : service.title,
+      scheduledTime: new Date(start),
+      endTime: new Date(end),
+      duration,
+      status: 'pending',
+      notes
+    };
+
+    const updated = await PetService.findOneAndUpdate(
+      {
+        _id: service._id,
+        ...PetService.LISTED_QUERY,
+        appointments: {
+          $not: {
+            $elemMatch: {
+              status: { $in: PetService.APPOINTMENT_ACTIVE_STATUSES },
+              scheduledTime: { $lt: appointment.endTime },
+              endTime: { $gt: appointment.scheduledTime }
+            }
+          }
+        }
+      },
+      {
+        $push: { appointments: appointment },
+        $inc: { 'stats.totalBookings': 1 },
+        $set: { 'stats.lastBookingDate': new Date() }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw AppError.conflict('SLOT_UNAVAILABLE', '该时段已被预约，请选择其他时间');
+    }
+
+    const booked = updated.appointments.id(appointment._id);
+    await this.notify(updated.providerId, updated, booked);
+    console.log(`📅 新预约: ${updated._id} ${booked.scheduledTime.toISOString()} (用户 ${userId})`);
+    return this.toView(updated, booked);
+  }
+
+  /**
+   * 查找预约及其所属服务
+   * @param {string} appointmentId - 预约ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { service, appointment, isProvider, isCustomer }
+   */
+  async loadAppointment(appointmentId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+      throw AppError.notFound('APPOINTMENT_NOT_FOUND', '预约不存在');
+    }
+    const service = await PetService.findOne({ 'appointments._id': appointmentId });
+    const appointment = service && service.appointments.id(appointmentId);
+    if (!appointment) {
+      throw AppError.notFound('APPOINTMENT_NOT_FOUND', '预约不存在');
+    }
+
+    const isProvider = service.providerId.toString() === userId;
+    const isCustomer = Boolean(appointment.userId) && appointment.userId.toString() === userId;
+    if (!isProvider && !isCustomer) {
+      throw AppError.forbidden('NOT_APPOINTMENT_PARTICIPANT', '无权查看该预约');
+    }
+    return { service, appointment, isProvider, isCustomer };
+  }
+
+  toView(service, appointment) {
+    return {
+      ...appointment.toObject(),
+      serviceId: service._id,
+      serviceTitle: service.title,
+      serviceType: service.serviceType,
+      providerId: service.providerId,
+      address: service.location && service.location.address,
+      invitePath: `/api/appointments/${appointment._id}/invite.ics`
+    };
+  }
+
+  /**
+   * 预约详情
+   * @param {string} appointmentId - 预约ID
+   * @param {string} userId - 用户ID（预约人或服务提供者）
+   * @returns {Promise<Object>} 预约
+   */
+  async getAppointment(appointmentId, userId) {
+    const { service, appointment } = await this.loadAppointment(appointmentId, userId);
+    return this.toView(service, appointment);
+  }
+
+  /**
+   * 我的预约：作为预约人(customer)或服务提供者(provider)
+   * @param {string} userId - 用户ID
+   * @param {Object} [options] - { role, status, page, limit }
+   * @returns {Promise<Object>} { items, total, page, limit }
+   */
+  async listAppointments(userId, { role = 'customer', status, page = 1, limit = 20 } = {}) {
+    if (!['customer', 'provider'].includes(role)) {
+      throw AppError.badRequest('INVALID_ROLE', 'role 必须为 customer 或 provider');
+    }
+    if (status && !Object.keys(PetService.APPOINTMENT_TRANSITIONS).includes(status)) {
+      throw AppError.badRequest('INVALID_STATUS', '预约状态无效');
+    }
+
+    // 聚合管道不会自动转换类型
+    const id = new mongoose.Types.ObjectId(userId);
+    const match = role === 'provider' ? { providerId: id } : { 'appointments.userId': id };
+    const itemMatch = {
+      ...(role === 'customer' ? { 'appointments.userId': id } : {}),
+      ...(status ? { 'appointments.status': status } : {})
+    };
+
+    const [result] = await PetService.aggregate([
+      { $match: match },
+      { $unwind: '$appointments' },
+      { $match: itemMatch },
+      { $sort: { 'appointments.scheduledTime': -1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $replaceRoot: {
+                newRoot: {
+                  $mergeObjects: ['$appointments', {
+                    serviceId: '$_id',
+                    serviceTitle: '$title',
+                    serviceType: '$serviceType',
+                    providerId: '$providerId',
+                    address: '$location.address',
+                    invitePath: { $concat: ['/api/appointments/', { $toString: '$appointments._id' }, '/invite.ics'] }
+                  }]
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    return {
+      items: result.items,
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * 变更预约状态。以当前状态为条件原子更新，并写入对应的时间字段
+   * @param {string} appointmentId - 预约ID
+   * @param {string} userId - 操作人ID
+   * @param {string} toStatus - 目标状态
+   * @param {Object} [options] - { roles, reason }
+   * @returns {Promise<Object>} 预约
+   */
+  async transition(appointmentId, userId, toStatus, { roles = ['provider'], reason } = {}) {
+    const { service, appointment, isProvider, isCustomer } = await this.loadAppointment(appointmentId, userId);
+    if (!((roles.includes('provider') && isProvider) || (roles.includes('customer') && isCustomer))) {
+      throw AppError.forbidden('NOT_SERVICE_PROVIDER', '只有服务提供者可以执行此操作');
+    }
+
+    const fromStatus = appointment.status;
+    if (!PetService.canTransitionAppointment(fromStatus, toStatus)) {
+      throw AppError.conflict('INVALID_STATUS_TRANSITION', `预约状态不能从 ${fromStatus} 变更为 ${toStatus}`);
+    }
+    if (toStatus === 'no_show' && appointment.scheduledTime > new Date()) {
+      throw AppError.badRequest('APPOINTMENT_NOT_STARTED', '预约时间未到，不能标记为未到场');
+    }
+
+    const now = new Date();
+    const update = {
+      'appointments.$.status': toStatus,
+      [`appointments.$.${PetService.APPOINTMENT_STATUS_TIMESTAMPS[toStatus]}`]: now
+    };
+    if (toStatus === 'cancelled') {
+      update['appointments.$.cancelledBy'] = userId;
+      if (reason) update['appointments.$.cancelReason'] = String(reason).slice(0, 200);
+    }
+
+    const updated = await PetService.findOneAndUpdate(
+      { _id: service._id, appointments: { $elemMatch: { _id: appointment._id, status: fromStatus } } },
+      // 取消需递增日历序号，已下发的邀请才会被日历客户端撤销
+      toStatus === 'cancelled' ? { $set: update, $inc: { 'appointments.$.sequence': 1 } } : { $set: update },
+      { new: true }
+    );
+    if (!updated) {
+      throw AppError.conflict('APPOINTMENT_STATUS_CHANGED', '预约状态已变化，请刷新后重试');
+    }
+
+    const changed = updated.appointments.id(appointment._id);
+    // 通知另一方
+    await this.notify(isProvider ? changed.userId : updated.providerId, updated, changed);
+    console.log(`📅 预约 ${changed._id}: ${fromStatus} -> ${toStatus}`);
+    return this.toView(updated, changed);
+  }
+
+  confirm(appointmentId, userId) {
+    return this.transition(appointmentId, userId, 'confirmed');
+  }
+
+  start(appointmentId, userId) {
+    return this.transition(appointmentId, userId, 'in_progress');
+  }
+
+  complete(appointmentId, userId) {
+    return this.transition(appointmentId, userId, 'completed');
+  }
+
+  markNoShow(appointmentId, userId) {
+    return this.transition(appointmentId, userId, 'no_show');
+  }
+
+  /**
+   * 取消预约（预约人或服务提供者）
+   * @param {string} appointmentId - 预约ID
+   * @param {string} userId - 操作人ID
+   * @param {string} [reason] - 取消原因
+   * @returns {Promise<Object>} 预约
+   */
+  cancel(appointmentId, userId, reason) {
+    return this.transition(appointmentId, userId, 'cancelled', { roles: ['provider', 'customer'], reason });
+  }
+
+  /**
+   * 改期（预约人或服务提供者），仅待确认或已确认的预约可改；新时段同样做冲突检测，并递增日历序号
+   * @param {string} appointmentId - 预约ID
+   * @param {string} userId - 操作人ID
+   * @param {*} scheduledTime - 新的预约时间
+   * @returns {Promise<Object>} 预约
+   */
+  async reschedule(appointmentId, userId, scheduledTime) {
+    const { service, appointment, isProvider } = await this.loadAppointment(appointmentId, userId);
+    const reschedulable = ['pending', 'confirmed'];
+    if (!reschedulable.includes(appointment.status)) {
+      throw AppError.conflict('APPOINTMENT_NOT_RESCHEDULABLE', '当前状态的预约不能改期');
+    }
+
+    const start = this.parseStartTime(scheduledTime);
+    const end = start + (appointment.duration || this.defaultDuration) * MINUTE_MS;
+    this.assertWithinBusinessHours(service, start, end);
+
+    const updated = await PetService.findOneAndUpdate(
+      {
+        _id: service._id,
+        appointments: {
+          $not: {
+            $elemMatch: {
+              _id: { $ne: appointment._id },
+              status: { $in: PetService.APPOINTMENT_ACTIVE_STATUSES },
+              scheduledTime: { $lt: new Date(end) },
+              endTime: { $gt: new Date(start) }
+            }
+          }
+        }
+      },
+      {
+        $set: {
+          'appointments.$[target].scheduledTime': new Date(start),
+          'appointments.$[target].endTime': new Date(end),
+          'appointments.$[target].rescheduledAt': new Date()
+        },
+        $inc: { 'appointments.$[target].sequence': 1 }
+      },
+      {
+        new: true,
+        arrayFilters: [{ 'target._id': appointment._id, 'target.status': { $in: reschedulable } }]
+      }
+    );
+
+    if (!updated) {
+      throw AppError.conflict('SLOT_UNAVAILABLE', '该时段已被预约，请选择其他时间');
+    }
+    const changed = updated.appointments.id(appointment._id);
+    // 状态在此期间被改变时 arrayFilters 不会命中
+    if (!changed || changed.scheduledTime.getTime() !== start) {
+      throw AppError.conflict('APPOINTMENT_STATUS_CHANGED', '预约状态已变化，请刷新后重试');
+    }
+
+    await this.notify(isProvider ? changed.userId : updated.providerId, updated, changed);
+    console.log(`📅 预约 ${changed._id} 改期至 ${changed.scheduledTime.toISOString()}`);
+    return this.toView(updated, changed);
+  }
+
+  /**
+   * 预约变动推送
+   * @param {string} recipientId - 接收人ID
+   * @param {Object} service - 服务
+   * @param {Object} appointment - 预约
+   */
+  async notify(recipientId, service, appointment) {
+    if (!recipientId) return;
+
+    await this.emergencyProtocol.dealerService.notifyUser(recipientId, 'appointment', {
+      appointmentId: appointment._id,
+      serviceId: service._id,
+      serviceTitle: service.title,
+      serviceName: appointment.serviceName,
+      scheduledTime: appointment.scheduledTime,
+      status: appointment.status,
+      invitePath: `/api/appointments/${appointment._id}/invite.ics`
+    });
+  }
+}
+
+module.exports = AppointmentService;
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User, Pet, PetService } = require('../models');
+const { AppError } = require('../utils/errors');
+const { buildCalendar } = require('../utils/ical');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 预约状态对应的 iCalendar 事件状态
+const EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  in_progress: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  no_show: 'CANCELLED'
+};
+
+/**
+ * 预约日历服务 - 基于道德经"不出户，知天下"理念
+ * 为每个服务生成可免登录订阅的 iCalendar 预约订阅源，并为预约人生成 .ics 邀请；改期与取消通过 SEQUENCE 与 METHOD:CANCEL 同步到日历客户端
+ */
+class CalendarService {
+  /**
+   * @param {Object} options
+   * @param {AppointmentService} options.appointmentService - 服务预约服务实例
+   * @param {number} [options.feedPastDays] - 订阅源包含的过去天数
+   * @param {number} [options.feedFutureDays] - 订阅源包含的未来天数
+   */
+  constructor({ appointmentService, feedPastDays, feedFutureDays } = {}) {
+    this.appointmentService = appointmentService;
+    this.feedPastDays = feedPastDays || parseInt(process.env.CALENDAR_FEED_PAST_DAYS) || 30;
+    this.feedFutureDays = feedFutureDays || parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS) || 90;
+  }
+
+  async loadOwnedService(serviceId, userId) {
+    const service = await PetService.findById(serviceId).select('+calendarToken');
+    if (!service) {
+      throw AppError.notFound('SERVICE_NOT_FOUND', '服务不存在');
+    }
+    if (service.providerId.toString() !== userId) {
+      throw AppError.forbidden('NOT_SERVICE_PROVIDER', '只有服务提供者可以管理预约日历');
+    }
+    return service;
+  }
+
+  feedPath(service, token) {
+    return `/api/services/${service._id}/calendar.ics?token=${token}`;
+  }
+
+  /**
+   * 订阅地址，首次查看时生成令牌
+   * @param {string} serviceId - 服务ID
+   * @param {string} userId - 服务提供者ID
+   * @returns {Promise<Object>} { feedPath }
+   */
+  async getFeed(serviceId, userId) {
+    const service = await this.loadOwnedService(serviceId, userId);
+    if (!service.calendarToken) {
+      return this.rotateFeedToken(serviceId, userId);
+    }
+    return { feedPath: this.feedPath(service, service.calendarToken) };
+  }
+
+  /**
+   * 重新生成订阅令牌，旧的订阅地址随即失效
+   * @param {string} serviceId - 服务ID
+   * @param {string} userId - 服务提供者ID
+   * @returns {Promise<Object>} { feedPath }
+   */
+  async rotateFeedToken(serviceId, userId) {
+    const service = await this.loadOwnedService(serviceId, userId);
+    const token = crypto.randomBytes(24).toString('hex');
+    await PetService.updateOne({ _id: service._id }, { $set: { calendarToken: token } });
+
+    console.log(`🗓️ 预约日历订阅令牌已生成: ${service._id}`);
+    return { feedPath: this.feedPath(service, token) };
+  }
+
+  /**
+   * 以令牌读取服务的预约订阅源（无需登录），令牌无效时与服务不存在同样处理
+   * @param {string} serviceId - 服务ID
+   * @param {string} token - 订阅令牌
+   * @returns {Promise<string>} text/calendar 内容
+   */
+  async renderFeed(serviceId, token) {
+    const service = token && mongoose.Types.ObjectId.isValid(serviceId)
+      ? await PetService.findById(serviceId).select('+calendarToken')
+      : null;
+
+    const expected = Buffer.from((service && service.calendarToken) || '');
+    const actual = Buffer.from(String(token || ''));
+    if (!service || expected.length === 0 || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw AppError.notFound('CALENDAR_NOT_FOUND', '日历不存在');
+    }
+
+    const from = Date.now() - this.feedPastDays * DAY_MS;
+    const to = Date.now() + this.feedFutureDays * DAY_MS;
+    const appointments = service.appointments.filter(appointment =>
+      appointment.scheduledTime && appointment.endTime &&
+      appointment.scheduledTime.getTime() >= from && appointment.scheduledTime.getTime() <= to
+    );
+
+    const [customers, pets] = await Promise.all([
+      User.find({ _id: { $in: appointments.map(item => item.userId).filter(Boolean) } }).select('nickname'),
+      Pet.find({ _id: { $in: appointments.map(item => item.petId).filter(Boolean) } }).select('name')
+    ]);
+    const customerNames = new Map(customers.map(user => [user._id.toString(), user.nickname]));
+    const petNames = new Map(pets.map(pet => [pet._id.toString(), pet.name]));
+
+    return buildCalendar({
+      method: 'PUBLISH',
+      name: service.title,
+      refreshInterval: 'PT15M',
+      events: appointments.map(appointment => {
+        const customer = appointment.userId && customerNames.get(appointment.userId.toString());
+        const pet = appointment.petId && petNames.get(appointment.petId.toString());
+        return this.toEvent(service, appointment, {
+          summary: [appointment.serviceName, customer, pet].filter(Boolean).join(' · '),
+          description: [
+            customer && `预约人：${customer}`,
+            pet && `宠物：${pet}`,
+            appointment.notes && `备注：${appointment.notes}`
+          ].filter(Boolean).join('\n')
+        });
+      })
+    });
+  }
+
+  /**
+   * 预约人的 .ics 邀请；已取消的预约生成 METHOD:CANCEL
+   * @param {string} appointmentId - 预约ID
+   * @param {string} userId - 用户ID（预约人或服务提供者）
+   * @returns {Promise<Object>} { method, content }
+   */
+  async renderInvite(appointmentId, userId) {
+    const { service, appointment } = await this.appointmentService.loadAppointment(appointmentId, userId);
+    const customer = appointment.userId && await User.findById(appointment.userId).select('nickname phone');
+    const method = appointment.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+
+    const content = buildCalendar({
+      method,
+      events: [this.toEvent(service, appointment, {
+        summary: `${appointment.serviceName} - ${service.title}`,
+        description: [
+          service.contactInfo && `联系电话：${service.contactInfo.phone}`,
+          appointment.notes && `备注：${appointment.notes}`,
+          appointment.cancelReason && `取消原因：${appointment.cancelReason}`
+        ].filter(Boolean).join('\n'),
+        attendee: customer ? { name: customer.nickname, uri: `tel:${customer.phone}` } : undefined
+      })]
+    });
+    return { method, content };
+  }
+
+  /**
+   * 预约转为日历事件；UID 在改期与取消之间保持不变
+   * @param {Object} service - 服务
+   * @param {Object} appointment - 预约
+   * @param {Object} fields - { summary, description, attendee }
+   * @returns {Object} 事件
+   */
+  toEvent(service, appointment, { summary, description, attendee }) {
+    const { contactInfo = {}, location = {} } = service;
+    const modifiedAt = [
+      appointment.createdAt,
+      appointment.rescheduledAt,
+      ...Object.values(PetService.APPOINTMENT_STATUS_TIMESTAMPS).map(field => appointment[field])
+    ].filter(Boolean).map(date => date.getTime());
+
+    return {
+      uid: `appointment-${appointment._id}@furlink`,
+      sequence: appointment.sequence,
+      start: appointment.scheduledTime,
+      end: appointment.endTime,
+      summary,
+      description,
+      location: location.address,
+      geo: Number.isFinite(location.latitude) && Number.isFinite(location.longitude)
+        ? { latitude: location.latitude, longitude: location.longitude }
+        : undefined,
+      status: EVENT_STATUS[appointment.status],
+      created: appointment.createdAt,
+      lastModified: modifiedAt.length > 0 ? new Date(Math.max(...modifiedAt)) : undefined,
+      organizer: {
+        name: service.title,
+        uri: contactInfo.email ? `mailto:${contactInfo.email}` : `tel:${contactInfo.phone}`
+      },
+      attendee
+    };
+  }
+}
+
+module.exports = CalendarService;
@@ -0,0 +1,212 @@
+const { User, Pet } = require('../models');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 护理提醒调度器 - 基于道德经"慎终如始，则无败事"理念
+ * 定期查找已到期的疫苗、驱虫、用药计划，按主人的通知偏好实时推送提醒
+ */
+class CareReminderScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.notifier] - 实时推送通道，需实现 sendToUser(userId, event, data)，如 WebSocketService
+   * @param {number} [options.intervalMs] - 调度间隔(毫秒)
+   * @param {number} [options.remindEveryHours] - 同一计划逾期后重复提醒的间隔(小时)
+   */
+  constructor({ notifier, intervalMs, remindEveryHours } = {}) {
+    this.notifier = notifier || null;
+    this.intervalMs = intervalMs || parseInt(process.env.CARE_REMINDER_INTERVAL_MS) || HOUR_MS;
+    this.remindEveryHours = remindEveryHours || parseFloat(process.env.CARE_REMIND_EVERY_HOURS) || 24;
+    this.timer = null;
+    this.isRunning = false;
+    this.isTicking = false;
+  }
+
+  /**
+   * 设置实时推送通道
+   * @param {Object} notifier - 需实现 sendToUser(userId, event, data)
+   */
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  // 开始调度
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('护理提醒调度失败:', error);
+      });
+    }, this.intervalMs);
+
+    // 不阻止进程退出
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    console.log(`⏱️ 护理提醒调度器启动，间隔 ${this.intervalMs / 1000} 秒`);
+  }
+
+  // 停止调度
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    console.log('⏹️ 护理提醒调度器已停止');
+  }
+
+  /**
+   * 计划是否需要提醒：已到期，且从未提醒或距上次提醒已超过重复间隔
+   * @param {Object} schedule - 护理计划
+   * @param {Date} now - 当前时间
+   * @returns {boolean}
+   */
+  needsReminder(schedule, now) {
+    if (!schedule.active || schedule.nextDueAt > now) return false;
+    if (!schedule.lastRemindedAt) return true;
+    return now - schedule.lastRemindedAt >= this.remindEveryHours * HOUR_MS;
+  }
+
+  /**
+   * 执行一次调度：按主人汇总到期计划并推送
+   * @returns {Promise<Object>} { owners, reminded, skipped, failed }，上次调度未结束时返回null
+   */
+  async tick() {
+    // 上一轮尚未结束时跳过，避免重复提醒
+    if (this.isTicking) return null;
+
+    this.isTicking = true;
+    try {
+      return await this.remindDue(new Date());
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * 推送到期提醒；未接入推送通道时不做任何事，以免计划被误记为已提醒
+   * 按主人顺序流式读取到期宠物，逐位主人推送；单个主人或单只宠物失败只记录日志，不影响其余提醒
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Object>} { owners, reminded, skipped, failed }
+   */
+  async remindDue(now) {
+    const result = { owners: 0, reminded: 0, skipped: 0, failed: 0 };
+    if (!this.notifier) return result;
+
+    const cursor = Pet.find({
+      careSchedules: { $elemMatch: { active: true, nextDueAt: { $lte: now } } }
+    })
+      .sort({ ownerId: 1 })
+      .select('ownerId name careSchedules')
+      .cursor();
+
+    let ownerId = null;
+    let ownerPets = [];
+    for await (const pet of cursor) {
+      if (ownerId && pet.ownerId.toString() !== ownerId) {
+        await this.remindOwnerSafely(ownerId, ownerPets, now, result);
+        ownerPets = [];
+      }
+      ownerId = pet.ownerId.toString();
+      ownerPets.push(pet);
+    }
+    if (ownerId) {
+      await this.remindOwnerSafely(ownerId, ownerPets, now, result);
+    }
+
+    if (result.reminded > 0) {
+      console.log(`💉 护理提醒已推送: ${result.reminded} 项 / ${result.owners} 位主人`);
+    }
+    return result;
+  }
+
+  /**
+   * 推送单个主人的提醒，失败时计入 failed 并继续下一位主人
+   * @param {string} ownerId - 主人ID
+   * @param {Array} ownerPets - 主人名下有到期计划的宠物
+   * @param {Date} now - 当前时间
+   * @param {Object} result - 累计结果
+   */
+  async remindOwnerSafely(ownerId, ownerPets, now, result) {
+    try {
+      await this.remindOwner(ownerId, ownerPets, now, result);
+    } catch (error) {
+      console.error(`护理提醒处理失败 [${ownerId}]:`, error);
+      result.failed += 1;
+    }
+  }
+
+  /**
+   * 汇总主人名下的到期计划并推送，推送成功后逐只宠物记录提醒时间
+   * @param {string} ownerId - 主人ID
+   * @param {Array} ownerPets - 主人名下有到期计划的宠物
+   * @param {Date} now - 当前时间
+   * @param {Object} result - 累计结果
+   */
+  async remindOwner(ownerId, ownerPets, now, result) {
+    const due = [];
+    ownerPets.forEach(pet => {
+      pet.careSchedules
+        .filter(schedule => this.needsReminder(schedule, now))
+        .forEach(schedule => due.push({ pet, schedule }));
+    });
+    if (due.length === 0) return;
+
+    const owner = await User.findById(ownerId).select('isActive preferences.notifications');
+    if (!owner || owner.isActive === false || owner.preferences.notifications.health === false) {
+      result.skipped += due.length;
+      return;
+    }
+
+    let sent;
+    try {
+      sent = await this.notifier.sendToUser(ownerId, 'care_reminder', {
+        items: due.map(({ pet, schedule }) => ({
+          petId: pet._id,
+          petName: pet.name,
+          scheduleId: schedule._id,
+          type: schedule.type,
+          name: schedule.name,
+          dosage: schedule.dosage,
+          nextDueAt: schedule.nextDueAt
+        })),
+        timestamp: now
+      });
+    } catch (error) {
+      console.error(`护理提醒推送失败 [${ownerId}]:`, error);
+      result.failed += 1;
+      return;
+    }
+    // 主人不在线时不记为已提醒，下一轮继续推送
+    if (sent === false) {
+      result.skipped += due.length;
+      return;
+    }
+
+    result.owners += 1;
+    result.reminded += due.length;
+
+    // 只更新提醒时间，不整体保存宠物文档，避免其他字段的校验失败影响提醒记录
+    for (const pet of ownerPets) {
+      const scheduleIds = due.filter(item => item.pet === pet).map(item => item.schedule._id);
+      if (scheduleIds.length === 0) continue;
+      try {
+        await Pet.updateOne(
+          { _id: pet._id },
+          { $set: { 'careSchedules.$[schedule].lastRemindedAt': now } },
+          { arrayFilters: [{ 'schedule._id': { $in: scheduleIds } }] }
+        );
+      } catch (error) {
+        console.error(`护理提醒记录失败 [${pet._id}]:`, error);
+        result.failed += 1;
+      }
+    }
+  }
+}
+
+module.exports = CareReminderScheduler;
@@ -0,0 +1,265 @@
+const { Pet } = require('../models');
+const { getDefaultIntervalDays } = require('../config/careIntervals');
+const { AppError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CARE_TYPES = ['vaccination', 'deworming', 'medication'];
+
+// 护理类型对应的健康记录类型
+const HEALTH_RECORD_TYPES = {
+  vaccination: 'vaccination',
+  deworming: 'medication',
+  medication: 'medication'
+};
+
+/**
+ * 解析日期参数
+ * @param {*} value - 原始值
+ * @param {string} field - 字段名，用于错误提示
+ * @returns {Date|undefined} 日期
+ */
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw AppError.badRequest('INVALID_DATE', `${field} 日期无效`);
+  }
+  return date;
+};
+
+/**
+ * 护理计划服务 - 基于道德经"为之于未有，治之于未乱"理念
+ * 管理疫苗、驱虫、用药的周期计划，按物种默认间隔推算下次到期时间
+ */
+class CareScheduleService {
+  /**
+   * 计算下次到期时间
+   * @param {Date} [lastAdministeredAt] - 上次执行时间
+   * @param {number} intervalDays - 间隔天数
+   * @param {Date} [startDate] - 首次到期时间（从未执行时使用）
+   * @returns {Date} 下次到期时间
+   */
+  computeNextDue(lastAdministeredAt, intervalDays, startDate) {
+    if (lastAdministeredAt) {
+      return new Date(lastAdministeredAt.getTime() + intervalDays * DAY_MS);
+    }
+    return startDate || new Date();
+  }
+
+  /**
+   * 解析计划间隔：显式指定优先，否则取物种默认值
+   * @param {Object} pet - 宠物
+   * @param {string} type - 护理类型
+   * @param {*} intervalDays - 显式间隔
+   * @returns {number} 间隔天数
+   */
+  resolveInterval(pet, type, intervalDays) {
+    if (intervalDays !== undefined && intervalDays !== null && intervalDays !== '') {
+      const days = Number(intervalDays);
+      if (!Number.isInteger(days) || days < 1 || days > 3650) {
+        throw AppError.badRequest('INVALID_INTERVAL', '间隔天数必须为1-3650之间的整数');
+      }
+      return days;
+    }
+
+    const defaultDays = getDefaultIntervalDays(pet.species, type);
+    if (!defaultDays) {
+      throw AppError.badRequest('INTERVAL_REQUIRED', '该物种与护理类型没有默认间隔，请指定间隔天数');
+    }
+    return defaultDays;
+  }
+
+  async loadOwnedPet(petId, userId, permission = 'edit') {
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    if (!pet.hasPermission(userId, permission)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以管理护理计划');
+    }
+    return pet;
+  }
+
+  findSchedule(pet, scheduleId) {
+    const schedule = pet.careSchedules.id(scheduleId);
+    if (!schedule) {
+      throw AppError.notFound('SCHEDULE_NOT_FOUND', '护理计划不存在');
+    }
+    return schedule;
+  }
+
+  /**
+   * 为计划附加到期状态
+   * @param {Object} schedule - 计划
+   * @param {Date} [now] - 当前时间
+   * @returns {Object} 计划及 overdue、daysUntilDue
+   */
+  describeSchedule(schedule, now = new Date()) {
+    const daysUntilDue = Math.ceil((schedule.nextDueAt - now) / DAY_MS);
+    return {
+      ...schedule.toObject(),
+      overdue: schedule.active && schedule.nextDueAt <= now,
+      daysUntilDue
+    };
+  }
+
+  /**
+   * 宠物的护理计划
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Array>} 计划列表（按到期时间排序）
+   */
+  async listSchedules(petId, userId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'view');
+    const now = new Date();
+    return pet.careSchedules
+      .map(schedule => this.describeSchedule(schedule, now))
+      .sort((a, b) => a.nextDueAt - b.nextDueAt);
+  }
+
+  /**
+   * 创建护理计划
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} data - { type, name, intervalDays, dosage, notes, lastAdministeredAt, startDate }
+   * @returns {Promise<Object>} 新建的计划
+   */
+  async createSchedule(petId, userId, data = {}) {
+    const { type, name, intervalDays, dosage, notes } = data;
+    if (!CARE_TYPES.includes(type) || !name) {
+      throw AppError.badRequest('INVALID_SCHEDULE', `护理类型必须为 ${CARE_TYPES.join(', ')} 之一，且需提供名称`);
+    }
+
+    const pet = await this.loadOwnedPet(petId, userId);
+    const days = this.resolveInterval(pet, type, intervalDays);
+    const lastAdministeredAt = parseDate(data.lastAdministeredAt, 'lastAdministeredAt');
+    const startDate = parseDate(data.startDate, 'startDate');
+
+    pet.careSchedules.push({
+      type,
+      name,
+      intervalDays: days,
+      dosage,
+      notes,
+      lastAdministeredAt,
+      nextDueAt: this.computeNextDue(lastAdministeredAt, days, startDate)
+    });
+    await pet.save();
+
+    return this.describeSchedule(pet.careSchedules[pet.careSchedules.length - 1]);
+  }
+
+  /**
+   * 更新护理计划，间隔或上次执行时间变化时重新推算到期时间
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} scheduleId - 计划ID
+   * @param {Object} data - 更新数据
+   * @returns {Promise<Object>} 更新后的计划
+   */
+  async updateSchedule(petId, userId, scheduleId, data = {}) {
+    const pet = await this.loadOwnedPet(petId, userId);
+    const schedule = this.findSchedule(pet, scheduleId);
+
+    ['name', 'dosage', 'notes'].forEach(field => {
+      if (data[field] !== undefined) schedule[field] = data[field];
+    });
+    if (data.active !== undefined) {
+      schedule.active = !!data.active;
+    }
+
+    const intervalChanged = data.intervalDays !== undefined;
+    const lastChanged = data.lastAdministeredAt !== undefined;
+    if (intervalChanged) {
+      schedule.intervalDays = this.resolveInterval(pet, schedule.type, data.intervalDays);
+    }
+    if (lastChanged) {
+      schedule.lastAdministeredAt = parseDate(data.lastAdministeredAt, 'lastAdministeredAt');
+    }
+    if (data.nextDueAt !== undefined) {
+      schedule.nextDueAt = parseDate(data.nextDueAt, 'nextDueAt');
+    } else if ((intervalChanged || lastChanged) && schedule.lastAdministeredAt) {
+      schedule.nextDueAt = this.computeNextDue(schedule.lastAdministeredAt, schedule.intervalDays);
+    }
+
+    await pet.save();
+    return this.describeSchedule(schedule);
+  }
+
+  /**
+   * 删除护理计划
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} scheduleId - 计划ID
+   */
+  async deleteSchedule(petId, userId, scheduleId) {
+    const pet = await this.loadOwnedPet(petId, userId);
+    this.findSchedule(pet, scheduleId).deleteOne();
+    await pet.save();
+  }
+
+  /**
+   * 标记已执行：写入健康记录，并顺延下次到期时间
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} scheduleId - 计划ID
+   * @param {Object} data - { administeredAt, description, veterinarian }
+   * @returns {Promise<Object>} 更新后的计划
+   */
+  async completeSchedule(petId, userId, scheduleId, data = {}) {
+    const pet = await this.loadOwnedPet(petId, userId);
+    const schedule = this.findSchedule(pet, scheduleId);
+
+    const administeredAt = parseDate(data.administeredAt, 'administeredAt') || new Date();
+    if (administeredAt > new Date()) {
+      throw AppError.badRequest('INVALID_DATE', '执行时间不能晚于当前时间');
+    }
+
+    pet.healthRecords.push({
+      type: HEALTH_RECORD_TYPES[schedule.type],
+      date: administeredAt,
+      description: data.description || [schedule.name, schedule.dosage].filter(Boolean).join(' '),
+      veterinarian: data.veterinarian
+    });
+
+    schedule.lastAdministeredAt = administeredAt;
+    schedule.nextDueAt = this.computeNextDue(administeredAt, schedule.intervalDays);
+    schedule.lastRemindedAt = undefined;
+
+    await pet.save();
+    return this.describeSchedule(schedule);
+  }
+
+  /**
+   * 用户所有宠物（含共同拥有）的到期与即将到期计划
+   * @param {string} userId - 用户ID
+   * @param {number} [withinDays] - 即将到期的天数范围
+   * @returns {Promise<Object>} { overdue, upcoming }
+   */
+  async getDueItems(userId, withinDays = 7) {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + withinDays * DAY_MS);
+    const pets = await Pet.find({
+      $or: [{ ownerId: userId }, { 'coOwners.userId': userId }],
+      careSchedules: { $elemMatch: { active: true, nextDueAt: { $lte: horizon } } }
+    }).select('name species careSchedules');
+
+    const overdue = [];
+    const upcoming = [];
+    pets.forEach(pet => {
+      pet.careSchedules
+        .filter(schedule => schedule.active && schedule.nextDueAt <= horizon)
+        .forEach(schedule => {
+          const item = { petId: pet._id, petName: pet.name, ...this.describeSchedule(schedule, now) };
+          (item.overdue ? overdue : upcoming).push(item);
+        });
+    });
+
+    const byDue = (a, b) => a.nextDueAt - b.nextDueAt;
+    return { overdue: overdue.sort(byDue), upcoming: upcoming.sort(byDue) };
+  }
+}
+
+CareScheduleService.CARE_TYPES = CARE_TYPES;
+
+module.exports = CareScheduleService;
@@ -0,0 +1,230 @@
+const { User, Pet, EmergencyAlert } = require('../models');
+const { normalizeChipNumber, isValidChipNumber } = require('../utils/microchip');
+const { AppError } = require('../utils/errors');
+
+const TAG_TYPES = ['collar_tag', 'qr_tag', 'license'];
+
+/**
+ * 手机号脱敏：保留前3位与后4位
+ * @param {string} phone - 手机号
+ * @returns {string|null} 脱敏后的手机号
+ */
+const maskPhone = (phone) => (phone ? String(phone).replace(/^(\d{3})\d+(\d{4})$/, '$1****$2') : null);
+
+/**
+ * 芯片与身份牌登记服务 - 基于道德经"名可名，非常名"理念
+ * 以结构化的芯片号与身份牌登记宠物身份，并为兽医、收容所提供按隐私设置过滤的公开查询
+ */
+class ChipRegistryService {
+  /**
+   * @param {Object} options
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例，复用其推送通道联系主人
+   */
+  constructor({ emergencyProtocol }) {
+    this.emergencyProtocol = emergencyProtocol;
+  }
+
+  /**
+   * 校验并规范化芯片号
+   * @param {string} value - 原始芯片号
+   * @returns {string} 规范化后的芯片号
+   */
+  parseChipNumber(value) {
+    if (!isValidChipNumber(value)) {
+      throw AppError.badRequest('INVALID_CHIP_NUMBER', '芯片号必须为符合 ISO 11784/11785 的15位数字');
+    }
+    return normalizeChipNumber(value);
+  }
+
+  async loadOwnedPet(petId, userId) {
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    if (!pet.hasPermission(userId, 'edit')) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以登记芯片');
+    }
+    return pet;
+  }
+
+  /**
+   * 登记或更新芯片
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} chipData - { number, implantedAt, clinic: { name, contact } }
+   * @returns {Promise<Object>} 宠物
+   */
+  async registerMicrochip(petId, userId, { number, implantedAt, clinic } = {}) {
+    const pet = await this.loadOwnedPet(petId, userId);
+    const chipNumber = this.parseChipNumber(number);
+
+    const existing = await Pet.findByChip(chipNumber);
+    if (existing && !existing._id.equals(pet._id)) {
+      throw AppError.conflict('CHIP_ALREADY_REGISTERED', '该芯片号已被其他宠物登记');
+    }
+
+    const implantDate = implantedAt ? new Date(implantedAt) : undefined;
+    if (implantDate && (Number.isNaN(implantDate.getTime()) || implantDate > new Date())) {
+      throw AppError.badRequest('INVALID_IMPLANT_DATE', '植入日期无效');
+    }
+
+    pet.identification.microchip = {
+      number: chipNumber,
+      implantedAt: implantDate,
+      clinic,
+      registeredAt: new Date()
+    };
+    pet.resetVerificationIfEvidenceChanged(userId);
+    await pet.save();
+
+    console.log(`🔖 芯片已登记: ${pet._id}`);
+    return pet;
+  }
+
+  /**
+   * 注销芯片
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 宠物
+   */
+  async removeMicrochip(petId, userId) {
+    const pet = await this.loadOwnedPet(petId, userId);
+    pet.identification.microchip = undefined;
+    pet.resetVerificationIfEvidenceChanged(userId);
+    await pet.save();
+    return pet;
+  }
+
+  /**
+   * 登记身份牌
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} tagData - { type, code, issuedBy }
+   * @returns {Promise<Object>} 新增的身份牌
+   */
+  async addTag(petId, userId, { type, code, issuedBy } = {}) {
+    if (!TAG_TYPES.includes(type) || !code) {
+      throw AppError.badRequest('INVALID_TAG', `身份牌类型必须为 ${TAG_TYPES.join(', ')} 之一，且需提供编号`);
+    }
+
+    const pet = await this.loadOwnedPet(petId, userId);
+    if (pet.identification.tags.some(tag => tag.type === type && tag.code === code)) {
+      throw AppError.conflict('TAG_ALREADY_REGISTERED', '该身份牌已登记');
+    }
+
+    pet.identification.tags.push({ type, code, issuedBy });
+    pet.resetVerificationIfEvidenceChanged(userId);
+    await pet.save();
+    return pet.identification.tags[pet.identification.tags.length - 1];
+  }
+
+  /**
+   * 注销身份牌
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} tagId - 身份牌ID
+   * @returns {Promise<Object>} 宠物
+   */
+  async removeTag(petId, userId, tagId) {
+    const pet = await this.loadOwnedPet(petId, userId);
+    const tag = pet.identification.tags.id(tagId);
+    if (!tag) {
+      throw AppError.notFound('TAG_NOT_FOUND', '身份牌不存在');
+    }
+
+    tag.deleteOne();
+    pet.resetVerificationIfEvidenceChanged(userId);
+    await pet.save();
+    return pet;
+  }
+
+  /**
+   * 公开查询：按芯片号返回宠物概要与联系途径
+   * 主人关闭 allowContact 时不返回任何主人信息，仅给出登记诊所
+   * @param {string} number - 芯片号
+   * @returns {Promise<Object>} 查询结果
+   */
+  async lookup(number) {
+    const chipNumber = this.parseChipNumber(number);
+    const pet = await Pet.findByChip(chipNumber);
+    if (!pet) {
+      throw AppError.notFound('CHIP_NOT_REGISTERED', '该芯片号未登记');
+    }
+
+    const owner = await User.findById(pet.ownerId).select('nickname phone preferences.privacy isActive');
+    const allowContact = !!owner && owner.isActive !== false && owner.preferences.privacy.allowContact;
+    const [activeAlert] = await EmergencyAlert.findActiveByPet(pet._id);
+    const { microchip } = pet.identification;
+    const photo = (pet.photos || [])[0];
+
+    return {
+      chipNumber,
+      pet: {
+        name: pet.name,
+        species: pet.species,
+        breed: pet.breed,
+        color: pet.color,
+        photo: photo ? photo.url : null,
+        isLost: pet.isEmergency,
+        activeAlertId: activeAlert ? activeAlert._id : null
+      },
+      clinic: microchip.clinic && microchip.clinic.name ? microchip.clinic : null,
+      contact: allowContact
+        ? {
+          allowed: true,
+          method: 'relay',
+          ownerNickname: owner.nickname,
+          maskedPhone: maskPhone(owner.phone)
+        }
+        : {
+          allowed: false,
+          method: microchip.clinic && microchip.clinic.name ? 'clinic' : 'none'
+        }
+    };
+  }
+
+  /**
+   * 经平台转达联系主人：不暴露主人手机号，由主人决定是否回电
+   * @param {string} number - 芯片号
+   * @param {string} senderId - 发送者ID
+   * @param {Object} messageData - { message, callbackPhone, location }
+   * @returns {Promise<Object>} 投递记录
+   */
+  async contactOwner(number, senderId, { message, callbackPhone, location } = {}) {
+    const chipNumber = this.parseChipNumber(number);
+    const pet = await Pet.findByChip(chipNumber);
+    if (!pet) {
+      throw AppError.notFound('CHIP_NOT_REGISTERED', '该芯片号未登记');
+    }
+
+    const owner = await User.findById(pet.ownerId).select('preferences.privacy isActive');
+    if (!owner || owner.isActive === false || !owner.preferences.privacy.allowContact) {
+      throw AppError.forbidden('CONTACT_NOT_ALLOWED', '主人未开放联系，请联系登记诊所');
+    }
+
+    const strain = {
+      type: 'emergency',
+      subtype: 'chip_scan',
+      content: {
+        petId: pet._id,
+        petName: pet.name,
+        senderId,
+        message,
+        callbackPhone,
+        location,
+        scannedAt: new Date()
+      }
+    };
+
+    const delivery = await this.emergencyProtocol.dealerService.spreadStrain(
+      pet.ownerId.toString(),
+      strain,
+      { overrideImmunity: true }
+    );
+
+    console.log(`📟 芯片扫描已通知主人: ${pet._id} - ${delivery.status}`);
+    return delivery;
+  }
+}
+
+module.exports = ChipRegistryService;
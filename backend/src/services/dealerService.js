@@ -0,0 +1,191 @@
+const { MongoPropagationStore } = require('./propagationStore');
+
+// 不同紧急程度的毒株感染力(0-100)，用户免疫值达到感染力即可抵御
+const INFECTIVITY_BY_URGENCY = {
+  low: 30,
+  medium: 50,
+  high: 70,
+  critical: 90
+};
+
+// 非紧急通知对应的用户通知偏好(preferences.notifications)；未列出的为账户事务通知，总是推送
+const NOTIFICATION_PREFERENCES = {
+  weight_alert: 'health',
+  geofence_exit: 'emergency',
+  service_review: 'social',
+  review_reply: 'social'
+};
+
+/**
+ * 毒株分发服务 - 基于道德经"天之道，利而不害"理念
+ * 将毒株逐个推送给用户，尊重或无视用户免疫设置，并记录每个用户的投递结果
+ */
+class DealerService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - 传播数据存储，默认使用MongoDB
+   * @param {Object} [options.notifier] - 实时推送通道，需实现 sendToUser(userId, event, data)，返回false表示用户不在线
+   */
+  constructor({ store, notifier } = {}) {
+    this.store = store || new MongoPropagationStore();
+    this.notifier = notifier || null;
+  }
+
+  /**
+   * 设置实时推送通道
+   * @param {Object} notifier - 需实现 sendToUser(userId, event, data)
+   */
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  /**
+   * 获取毒株感染力
+   * @param {Object} strain - 毒株
+   * @returns {number} 感染力(0-100)
+   */
+  getInfectivity(strain) {
+    const settings = strain.propagationSettings || {};
+    if (Number.isFinite(settings.infectivity)) {
+      return settings.infectivity;
+    }
+    const urgencyLevel = strain.content && strain.content.urgencyLevel;
+    return INFECTIVITY_BY_URGENCY[urgencyLevel] || INFECTIVITY_BY_URGENCY.medium;
+  }
+
+  /**
+   * 判断用户是否对毒株免疫
+   * @param {Object} user - 用户
+   * @param {Object} strain - 毒株
+   * @returns {boolean} 是否免疫
+   */
+  isImmune(user, strain) {
+    const profile = user.immunityProfile || {};
+    const immunity = profile.emergencyImmunity || 0;
+    return immunity >= this.getInfectivity(strain);
+  }
+
+  /**
+   * 向单个用户传播毒株
+   * @param {string} userId - 用户ID
+   * @param {Object} strain - 毒株
+   * @param {Object} [options]
+   * @param {boolean} [options.overrideImmunity] - 是否无视免疫，缺省取毒株设置
+   * @returns {Promise<Object>} 投递记录
+   */
+  async spreadStrain(userId, strain, options = {}) {
+    const settings = strain.propagationSettings || {};
+    const overrideImmunity = options.overrideImmunity !== undefined
+      ? !!options.overrideImmunity
+      : !!settings.overrideImmunity;
+
+    const delivery = {
+      userId,
+      alertId: strain.content && strain.content.alertId,
+      strainType: strain.type,
+      strainSubtype: strain.subtype,
+      forced: overrideImmunity
+    };
+
+    const user = await this.store.getUser(userId);
+    if (!user || user.isActive === false) {
+      return this.store.recordDelivery({ ...delivery, status: 'failed', reason: 'user_unavailable' });
+    }
+
+    delivery.immunityLevel = (user.immunityProfile && user.immunityProfile.emergencyImmunity) || 0;
+
+    if (!overrideImmunity && this.isImmune(user, strain)) {
+      return this.store.recordDelivery({ ...delivery, status: 'blocked', reason: 'immune' });
+    }
+
+    // 没有推送通道或用户不在线时如实记为失败，不计入送达
+    if (!this.notifier) {
+      return this.store.recordDelivery({ ...delivery, status: 'failed', reason: 'no_channel' });
+    }
+
+    try {
+      const sent = await this.notifier.sendToUser(userId.toString(), 'emergency_strain', {
+        type: strain.type,
+        subtype: strain.subtype,
+        content: strain.content,
+        timestamp: new Date()
+      });
+      if (sent === false) {
+        return this.store.recordDelivery({ ...delivery, status: 'failed', reason: 'user_offline' });
+      }
+    } catch (error) {
+      console.error(`毒株推送失败 [${userId}]:`, error);
+      return this.store.recordDelivery({ ...delivery, status: 'failed', reason: 'notify_failed' });
+    }
+
+    return this.store.recordDelivery({ ...delivery, status: 'delivered' });
+  }
+
+  /**
+   * 向用户推送非紧急通知：遵守通知偏好，不受免疫影响也不写入毒株投递记录，失败不抛出
+   * @param {string} userId - 用户ID
+   * @param {string} subtype - 通知类型，如 pet_transfer、appointment
+   * @param {Object} content - 通知内容
+   * @returns {Promise<Object>} { status: delivered | blocked | failed, reason }
+   */
+  async notifyUser(userId, subtype, content) {
+    try {
+      const user = await this.store.getUser(userId);
+      if (!user || user.isActive === false) {
+        return { status: 'failed', reason: 'user_unavailable' };
+      }
+
+      const preference = NOTIFICATION_PREFERENCES[subtype];
+      const notifications = (user.preferences && user.preferences.notifications) || {};
+      if (preference && notifications[preference] === false) {
+        return { status: 'blocked', reason: 'preference' };
+      }
+
+      if (!this.notifier) {
+        return { status: 'failed', reason: 'no_channel' };
+      }
+      const sent = await this.notifier.sendToUser(userId.toString(), 'notification', {
+        type: 'notification',
+        subtype,
+        content,
+        timestamp: new Date()
+      });
+      return sent === false ? { status: 'failed', reason: 'user_offline' } : { status: 'delivered' };
+    } catch (error) {
+      console.error(`通知推送失败 [${subtype} -> ${userId}]:`, error);
+      return { status: 'failed', reason: 'notify_failed' };
+    }
+  }
+
+  /**
+   * 向多个用户传播毒株
+   * @param {Array} userIds - 用户ID列表
+   * @param {Object} strain - 毒株
+   * @param {Object} [options] - 同 spreadStrain
+   * @returns {Promise<Object>} 汇总 { delivered, blocked, failed, deliveries }
+   */
+  async spreadToUsers(userIds, strain, options = {}) {
+    const deliveries = await Promise.all(
+      userIds.map(userId => this.spreadStrain(userId, strain, options))
+    );
+
+    return deliveries.reduce((summary, delivery) => {
+      summary[delivery.status] += 1;
+      return summary;
+    }, { delivered: 0, blocked: 0, failed: 0, deliveries });
+  }
+
+  /**
+   * 查询警报的投递记录
+   * @param {string} alertId - 警报ID
+   * @returns {Promise<Array>} 投递记录
+   */
+  async getDeliveries(alertId) {
+    return this.store.findDeliveries({ alertId });
+  }
+}
+
+DealerService.INFECTIVITY_BY_URGENCY = INFECTIVITY_BY_URGENCY;
+DealerService.NOTIFICATION_PREFERENCES = NOTIFICATION_PREFERENCES;
+
+module.exports = DealerService;
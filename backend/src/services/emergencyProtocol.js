@@ -1,21 +1,96 @@
-const { EmergencyAlert, Pet, User } = require('../models');
+const path = require('path');
+const { EmergencyAlert, Pet } = require('../models');
 const DealerService = require('./dealerService');
+const storageService = require('./storageService');
 const GeoLayer = require('./geoLayer');
+const { MongoPropagationStore } = require('./propagationStore');
+const ReporterPolicy = require('../policies/reporterPolicy');
+const { AppError } = require('../utils/errors');
+
+// 紧急程度升级顺序
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// 发布警报时宠物进入的状态
+const ALERT_PET_STATUS = {
+  lost: 'lost',
+  stolen: 'lost',
+  injured: 'emergency',
+  medical: 'medical_attention'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 汇总走失时长
+ * @param {Array} periods - 走失区间
+ * @returns {Object} { count, averageHours, medianHours }
+ */
+const summarizeDurations = (periods) => {
+  const hours = periods.map(period => period.durationMs / HOUR_MS).sort((a, b) => a - b);
+  if (hours.length === 0) {
+    return { count: 0, averageHours: null, medianHours: null };
+  }
+  const middle = Math.floor(hours.length / 2);
+  const median = hours.length % 2 ? hours[middle] : (hours[middle - 1] + hours[middle]) / 2;
+  return {
+    count: hours.length,
+    averageHours: Math.round(hours.reduce((sum, value) => sum + value, 0) / hours.length * 10) / 10,
+    medianHours: Math.round(median * 10) / 10
+  };
+};
+
+/**
+ * 按字段分组汇总走失时长，样本多的在前
+ * @param {Array} periods - 走失区间
+ * @param {string} key - 分组字段
+ * @returns {Array} [{ [key], count, averageHours, medianHours }]
+ */
+const groupDurations = (periods, key) => {
+  const groups = new Map();
+  periods.forEach(period => {
+    const value = period[key];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(period);
+  });
+  return [...groups.entries()]
+    .map(([value, items]) => ({ [key]: value, ...summarizeDurations(items) }))
+    .sort((a, b) => b.count - a.count);
+};
 
 /**
  * 紧急协议服务 - 基于道德经"宠辱若惊"理念
  * 紧急情况下需要立即响应，无视常规免疫设置
  */
 class EmergencyProtocol {
-  constructor() {
-    this.dealerService = new DealerService();
-    this.geoLayer = new GeoLayer();
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - 传播数据存储，默认使用MongoDB
+   * @param {Object} [options.notifier] - 实时推送通道
+   * @param {ReporterPolicy} [options.reporterPolicy] - 报告者授权策略
+   */
+  constructor({ store, notifier, reporterPolicy } = {}) {
+    const propagationStore = store || new MongoPropagationStore();
+    this.reporterPolicy = reporterPolicy || new ReporterPolicy();
+    this.dealerService = new DealerService({ store: propagationStore, notifier });
+    this.geoLayer = new GeoLayer({ store: propagationStore });
     this.activeAlerts = new Map(); // 内存缓存活跃警报
+
+    // 目击重新传播设置：可信度阈值，以及距最近传播中心超过半径的比例
+    this.recenterSettings = {
+      minConfidence: parseFloat(process.env.RECENTER_MIN_CONFIDENCE) || 0.6,
+      minDistanceRatio: parseFloat(process.env.RECENTER_MIN_DISTANCE_RATIO) || 0.5
+    };
+
+    // 已认证宠物的警报优先传播：传播半径放大的倍数
+    this.verifiedRadiusMultiplier = parseFloat(process.env.VERIFIED_PET_RADIUS_MULTIPLIER) || 1.5;
+
+    // 团聚时长统计的时间窗口(天)
+    this.reunionStatsDays = parseFloat(process.env.REUNION_STATS_DAYS) || 365;
   }
 
   /**
-   * 创建紧急警报 - 0延迟传播
-   * @param {Object} alertData - 警报数据
+   * 创建紧急警报 - 0延迟传播；草稿警报只保存，待主人确认发布后再传播
+   * @param {Object} alertData - 警报数据，draft 为 true 时创建草稿
    * @returns {Promise<Object>} 创建的警报
    */
   async createEmergencyAlert(alertData) {
@@ -29,26 +104,33 @@ class EmergencyProtocol {
         location,
         urgencyLevel = 'high',
         contactInfo,
-        attachments = []
+        attachments = [],
+        incidentTime = new Date(),
+        draft = false
       } = alertData;
 
-      // 验证输入
-      if (!petId || !reporterId || !alertType || !title || !description || !location) {
-        throw new Error('缺少必要的警报信息');
+      // 验证输入；未登记动物的发现警报可不关联宠物
+      const isFoundAnimal = alertType === 'found' && !petId;
+      if ((!petId && !isFoundAnimal) || !reporterId || !alertType || !title || !description || !location) {
+        throw AppError.badRequest('MISSING_ALERT_FIELDS', '缺少必要的警报信息');
       }
 
       // 验证宠物存在
-      const pet = await Pet.findById(petId);
-      if (!pet) {
-        throw new Error('宠物不存在');
+      const pet = isFoundAnimal ? null : await Pet.findById(petId);
+      if (!isFoundAnimal && !pet) {
+        throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
       }
 
       // 验证报告者权限
-      if (pet.ownerId.toString() !== reporterId && !this.isAuthorizedReporter(reporterId)) {
-        throw new Error('无权限为此宠物创建警报');
+      if (!(await this.isAuthorizedReporter(reporterId, pet))) {
+        throw AppError.forbidden(
+          'NOT_AUTHORIZED_REPORTER',
+          isFoundAnimal ? '无权限发布未登记动物的发现警报' : '无权限为此宠物创建警报'
+        );
       }
 
-      // 创建警报
+      // 创建警报；已认证宠物扩大传播范围
+      const verifiedPet = Boolean(pet && pet.verificationStatus === 'verified');
       const alert = new EmergencyAlert({
         petId,
         reporterId,
@@ -59,22 +141,25 @@ class EmergencyProtocol {
         urgencyLevel,
         contactInfo,
         attachments,
-        incidentTime: new Date(),
+        incidentTime,
+        status: draft ? 'draft' : 'active',
         propagationSettings: {
           forcePropagation: true, // 强制传播
-          propagationRadius: this.getPropagationRadius(urgencyLevel),
+          propagationRadius: this.getPropagationRadius(urgencyLevel, verifiedPet),
           propagationDelay: 0, // 0延迟
-          propagationDuration: this.getPropagationDuration(urgencyLevel)
+          propagationDuration: this.getPropagationDuration(urgencyLevel),
+          verifiedPet
         }
       });
 
       await alert.save();
 
-      // 立即开始传播
-      await this.startImmediatePropagation(alert);
+      if (draft) {
+        console.log(`📝 警报草稿已创建: ${alert.title} (ID: ${alert._id})`);
+        return alert;
+      }
 
-      // 缓存活跃警报
-      this.activeAlerts.set(alert._id.toString(), alert);
+      await this.activateAlert(alert, pet, reporterId);
 
       console.log(`🚨 紧急警报已创建: ${alert.title} (ID: ${alert._id})`);
       return alert;
@@ -85,22 +170,84 @@ class EmergencyProtocol {
     }
   }
 
+  /**
+   * 警报生效：宠物状态记入历史，立即传播并缓存
+   * @param {Object} alert - 已保存的活跃警报
+   * @param {Object|null} pet - 宠物
+   * @param {string} actorId - 操作人ID
+   */
+  async activateAlert(alert, pet, actorId) {
+    // 宠物进入走失/紧急状态，记入状态历史
+    if (pet && ALERT_PET_STATUS[alert.alertType]) {
+      pet.changeStatus(ALERT_PET_STATUS[alert.alertType], {
+        event: 'alert_created',
+        changedBy: actorId,
+        reason: alert.title,
+        alertId: alert._id
+      });
+      await pet.save();
+    }
+
+    // 立即开始传播
+    await this.startImmediatePropagation(alert);
+
+    // 缓存活跃警报
+    this.activeAlerts.set(alert._id.toString(), alert);
+  }
+
+  /**
+   * 发布警报草稿：有效期从发布时起算
+   * @param {string} alertId - 警报ID
+   * @param {string} userId - 用户ID（主人或具备 alert 权限的共同主人）
+   * @returns {Promise<Object>} 发布后的警报
+   */
+  async publishDraftAlert(alertId, userId) {
+    const alert = await EmergencyAlert.findById(alertId);
+    if (!alert) {
+      throw AppError.notFound('ALERT_NOT_FOUND', '警报不存在');
+    }
+
+    const pet = alert.petId ? await Pet.findById(alert.petId) : null;
+    if (!this.isAlertOwner(alert, pet, userId)) {
+      throw AppError.forbidden('NOT_ALERT_REPORTER', '无权限发布此警报');
+    }
+    if (alert.status !== 'draft') {
+      throw AppError.conflict('ALERT_NOT_DRAFT', '只有草稿警报可以发布');
+    }
+
+    alert.transitionTo('active', { action: 'published', actorId: userId });
+    alert.expiresAt = new Date(Date.now() + alert.propagationSettings.propagationDuration * 60 * 60 * 1000);
+    await alert.save();
+
+    await this.activateAlert(alert, pet, userId);
+
+    console.log(`🚨 警报草稿已发布: ${alert.title} (ID: ${alert._id})`);
+    return alert;
+  }
+
   /**
    * 立即开始传播 - 0延迟
+   * 已收到该警报的用户不会被重复通知，重复传播是幂等的
    * @param {Object} alert - 警报对象
+   * @param {Object} [center] - 传播中心 { latitude, longitude }，默认为警报位置
+   * @returns {Promise<Object>} 传播汇总 { delivered, blocked, failed, skipped }
    */
-  async startImmediatePropagation(alert) {
+  async startImmediatePropagation(alert, center = alert.location) {
     try {
-      const { location, propagationSettings } = alert;
+      const { propagationSettings } = alert;
       
       // 获取传播范围内的用户
       const nearbyUsers = await this.getNearbyUsers(
-        location.latitude,
-        location.longitude,
+        center.latitude,
+        center.longitude,
         propagationSettings.propagationRadius
       );
 
-      console.log(`📡 开始紧急传播，覆盖 ${nearbyUsers.length} 个用户`);
+      // 排除已通知的用户
+      const notified = new Set(alert.notifiedUserIds.map(id => id.toString()));
+      const recipients = nearbyUsers.filter(user => !notified.has(user._id.toString()));
+
+      console.log(`📡 开始紧急传播，覆盖 ${recipients.length} 个用户（跳过已通知 ${nearbyUsers.length - recipients.length} 个）`);
 
       // 创建紧急毒株
       const emergencyStrain = {
@@ -111,37 +258,56 @@ class EmergencyProtocol {
           title: alert.title,
           description: alert.description,
           petInfo: await this.getPetInfo(alert.petId),
+          petVerified: Boolean(propagationSettings.verifiedPet),
           location: alert.location,
+          lastSeenLocation: center,
           urgencyLevel: alert.urgencyLevel,
           contactInfo: alert.contactInfo,
           attachments: alert.attachments
         },
         propagationSettings: {
           forceSpread: true, // 强制传播
-          overrideImmunity: true, // 无视免疫
+          overrideImmunity: propagationSettings.forcePropagation, // 强制传播时无视免疫
           maxRadius: propagationSettings.propagationRadius,
           delay: 0, // 0延迟
           duration: propagationSettings.propagationDuration
         }
       };
 
-      // 立即传播到所有附近用户
-      const propagationPromises = nearbyUsers.map(user => 
-        this.dealerService.spreadStrain(user._id, emergencyStrain, {
+      // 立即传播到所有未通知的附近用户
+      const summary = await this.dealerService.spreadToUsers(
+        recipients.map(user => user._id),
+        emergencyStrain,
+        {
           force: true,
-          overrideImmunity: true,
+          overrideImmunity: propagationSettings.forcePropagation,
           immediate: true
-        })
+        }
       );
 
-      await Promise.all(propagationPromises);
+      // 记录已送达的用户
+      alert.markUsersNotified(
+        summary.deliveries
+          .filter(delivery => delivery.status === 'delivered')
+          .map(delivery => delivery.userId)
+      );
 
       // 更新传播统计
       await alert.updatePropagationStats({
-        totalReached: nearbyUsers.length
+        totalReached: summary.delivered,
+        center: {
+          latitude: center.latitude,
+          longitude: center.longitude
+        }
       });
 
       console.log(`✅ 紧急警报传播完成: ${alert.title}`);
+      return {
+        delivered: summary.delivered,
+        blocked: summary.blocked,
+        failed: summary.failed,
+        skipped: nearbyUsers.length - recipients.length
+      };
 
     } catch (error) {
       console.error('紧急传播失败:', error);
@@ -149,6 +315,43 @@ class EmergencyProtocol {
     }
   }
 
+  /**
+   * 可信目击远离已有传播中心时，以目击点为中心重新传播
+   * @param {Object} alert - 警报对象
+   * @param {Object} sighting - 目击记录
+   * @returns {Promise<Object|null>} 传播汇总，未触发时返回null
+   */
+  async recenterOnSighting(alert, sighting) {
+    const { minConfidence, minDistanceRatio } = this.recenterSettings;
+    if (alert.status !== 'active' || sighting.confidence < minConfidence) {
+      return null;
+    }
+
+    const radius = alert.propagationSettings.propagationRadius;
+    const { latitude, longitude } = sighting.location;
+    const nearestCenterDistance = Math.min(
+      ...alert.getPropagationCenters().map(center =>
+        this.geoLayer.calculateDistance(center.latitude, center.longitude, latitude, longitude))
+    );
+
+    if (nearestCenterDistance < radius * minDistanceRatio) {
+      return null;
+    }
+
+    alert.recordHistory('recentered', {
+      actorId: sighting.reporterId,
+      data: {
+        sightingId: sighting._id,
+        latitude,
+        longitude,
+        distanceFromNearestCenter: Math.round(nearestCenterDistance * 100) / 100
+      }
+    });
+
+    console.log(`🎯 警报传播中心移至目击点: ${alert._id}`);
+    return this.startImmediatePropagation(alert, { latitude, longitude });
+  }
+
   /**
    * 获取传播范围内的用户
    * @param {number} latitude - 纬度
@@ -158,7 +361,7 @@ class EmergencyProtocol {
    */
   async getNearbyUsers(latitude, longitude, radius) {
     try {
-      return await User.findNearby(latitude, longitude, radius);
+      return await this.geoLayer.findUsersInRadius(latitude, longitude, radius);
     } catch (error) {
       console.error('获取附近用户失败:', error);
       return [];
@@ -172,7 +375,7 @@ class EmergencyProtocol {
    */
   async getPetInfo(petId) {
     try {
-      const pet = await Pet.findById(petId).select('name species breed age color photos specialMarks');
+      const pet = await Pet.findById(petId).select('name species breed age color photos specialMarks.type');
       return pet ? pet.toObject() : null;
     } catch (error) {
       console.error('获取宠物信息失败:', error);
@@ -183,16 +386,18 @@ class EmergencyProtocol {
   /**
    * 根据紧急程度获取传播半径
    * @param {string} urgencyLevel - 紧急程度
+   * @param {boolean} [verifiedPet] - 是否为已认证宠物
    * @returns {number} 传播半径(公里)
    */
-  getPropagationRadius(urgencyLevel) {
+  getPropagationRadius(urgencyLevel, verifiedPet = false) {
     const radiusMap = {
       low: 2,
       medium: 5,
       high: 10,
       critical: 20
     };
-    return radiusMap[urgencyLevel] || 5;
+    const radius = radiusMap[urgencyLevel] || 5;
+    return verifiedPet ? radius * this.verifiedRadiusMultiplier : radius;
   }
 
   /**
@@ -213,12 +418,50 @@ class EmergencyProtocol {
   /**
    * 检查是否为授权报告者
    * @param {string} userId - 用户ID
-   * @returns {boolean} 是否授权
+   * @param {Object|null} pet - 宠物，为空表示未登记动物的发现警报
+   * @returns {Promise<boolean>} 是否授权
+   */
+  async isAuthorizedReporter(userId, pet) {
+    return pet
+      ? this.reporterPolicy.canReportForPet(userId, pet)
+      : this.reporterPolicy.canReportFoundAnimal(userId);
+  }
+
+  /**
+   * 获取警报详情
+   * @param {string} alertId - 警报ID
+   * @returns {Promise<Object>} 警报详情
+   */
+  async getAlertById(alertId) {
+    const alert = await EmergencyAlert.findById(alertId)
+      .populate('petId', 'name species breed age color photos specialMarks.type status');
+    if (!alert) {
+      throw AppError.notFound('ALERT_NOT_FOUND', '警报不存在');
+    }
+    return alert;
+  }
+
+  /**
+   * 保存警报附图，返回可直接放入 attachments 的附件信息；发布前上传，使首轮传播即带有照片
+   * @param {string} userId - 上传者ID
+   * @param {Object} file - 已校验的上传文件 { buffer, originalname }
+   * @returns {Object} { url, type }
+   */
+  saveAttachment(userId, file) {
+    const { url } = storageService.saveImage(file.buffer, `alert_${userId}${path.extname(file.originalname || '')}`);
+    return { url, type: 'image' };
+  }
+
+  /**
+   * 判断用户是否为警报所属宠物的主人（含具备 alert 权限的共同主人）或警报发布者
+   * @param {Object} alert - 警报
+   * @param {Object|null} pet - 宠物
+   * @param {string} userId - 用户ID
+   * @returns {boolean} 是否为主人
    */
-  isAuthorizedReporter(userId) {
-    // 这里可以添加更多授权逻辑
-    // 比如紧急响应志愿者、宠物医院工作人员等
-    return true; // 暂时允许所有用户报告
+  isAlertOwner(alert, pet, userId) {
+    return alert.reporterId.toString() === userId.toString() ||
+      (!!pet && pet.hasPermission(userId, 'alert'));
   }
 
   /**
@@ -231,7 +474,13 @@ class EmergencyProtocol {
     try {
       const alert = await EmergencyAlert.findById(alertId);
       if (!alert) {
-        throw new Error('警报不存在');
+        throw AppError.notFound('ALERT_NOT_FOUND', '警报不存在');
+      }
+
+      // 只有主人可以直接结案，其他人需走团聚认领流程
+      const pet = responseData.type === 'resolved' ? await Pet.findById(alert.petId) : null;
+      if (responseData.type === 'resolved' && !this.isAlertOwner(alert, pet, userId)) {
+        throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以直接结案，发现者请提交团聚认领');
       }
 
       const response = {
@@ -245,9 +494,17 @@ class EmergencyProtocol {
 
       await alert.addResponse(response);
 
-      // 如果是解决响应，标记警报为已解决
+      // 主人确认已找回，标记警报为已解决
       if (responseData.type === 'resolved') {
-        await alert.markAsResolved();
+        if (pet) {
+          await pet.markAsFound({
+            event: 'alert_resolved',
+            changedBy: userId,
+            reason: responseData.message || '主人确认已找回',
+            alertId: alert._id
+          });
+        }
+        await alert.markAsResolved(userId, responseData.message);
         this.activeAlerts.delete(alertId);
       }
 
@@ -260,6 +517,138 @@ class EmergencyProtocol {
     }
   }
 
+  /**
+   * 上报目击 - 记录目击并更新宠物最后已知位置
+   * @param {string} alertId - 警报ID
+   * @param {string} userId - 目击者ID
+   * @param {Object} sightingData - 目击数据 { seenAt, location, photo, confidence, note }
+   * @returns {Promise<Object>} 目击记录
+   */
+  async reportSighting(alertId, userId, sightingData) {
+    try {
+      const { seenAt, location, photo, confidence, note } = sightingData;
+
+      if (!location || !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) {
+        throw AppError.badRequest('INVALID_COORDINATES', '目击位置无效');
+      }
+
+      const seenTime = seenAt ? new Date(seenAt) : new Date();
+      if (Number.isNaN(seenTime.getTime()) || seenTime.getTime() > Date.now() + 5 * 60 * 1000) {
+        throw AppError.badRequest('INVALID_SIGHTING_TIME', '目击时间无效');
+      }
+
+      const alert = await EmergencyAlert.findById(alertId);
+      if (!alert) {
+        throw AppError.notFound('ALERT_NOT_FOUND', '警报不存在');
+      }
+
+      const sighting = await alert.addSighting({
+        reporterId: userId,
+        seenAt: seenTime,
+        location,
+        photo,
+        confidence,
+        note
+      });
+
+      // 仅当目击时间晚于已知位置时更新宠物位置，避免迟到的上报覆盖最新轨迹
+      const pet = await Pet.findById(alert.petId);
+      const lastKnown = pet && pet.lastKnownLocation;
+      const hasLastKnown = lastKnown && Number.isFinite(lastKnown.latitude);
+      if (pet && (!hasLastKnown || seenTime >= lastKnown.timestamp)) {
+        await pet.updateLocation(location.latitude, location.longitude, location.address, seenTime);
+      }
+
+      console.log(`👀 目击已记录: ${alertId} - ${sighting._id}`);
+
+      // 可信目击远离原传播范围时重新传播，失败不影响目击记录
+      try {
+        await this.recenterOnSighting(alert, sighting);
+      } catch (error) {
+        console.error('目击点重新传播失败:', error);
+      }
+
+      return sighting;
+
+    } catch (error) {
+      console.error('上报目击失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取目击轨迹 - 按目击时间排序的GeoJSON
+   * @param {string} alertId - 警报ID
+   * @returns {Promise<Object>} GeoJSON FeatureCollection
+   */
+  async getSightingTrail(alertId) {
+    const alert = await EmergencyAlert.findById(alertId).select('petId location incidentTime sightings');
+    if (!alert) {
+      throw AppError.notFound('ALERT_NOT_FOUND', '警报不存在');
+    }
+
+    const sightings = alert.getSortedSightings();
+    const toPosition = ({ longitude, latitude }) => [longitude, latitude];
+
+    const features = sightings.map((sighting, index) => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: toPosition(sighting.location)
+      },
+      properties: {
+        kind: 'sighting',
+        sequence: index + 1,
+        sightingId: sighting._id,
+        seenAt: sighting.seenAt,
+        confidence: sighting.confidence,
+        photo: sighting.photo,
+        note: sighting.note,
+        address: sighting.location.address
+      }
+    }));
+
+    // 轨迹从走失地点出发，依次连接各目击点
+    const path = [toPosition(alert.location), ...sightings.map(s => toPosition(s.location))];
+    if (sightings.length > 0) {
+      features.unshift({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: path
+        },
+        properties: {
+          kind: 'trail',
+          startedAt: alert.incidentTime,
+          endedAt: sightings[sightings.length - 1].seenAt
+        }
+      });
+    }
+
+    features.unshift({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: toPosition(alert.location)
+      },
+      properties: {
+        kind: 'origin',
+        seenAt: alert.incidentTime,
+        address: alert.location.address
+      }
+    });
+
+    return {
+      type: 'FeatureCollection',
+      properties: {
+        alertId: alert._id,
+        petId: alert.petId,
+        sightingCount: sightings.length
+      },
+      features
+    };
+  }
+
   /**
    * 获取活跃警报列表
    * @param {number} latitude - 纬度
@@ -280,24 +669,37 @@ class EmergencyProtocol {
    * 取消警报
    * @param {string} alertId - 警报ID
    * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 取消后的警报
    */
   async cancelAlert(alertId, userId) {
     try {
       const alert = await EmergencyAlert.findById(alertId);
       if (!alert) {
-        throw new Error('警报不存在');
+        throw AppError.notFound('ALERT_NOT_FOUND', '警报不存在');
       }
 
-      // 检查权限
-      if (alert.reporterId.toString() !== userId) {
-        throw new Error('无权限取消此警报');
+      // 检查权限：发布者、主人或具备 alert 权限的共同主人
+      const pet = alert.petId ? await Pet.findById(alert.petId) : null;
+      if (!this.isAlertOwner(alert, pet, userId)) {
+        throw AppError.forbidden('NOT_ALERT_REPORTER', '无权限取消此警报');
       }
 
-      alert.status = 'cancelled';
-      await alert.save();
+      await alert.markAsCancelled(userId);
+
+      // 没有其他活跃警报时，宠物恢复正常状态
+      if (pet && pet.status !== 'normal' &&
+          !(await EmergencyAlert.exists({ petId: pet._id, status: 'active', _id: { $ne: alert._id } }))) {
+        await pet.markAsFound({
+          event: 'alert_cancelled',
+          changedBy: userId,
+          reason: '警报已取消',
+          alertId: alert._id
+        });
+      }
 
       this.activeAlerts.delete(alertId);
       console.log(`❌ 警报已取消: ${alertId}`);
+      return alert;
 
     } catch (error) {
       console.error('取消警报失败:', error);
@@ -310,21 +712,24 @@ class EmergencyProtocol {
    * @param {string} alertId - 警报ID
    * @param {string} userId - 用户ID
    * @param {number} hours - 延长小时数
+   * @returns {Promise<Object>} 延长后的警报
    */
   async extendAlert(alertId, userId, hours) {
     try {
       const alert = await EmergencyAlert.findById(alertId);
       if (!alert) {
-        throw new Error('警报不存在');
+        throw AppError.notFound('ALERT_NOT_FOUND', '警报不存在');
       }
 
-      // 检查权限
-      if (alert.reporterId.toString() !== userId) {
-        throw new Error('无权限延长此警报');
+      // 检查权限：发布者、主人或具备 alert 权限的共同主人
+      const pet = alert.petId ? await Pet.findById(alert.petId) : null;
+      if (!this.isAlertOwner(alert, pet, userId)) {
+        throw AppError.forbidden('NOT_ALERT_REPORTER', '无权限延长此警报');
       }
-
-      await alert.extendExpiration(hours);
+      // 草稿、已找回、已取消的警报由 extendExpiration 拒绝
+      await alert.extendExpiration(hours, userId);
       console.log(`⏰ 警报已延长 ${hours} 小时: ${alertId}`);
+      return alert;
 
     } catch (error) {
       console.error('延长警报失败:', error);
@@ -334,27 +739,139 @@ class EmergencyProtocol {
 
   /**
    * 清理过期警报
+   * @returns {Promise<number>} 过期的警报数量
    */
   async cleanupExpiredAlerts() {
     try {
-      const expiredAlerts = await EmergencyAlert.find({
-        status: 'active',
-        expiresAt: { $lt: new Date() }
-      });
+      const expiredAlerts = await EmergencyAlert.findExpired();
 
       for (const alert of expiredAlerts) {
-        alert.status = 'expired';
-        await alert.save();
+        await alert.markAsExpired('超过传播持续时间');
         this.activeAlerts.delete(alert._id.toString());
       }
 
-      console.log(`🧹 清理了 ${expiredAlerts.length} 个过期警报`);
+      if (expiredAlerts.length > 0) {
+        console.log(`🧹 清理了 ${expiredAlerts.length} 个过期警报`);
+      }
+      return expiredAlerts.length;
 
     } catch (error) {
       console.error('清理过期警报失败:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 获取下一紧急程度
+   * @param {string} urgencyLevel - 当前紧急程度
+   * @returns {string|null} 下一紧急程度，已为最高时返回null
+   */
+  getNextUrgencyLevel(urgencyLevel) {
+    const index = URGENCY_LEVELS.indexOf(urgencyLevel);
+    if (index === -1 || index === URGENCY_LEVELS.length - 1) {
+      return null;
+    }
+    return URGENCY_LEVELS[index + 1];
+  }
+
+  /**
+   * 升级单个警报 - 提升紧急程度、扩大传播半径并重新传播
+   * @param {Object} alert - 警报对象
+   * @param {string} [note] - 升级原因
+   * @returns {Promise<Object|null>} 升级后的警报，无法升级时返回null
+   */
+  async escalateAlert(alert, note) {
+    const urgencyLevel = this.getNextUrgencyLevel(alert.urgencyLevel);
+    if (!urgencyLevel) {
+      return null;
+    }
+
+    await alert.escalate({
+      urgencyLevel,
+      propagationRadius: this.getPropagationRadius(urgencyLevel, alert.propagationSettings.verifiedPet),
+      propagationDuration: this.getPropagationDuration(urgencyLevel),
+      note
+    });
+
+    // 从每个传播中心（含目击点）按新半径重新传播，依次进行以便已通知的用户被跳过
+    const centers = alert.getPropagationCenters().map(({ latitude, longitude }) => ({ latitude, longitude }));
+    for (const center of centers) {
+      await this.startImmediatePropagation(alert, center);
+    }
+
+    console.log(`📈 警报已升级为 ${urgencyLevel}: ${alert._id}`);
+    return alert;
+  }
+
+  /**
+   * 升级长时间无目击的警报
+   * @param {number} hours - 无目击多少小时后升级
+   * @returns {Promise<number>} 升级的警报数量
+   */
+  async escalateStaleAlerts(hours) {
+    try {
+      const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+      const candidates = await EmergencyAlert.findEscalationCandidates(cutoff);
+      let escalated = 0;
+
+      for (const alert of candidates) {
+        if (alert.hasSightingsSince(cutoff)) {
+          continue;
+        }
+
+        try {
+          if (await this.escalateAlert(alert, `${hours}小时内无目击`)) {
+            escalated += 1;
+          }
+        } catch (error) {
+          console.error(`升级警报失败 [${alert._id}]:`, error);
+        }
+      }
+
+      if (escalated > 0) {
+        console.log(`📈 升级了 ${escalated} 个无目击警报`);
+      }
+      return escalated;
+
+    } catch (error) {
+      console.error('升级警报失败:', error);
+      return 0;
     }
   }
 
+  /**
+   * 团聚时长统计：由宠物状态历史中的走失区间计算，按物种与区县分组
+   * @param {number} [days] - 统计最近多少天内找回的宠物
+   * @returns {Promise<Object>} { days, overall, bySpecies, byDistrict }
+   */
+  async getTimeToReunionStats(days = this.reunionStatsDays) {
+    const since = new Date(Date.now() - days * 24 * HOUR_MS);
+    const pets = await Pet.find({
+      statusHistory: { $elemMatch: { event: { $in: Pet.REUNION_EVENTS }, changedAt: { $gte: since } } }
+    })
+      .select('species statusHistory')
+      .lean();
+
+    const periods = pets.flatMap(pet => Pet.lostPeriods(pet.statusHistory)
+      .filter(period => period.reunited && period.endedAt >= since)
+      .map(period => ({ ...period, species: pet.species })));
+
+    // 区县取自关联警报的事发位置
+    const alertIds = periods.map(period => period.alertId).filter(Boolean);
+    const alerts = await EmergencyAlert.find({ _id: { $in: alertIds } }).select('location.district').lean();
+    const districts = new Map(alerts.map(alert => [alert._id.toString(), alert.location && alert.location.district]));
+    periods.forEach(period => {
+      period.district = (period.alertId && districts.get(period.alertId.toString())) || 'unknown';
+    });
+
+    return {
+      days,
+      overall: summarizeDurations(periods),
+      bySpecies: groupDurations(periods, 'species'),
+      byDistrict: groupDurations(periods, 'district')
+    };
+  }
+
   /**
    * 获取警报统计
    * @returns {Promise<Object>} 统计信息
@@ -376,7 +893,8 @@ class EmergencyProtocol {
         active: activeAlerts,
         resolved: resolvedAlerts,
         today: todayAlerts,
-        resolutionRate: totalAlerts > 0 ? (resolvedAlerts / totalAlerts * 100).toFixed(2) : 0
+        resolutionRate: totalAlerts > 0 ? (resolvedAlerts / totalAlerts * 100).toFixed(2) : 0,
+        timeToReunion: await this.getTimeToReunionStats()
       };
 
     } catch (error) {
@@ -386,7 +904,8 @@ class EmergencyProtocol {
         active: 0,
         resolved: 0,
         today: 0,
-        resolutionRate: 0
+        resolutionRate: 0,
+        timeToReunion: null
       };
     }
   }
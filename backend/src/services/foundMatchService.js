@@ -0,0 +1,439 @@
+const { FoundReport, EmergencyAlert, Pet } = require('../models');
+const { AppError } = require('../utils/errors');
+
+// 各项特征的权重；品种为发现者猜测，权重较低
+const MATCH_WEIGHTS = {
+  color: 0.25,
+  breed: 0.1,
+  marks: 0.25,
+  distance: 0.25,
+  time: 0.15
+};
+
+// 走失前多少小时内的发现仍视为合理（时间误差容忍）
+const TIME_TOLERANCE_HOURS = 6;
+
+/**
+ * 切分文本为比对单元：英文按单词，中文按单字（忽略"色"字，避免"黑色"与"金色"被视为相似）
+ * @param {string} value - 原始文本
+ * @returns {Set<string>} 单元集合
+ */
+const tokenize = (value) => new Set(
+  String(value || '').toLowerCase().replace(/色/g, '').match(/[a-z0-9]+|[一-龥]/g) || []
+);
+
+/**
+ * 文本相似度(Jaccard)，任一方为空时返回null表示无法比较
+ * @param {string} a - 文本A
+ * @param {string} b - 文本B
+ * @returns {number|null} 0-1相似度
+ */
+const textSimilarity = (a, b) => {
+  const left = tokenize(a);
+  const right = tokenize(b);
+  if (left.size === 0 || right.size === 0) return null;
+
+  const intersection = [...left].filter(token => right.has(token)).length;
+  return intersection / (left.size + right.size - intersection);
+};
+
+/**
+ * 发现报告匹配服务 - 基于道德经"天下难事，必作于易"理念
+ * 陌生人上报发现的动物，按物种、毛色、品种、特征、距离与时间为走失宠物打分，超过阈值即通知双方
+ */
+class FoundMatchService {
+  /**
+   * @param {Object} options
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例，复用其地理层与推送通道
+   * @param {number} [options.threshold] - 通知阈值(0-1)
+   * @param {number} [options.radiusKm] - 候选搜索半径(公里)
+   * @param {number} [options.maxAgeDays] - 走失超过多少天不再参与匹配
+   * @param {number} [options.verifiedBoost] - 已认证宠物的加分
+   */
+  constructor({ emergencyProtocol, threshold, radiusKm, maxAgeDays, verifiedBoost } = {}) {
+    this.emergencyProtocol = emergencyProtocol;
+    this.threshold = threshold || parseFloat(process.env.FOUND_MATCH_THRESHOLD) || 0.6;
+    this.radiusKm = radiusKm || parseFloat(process.env.FOUND_MATCH_RADIUS_KM) || 20;
+    this.maxAgeDays = maxAgeDays || parseFloat(process.env.FOUND_MATCH_MAX_AGE_DAYS) || 30;
+    this.verifiedBoost = verifiedBoost || parseFloat(process.env.FOUND_MATCH_VERIFIED_BOOST) || 0.05;
+  }
+
+  /**
+   * 创建发现报告并立即匹配
+   * @param {string} reporterId - 发现者ID
+   * @param {Object} reportData - 报告数据
+   * @returns {Promise<Object>} 发现报告
+   */
+  async createFoundReport(reporterId, reportData) {
+    const { species, color, breedGuess, photos = [], specialMarks = [], description, location, foundAt, contactInfo } = reportData;
+
+    if (!species || !location) {
+      throw AppError.badRequest('MISSING_REPORT_FIELDS', '缺少物种或发现位置');
+    }
+
+    const foundTime = foundAt ? new Date(foundAt) : new Date();
+    if (Number.isNaN(foundTime.getTime()) || foundTime > new Date()) {
+      throw AppError.badRequest('INVALID_FOUND_TIME', '发现时间无效');
+    }
+
+    const report = new FoundReport({
+      reporterId,
+      species,
+      color,
+      breedGuess,
+      photos: photos.map(photo => (typeof photo === 'string' ? { url: photo } : photo)),
+      specialMarks,
+      description,
+      location,
+      foundAt: foundTime,
+      contactInfo
+    });
+    await report.save();
+
+    await this.matchReport(report);
+
+    console.log(`🐾 发现报告已创建: ${report._id}，候选匹配 ${report.matches.length} 个`);
+    return report;
+  }
+
+  /**
+   * 获取发现报告
+   * @param {string} reportId - 报告ID
+   * @returns {Promise<Object>} 发现报告
+   */
+  async getFoundReport(reportId) {
+    const report = await FoundReport.findById(reportId);
+    if (!report) {
+      throw AppError.notFound('FOUND_REPORT_NOT_FOUND', '发现报告不存在');
+    }
+    return report;
+  }
+
+  /**
+   * 按查看者返回发现报告：发现者可见全部候选匹配；宠物主人（及具备 alert 权限的共同主人）只见自己宠物的匹配；
+   * 其他人看不到匹配，避免借宠物、主人与距离反推未公开警报的宠物下落
+   * @param {Object} report - 发现报告
+   * @param {string} viewerId - 查看者ID
+   * @returns {Promise<Object>} 发现报告
+   */
+  async toReportView(report, viewerId) {
+    const view = report.toJSON();
+    if (report.reporterId.toString() === viewerId) {
+      return view;
+    }
+
+    const others = report.matches.filter(match => match.ownerId.toString() !== viewerId);
+    const pets = others.length > 0
+      ? await Pet.find({ _id: { $in: others.map(match => match.petId) } }).select('ownerId coOwners')
+      : [];
+    const alertPetIds = new Set(pets.filter(pet => pet.hasPermission(viewerId, 'alert')).map(pet => pet._id.toString()));
+
+    view.matches = view.matches.filter(match =>
+      match.ownerId.toString() === viewerId || alertPetIds.has(match.petId.toString()));
+    view.topMatch = view.matches
+      .filter(match => match.status === 'suggested')
+      .sort((a, b) => b.score - a.score)[0] || null;
+    return view;
+  }
+
+  /**
+   * 附近未关闭的发现报告
+   * @param {number} latitude - 纬度
+   * @param {number} longitude - 经度
+   * @param {number} radius - 半径(公里)
+   * @returns {Promise<Array>} 发现报告列表（不含候选匹配），按距离排序并附带 distance(公里)
+   */
+  async getNearbyReports(latitude, longitude, radius) {
+    return FoundReport.findNearby(latitude, longitude, radius);
+  }
+
+  /**
+   * 收集候选：附近的活跃走失/被盗警报，以及状态为走失但无活跃警报的宠物
+   * @param {Object} report - 发现报告
+   * @returns {Promise<Array>} 候选 [{ pet, alert, location, lostAt }]
+   */
+  async findCandidates(report) {
+    const { latitude, longitude } = report.location;
+
+    const alerts = await EmergencyAlert.findNearby(latitude, longitude, this.radiusKm, {
+      alertType: { $in: ['lost', 'stolen'] },
+      petId: { $ne: null }
+    });
+    const alertPets = await Pet.find({ _id: { $in: alerts.map(alert => alert.petId) }, species: report.species });
+    const petsById = new Map(alertPets.map(pet => [pet._id.toString(), pet]));
+
+    const candidates = [];
+    for (const alert of alerts) {
+      const pet = petsById.get(alert.petId.toString());
+      if (!pet) continue;
+
+      // 以最近一次目击位置为准，否则取事发位置
+      const latestSighting = alert.getSortedSightings().slice(-1)[0];
+      candidates.push({
+        pet,
+        alert,
+        location: latestSighting ? latestSighting.location : alert.location,
+        lostAt: alert.incidentTime || alert.createdAt
+      });
+      petsById.delete(alert.petId.toString());
+    }
+
+    const lostPets = await Pet.findNearby(latitude, longitude, this.radiusKm, {
+      species: report.species,
+      status: { $in: ['lost', 'emergency'] }
+    });
+    const seen = new Set(candidates.map(candidate => candidate.pet._id.toString()));
+    for (const pet of lostPets) {
+      if (seen.has(pet._id.toString())) continue;
+      candidates.push({
+        pet,
+        alert: null,
+        location: pet.lastKnownLocation,
+        lostAt: pet.lastKnownLocation.timestamp || pet.updatedAt
+      });
+    }
+
+    // 发现者自己（含共同拥有）的宠物不参与匹配
+    return candidates.filter(candidate => !candidate.pet.hasPermission(report.reporterId, 'view'));
+  }
+
+  /**
+   * 特征比对：芯片号一致直接满分；否则按类型与部位吻合的比例计分
+   * @param {Object} pet - 宠物（含特征与芯片登记）
+   * @param {Array} observedMarks - 发现者观察到的特征
+   * @returns {number|null} 0-1得分，无可比特征时返回null
+   */
+  scoreMarks(pet, observedMarks = []) {
+    const petMarks = pet.specialMarks || [];
+    const microchip = pet.identification && pet.identification.microchip;
+    const digits = value => String(value || '').replace(/\D/g, '');
+    const normalize = value => String(value || '').trim().toLowerCase();
+
+    const observedChip = observedMarks.find(mark => mark.type === 'chip' && digits(mark.description));
+    if (observedChip) {
+      const chipNumber = digits(observedChip.description);
+      if (microchip && microchip.number) {
+        return microchip.number === chipNumber ? 1 : 0;
+      }
+      if (!petMarks.some(mark => mark.type === 'chip')) return null;
+      return petMarks.some(mark => mark.type === 'chip' && digits(mark.description) === chipNumber) ? 1 : 0;
+    }
+
+    if (observedMarks.length === 0 || petMarks.length === 0) return null;
+
+    const matched = observedMarks.filter(observed =>
+      petMarks.some(mark =>
+        mark.type === observed.type &&
+        (!normalize(observed.location) || !normalize(mark.location) ||
+          normalize(mark.location) === normalize(observed.location))));
+
+    return matched.length / observedMarks.length;
+  }
+
+  /**
+   * 为单个候选打分，无法比较的项不计入，其余权重按比例归一；已认证宠物额外加分
+   * @param {Object} report - 发现报告
+   * @param {Object} candidate - 候选 { pet, location, lostAt }
+   * @returns {Object} { score, breakdown, distanceKm }
+   */
+  scoreCandidate(report, candidate) {
+    const { pet, location, lostAt } = candidate;
+
+    const distanceKm = this.emergencyProtocol.geoLayer.calculateDistance(
+      report.location.latitude, report.location.longitude, location.latitude, location.longitude
+    );
+
+    // 发现时间早于走失时间(超出容忍)视为不可能
+    let timeScore = null;
+    if (lostAt) {
+      const elapsedHours = (report.foundAt - new Date(lostAt)) / (1000 * 60 * 60);
+      timeScore = elapsedHours < -TIME_TOLERANCE_HOURS
+        ? 0
+        : Math.max(0, 1 - Math.max(0, elapsedHours) / (this.maxAgeDays * 24));
+    }
+
+    const breakdown = {
+      species: pet.species === report.species ? 1 : 0,
+      color: textSimilarity(report.color, pet.color),
+      breed: textSimilarity(report.breedGuess, pet.breed),
+      marks: this.scoreMarks(pet, report.specialMarks),
+      distance: Math.max(0, 1 - distanceKm / this.radiusKm),
+      time: timeScore,
+      verified: pet.verificationStatus === 'verified' ? 1 : 0
+    };
+
+    if (breakdown.species === 0 || timeScore === 0) {
+      return { score: 0, breakdown, distanceKm };
+    }
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [key, weight] of Object.entries(MATCH_WEIGHTS)) {
+      if (breakdown[key] === null) continue;
+      weighted += breakdown[key] * weight;
+      totalWeight += weight;
+    }
+
+    const base = totalWeight > 0 ? weighted / totalWeight : 0;
+    const score = Math.min(1, base + breakdown.verified * this.verifiedBoost);
+
+    return {
+      score: Math.round(score * 1000) / 1000,
+      breakdown,
+      distanceKm: Math.round(distanceKm * 100) / 100
+    };
+  }
+
+  /**
+   * 重新计算报告的候选匹配，并通知新超过阈值的双方
+   * 已被驳回的匹配保持驳回，已通知过的不重复通知
+   * @param {Object} report - 发现报告
+   * @returns {Promise<Array>} 超过阈值的匹配
+   */
+  async matchReport(report) {
+    if (report.status === 'closed') {
+      throw AppError.conflict('FOUND_REPORT_CLOSED', '发现报告已关闭');
+    }
+
+    const candidates = await this.findCandidates(report);
+    const now = new Date();
+    const toNotify = [];
+
+    for (const candidate of candidates) {
+      const { score, breakdown, distanceKm } = this.scoreCandidate(report, candidate);
+      const petId = candidate.pet._id.toString();
+      let match = report.matches.find(other => other.petId.toString() === petId);
+
+      if (match) {
+        Object.assign(match, {
+          alertId: candidate.alert ? candidate.alert._id : match.alertId,
+          score,
+          breakdown,
+          distanceKm,
+          updatedAt: now
+        });
+      } else if (score > 0) {
+        report.matches.push({
+          alertId: candidate.alert && candidate.alert._id,
+          petId: candidate.pet._id,
+          ownerId: candidate.pet.ownerId,
+          score,
+          breakdown,
+          distanceKm,
+          updatedAt: now
+        });
+        match = report.matches[report.matches.length - 1];
+      }
+
+      if (match && match.status === 'suggested' && match.score >= this.threshold && !match.notifiedAt) {
+        toNotify.push({ match, pet: candidate.pet });
+      }
+    }
+
+    // 同分时已认证宠物排在前面
+    report.matches.sort((a, b) => b.score - a.score || (b.breakdown.verified || 0) - (a.breakdown.verified || 0));
+    report.lastMatchedAt = now;
+
+    const strongMatches = report.matches.filter(match => match.status === 'suggested' && match.score >= this.threshold);
+    report.status = strongMatches.length > 0 ? 'matched' : 'open';
+
+    for (const { match, pet } of toNotify) {
+      await this.notifyMatch(report, match, pet);
+      match.notifiedAt = now;
+    }
+
+    await report.save();
+    return strongMatches;
+  }
+
+  /**
+   * 通知主人与发现者：紧急场景下无视免疫
+   * @param {Object} report - 发现报告
+   * @param {Object} match - 匹配
+   * @param {Object} pet - 宠物
+   */
+  async notifyMatch(report, match, pet) {
+    const strain = {
+      type: 'emergency',
+      subtype: 'found_match',
+      content: {
+        alertId: match.alertId,
+        foundReportId: report._id,
+        petId: pet._id,
+        petName: pet.name,
+        score: match.score,
+        breakdown: match.breakdown,
+        distanceKm: match.distanceKm,
+        location: report.location,
+        foundAt: report.foundAt
+      }
+    };
+
+    // 主人与具备 alert 权限的共同主人都会收到通知
+    const alertCoOwners = (pet.coOwners || [])
+      .filter(coOwner => coOwner.permissions.includes('alert'))
+      .map(coOwner => coOwner.userId.toString());
+
+    await this.emergencyProtocol.dealerService.spreadToUsers(
+      [pet.ownerId.toString(), ...alertCoOwners, report.reporterId.toString()],
+      strain,
+      { overrideImmunity: true }
+    );
+
+    console.log(`🔔 发现报告匹配已通知: ${report._id} ↔ ${pet._id} (${match.score})`);
+  }
+
+  /**
+   * 驳回候选匹配 - 发现者或该宠物主人均可驳回
+   * @param {string} reportId - 报告ID
+   * @param {string} matchId - 匹配ID
+   * @param {string} userId - 操作用户ID
+   * @returns {Promise<Object>} 发现报告
+   */
+  async dismissMatch(reportId, matchId, userId) {
+    const report = await this.getFoundReport(reportId);
+    const match = report.matches.id(matchId);
+    if (!match) {
+      throw AppError.notFound('MATCH_NOT_FOUND', '候选匹配不存在');
+    }
+    if (report.reporterId.toString() !== userId && match.ownerId.toString() !== userId) {
+      const pet = await Pet.findById(match.petId);
+      if (!pet || !pet.hasPermission(userId, 'alert')) {
+        throw AppError.forbidden('NOT_MATCH_PARTY', '只有发现者或宠物主人可以驳回匹配');
+      }
+    }
+
+    match.status = 'dismissed';
+    match.dismissedBy = userId;
+    match.updatedAt = new Date();
+
+    if (report.status === 'matched' &&
+        !report.matches.some(other => other.status === 'suggested' && other.score >= this.threshold)) {
+      report.status = 'open';
+    }
+
+    await report.save();
+    return report;
+  }
+
+  /**
+   * 发现者关闭报告（动物已交还或送至收容所）
+   * @param {string} reportId - 报告ID
+   * @param {string} userId - 操作用户ID
+   * @returns {Promise<Object>} 发现报告
+   */
+  async closeReport(reportId, userId) {
+    const report = await this.getFoundReport(reportId);
+    if (report.reporterId.toString() !== userId) {
+      throw AppError.forbidden('NOT_REPORT_OWNER', '只有发现者可以关闭报告');
+    }
+    if (report.status === 'closed') {
+      throw AppError.conflict('FOUND_REPORT_CLOSED', '发现报告已关闭');
+    }
+    return report.close();
+  }
+}
+
+FoundMatchService.MATCH_WEIGHTS = MATCH_WEIGHTS;
+
+module.exports = FoundMatchService;
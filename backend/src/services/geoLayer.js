@@ -0,0 +1,45 @@
+const { MongoPropagationStore } = require('./propagationStore');
+const { haversineDistance } = require('../utils/coordinates');
+
+/**
+ * 地理层 - 基于道德经"天下之至柔，驰骋天下之至坚"理念
+ * 由存储层按球面距离解析半径内的用户
+ */
+class GeoLayer {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - 传播数据存储，默认使用MongoDB
+   */
+  constructor({ store } = {}) {
+    this.store = store || new MongoPropagationStore();
+  }
+
+  /**
+   * 计算两点间距离(公里) - Haversine公式
+   * @param {number} lat1 - 纬度1
+   * @param {number} lng1 - 经度1
+   * @param {number} lat2 - 纬度2
+   * @param {number} lng2 - 经度2
+   * @returns {number} 距离(公里)
+   */
+  calculateDistance(lat1, lng1, lat2, lng2) {
+    return haversineDistance(lat1, lng1, lat2, lng2);
+  }
+
+  /**
+   * 解析半径内的用户，按距离由近到远排序
+   * @param {number} latitude - 中心纬度
+   * @param {number} longitude - 中心经度
+   * @param {number} radius - 半径(公里)
+   * @returns {Promise<Array>} 用户列表，每项附带 distance(公里)
+   */
+  async findUsersInRadius(latitude, longitude, radius) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !(radius > 0)) {
+      return [];
+    }
+
+    return this.store.findUsersNear(latitude, longitude, radius);
+  }
+}
+
+module.exports = GeoLayer;
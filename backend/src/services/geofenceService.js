@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const { Pet, EmergencyAlert } = require('../models');
+const { AppError } = require('../utils/errors');
+const { parseCoordinates, haversineDistance, isPointInPolygon } = require('../utils/coordinates');
+
+const MAX_SAFE_ZONES = 10;
+const MAX_TRACKERS = 3;
+const MAX_POLYGON_POINTS = 50;
+// 设备时钟误差容忍，超过则视为无效时间戳
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+/**
+ * 地理围栏服务 - 基于道德经"知止不殆，可以长久"理念
+ * 主人为宠物划定圆形或多边形安全区并绑定GPS项圈；设备上报定位，离开安全区超过停留时间即自动生成警报草稿
+ */
+class GeofenceService {
+  /**
+   * @param {Object} options
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例，用于创建警报草稿与推送
+   * @param {number} [options.dwellMinutes] - 离开安全区多少分钟后生成警报草稿
+   */
+  constructor({ emergencyProtocol, dwellMinutes } = {}) {
+    this.emergencyProtocol = emergencyProtocol;
+    this.dwellMinutes = dwellMinutes || parseFloat(process.env.GEOFENCE_DWELL_MINUTES) || 10;
+  }
+
+  async loadOwnedPet(petId, userId, permission, select) {
+    const query = Pet.findById(petId);
+    const pet = await (select ? query.select(select) : query);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    if (!pet.hasPermission(userId, permission)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以管理安全区与定位设备');
+    }
+    return pet;
+  }
+
+  /**
+   * 校验并规范化安全区
+   * @param {Object} data - { name, shape, center, radiusMeters, polygon, active }
+   * @returns {Object} 安全区
+   */
+  parseZone({ name, shape, center, radiusMeters, polygon, active } = {}) {
+    const enabled = active !== false;
+    if (!name || !String(name).trim()) {
+      throw AppError.badRequest('MISSING_ZONE_NAME', '请填写安全区名称');
+    }
+
+    if (shape === 'circle') {
+      const radius = Number(radiusMeters);
+      if (!Number.isFinite(radius) || radius < 10 || radius > 50000) {
+        throw AppError.badRequest('INVALID_ZONE_RADIUS', '安全区半径必须在10-50000米之间');
+      }
+      return { name, shape, center: parseCoordinates(center), radiusMeters: radius, polygon: [], active: enabled };
+    }
+
+    if (shape === 'polygon') {
+      if (!Array.isArray(polygon) || polygon.length < 3 || polygon.length > MAX_POLYGON_POINTS) {
+        throw AppError.badRequest('INVALID_ZONE_POLYGON', `多边形安全区需要3-${MAX_POLYGON_POINTS}个顶点`);
+      }
+      return { name, shape, center: undefined, radiusMeters: undefined, polygon: polygon.map(point => parseCoordinates(point)), active: enabled };
+    }
+
+    throw AppError.badRequest('INVALID_ZONE_SHAPE', '安全区形状必须为 circle 或 polygon');
+  }
+
+  /**
+   * 判断位置是否在安全区内
+   * @param {Object} zone - 安全区
+   * @param {Object} point - { latitude, longitude }
+   * @returns {boolean} 是否在区内
+   */
+  containsPoint(zone, point) {
+    if (zone.shape === 'circle') {
+      const distanceKm = haversineDistance(
+        zone.center.latitude, zone.center.longitude, point.latitude, point.longitude
+      );
+      return distanceKm * 1000 <= zone.radiusMeters;
+    }
+    return isPointInPolygon(point, zone.polygon);
+  }
+
+  /**
+   * 安全区列表
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Array>} 安全区
+   */
+  async listZones(petId, userId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'view');
+    return pet.safeZones;
+  }
+
+  /**
+   * 添加安全区
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} data - 安全区数据
+   * @returns {Promise<Object>} 新安全区
+   */
+  async createZone(petId, userId, data) {
+    const zone = this.parseZone(data);
+    const pet = await this.loadOwnedPet(petId, userId, 'edit');
+    if (pet.safeZones.length >= MAX_SAFE_ZONES) {
+      throw AppError.badRequest('SAFE_ZONE_LIMIT', `每只宠物最多设置${MAX_SAFE_ZONES}个安全区`);
+    }
+
+    pet.safeZones.push(zone);
+    await pet.save();
+    return pet.safeZones[pet.safeZones.length - 1];
+  }
+
+  /**
+   * 修改安全区（整体替换形状）
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} zoneId - 安全区ID
+   * @param {Object} data - 安全区数据
+   * @returns {Promise<Object>} 修改后的安全区
+   */
+  async updateZone(petId, userId, zoneId, data) {
+    const pet = await this.loadOwnedPet(petId, userId, 'edit');
+    const zone = pet.safeZones.id(zoneId);
+    if (!zone) {
+      throw AppError.notFound('SAFE_ZONE_NOT_FOUND', '安全区不存在');
+    }
+
+    zone.set(this.parseZone({ ...zone.toObject(), ...data }));
+    await pet.save();
+    return zone;
+  }
+
+  /**
+   * 删除安全区
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} zoneId - 安全区ID
+   */
+  async deleteZone(petId, userId, zoneId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'edit');
+    const zone = pet.safeZones.id(zoneId);
+    if (!zone) {
+      throw AppError.notFound('SAFE_ZONE_NOT_FOUND', '安全区不存在');
+    }
+
+    zone.deleteOne();
+    await pet.save();
+  }
+
+  /**
+   * 定位设备与围栏状态
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { trackers, geofence, dwellMinutes }
+   */
+  async getTrackers(petId, userId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'view');
+    return { trackers: pet.trackers, geofence: pet.geofence, dwellMinutes: this.dwellMinutes };
+  }
+
+  /**
+   * 绑定定位设备，返回仅展示一次的设备密钥
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} data - { deviceId, label }
+   * @returns {Promise<Object>} { deviceId, label, secret }
+   */
+  async registerTracker(petId, userId, { deviceId, label } = {}) {
+    const normalized = String(deviceId || '').trim();
+    if (!/^[\w:.-]{4,64}$/.test(normalized)) {
+      throw AppError.badRequest('INVALID_DEVICE_ID', '设备ID为4-64位字母、数字或 : . _ -');
+    }
+
+    const pet = await this.loadOwnedPet(petId, userId, 'edit', '+trackers.secretHash');
+    if (pet.trackers.length >= MAX_TRACKERS) {
+      throw AppError.badRequest('TRACKER_LIMIT', `每只宠物最多绑定${MAX_TRACKERS}个定位设备`);
+    }
+    if (await Pet.exists({ 'trackers.deviceId': normalized })) {
+      throw AppError.conflict('TRACKER_IN_USE', '该设备已绑定其他宠物');
+    }
+
+    const secret = crypto.randomBytes(24).toString('hex');
+    pet.trackers.push({ deviceId: normalized, label, secretHash: hashSecret(secret) });
+    await pet.save();
+
+    console.log(`📡 定位设备已绑定: ${normalized} -> ${pet._id}`);
+    return { deviceId: normalized, label, secret };
+  }
+
+  /**
+   * 解绑定位设备
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} deviceId - 设备ID
+   */
+  async removeTracker(petId, userId, deviceId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'edit', '+trackers.secretHash');
+    const tracker = pet.trackers.find(item => item.deviceId === deviceId);
+    if (!tracker) {
+      throw AppError.notFound('TRACKER_NOT_FOUND', '定位设备不存在');
+    }
+
+    tracker.deleteOne();
+    await pet.save();
+  }
+
+  /**
+   * 以设备ID与密钥认证上报设备
+   * @param {string} deviceId - 设备ID
+   * @param {string} secret - 设备密钥
+   * @returns {Promise<Object>} { pet, tracker }
+   */
+  async authenticateDevice(deviceId, secret) {
+    const pet = deviceId && secret
+      ? await Pet.findOne({ 'trackers.deviceId': String(deviceId) }).select('+trackers.secretHash')
+      : null;
+    const tracker = pet && pet.trackers.find(item => item.deviceId === String(deviceId));
+
+    const expected = Buffer.from(tracker ? tracker.secretHash : '', 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (!tracker || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw AppError.unauthorized('INVALID_DEVICE_CREDENTIALS', '设备ID或密钥无效');
+    }
+    return { pet, tracker };
+  }
+
+  /**
+   * 处理设备定位上报：更新最后已知位置，并检测是否离开安全区
+   * 早于上一次上报的定位只记录不参与判定；没有启用的安全区时不做检测
+   * @param {Object} ping - { deviceId, secret, latitude, longitude, timestamp }
+   * @returns {Promise<Object>} { inside, outsideSince, draftAlertId, ignored }
+   */
+  async ingestPing({ deviceId, secret, latitude, longitude, timestamp }) {
+    const point = parseCoordinates({ latitude, longitude });
+    const recordedAt = timestamp ? new Date(timestamp) : new Date();
+    if (Number.isNaN(recordedAt.getTime()) || recordedAt.getTime() > Date.now() + CLOCK_SKEW_MS) {
+      throw AppError.badRequest('INVALID_TIMESTAMP', '定位时间无效或晚于当前时间');
+    }
+
+    const { pet, tracker } = await this.authenticateDevice(deviceId, secret);
+    const lastPingAt = pet.geofence && pet.geofence.lastPingAt;
+    if (lastPingAt && recordedAt <= lastPingAt) {
+      return { inside: null, outsideSince: pet.geofence.outsideSince, draftAlertId: pet.geofence.draftAlertId, ignored: true };
+    }
+
+    tracker.lastPingAt = recordedAt;
+    pet.lastKnownLocation = { ...point, timestamp: recordedAt };
+    pet.set('geofence.lastPingAt', recordedAt);
+
+    const zones = pet.safeZones.filter(zone => zone.active);
+    const inside = zones.length === 0 ? null : zones.some(zone => this.containsPoint(zone, point));
+
+    if (inside === false) {
+      if (!pet.geofence.outsideSince) {
+        pet.set('geofence.outsideSince', recordedAt);
+      }
+      if (!pet.geofence.draftAlertId &&
+          recordedAt - pet.geofence.outsideSince >= this.dwellMinutes * 60 * 1000) {
+        await this.openDraftAlert(pet, point);
+      }
+    } else {
+      if (inside) await this.closeDraftAlert(pet);
+      pet.set('geofence.outsideSince', undefined);
+    }
+
+    await pet.save();
+
+    return {
+      inside,
+      outsideSince: pet.geofence.outsideSince,
+      draftAlertId: pet.geofence.draftAlertId,
+      ignored: false
+    };
+  }
+
+  /**
+   * 离开安全区超过停留时间：已有活跃警报时不再生成，否则创建警报草稿并通知主人确认发布
+   * @param {Object} pet - 宠物
+   * @param {Object} point - 当前定位
+   */
+  async openDraftAlert(pet, point) {
+    if (await EmergencyAlert.exists({ petId: pet._id, status: { $in: ['draft', 'active'] } })) {
+      return;
+    }
+
+    const alert = await this.emergencyProtocol.createEmergencyAlert({
+      petId: pet._id,
+      reporterId: pet.ownerId.toString(),
+      alertType: 'lost',
+      title: `${pet.name}离开了安全区`,
+      description: `定位设备显示${pet.name}已离开安全区超过${this.dwellMinutes}分钟，请确认后发布寻宠警报`,
+      location: point,
+      urgencyLevel: 'high',
+      incidentTime: pet.geofence.outsideSince,
+      draft: true
+    });
+    pet.set('geofence.draftAlertId', alert._id);
+
+    await this.emergencyProtocol.dealerService.notifyUser(pet.ownerId, 'geofence_exit', {
+      petId: pet._id,
+      petName: pet.name,
+      alertId: alert._id,
+      location: point,
+      outsideSince: pet.geofence.outsideSince
+    });
+    console.log(`🚧 ${pet._id} 离开安全区，已生成警报草稿 ${alert._id}`);
+  }
+
+  /**
+   * 回到安全区：主人尚未发布的草稿自动取消，已发布的警报保持不变
+   * @param {Object} pet - 宠物
+   */
+  async closeDraftAlert(pet) {
+    const draftAlertId = pet.geofence && pet.geofence.draftAlertId;
+    if (!draftAlertId) return;
+
+    const alert = await EmergencyAlert.findById(draftAlertId);
+    if (alert && alert.status === 'draft') {
+      await alert.markAsCancelled(undefined, '宠物已回到安全区');
+    }
+    pet.set('geofence.draftAlertId', undefined);
+  }
+}
+
+module.exports = GeofenceService;
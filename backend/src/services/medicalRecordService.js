@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { Pet } = require('../models');
+const { CJK_FONT } = require('../config/fonts');
+const { AppError } = require('../utils/errors');
+
+const RECORD_FORMAT = 'furlink.medical-record';
+const RECORD_VERSION = 1;
+const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUE_SOON_DAYS = 30;
+
+const RECORD_TYPE_LABELS = {
+  vaccination: '疫苗',
+  checkup: '体检',
+  surgery: '手术',
+  medication: '用药',
+  emergency: '急诊'
+};
+
+const VACCINATION_STATUS_LABELS = {
+  up_to_date: '有效',
+  due_soon: '即将到期',
+  overdue: '已逾期'
+};
+
+const SPECIES_LABELS = {
+  dog: '狗', cat: '猫', bird: '鸟', rabbit: '兔', hamster: '仓鼠', reptile: '爬宠', other: '其他'
+};
+
+/**
+ * 按键排序序列化，保证同一份档案在导出与导入两端得到相同的签名原文
+ * @param {*} value - 任意JSON值
+ * @returns {string} 规范化JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+
+/**
+ * 医疗档案服务 - 基于道德经"信言不美，美言不信"理念
+ * 将宠物的健康记录、附件、体重与疫苗状态导出为签名的JSON档案与PDF摘要，并可导入到另一账户的宠物
+ */
+class MedicalRecordService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.signingSecret] - 档案签名密钥
+   * @param {string} [options.fontPath] - 本地字体文件路径(TTF/OTF/TTC)
+   * @param {string} [options.fontFamily] - TTC 字体集合中使用的字体名
+   */
+  constructor({ signingSecret, fontPath, fontFamily } = {}) {
+    this.signingSecret = signingSecret || process.env.MEDICAL_RECORD_SECRET || process.env.JWT_SECRET || null;
+    this.fontPath = fontPath || CJK_FONT.path;
+    this.fontFamily = fontFamily || CJK_FONT.family;
+  }
+
+  async loadOwnedPet(petId, userId, permission) {
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    if (!pet.hasPermission(userId, permission)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以导出或导入医疗档案');
+    }
+    return pet;
+  }
+
+  /**
+   * 计算档案签名
+   * @param {Object} bundle - 档案
+   * @returns {string} 十六进制签名
+   */
+  sign(bundle) {
+    // 密钥缺失时拒绝签名，避免随机密钥导致重启后的档案无法校验
+    if (!this.signingSecret) {
+      throw new AppError('RECORD_SIGNING_UNAVAILABLE', '未配置档案签名密钥，请设置 MEDICAL_RECORD_SECRET', 500);
+    }
+    return crypto.createHmac('sha256', this.signingSecret).update(canonicalJson(bundle)).digest('hex');
+  }
+
+  /**
+   * 校验档案签名
+   * @param {Object} bundle - 档案
+   * @param {Object} signature - { algorithm, value }
+   * @returns {boolean}
+   */
+  verify(bundle, signature) {
+    if (!signature || signature.algorithm !== SIGNATURE_ALGORITHM || typeof signature.value !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(bundle), 'hex');
+    const actual = Buffer.from(signature.value, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * 疫苗状态：按启用中的疫苗计划判断有效、即将到期或逾期
+   * @param {Object} pet - 宠物
+   * @param {Date} now - 当前时间
+   * @returns {Array} 疫苗状态列表
+   */
+  buildVaccinationStatus(pet, now) {
+    return (pet.careSchedules || [])
+      .filter(schedule => schedule.type === 'vaccination' && schedule.active)
+      .map(schedule => {
+        let status = 'up_to_date';
+        if (schedule.nextDueAt <= now) {
+          status = 'overdue';
+        } else if (schedule.nextDueAt - now <= DUE_SOON_DAYS * DAY_MS) {
+          status = 'due_soon';
+        }
+        return {
+          name: schedule.name,
+          intervalDays: schedule.intervalDays,
+          lastAdministeredAt: schedule.lastAdministeredAt,
+          nextDueAt: schedule.nextDueAt,
+          status
+        };
+      });
+  }
+
+  /**
+   * 体重记录；尚无体重记录的旧档案以当前体重作为唯一记录
+   * @param {Object} pet - 宠物
+   * @returns {Array} [{ weight, bodyConditionScore, recordedAt, note }]
+   */
+  buildWeightHistory(pet) {
+    const history = pet.weightHistory || [];
+    if (history.length === 0) {
+      return pet.weight ? [{ weight: pet.weight, recordedAt: pet.updatedAt || new Date() }] : [];
+    }
+    return [...history]
+      .sort((a, b) => a.recordedAt - b.recordedAt)
+      .map(entry => ({
+        weight: entry.weight,
+        bodyConditionScore: entry.bodyConditionScore,
+        recordedAt: entry.recordedAt,
+        note: entry.note
+      }));
+  }
+
+  /**
+   * 组装医疗档案（日期统一为ISO字符串，与导入时收到的JSON一致）
+   * @param {Object} pet - 宠物
+   * @returns {Object} 档案
+   */
+  buildBundle(pet) {
+    const now = new Date();
+    const { microchip } = pet.identification || {};
+    const healthRecords = [...(pet.healthRecords || [])]
+      .sort((a, b) => a.date - b.date)
+      .map(record => ({
+        type: record.type,
+        date: record.date,
+        description: record.description,
+        veterinarian: record.veterinarian && record.veterinarian.toObject
+          ? record.veterinarian.toObject()
+          : record.veterinarian,
+        documents: (record.documents || []).map(doc => ({ url: doc.url, name: doc.name }))
+      }));
+
+    const bundle = {
+      format: RECORD_FORMAT,
+      version: RECORD_VERSION,
+      exportedAt: now,
+      sourcePetId: pet._id,
+      pet: {
+        name: pet.name,
+        species: pet.species,
+        breed: pet.breed,
+        age: pet.age,
+        gender: pet.gender,
+        color: pet.color,
+        microchip: microchip && microchip.number ? microchip.number : null
+      },
+      healthRecords,
+      documents: healthRecords.flatMap(record => record.documents.map(doc => ({
+        ...doc,
+        recordType: record.type,
+        recordDate: record.date
+      }))),
+      weightHistory: this.buildWeightHistory(pet),
+      vaccinations: this.buildVaccinationStatus(pet, now)
+    };
+
+    return JSON.parse(JSON.stringify(bundle));
+  }
+
+  /**
+   * 导出JSON档案
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { bundle, signature }
+   */
+  async exportJson(petId, userId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'view');
+    const bundle = this.buildBundle(pet);
+    return {
+      bundle,
+      signature: { algorithm: SIGNATURE_ALGORITHM, value: this.sign(bundle) }
+    };
+  }
+
+  /**
+   * 导出PDF摘要，页脚与文档属性中附带与JSON档案相同的签名，便于核对
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { buffer, signature, pet }
+   */
+  async exportPdf(petId, userId) {
+    if (!fs.existsSync(this.fontPath)) {
+      throw new AppError('PDF_FONT_MISSING', 'PDF字体未安装，请配置 POSTER_FONT_PATH', 500);
+    }
+
+    const { bundle, signature } = await this.exportJson(petId, userId);
+    const { pet } = bundle;
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `${pet.name} 医疗档案`,
+        Author: 'FurLink',
+        Subject: `${SIGNATURE_ALGORITHM}:${signature.value}`
+      }
+    });
+    doc.registerFont('record', this.fontPath, this.fontPath.endsWith('.ttc') ? this.fontFamily : undefined);
+    doc.font('record');
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const section = (title) => {
+      doc.moveDown(0.8).fillColor('#1a73e8').fontSize(15).text(title);
+      doc.fillColor('#000000').fontSize(11).moveDown(0.3);
+    };
+
+    doc.fontSize(24).text(`${pet.name} 医疗档案`, { align: 'center' });
+    doc.fillColor('#666666').fontSize(10)
+      .text(`导出时间：${new Date(bundle.exportedAt).toLocaleString('zh-CN', { hour12: false })}`, { align: 'center' });
+
+    section('基本信息');
+    [
+      ['物种', SPECIES_LABELS[pet.species] || pet.species],
+      ['品种', pet.breed],
+      ['年龄', pet.age !== undefined && pet.age !== null ? `${pet.age} 岁` : null],
+      ['性别', { male: '公', female: '母' }[pet.gender]],
+      ['毛色', pet.color],
+      ['芯片号', pet.microchip]
+    ].filter(([, value]) => value).forEach(([label, value]) => doc.text(`${label}：${value}`));
+
+    section('疫苗状态');
+    if (bundle.vaccinations.length === 0) {
+      doc.text('暂无疫苗计划');
+    }
+    bundle.vaccinations.forEach(item => {
+      doc.text(`${item.name}　上次接种 ${formatDate(item.lastAdministeredAt)}　下次到期 ${formatDate(item.nextDueAt)}　${VACCINATION_STATUS_LABELS[item.status]}`);
+    });
+
+    section('体重');
+    if (bundle.weightHistory.length === 0) {
+      doc.text('暂无体重记录');
+    }
+    bundle.weightHistory.forEach(item => doc.text([
+      formatDate(item.recordedAt),
+      item.weight ? `${item.weight} kg` : null,
+      item.bodyConditionScore ? `体况评分 ${item.bodyConditionScore}/9` : null
+    ].filter(Boolean).join('　')));
+
+    section('健康记录');
+    if (bundle.healthRecords.length === 0) {
+      doc.text('暂无健康记录');
+    }
+    bundle.healthRecords.forEach(record => {
+      const vet = record.veterinarian || {};
+      doc.text(`${formatDate(record.date)}　[${RECORD_TYPE_LABELS[record.type] || record.type}] ${record.description || ''}`);
+      if (vet.name || vet.clinic) {
+        doc.fillColor('#666666').text(`　兽医：${[vet.name, vet.clinic, vet.contact].filter(Boolean).join(' · ')}`).fillColor('#000000');
+      }
+    });
+
+    if (bundle.documents.length > 0) {
+      section('附件');
+      bundle.documents.forEach(item => doc.text(`${formatDate(item.recordDate)}　${item.name || '附件'}：${item.url}`));
+    }
+
+    doc.moveDown(1.5).fillColor('#666666').fontSize(8)
+      .text(`签名（${SIGNATURE_ALGORITHM}）：${signature.value}`)
+      .text('该签名与同时导出的JSON档案一致，可在导入时校验档案未被篡改。');
+
+    doc.end();
+    const buffer = await done;
+
+    console.log(`📄 医疗档案PDF已导出: ${bundle.sourcePetId}`);
+    return { buffer, signature, pet };
+  }
+
+  /**
+   * 导入JSON档案到当前用户的宠物：校验签名后合并健康记录、疫苗计划与体重，已存在的记录跳过
+   * @param {string} petId - 目标宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} payload - exportJson 的输出 { bundle, signature }
+   * @returns {Promise<Object>} 导入结果
+   */
+  async importJson(petId, userId, { bundle, signature } = {}) {
+    if (!bundle || bundle.format !== RECORD_FORMAT || bundle.version !== RECORD_VERSION) {
+      throw AppError.badRequest('INVALID_RECORD_FORMAT', '无法识别的医疗档案格式');
+    }
+    if (!this.verify(bundle, signature)) {
+      throw AppError.badRequest('INVALID_RECORD_SIGNATURE', '医疗档案签名无效或已被修改');
+    }
+
+    const pet = await this.loadOwnedPet(petId, userId, 'edit');
+    if (bundle.pet.species !== pet.species) {
+      throw AppError.conflict('RECORD_SPECIES_MISMATCH', '档案物种与目标宠物不一致');
+    }
+    const { microchip } = pet.identification || {};
+    if (bundle.pet.microchip && microchip && microchip.number && microchip.number !== bundle.pet.microchip) {
+      throw AppError.conflict('RECORD_CHIP_MISMATCH', '档案芯片号与目标宠物不一致');
+    }
+
+    const recordKey = record => `${record.type}|${new Date(record.date).toISOString()}|${record.description || ''}`;
+    const existingRecords = new Set(pet.healthRecords.map(recordKey));
+    const newRecords = (bundle.healthRecords || []).filter(record => !existingRecords.has(recordKey(record)));
+    newRecords.forEach(record => pet.healthRecords.push({
+      type: record.type,
+      date: record.date,
+      description: record.description,
+      veterinarian: record.veterinarian,
+      documents: record.documents
+    }));
+
+    const existingVaccines = new Set(pet.careSchedules
+      .filter(schedule => schedule.type === 'vaccination')
+      .map(schedule => schedule.name));
+    const newVaccines = (bundle.vaccinations || []).filter(item => !existingVaccines.has(item.name));
+    newVaccines.forEach(item => pet.careSchedules.push({
+      type: 'vaccination',
+      name: item.name,
+      intervalDays: item.intervalDays,
+      lastAdministeredAt: item.lastAdministeredAt,
+      nextDueAt: item.nextDueAt
+    }));
+
+    const existingWeights = new Set(pet.weightHistory.map(entry => new Date(entry.recordedAt).toISOString()));
+    const newWeights = (bundle.weightHistory || [])
+      .filter(entry => !existingWeights.has(new Date(entry.recordedAt).toISOString()));
+    newWeights.forEach(entry => pet.recordWeight({
+      weight: entry.weight,
+      bodyConditionScore: entry.bodyConditionScore,
+      recordedAt: new Date(entry.recordedAt),
+      note: entry.note
+    }));
+
+    await pet.save();
+
+    console.log(`📥 医疗档案已导入: ${bundle.sourcePetId} -> ${pet._id}`);
+    return {
+      sourcePetId: bundle.sourcePetId,
+      healthRecords: { imported: newRecords.length, skipped: (bundle.healthRecords || []).length - newRecords.length },
+      vaccinations: { imported: newVaccines.length, skipped: (bundle.vaccinations || []).length - newVaccines.length },
+      weightHistory: { imported: newWeights.length, skipped: (bundle.weightHistory || []).length - newWeights.length }
+    };
+  }
+}
+
+module.exports = MedicalRecordService;
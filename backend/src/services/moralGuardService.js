@@ -1,4 +1,7 @@
-const { User, UserService } = require('../models');
+const { User, PetService } = require('../models');
+
+// 计入IP发布数量的服务状态（含待审核，避免同一IP批量提交）
+const LISTED_STATUSES = ['active', 'pending_verification'];
 
 /**
  * 道德风控服务
@@ -13,8 +16,14 @@ class MoralGuardService {
    * 2. 差评率>30%自动冻结（"利而不害"）
    * 3. 同一IP下服务数≤2（防止刷单）
    * 4. 服务数量上限检查（"知足不辱"）
+   * 编辑已发布的服务时不占用新名额，只复查差评规则
+   *
+   * @param {string} userId - 服务提供者ID
+   * @param {Object} serviceData - 服务数据，含 ipAddress
+   * @param {Object} [options]
+   * @param {boolean} [options.existingService] - 是否为已发布服务的编辑
    */
-  async validateServicePublication(userId, serviceData) {
+  async validateServicePublication(userId, serviceData, { existingService = false } = {}) {
     try {
       // 优化74: 输入验证
       if (!userId || typeof userId !== 'string') {
@@ -33,7 +42,7 @@ class MoralGuardService {
       const violations = [];
 
       // 规则1：新用户7天内只能发布1个服务（"知止不殆"）- 优化75: 增强错误处理
-      if (user.isNewUser) {
+      if (user.isNewUser && !existingService) {
         try {
           const accountAge = (Date.now() - new Date(user.createdAt).getTime()) / (24 * 60 * 60 * 1000);
           if (accountAge < 7 && user.serviceSlots?.currentServices >= 1) {
@@ -57,7 +66,7 @@ class MoralGuardService {
       }
 
       // 规则2：差评率>30%自动冻结（"利而不害"）
-      const userServices = await UserService.find({ userId, isActive: true });
+      const userServices = await PetService.find({ providerId: userId, status: 'active' }).select('ratings');
       if (userServices.length > 0) {
         const totalNegativeRate = userServices.reduce((sum, s) => 
           sum + s.ratings.negativeRate, 0) / userServices.length;
@@ -72,8 +81,8 @@ class MoralGuardService {
           });
           
           // 自动暂停所有服务
-          await UserService.updateMany(
-            { userId },
+          await PetService.updateMany(
+            { providerId: userId },
             { moralStatus: 'suspended' }
           );
         }
@@ -81,10 +90,10 @@ class MoralGuardService {
 
       // 规则3：同一IP下服务数≤2（防止刷单）
       const ipAddress = serviceData.ipAddress;
-      if (ipAddress) {
-        const servicesFromSameIP = await UserService.countDocuments({
+      if (ipAddress && !existingService) {
+        const servicesFromSameIP = await PetService.countDocuments({
           'metadata.ipAddress': ipAddress,
-          isActive: true
+          status: { $in: LISTED_STATUSES }
         });
         
         if (servicesFromSameIP >= 2) {
@@ -98,7 +107,7 @@ class MoralGuardService {
       }
 
       // 规则4：服务数量上限检查（"知足不辱"）
-      if (user.serviceSlots.currentServices >= user.serviceSlots.maxServices) {
+      if (!existingService && user.serviceSlots.currentServices >= user.serviceSlots.maxServices) {
         violations.push({
           rule: 'SLOT_LIMIT',
           message: `知足不辱：您已达到服务上限（${user.serviceSlots.maxServices}个）`,
@@ -165,8 +174,8 @@ class MoralGuardService {
 
       // 如果信用分跌破65分，自动禁止发布新服务
       if (newScore < 65) {
-        await UserService.updateMany(
-          { userId },
+        await PetService.updateMany(
+          { providerId: userId, moralStatus: 'active' },
           { moralStatus: 'warning' }
         );
       }
@@ -215,9 +224,9 @@ class MoralGuardService {
       }
 
       // 检查服务状态
-      const activeServices = await UserService.find({
-        userId,
-        isActive: true,
+      const activeServices = await PetService.find({
+        providerId: userId,
+        status: 'active',
         moralStatus: 'suspended'
       });
 
@@ -248,7 +257,7 @@ class MoralGuardService {
    */
   async calculateServiceRiskScore(serviceId) {
     try {
-      const service = await UserService.findById(serviceId).populate('userId');
+      const service = await PetService.findById(serviceId).populate('providerId', 'creditScore');
       if (!service) {
         return 100; // 服务不存在，最高风险
       }
@@ -259,7 +268,7 @@ class MoralGuardService {
       riskScore += service.ratings.negativeRate * 50;
 
       // 信用分风险
-      const creditRisk = (100 - service.userId.creditScore) * 0.3;
+      const creditRisk = (100 - (service.providerId?.creditScore ?? 60)) * 0.3;
       riskScore += creditRisk;
 
       // 服务时效性风险
@@ -0,0 +1,412 @@
+const { User, Pet, EmergencyAlert, PetTransfer, ReporterGrant } = require('../models');
+const { AppError } = require('../utils/errors');
+
+const CO_OWNER_PERMISSIONS = ['view', 'edit', 'alert'];
+const MAX_CO_OWNERS = 5;
+const TRANSFER_REASONS = ['adoption', 'rehoming', 'family', 'other'];
+
+/**
+ * 宠物归属服务 - 基于道德经"生而不有，为而不恃"理念
+ * 管理共同主人及其权限，并以邀请、接受的方式完成宠物转让，全程保留审计记录
+ */
+class PetOwnershipService {
+  /**
+   * @param {Object} options
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例，复用其推送通道通知双方
+   * @param {number} [options.transferExpiryDays] - 转让邀请有效天数
+   */
+  constructor({ emergencyProtocol, transferExpiryDays } = {}) {
+    this.emergencyProtocol = emergencyProtocol;
+    this.transferExpiryDays = transferExpiryDays || parseFloat(process.env.PET_TRANSFER_EXPIRY_DAYS) || 7;
+  }
+
+  /**
+   * 校验并规范化共同主人权限，view 始终包含
+   * @param {Array} permissions - 权限列表
+   * @returns {Array} 规范化后的权限
+   */
+  parsePermissions(permissions = ['view']) {
+    if (!Array.isArray(permissions) || permissions.some(permission => !CO_OWNER_PERMISSIONS.includes(permission))) {
+      throw AppError.badRequest('INVALID_PERMISSIONS', `权限必须为 ${CO_OWNER_PERMISSIONS.join(', ')} 的组合`);
+    }
+    return CO_OWNER_PERMISSIONS.filter(permission => permission === 'view' || permissions.includes(permission));
+  }
+
+  async loadPet(petId) {
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    return pet;
+  }
+
+  async loadOwnedPet(petId, userId) {
+    const pet = await this.loadPet(petId);
+    if (!pet.isOwner(userId)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以管理共同主人与转让');
+    }
+    return pet;
+  }
+
+  async loadActiveUser(userId) {
+    const user = await User.findById(userId);
+    if (!user || user.isActive === false) {
+      throw AppError.notFound('USER_NOT_FOUND', '用户不存在');
+    }
+    return user;
+  }
+
+  /**
+   * 推送转让通知，失败不影响转让流程
+   * @param {string} userId - 接收者ID
+   * @param {Object} transfer - 转让记录
+   * @param {Object} pet - 宠物
+   * @param {string} action - invited / accepted / declined / cancelled
+   */
+  async notifyTransfer(userId, transfer, pet, action) {
+    await this.emergencyProtocol.dealerService.notifyUser(userId, 'pet_transfer', {
+      transferId: transfer._id,
+      petId: pet._id,
+      petName: pet.name,
+      action,
+      fromUserId: transfer.fromUserId,
+      toUserId: transfer.toUserId,
+      reason: transfer.reason,
+      message: transfer.message
+    });
+  }
+
+  /**
+   * 共同主人列表
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 查看者ID（主人或共同主人）
+   * @returns {Promise<Array>} 共同主人
+   */
+  async listCoOwners(petId, userId) {
+    const pet = await this.loadPet(petId);
+    if (!pet.hasPermission(userId, 'view')) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人或共同主人可以查看');
+    }
+
+    await pet.populate('coOwners.userId', 'nickname avatar');
+    return pet.coOwners;
+  }
+
+  /**
+   * 添加共同主人
+   * @param {string} petId - 宠物ID
+   * @param {string} ownerId - 主人ID
+   * @param {Object} data - { userId, permissions }
+   * @returns {Promise<Object>} 新增的共同主人
+   */
+  async addCoOwner(petId, ownerId, { userId, permissions } = {}) {
+    if (!userId) {
+      throw AppError.badRequest('MISSING_USER_ID', '缺少共同主人用户ID');
+    }
+
+    const pet = await this.loadOwnedPet(petId, ownerId);
+    if (pet.isOwner(userId)) {
+      throw AppError.badRequest('CANNOT_ADD_SELF', '主人无需添加为共同主人');
+    }
+    if (pet.getCoOwner(userId)) {
+      throw AppError.conflict('CO_OWNER_EXISTS', '该用户已是共同主人');
+    }
+    if (pet.coOwners.length >= MAX_CO_OWNERS) {
+      throw AppError.conflict('CO_OWNER_LIMIT_REACHED', `每只宠物最多${MAX_CO_OWNERS}位共同主人`);
+    }
+
+    await this.loadActiveUser(userId);
+
+    pet.coOwners.push({ userId, permissions: this.parsePermissions(permissions), addedBy: ownerId });
+    await pet.save();
+
+    console.log(`👥 共同主人已添加: ${pet._id} + ${userId}`);
+    return pet.getCoOwner(userId);
+  }
+
+  /**
+   * 更新共同主人权限
+   * @param {string} petId - 宠物ID
+   * @param {string} ownerId - 主人ID
+   * @param {string} userId - 共同主人ID
+   * @param {Array} permissions - 权限
+   * @returns {Promise<Object>} 更新后的共同主人
+   */
+  async updateCoOwner(petId, ownerId, userId, permissions) {
+    const pet = await this.loadOwnedPet(petId, ownerId);
+    const coOwner = pet.getCoOwner(userId);
+    if (!coOwner) {
+      throw AppError.notFound('CO_OWNER_NOT_FOUND', '共同主人不存在');
+    }
+
+    coOwner.permissions = this.parsePermissions(permissions);
+    await pet.save();
+    return coOwner;
+  }
+
+  /**
+   * 移除共同主人 - 主人可移除任何共同主人，共同主人可自行退出
+   * @param {string} petId - 宠物ID
+   * @param {string} actorId - 操作者ID
+   * @param {string} userId - 共同主人ID
+   */
+  async removeCoOwner(petId, actorId, userId) {
+    const pet = await this.loadPet(petId);
+    if (!pet.isOwner(actorId) && actorId.toString() !== userId.toString()) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以移除共同主人');
+    }
+
+    const coOwner = pet.getCoOwner(userId);
+    if (!coOwner) {
+      throw AppError.notFound('CO_OWNER_NOT_FOUND', '共同主人不存在');
+    }
+
+    coOwner.deleteOne();
+    await pet.save();
+    console.log(`👥 共同主人已移除: ${pet._id} - ${userId}`);
+  }
+
+  /**
+   * 发起转让邀请
+   * @param {string} petId - 宠物ID
+   * @param {string} ownerId - 主人ID
+   * @param {Object} data - { toUserId, reason, message }
+   * @returns {Promise<Object>} 转让记录
+   */
+  async createTransfer(petId, ownerId, { toUserId, reason = 'rehoming', message } = {}) {
+    if (!toUserId) {
+      throw AppError.badRequest('MISSING_USER_ID', '缺少接收方用户ID');
+    }
+    if (!TRANSFER_REASONS.includes(reason)) {
+      throw AppError.badRequest('INVALID_TRANSFER_REASON', `转让原因必须为 ${TRANSFER_REASONS.join(', ')} 之一`);
+    }
+
+    const pet = await this.loadOwnedPet(petId, ownerId);
+    if (pet.isOwner(toUserId)) {
+      throw AppError.badRequest('CANNOT_TRANSFER_TO_SELF', '不能转让给自己');
+    }
+    await this.loadActiveUser(toUserId);
+
+    if (await PetTransfer.findOpenByPet(pet._id)) {
+      throw AppError.conflict('TRANSFER_PENDING', '该宠物已有待处理的转让邀请');
+    }
+    const activeAlerts = await EmergencyAlert.findActiveByPet(pet._id);
+    if (activeAlerts.length > 0) {
+      throw AppError.conflict('PET_HAS_ACTIVE_ALERT', '宠物有进行中的紧急警报，请先处理警报');
+    }
+
+    const transfer = new PetTransfer({
+      petId: pet._id,
+      fromUserId: ownerId,
+      toUserId,
+      reason,
+      message,
+      expiresAt: new Date(Date.now() + this.transferExpiryDays * 24 * 60 * 60 * 1000)
+    });
+    transfer.recordHistory('invited', { actorId: ownerId, note: message });
+    await transfer.save();
+
+    await this.notifyTransfer(toUserId, transfer, pet, 'invited');
+    console.log(`📨 转让邀请已发出: ${pet._id} -> ${toUserId}`);
+    return transfer;
+  }
+
+  /**
+   * 加载待处理的转让，已过期的顺带标记为 expired
+   * @param {string} transferId - 转让ID
+   * @returns {Promise<Object>} 转让记录
+   */
+  async loadPendingTransfer(transferId) {
+    const transfer = await PetTransfer.findById(transferId);
+    if (!transfer) {
+      throw AppError.notFound('TRANSFER_NOT_FOUND', '转让记录不存在');
+    }
+    if (transfer.status === 'pending' && transfer.expiresAt <= new Date()) {
+      transfer.status = 'expired';
+      transfer.recordHistory('expired');
+      await transfer.save();
+    }
+    if (transfer.status !== 'pending') {
+      throw AppError.conflict('TRANSFER_NOT_PENDING', `转让已${transfer.status === 'expired' ? '过期' : '处理'}`, {
+        status: transfer.status
+      });
+    }
+    return transfer;
+  }
+
+  /**
+   * 接受转让：变更主人、清除原主人的共同主人、紧急联系人、安全区与定位设备，撤销代报授权，并更新双方宠物统计
+   * @param {string} transferId - 转让ID
+   * @param {string} userId - 接收方ID
+   * @returns {Promise<Object>} { transfer, pet }
+   */
+  async acceptTransfer(transferId, userId) {
+    const transfer = await this.loadPendingTransfer(transferId);
+    if (transfer.toUserId.toString() !== userId) {
+      throw AppError.forbidden('NOT_TRANSFER_RECIPIENT', '只有接收方可以接受转让');
+    }
+
+    const recipient = await this.loadActiveUser(userId);
+    const petCount = await Pet.countDocuments({ ownerId: userId });
+    const maxPets = recipient.serviceLimits.maxPets;
+    if (petCount >= maxPets) {
+      throw AppError.conflict('PET_LIMIT_REACHED', `最多只能拥有${maxPets}只宠物`, { maxPets });
+    }
+
+    const activeAlerts = await EmergencyAlert.findActiveByPet(transfer.petId);
+    if (activeAlerts.length > 0) {
+      throw AppError.conflict('PET_HAS_ACTIVE_ALERT', '宠物有进行中的紧急警报，请待原主人处理后再接受');
+    }
+
+    // 先以条件更新占用转让，防止重复接受
+    const now = new Date();
+    const claimed = await PetTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'pending' },
+      {
+        $set: { status: 'accepted', respondedAt: now },
+        $push: { history: { action: 'accepted', actorId: userId, createdAt: now } }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw AppError.conflict('TRANSFER_NOT_PENDING', '转让已处理');
+    }
+
+    // 发起后主人已变更（如另一转让已完成）时作废本次转让；认证针对原主人提交的材料，转让后需新主人重新提交
+    const pet = await Pet.findOneAndUpdate(
+      { _id: transfer.petId, ownerId: transfer.fromUserId },
+      {
+        $set: {
+          ownerId: userId,
+          coOwners: [],
+          emergencyContacts: [],
+          safeZones: [],
+          trackers: [],
+          verificationStatus: 'pending'
+        },
+        $unset: { geofence: 1, verifiedAt: 1, verificationRequest: 1 },
+        $push: { verificationLog: { action: 'reset', actorId: userId, notes: '宠物已转让，需由新主人重新提交认证', createdAt: now } }
+      },
+      { new: true }
+    );
+    if (!pet) {
+      claimed.status = 'cancelled';
+      claimed.recordHistory('voided', { note: '宠物主人已变更' });
+      await claimed.save();
+      throw AppError.conflict('TRANSFER_STALE', '宠物主人已变更，转让已作废');
+    }
+
+    const revoked = await ReporterGrant.updateMany(
+      { scope: 'pet', petId: pet._id, status: 'active' },
+      { $set: { status: 'revoked', revokedAt: now, revokedBy: userId, revokeReason: '宠物已转让' } }
+    );
+
+    const previousOwner = await User.findById(transfer.fromUserId);
+    if (previousOwner) {
+      await previousOwner.removePet();
+    }
+    await recipient.addPet();
+
+    claimed.recordHistory('ownership_changed', {
+      actorId: userId,
+      data: { revokedGrants: revoked.modifiedCount || 0 }
+    });
+    await claimed.save();
+
+    await this.notifyTransfer(transfer.fromUserId, claimed, pet, 'accepted');
+    console.log(`🤝 宠物已转让: ${pet._id} ${transfer.fromUserId} -> ${userId}`);
+    return { transfer: claimed, pet };
+  }
+
+  /**
+   * 拒绝转让
+   * @param {string} transferId - 转让ID
+   * @param {string} userId - 接收方ID
+   * @param {string} [note] - 拒绝原因
+   * @returns {Promise<Object>} 转让记录
+   */
+  async declineTransfer(transferId, userId, note) {
+    const transfer = await this.loadPendingTransfer(transferId);
+    if (transfer.toUserId.toString() !== userId) {
+      throw AppError.forbidden('NOT_TRANSFER_RECIPIENT', '只有接收方可以拒绝转让');
+    }
+
+    transfer.status = 'declined';
+    transfer.respondedAt = new Date();
+    transfer.recordHistory('declined', { actorId: userId, note });
+    await transfer.save();
+
+    const pet = await Pet.findById(transfer.petId);
+    if (pet) {
+      await this.notifyTransfer(transfer.fromUserId, transfer, pet, 'declined');
+    }
+    return transfer;
+  }
+
+  /**
+   * 撤回转让
+   * @param {string} transferId - 转让ID
+   * @param {string} userId - 发起方ID
+   * @returns {Promise<Object>} 转让记录
+   */
+  async cancelTransfer(transferId, userId) {
+    const transfer = await this.loadPendingTransfer(transferId);
+    if (transfer.fromUserId.toString() !== userId) {
+      throw AppError.forbidden('NOT_TRANSFER_SENDER', '只有发起方可以撤回转让');
+    }
+
+    transfer.status = 'cancelled';
+    transfer.respondedAt = new Date();
+    transfer.recordHistory('cancelled', { actorId: userId });
+    await transfer.save();
+
+    const pet = await Pet.findById(transfer.petId);
+    if (pet) {
+      await this.notifyTransfer(transfer.toUserId, transfer, pet, 'cancelled');
+    }
+    return transfer;
+  }
+
+  /**
+   * 转让详情 - 仅双方可见
+   * @param {string} transferId - 转让ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 转让记录
+   */
+  async getTransfer(transferId, userId) {
+    const transfer = await PetTransfer.findById(transferId).populate('petId', 'name species breed photos');
+    if (!transfer) {
+      throw AppError.notFound('TRANSFER_NOT_FOUND', '转让记录不存在');
+    }
+    if (![transfer.fromUserId.toString(), transfer.toUserId.toString()].includes(userId)) {
+      throw AppError.forbidden('NOT_TRANSFER_PARTY', '无权限查看此转让');
+    }
+    return transfer;
+  }
+
+  /**
+   * 我的转让记录
+   * @param {string} userId - 用户ID
+   * @param {Object} [filter] - { direction: incoming|outgoing, status }
+   * @returns {Promise<Array>} 转让记录
+   */
+  async listTransfers(userId, { direction, status } = {}) {
+    const query = {};
+    if (direction === 'incoming') {
+      query.toUserId = userId;
+    } else if (direction === 'outgoing') {
+      query.fromUserId = userId;
+    } else {
+      query.$or = [{ toUserId: userId }, { fromUserId: userId }];
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    return PetTransfer.find(query)
+      .populate('petId', 'name species breed photos')
+      .sort({ createdAt: -1 });
+  }
+}
+
+module.exports = PetOwnershipService;
@@ -0,0 +1,259 @@
+const path = require('path');
+const { User, Pet, EmergencyAlert } = require('../models');
+const storageService = require('./storageService');
+const { AppError } = require('../utils/errors');
+
+// 主人可直接编辑的字段；状态由警报流程维护，不在此修改
+const EDITABLE_FIELDS = [
+  'name', 'species', 'breed', 'age', 'weight', 'gender', 'color',
+  'healthRecords', 'emergencyContacts', 'specialMarks', 'personality'
+];
+
+// 非主人查看时隐藏的字段（芯片号仅可经公开查询接口按号检索；最近位置来自项圈定位，通常就是主人住址；
+// 护理计划含用药与剂量；体重记录与体重接口一样需要查看权限）
+const PRIVATE_FIELDS = [
+  'healthRecords', 'careSchedules', 'weightHistory', 'emergencyContacts', 'identification', 'verificationRequest', 'verificationLog',
+  'statusHistory', 'safeZones', 'trackers', 'geofence', 'lastKnownLocation'
+];
+
+const MAX_PHOTOS = 9;
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+/**
+ * 宠物档案服务 - 基于道德经"知人者智，自知者明"理念
+ * 管理宠物档案、照片与主人的宠物统计
+ */
+class PetProfileService {
+  /**
+   * 挑选可编辑字段
+   * @param {Object} data - 请求数据
+   * @returns {Object} 可写入的字段
+   */
+  pickEditable(data = {}) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * 按查看者返回宠物档案，非主人（及共同主人）不可见健康记录、紧急联系人、芯片登记与共同主人列表，特征只显示类型
+   * @param {Object} pet - 宠物
+   * @param {string} viewerId - 查看者ID
+   * @returns {Object} 宠物档案，附带查看者的访问权限 access
+   */
+  toProfile(pet, viewerId) {
+    const profile = pet.toJSON();
+    profile.access = pet.getAccess(viewerId);
+    if (!profile.access) {
+      [...PRIVATE_FIELDS, 'coOwners'].forEach(field => delete profile[field]);
+      profile.specialMarks = Pet.publicMarks(profile.specialMarks);
+    }
+    return profile;
+  }
+
+  /**
+   * 加载宠物并校验主人或共同主人权限
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} [permission] - 所需权限 view / edit / alert
+   * @returns {Promise<Object>} 宠物
+   */
+  async loadOwnedPet(petId, userId, permission = 'edit') {
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    if (!pet.hasPermission(userId, permission)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以管理宠物档案');
+    }
+    return pet;
+  }
+
+  /**
+   * 用户的宠物列表（含作为共同主人的宠物）
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Array>} 宠物档案列表
+   */
+  async listAccessible(userId) {
+    const pets = await Pet.findAccessible(userId);
+    return pets.map(pet => this.toProfile(pet, userId));
+  }
+
+  /**
+   * 宠物详情
+   * @param {string} petId - 宠物ID
+   * @param {string} viewerId - 查看者ID
+   * @returns {Promise<Object>} 宠物档案
+   */
+  async getPet(petId, viewerId) {
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    return this.toProfile(pet, viewerId);
+  }
+
+  /**
+   * 状态时间线：按时间顺序列出状态变更，附带操作人、关联警报与每段走失时长
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID（主人或共同主人）
+   * @returns {Promise<Object>} { petId, status, timeline, lostPeriods }
+   */
+  async getStatusTimeline(petId, userId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'view');
+    await pet.populate([
+      { path: 'statusHistory.changedBy', select: 'nickname avatar' },
+      { path: 'statusHistory.alertId', select: 'title alertType status location.address location.district' }
+    ]);
+
+    return {
+      petId: pet._id,
+      status: pet.status,
+      timeline: pet.statusHistory,
+      lostPeriods: Pet.lostPeriods(pet.statusHistory).map(period => ({
+        ...period,
+        alertId: period.alertId && (period.alertId._id || period.alertId),
+        durationHours: Math.round(period.durationMs / (60 * 60 * 1000) * 10) / 10
+      }))
+    };
+  }
+
+  /**
+   * 创建宠物 - 受 serviceLimits.maxPets 限制
+   * @param {string} ownerId - 主人ID
+   * @param {Object} data - 宠物数据
+   * @returns {Promise<Object>} 宠物
+   */
+  async createPet(ownerId, data) {
+    const owner = await User.findById(ownerId);
+    if (!owner) {
+      throw AppError.notFound('USER_NOT_FOUND', '用户不存在');
+    }
+
+    const petCount = await Pet.countDocuments({ ownerId });
+    const maxPets = owner.serviceLimits.maxPets;
+    if (petCount >= maxPets) {
+      throw AppError.conflict('PET_LIMIT_REACHED', `最多只能添加${maxPets}只宠物`, { maxPets });
+    }
+
+    const { weight, ...fields } = this.pickEditable(data);
+    const pet = new Pet({ ...fields, ownerId });
+    if (weight !== undefined && weight !== null) {
+      pet.recordWeight({ weight, recordedBy: ownerId });
+    }
+    await pet.save();
+    await owner.addPet();
+
+    console.log(`🐾 宠物档案已创建: ${pet.name} (ID: ${pet._id})`);
+    return pet;
+  }
+
+  /**
+   * 更新宠物档案，体重变化追加到体重记录而不是直接覆盖；认证证据变化时退回待审核
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} data - 更新数据
+   * @returns {Promise<Object>} 宠物
+   */
+  async updatePet(petId, userId, data) {
+    const pet = await this.loadOwnedPet(petId, userId);
+    const { weight, ...fields } = this.pickEditable(data);
+    pet.set(fields);
+    if (weight !== undefined && weight !== null && weight !== pet.weight) {
+      pet.recordWeight({ weight, recordedBy: userId });
+    }
+    pet.resetVerificationIfEvidenceChanged(userId);
+    await pet.save();
+    return pet;
+  }
+
+  /**
+   * 删除宠物 - 仅主人可删除，有活跃警报时不可删除
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   */
+  async deletePet(petId, userId) {
+    const pet = await this.loadOwnedPet(petId, userId);
+    if (!pet.isOwner(userId)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以删除宠物档案');
+    }
+
+    const activeAlerts = await EmergencyAlert.findActiveByPet(pet._id);
+    if (activeAlerts.length > 0) {
+      throw AppError.conflict('PET_HAS_ACTIVE_ALERT', '宠物有进行中的紧急警报，请先处理警报');
+    }
+
+    await Pet.deleteOne({ _id: pet._id });
+    (pet.photos || []).forEach(photo => storageService.deleteImageByUrl(photo.url));
+
+    const owner = await User.findById(pet.ownerId);
+    if (owner) {
+      await owner.removePet();
+    }
+
+    console.log(`🗑️ 宠物档案已删除: ${pet._id}`);
+  }
+
+  /**
+   * 添加宠物照片
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} file - 已校验的上传文件 { buffer, mimetype }
+   * @param {string} [type] - 照片类型
+   * @returns {Promise<Object>} 新增的照片
+   */
+  async addPhoto(petId, userId, file, type = 'profile') {
+    const pet = await this.loadOwnedPet(petId, userId);
+    if (pet.photos.length >= MAX_PHOTOS) {
+      throw AppError.conflict('PHOTO_LIMIT_REACHED', `每只宠物最多${MAX_PHOTOS}张照片`);
+    }
+
+    const ext = MIME_EXTENSIONS[file.mimetype] || path.extname(file.originalname || '');
+    const { url } = storageService.saveImage(file.buffer, `pet_${pet._id}${ext}`);
+
+    pet.photos.push({ url, type });
+    pet.resetVerificationIfEvidenceChanged(userId);
+    try {
+      await pet.save();
+    } catch (error) {
+      storageService.deleteImageByUrl(url);
+      throw error;
+    }
+
+    return pet.photos[pet.photos.length - 1];
+  }
+
+  /**
+   * 删除宠物照片
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} photoId - 照片ID
+   * @returns {Promise<Object>} 宠物
+   */
+  async removePhoto(petId, userId, photoId) {
+    const pet = await this.loadOwnedPet(petId, userId);
+    const photo = pet.photos.id(photoId);
+    if (!photo) {
+      throw AppError.notFound('PHOTO_NOT_FOUND', '照片不存在');
+    }
+
+    const { url } = photo;
+    photo.deleteOne();
+    pet.resetVerificationIfEvidenceChanged(userId);
+    await pet.save();
+    storageService.deleteImageByUrl(url);
+
+    return pet;
+  }
+}
+
+module.exports = PetProfileService;
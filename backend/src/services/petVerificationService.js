@@ -0,0 +1,259 @@
+const { User, Pet } = require('../models');
+const { AppError } = require('../utils/errors');
+
+const QUEUE_STATUSES = ['pending', 'verified', 'rejected'];
+const MAX_DOCUMENTS = 10;
+
+/**
+ * 宠物认证审核服务 - 基于道德经"信言不美，美言不信"理念
+ * 主人提交认证材料，审核员查看照片、芯片与兽医文件后通过或驳回，每次操作都写入审核日志
+ */
+class PetVerificationService {
+  /**
+   * @param {Object} options
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例，复用其推送通道
+   */
+  constructor({ emergencyProtocol } = {}) {
+    this.emergencyProtocol = emergencyProtocol;
+  }
+
+  async loadOwnedPet(petId, userId, permission) {
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    if (!pet.hasPermission(userId, permission)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以申请认证');
+    }
+    return pet;
+  }
+
+  /**
+   * 校验主人补充的文件列表
+   * @param {Array} documents - [{ url, name }]
+   * @returns {Array} 规范化后的文件
+   */
+  parseDocuments(documents = []) {
+    if (!Array.isArray(documents) || documents.length > MAX_DOCUMENTS) {
+      throw AppError.badRequest('INVALID_DOCUMENTS', `认证文件必须为数组且不超过${MAX_DOCUMENTS}个`);
+    }
+    return documents.map(doc => {
+      if (!doc || typeof doc.url !== 'string' || !doc.url.trim()) {
+        throw AppError.badRequest('INVALID_DOCUMENTS', '认证文件缺少链接');
+      }
+      return { url: doc.url.trim(), name: doc.name };
+    });
+  }
+
+  /**
+   * 汇总可供审核的证据：照片、芯片与身份牌、兽医文件、主人补充材料
+   * @param {Object} pet - 宠物
+   * @returns {Object} 证据
+   */
+  collectEvidence(pet) {
+    const { microchip, tags } = pet.identification || {};
+    return {
+      photos: pet.photos || [],
+      microchip: microchip && microchip.number ? microchip : null,
+      tags: tags || [],
+      veterinaryDocuments: (pet.healthRecords || []).flatMap(record =>
+        (record.documents || []).map(doc => ({
+          url: doc.url,
+          name: doc.name,
+          recordType: record.type,
+          date: record.date,
+          clinic: record.veterinarian && record.veterinarian.clinic
+        }))
+      ),
+      submittedDocuments: (pet.verificationRequest && pet.verificationRequest.documents) || []
+    };
+  }
+
+  hasEvidence(evidence) {
+    return evidence.photos.length > 0 || Boolean(evidence.microchip) ||
+      evidence.veterinaryDocuments.length > 0 || evidence.submittedDocuments.length > 0;
+  }
+
+  toStatus(pet) {
+    return {
+      petId: pet._id,
+      verificationStatus: pet.verificationStatus,
+      verifiedAt: pet.verifiedAt,
+      verificationNotes: pet.verificationNotes,
+      request: pet.verificationRequest,
+      log: pet.verificationLog
+    };
+  }
+
+  /**
+   * 审核结果推送给主人
+   * @param {Object} pet - 宠物
+   * @param {string} action - approved | rejected
+   */
+  async notifyOwner(pet, action) {
+    await this.emergencyProtocol.dealerService.notifyUser(pet.ownerId, 'pet_verification', {
+      petId: pet._id,
+      petName: pet.name,
+      action,
+      notes: pet.verificationNotes
+    });
+  }
+
+  /**
+   * 主人提交（或被驳回后重新提交）认证申请
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 主人ID
+   * @param {Object} data - { note, documents }
+   * @returns {Promise<Object>} 认证状态
+   */
+  async submit(petId, userId, { note, documents } = {}) {
+    const parsedDocuments = this.parseDocuments(documents);
+    const pet = await this.loadOwnedPet(petId, userId, 'edit');
+    if (pet.verificationStatus === 'verified') {
+      throw AppError.conflict('ALREADY_VERIFIED', '宠物已通过认证');
+    }
+
+    if (!this.hasEvidence({ ...this.collectEvidence(pet), submittedDocuments: parsedDocuments })) {
+      throw AppError.badRequest('VERIFICATION_EVIDENCE_REQUIRED', '请至少提供照片、芯片号或兽医文件之一');
+    }
+
+    pet.verificationStatus = 'pending';
+    pet.verificationRequest = { submittedAt: new Date(), submittedBy: userId, note, documents: parsedDocuments };
+    pet.verificationLog.push({ action: 'submitted', actorId: userId, notes: note });
+    await pet.save();
+
+    console.log(`📝 宠物认证已提交: ${pet._id}`);
+    return this.toStatus(pet);
+  }
+
+  /**
+   * 主人查看认证状态
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 认证状态
+   */
+  async getStatus(petId, userId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'view');
+    return this.toStatus(pet);
+  }
+
+  /**
+   * 审核队列，默认按提交时间先后列出待审核的申请
+   * @param {Object} [options] - { status, page, limit }
+   * @returns {Promise<Object>} { items, total, page, limit }
+   */
+  async listQueue({ status = 'pending', page = 1, limit = 20 } = {}) {
+    if (!QUEUE_STATUSES.includes(status)) {
+      throw AppError.badRequest('INVALID_STATUS', `状态必须为 ${QUEUE_STATUSES.join('/')} 之一`);
+    }
+
+    const query = { verificationStatus: status, 'verificationRequest.submittedAt': { $exists: true } };
+    const [pets, total] = await Promise.all([
+      Pet.find(query)
+        .select('name species breed photos ownerId verificationStatus verificationRequest.submittedAt verifiedAt')
+        .populate('ownerId', 'nickname avatar')
+        .sort({ 'verificationRequest.submittedAt': status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Pet.countDocuments(query)
+    ]);
+
+    return { items: pets, total, page, limit };
+  }
+
+  /**
+   * 审核员查看单个宠物的全部证据与审核日志
+   * @param {string} petId - 宠物ID
+   * @returns {Promise<Object>} { pet, owner, evidence, request, log }
+   */
+  async getEvidence(petId) {
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    const owner = await User.findById(pet.ownerId).select('nickname avatar phone createdAt');
+
+    return {
+      pet: {
+        _id: pet._id,
+        name: pet.name,
+        species: pet.species,
+        breed: pet.breed,
+        color: pet.color,
+        gender: pet.gender,
+        age: pet.age,
+        specialMarks: pet.specialMarks,
+        createdAt: pet.createdAt
+      },
+      owner,
+      evidence: this.collectEvidence(pet),
+      ...this.toStatus(pet)
+    };
+  }
+
+  /**
+   * 记录审核决定。以当前状态为条件原子更新，避免两位审核员同时处理同一申请
+   * @param {string} petId - 宠物ID
+   * @param {string} reviewerId - 审核员ID
+   * @param {Object} decision - { action, fromStatuses, update, notes }
+   * @returns {Promise<Object>} 更新后的宠物
+   */
+  async decide(petId, reviewerId, { action, fromStatuses, update, notes }) {
+    const pet = await Pet.findOneAndUpdate(
+      { _id: petId, verificationStatus: { $in: fromStatuses }, 'verificationRequest.submittedAt': { $exists: true } },
+      {
+        ...update,
+        $push: { verificationLog: { action, actorId: reviewerId, notes, createdAt: new Date() } }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!pet) {
+      if (!(await Pet.exists({ _id: petId }))) {
+        throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+      }
+      throw AppError.conflict('VERIFICATION_NOT_PENDING', '该宠物当前状态不可执行此审核操作');
+    }
+
+    await this.notifyOwner(pet, action);
+    console.log(`🛡️ 宠物认证${action === 'approved' ? '通过' : '驳回'}: ${pet._id} (审核员 ${reviewerId})`);
+    return this.toStatus(pet);
+  }
+
+  /**
+   * 审核通过
+   * @param {string} petId - 宠物ID
+   * @param {string} reviewerId - 审核员ID
+   * @param {string} [notes] - 审核备注
+   * @returns {Promise<Object>} 认证状态
+   */
+  async approve(petId, reviewerId, notes) {
+    return this.decide(petId, reviewerId, {
+      action: 'approved',
+      fromStatuses: ['pending'],
+      update: { $set: { verificationStatus: 'verified', verifiedAt: new Date(), verificationNotes: notes } },
+      notes
+    });
+  }
+
+  /**
+   * 驳回申请，或撤销已通过的认证；必须填写原因
+   * @param {string} petId - 宠物ID
+   * @param {string} reviewerId - 审核员ID
+   * @param {string} notes - 驳回原因
+   * @returns {Promise<Object>} 认证状态
+   */
+  async reject(petId, reviewerId, notes) {
+    if (!notes || !String(notes).trim()) {
+      throw AppError.badRequest('REJECTION_NOTES_REQUIRED', '驳回时必须填写原因');
+    }
+    return this.decide(petId, reviewerId, {
+      action: 'rejected',
+      fromStatuses: ['pending', 'verified'],
+      update: { $set: { verificationStatus: 'rejected', verificationNotes: notes }, $unset: { verifiedAt: 1 } },
+      notes
+    });
+  }
+}
+
+module.exports = PetVerificationService;
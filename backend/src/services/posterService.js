@@ -0,0 +1,332 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { createCanvas, loadImage, GlobalFonts } = require('@napi-rs/canvas');
+const { EmergencyAlert, Pet } = require('../models');
+const storageService = require('./storageService');
+const { CJK_FONT } = require('../config/fonts');
+const { AppError } = require('../utils/errors');
+
+const CANVAS_FONT_ALIAS = 'FurLinkPoster';
+
+const ALERT_TYPE_TITLES = {
+  lost: '寻宠启事',
+  stolen: '宠物被盗',
+  injured: '宠物受伤',
+  medical: '紧急求医',
+  found: '发现宠物',
+  other: '紧急求助'
+};
+
+const MARK_TYPE_LABELS = {
+  scar: '疤痕',
+  tattoo: '纹身',
+  chip: '芯片',
+  collar: '项圈',
+  other: '其他'
+};
+
+const POSTER_COLOR = '#d93025';
+const CARD_SIZE = 1080;
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+
+/**
+ * 寻宠海报服务 - 基于道德经"大音希声，大象无形"理念
+ * 在服务端以本地字体生成可打印的A4海报(PDF)与方形分享卡片(PNG)，均附带指向警报的二维码
+ */
+class PosterService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.fontPath] - 本地字体文件路径(TTF/OTF/TTC)
+   * @param {string} [options.fontFamily] - TTC 字体集合中使用的字体名
+   * @param {string} [options.shareBaseUrl] - 二维码链接的站点地址
+   */
+  constructor({ fontPath, fontFamily, shareBaseUrl } = {}) {
+    this.fontPath = fontPath || CJK_FONT.path;
+    this.fontFamily = fontFamily || CJK_FONT.family;
+    this.shareBaseUrl = (shareBaseUrl || process.env.SHARE_BASE_URL || 'https://furlink.app').replace(/\/+$/, '');
+    this.canvasFontRegistered = false;
+  }
+
+  // 确认字体可用，缺失时拒绝生成而不是回退到无法显示中文的内置字体
+  ensureFont() {
+    if (!fs.existsSync(this.fontPath)) {
+      throw new AppError('POSTER_FONT_MISSING', '海报字体未安装，请配置 POSTER_FONT_PATH', 500);
+    }
+
+    if (!this.canvasFontRegistered) {
+      GlobalFonts.registerFromPath(this.fontPath, CANVAS_FONT_ALIAS);
+      this.canvasFontRegistered = true;
+    }
+  }
+
+  /**
+   * 警报分享链接
+   * @param {Object} alert - 警报
+   * @returns {string} 链接
+   */
+  getAlertUrl(alert) {
+    return `${this.shareBaseUrl}/emergency?alertId=${alert._id}`;
+  }
+
+  /**
+   * 加载警报与宠物
+   * @param {string} alertId - 警报ID
+   * @returns {Promise<Object>} { alert, pet }
+   */
+  async loadAlertAndPet(alertId) {
+    const alert = await EmergencyAlert.findById(alertId);
+    if (!alert) {
+      throw AppError.notFound('ALERT_NOT_FOUND', '警报不存在');
+    }
+    if (!alert.petId) {
+      throw AppError.conflict('POSTER_REQUIRES_PET', '未关联宠物的警报无法生成海报');
+    }
+
+    const pet = await Pet.findById(alert.petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+
+    return { alert, pet };
+  }
+
+  /**
+   * 读取宠物主照片：只读取本地上传目录中的文件，不请求远程地址；失败时返回null，海报不带照片
+   * @param {Object} pet - 宠物
+   * @returns {Promise<Buffer|null>} 图片数据
+   */
+  async loadPetPhoto(pet) {
+    const photos = (pet.photos || []).filter(item => storageService.getLocalImagePath(item.url));
+    const photo = photos.find(item => item.type === 'profile') || photos[0];
+    if (!photo) return null;
+
+    try {
+      const filePath = storageService.getLocalImagePath(photo.url);
+      if (!storageService.exists(filePath) || fs.statSync(filePath).size > MAX_PHOTO_BYTES) {
+        return null;
+      }
+      return fs.readFileSync(filePath);
+    } catch (error) {
+      console.error(`读取宠物照片失败 [${pet._id}]:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 汇总海报文字内容
+   * @param {Object} alert - 警报
+   * @param {Object} pet - 宠物
+   * @returns {Object} { title, name, details, contact, lastSeen }
+   */
+  buildContent(alert, pet) {
+    const details = [];
+    if (pet.breed) details.push(['品种', pet.breed]);
+    if (pet.color) details.push(['毛色', pet.color]);
+    // 特征部位与描述用于团聚核验，海报只印类型
+    const markLabels = Pet.publicMarks(pet.specialMarks)
+      .filter(mark => mark.type !== 'chip')
+      .map(mark => MARK_TYPE_LABELS[mark.type] || MARK_TYPE_LABELS.other);
+    if (markLabels.length > 0) {
+      details.push(['特征', [...new Set(markLabels)].join('、')]);
+    }
+
+    // 警报联系方式优先，其次为主要紧急联系人
+    const contacts = pet.emergencyContacts || [];
+    const primary = contacts.find(contact => contact.isPrimary) || contacts[0];
+    const contactPhone = (alert.contactInfo && alert.contactInfo.phone) || (primary && primary.phone);
+    const contactName = (alert.contactInfo && alert.contactInfo.name) || (primary && primary.name);
+
+    const location = alert.location || {};
+    const lastSeenTime = alert.incidentTime || alert.createdAt;
+
+    return {
+      title: ALERT_TYPE_TITLES[alert.alertType] || ALERT_TYPE_TITLES.other,
+      name: pet.name,
+      details,
+      contact: contactPhone ? [contactName, contactPhone].filter(Boolean).join(' ') : null,
+      lastSeen: [
+        location.address || [location.city, location.district].filter(Boolean).join(''),
+        lastSeenTime && new Date(lastSeenTime).toLocaleString('zh-CN', { hour12: false })
+      ].filter(Boolean).join(' · ')
+    };
+  }
+
+  // 只有 JPEG/PNG 可直接嵌入PDF
+  isPdfEmbeddable(buffer) {
+    return buffer.length > 4 &&
+      ((buffer[0] === 0xff && buffer[1] === 0xd8) ||
+        (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG'));
+  }
+
+  /**
+   * 增加宠物分享次数
+   * @param {Object} pet - 宠物
+   */
+  async recordShare(pet) {
+    await Pet.updateOne({ _id: pet._id }, { $inc: { shareCount: 1 } });
+  }
+
+  /**
+   * 生成A4寻宠海报
+   * @param {string} alertId - 警报ID
+   * @returns {Promise<Buffer>} PDF数据
+   */
+  async generatePoster(alertId) {
+    this.ensureFont();
+    const { alert, pet } = await this.loadAlertAndPet(alertId);
+    const content = this.buildContent(alert, pet);
+    const [photo, qrBuffer] = await Promise.all([
+      this.loadPetPhoto(pet),
+      QRCode.toBuffer(this.getAlertUrl(alert), { type: 'png', margin: 1, width: 400 })
+    ]);
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `${content.title} - ${content.name}` } });
+    doc.registerFont('poster', this.fontPath, this.fontPath.endsWith('.ttc') ? this.fontFamily : undefined);
+    doc.font('poster');
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 80;
+
+    // 标题栏
+    doc.rect(0, 0, width, 110).fill(POSTER_COLOR);
+    doc.fillColor('#ffffff').fontSize(56).text(content.title, 40, 25, { width: contentWidth, align: 'center' });
+
+    // 宠物照片
+    let cursorY = 140;
+    if (photo && this.isPdfEmbeddable(photo)) {
+      doc.image(photo, 40, cursorY, { fit: [contentWidth, 320], align: 'center', valign: 'center' });
+      cursorY += 335;
+    }
+
+    // 名字与特征
+    doc.fillColor('#000000').fontSize(40).text(content.name, 40, cursorY, { width: contentWidth, align: 'center' });
+    cursorY = doc.y + 15;
+
+    doc.fontSize(18);
+    content.details.forEach(([label, value]) => {
+      doc.fillColor('#666666').text(`${label}：`, 40, cursorY, { continued: true })
+        .fillColor('#000000').text(value, { width: contentWidth });
+      cursorY = doc.y + 6;
+    });
+
+    if (content.lastSeen) {
+      doc.fillColor('#666666').text('最后出现：', 40, cursorY, { continued: true })
+        .fillColor('#000000').text(content.lastSeen, { width: contentWidth });
+    }
+
+    // 底部联系方式与二维码
+    const footerY = height - 200;
+    doc.moveTo(40, footerY - 15).lineTo(width - 40, footerY - 15).strokeColor(POSTER_COLOR).lineWidth(2).stroke();
+    if (content.contact) {
+      doc.fillColor(POSTER_COLOR).fontSize(16).text('如有线索请联系', 40, footerY);
+      doc.fillColor('#000000').fontSize(30).text(content.contact, 40, footerY + 28, { width: contentWidth - 170 });
+    }
+    doc.fillColor('#666666').fontSize(12).text('扫码查看最新动态、上报目击', 40, footerY + 120, { width: contentWidth - 170 });
+    doc.image(qrBuffer, width - 190, footerY - 5, { width: 150 });
+
+    doc.end();
+    const buffer = await done;
+
+    await this.recordShare(pet);
+    console.log(`🖨️ 寻宠海报已生成: ${alert._id}`);
+    return buffer;
+  }
+
+  /**
+   * 生成方形分享卡片
+   * @param {string} alertId - 警报ID
+   * @returns {Promise<Buffer>} PNG数据
+   */
+  async generateShareCard(alertId) {
+    this.ensureFont();
+    const { alert, pet } = await this.loadAlertAndPet(alertId);
+    const content = this.buildContent(alert, pet);
+    const [photoBuffer, qrBuffer] = await Promise.all([
+      this.loadPetPhoto(pet),
+      QRCode.toBuffer(this.getAlertUrl(alert), { type: 'png', margin: 1, width: 240 })
+    ]);
+
+    const canvas = createCanvas(CARD_SIZE, CARD_SIZE);
+    const ctx = canvas.getContext('2d');
+    const font = size => `${size}px ${CANVAS_FONT_ALIAS}`;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, CARD_SIZE, CARD_SIZE);
+
+    // 标题栏
+    ctx.fillStyle = POSTER_COLOR;
+    ctx.fillRect(0, 0, CARD_SIZE, 150);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = font(80);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(content.title, CARD_SIZE / 2, 75);
+
+    // 照片居中裁剪
+    const photoBox = { x: 60, y: 190, size: 520 };
+    ctx.fillStyle = '#f2f2f2';
+    ctx.fillRect(photoBox.x, photoBox.y, photoBox.size, photoBox.size);
+    if (photoBuffer) {
+      try {
+        const image = await loadImage(photoBuffer);
+        const side = Math.min(image.width, image.height);
+        ctx.drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side,
+          photoBox.x, photoBox.y, photoBox.size, photoBox.size);
+      } catch (error) {
+        console.error(`分享卡片照片解码失败 [${pet._id}]:`, error.message);
+      }
+    }
+
+    // 右侧文字
+    const textX = 620;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#000000';
+    ctx.font = font(64);
+    ctx.fillText(content.name, textX, photoBox.y, CARD_SIZE - textX - 40);
+
+    ctx.font = font(30);
+    let cursorY = photoBox.y + 100;
+    content.details.slice(0, 5).forEach(([label, value]) => {
+      ctx.fillStyle = '#666666';
+      ctx.fillText(`${label}：`, textX, cursorY);
+      ctx.fillStyle = '#000000';
+      ctx.fillText(value, textX + 100, cursorY, CARD_SIZE - textX - 140);
+      cursorY += 50;
+    });
+
+    // 底部：最后出现位置、联系方式与二维码
+    ctx.fillStyle = '#333333';
+    ctx.font = font(32);
+    if (content.lastSeen) {
+      ctx.fillText(content.lastSeen, 60, 760, CARD_SIZE - 380);
+    }
+    if (content.contact) {
+      ctx.fillStyle = POSTER_COLOR;
+      ctx.font = font(44);
+      ctx.fillText(content.contact, 60, 830, CARD_SIZE - 380);
+    }
+    ctx.fillStyle = '#666666';
+    ctx.font = font(26);
+    ctx.fillText('扫码查看最新动态', 60, 920);
+
+    const qrImage = await loadImage(qrBuffer);
+    ctx.drawImage(qrImage, CARD_SIZE - 300, CARD_SIZE - 300, 240, 240);
+
+    const buffer = await canvas.encode('png');
+
+    await this.recordShare(pet);
+    console.log(`🖼️ 分享卡片已生成: ${alert._id}`);
+    return buffer;
+  }
+}
+
+module.exports = PosterService;
@@ -0,0 +1,117 @@
+const { User, StrainDelivery } = require('../models');
+const { geoNearStage } = require('../models/geoPoint');
+const { haversineDistance } = require('../utils/coordinates');
+
+// 传播所需的用户字段
+const USER_FIELDS = { location: 1, immunityProfile: 1, preferences: 1, isActive: 1, distance: 1 };
+
+/**
+ * MongoPropagationStore - 基于MongoDB的传播数据存储
+ *
+ * 为 GeoLayer 与 DealerService 提供用户查询和投递记录持久化
+ */
+class MongoPropagationStore {
+  /**
+   * 查询半径内的活跃用户（$geoNear），按距离由近到远排序
+   * @param {number} latitude - 中心纬度
+   * @param {number} longitude - 中心经度
+   * @param {number} radius - 半径(公里)
+   * @returns {Promise<Array>} 用户列表，每项附带 distance(公里)
+   */
+  async findUsersNear(latitude, longitude, radius) {
+    return User.aggregate([
+      geoNearStage({ latitude, longitude, radius, key: 'location.point', query: { isActive: true } }),
+      { $project: USER_FIELDS }
+    ]);
+  }
+
+  /**
+   * 获取用户
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 用户
+   */
+  async getUser(userId) {
+    return User.findById(userId)
+      .select('location immunityProfile preferences isActive')
+      .lean();
+  }
+
+  /**
+   * 记录投递结果
+   * @param {Object} delivery - 投递记录
+   * @returns {Promise<Object>} 保存后的记录
+   */
+  async recordDelivery(delivery) {
+    const record = await StrainDelivery.create(delivery);
+    return record.toObject();
+  }
+
+  /**
+   * 查询投递记录
+   * @param {Object} filter - 过滤条件 { alertId, userId, status }
+   * @returns {Promise<Array>} 投递记录
+   */
+  async findDeliveries(filter = {}) {
+    return StrainDelivery.find(filter).sort({ deliveredAt: -1 }).lean();
+  }
+}
+
+/**
+ * MemoryPropagationStore - 内存传播数据存储
+ *
+ * 用于测试与本地开发，不依赖任何外部服务
+ */
+class MemoryPropagationStore {
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.users] - 初始用户
+   */
+  constructor({ users = [] } = {}) {
+    this.users = new Map();
+    this.deliveries = [];
+    users.forEach(user => this.addUser(user));
+  }
+
+  addUser(user) {
+    this.users.set(user._id.toString(), user);
+    return user;
+  }
+
+  async findUsersNear(latitude, longitude, radius) {
+    return Array.from(this.users.values())
+      .filter(user => user.isActive !== false && user.location &&
+        Number.isFinite(user.location.latitude) && Number.isFinite(user.location.longitude))
+      .map(user => ({
+        ...user,
+        distance: haversineDistance(latitude, longitude, user.location.latitude, user.location.longitude)
+      }))
+      .filter(user => user.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  async getUser(userId) {
+    return this.users.get(userId.toString()) || null;
+  }
+
+  async recordDelivery(delivery) {
+    const record = {
+      _id: `${Date.now()}_${this.deliveries.length}`,
+      deliveredAt: new Date(),
+      ...delivery
+    };
+    this.deliveries.push(record);
+    return record;
+  }
+
+  async findDeliveries(filter = {}) {
+    return this.deliveries
+      .filter(record => Object.entries(filter).every(([key, value]) =>
+        String(record[key]) === String(value)))
+      .sort((a, b) => b.deliveredAt - a.deliveredAt);
+  }
+}
+
+module.exports = {
+  MongoPropagationStore,
+  MemoryPropagationStore
+};
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const { EmergencyAlert, Pet, User } = require('../models');
+const { AppError } = require('../utils/errors');
+
+const CODE_TTL_HOURS = 24;
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * 团聚验证服务 - 基于道德经"信不足焉，有不信焉"理念
+ * 发现者认领宠物，主人通过一次性验证码或身份特征确认后才结案
+ */
+class ReunionService {
+  /**
+   * @param {Object} options
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例，用于主人校验与活跃警报缓存
+   */
+  constructor({ emergencyProtocol }) {
+    this.emergencyProtocol = emergencyProtocol;
+  }
+
+  // 生成6位一次性验证码
+  generateCode() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+  }
+
+  // 常量时间比较验证码摘要
+  codeMatches(code, codeHash) {
+    if (!code || !codeHash) return false;
+    const expected = Buffer.from(codeHash, 'hex');
+    const actual = Buffer.from(this.hashCode(code), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * 提取字符串中的数字，用于芯片号比较
+   * @param {string} value - 原始字符串
+   * @returns {string} 数字串
+   */
+  normalizeChip(value) {
+    return String(value || '').replace(/\D/g, '');
+  }
+
+  /**
+   * 核对发现者提供的身份证据与宠物档案。只比对不公开的信息：芯片登记、特征部位与描述
+   * （警报、海报与宠物档案对外只展示特征类型，见 Pet.publicMarks）
+   * @param {Object} pet - 宠物
+   * @param {Object} evidence - 证据 { chipNumber, marks }
+   * @returns {{matched: boolean, matchedBy: string|null}} 核对结果
+   */
+  verifyIdentityEvidence(pet, evidence = {}) {
+    const specialMarks = pet.specialMarks || [];
+
+    // 芯片号完全一致即视为身份确认；优先比对芯片登记，兼容早期记录在特征描述中的芯片号
+    const chipNumber = this.normalizeChip(evidence.chipNumber);
+    if (chipNumber) {
+      const microchip = pet.identification && pet.identification.microchip;
+      const chipMatched = (microchip && microchip.number === chipNumber) ||
+        specialMarks.some(mark => mark.type === 'chip' && this.normalizeChip(mark.description) === chipNumber);
+      return { matched: chipMatched, matchedBy: chipMatched ? 'chip' : null };
+    }
+
+    // 无芯片号时，需至少一处非项圈特征的类型与部位吻合（类型公开，部位仅主人可见）
+    const normalize = value => String(value || '').trim().toLowerCase();
+    const marksMatched = (evidence.marks || []).some(observed =>
+      observed.type !== 'collar' &&
+      specialMarks.some(mark =>
+        mark.type === observed.type &&
+        normalize(mark.location) !== '' &&
+        normalize(mark.location) === normalize(observed.location)));
+
+    return { matched: marksMatched, matchedBy: marksMatched ? 'marks' : null };
+  }
+
+  async loadAlertAndPet(alertId) {
+    const alert = await EmergencyAlert.findById(alertId);
+    if (!alert) {
+      throw AppError.notFound('ALERT_NOT_FOUND', '警报不存在');
+    }
+
+    const pet = await Pet.findById(alert.petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+
+    return { alert, pet };
+  }
+
+  findPendingClaim(alert, claimId) {
+    const claim = alert.reunionClaims.id(claimId);
+    if (!claim) {
+      throw AppError.notFound('CLAIM_NOT_FOUND', '认领记录不存在');
+    }
+    if (claim.status !== 'pending') {
+      throw AppError.conflict('CLAIM_NOT_PENDING', '认领已处理');
+    }
+    return claim;
+  }
+
+  /**
+   * 发现者认领 - 生成一次性验证码，由发现者在交接时出示给主人
+   * @param {string} alertId - 警报ID
+   * @param {string} finderId - 发现者ID
+   * @param {Object} claimData - { message, location, evidence }
+   * @returns {Promise<Object>} { claim, code, codeExpiresAt }
+   */
+  async claimFound(alertId, finderId, claimData = {}) {
+    const { alert, pet } = await this.loadAlertAndPet(alertId);
+
+    if (alert.status !== 'active') {
+      throw AppError.conflict('ALERT_NOT_ACTIVE', '警报已关闭，无法认领');
+    }
+    if (this.emergencyProtocol.isAlertOwner(alert, pet, finderId)) {
+      throw AppError.badRequest('OWNER_CANNOT_CLAIM', '主人无需认领，请直接标记已找到');
+    }
+    if (alert.reunionClaims.some(claim =>
+      claim.status === 'pending' && claim.finderId.toString() === finderId.toString())) {
+      throw AppError.conflict('CLAIM_ALREADY_PENDING', '您已有待确认的认领');
+    }
+
+    const code = this.generateCode();
+    const codeExpiresAt = new Date(Date.now() + CODE_TTL_HOURS * 60 * 60 * 1000);
+
+    alert.reunionClaims.push({
+      finderId,
+      message: claimData.message,
+      location: claimData.location,
+      evidence: claimData.evidence,
+      codeHash: this.hashCode(code),
+      codeExpiresAt
+    });
+    const claim = alert.reunionClaims[alert.reunionClaims.length - 1];
+
+    alert.recordHistory('reunion_claimed', {
+      actorId: finderId,
+      data: { claimId: claim._id }
+    });
+    await alert.save();
+
+    console.log(`🤝 团聚认领已提交: ${alertId} - ${claim._id}`);
+    return { claim, code, codeExpiresAt };
+  }
+
+  /**
+   * 主人确认团聚 - 校验验证码或身份特征，通过后结案并记录互助
+   * @param {string} alertId - 警报ID
+   * @param {string} ownerId - 主人ID
+   * @param {Object} confirmation - { claimId, method: 'code' | 'identity', code }
+   * @returns {Promise<Object>} 已解决的警报
+   */
+  async confirmReunion(alertId, ownerId, { claimId, method, code } = {}) {
+    const { alert, pet } = await this.loadAlertAndPet(alertId);
+
+    if (!this.emergencyProtocol.isAlertOwner(alert, pet, ownerId)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以确认团聚');
+    }
+    // 警报关闭后不再写入任何认领状态或失败次数
+    if (alert.status !== 'active') {
+      throw AppError.conflict('ALERT_NOT_ACTIVE', '警报已关闭，无法确认团聚');
+    }
+
+    const claim = this.findPendingClaim(alert, claimId);
+
+    if (method === 'code') {
+      if (claim.codeExpiresAt < new Date()) {
+        claim.status = 'expired';
+        await alert.save();
+        throw AppError.conflict('CODE_EXPIRED', '验证码已过期，请发现者重新认领');
+      }
+
+      if (!this.codeMatches(code, claim.codeHash)) {
+        claim.failedAttempts += 1;
+        if (claim.failedAttempts >= MAX_CODE_ATTEMPTS) {
+          claim.status = 'expired';
+        }
+        await alert.save();
+        throw AppError.badRequest('INVALID_REUNION_CODE', '验证码错误', {
+          remainingAttempts: Math.max(0, MAX_CODE_ATTEMPTS - claim.failedAttempts)
+        });
+      }
+    } else if (method === 'identity') {
+      const { matched } = this.verifyIdentityEvidence(pet, claim.evidence);
+      if (!matched) {
+        throw AppError.badRequest('IDENTITY_MISMATCH', '发现者提供的特征与宠物档案不符');
+      }
+    } else {
+      throw AppError.badRequest('INVALID_VERIFICATION_METHOD', '验证方式必须为 code 或 identity');
+    }
+
+    // 验证通过：确认认领，关闭其余待确认认领
+    const now = new Date();
+    claim.status = 'confirmed';
+    claim.verificationMethod = method;
+    claim.decidedAt = now;
+    claim.decidedBy = ownerId;
+    alert.reunionClaims.forEach(other => {
+      if (other.status === 'pending') {
+        other.status = 'rejected';
+        other.decidedAt = now;
+        other.decidedBy = ownerId;
+      }
+    });
+
+    alert.recordHistory('reunion_confirmed', {
+      actorId: ownerId,
+      data: { claimId: claim._id, finderId: claim.finderId, method }
+    });
+
+    await pet.markAsFound({
+      event: 'reunion_confirmed',
+      changedBy: ownerId,
+      reason: '发现者与主人完成团聚验证',
+      alertId: alert._id
+    });
+    await alert.markAsResolved(ownerId, '发现者与主人完成团聚验证');
+
+    await this.recordMutualHelp(claim.finderId, pet.ownerId);
+
+    this.emergencyProtocol.activeAlerts.delete(alert._id.toString());
+
+    console.log(`🎉 团聚已确认: ${alertId} - ${claim._id}`);
+    return alert;
+  }
+
+  /**
+   * 主人拒绝认领
+   * @param {string} alertId - 警报ID
+   * @param {string} ownerId - 主人ID
+   * @param {string} claimId - 认领ID
+   * @param {string} [reason] - 拒绝原因
+   * @returns {Promise<Object>} 被拒绝的认领
+   */
+  async rejectClaim(alertId, ownerId, claimId, reason) {
+    const { alert, pet } = await this.loadAlertAndPet(alertId);
+
+    if (!this.emergencyProtocol.isAlertOwner(alert, pet, ownerId)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以处理认领');
+    }
+
+    const claim = this.findPendingClaim(alert, claimId);
+    claim.status = 'rejected';
+    claim.decidedAt = new Date();
+    claim.decidedBy = ownerId;
+
+    alert.recordHistory('reunion_rejected', {
+      actorId: ownerId,
+      note: reason,
+      data: { claimId: claim._id }
+    });
+    await alert.save();
+
+    return claim;
+  }
+
+  /**
+   * 记录互助：发现者 helpProvided +1，主人 helpReceived +1
+   * @param {string} finderId - 发现者ID
+   * @param {string} ownerId - 主人ID
+   */
+  async recordMutualHelp(finderId, ownerId) {
+    await Promise.all([
+      User.updateOne({ _id: finderId }, { $inc: { 'petStats.helpProvided': 1 } }),
+      User.updateOne({ _id: ownerId }, { $inc: { 'petStats.helpReceived': 1 } })
+    ]);
+  }
+}
+
+module.exports = ReunionService;
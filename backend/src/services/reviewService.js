@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const { PetService } = require('../models');
+const { AppError } = require('../utils/errors');
+
+const MAX_PHOTOS = 9;
+// 总评分不低于此值计为好评
+const POSITIVE_RATING_MIN = 4;
+
+/**
+ * 服务评价服务 - 基于道德经"信者吾信之，不信者吾亦信之，德信"理念
+ * 只有完成预约的用户才能评价，每个预约一条；评分统计增量更新，并据好评差评调整服务提供者信用分
+ */
+class ReviewService {
+  /**
+   * @param {Object} options
+   * @param {AppointmentService} options.appointmentService - 服务预约服务实例
+   * @param {MoralGuardService} options.moralGuardService - 道德风控服务，用于调整信用分
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例，复用其推送通道
+   * @param {number} [options.windowDays] - 服务完成后可评价的天数
+   */
+  constructor({ appointmentService, moralGuardService, emergencyProtocol, windowDays } = {}) {
+    this.appointmentService = appointmentService;
+    this.moralGuardService = moralGuardService;
+    this.emergencyProtocol = emergencyProtocol;
+    this.windowDays = windowDays || parseInt(process.env.REVIEW_WINDOW_DAYS) || 30;
+  }
+
+  /**
+   * 校验评分：总评分与各维度评分均为1-5的整数
+   * @param {Object} data - { rating, scores }
+   * @returns {Object} { rating, scores }
+   */
+  parseScores({ rating, scores = {} }) {
+    const isScore = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+    if (!isScore(rating)) {
+      throw AppError.badRequest('INVALID_RATING', '总评分必须为1-5的整数');
+    }
+
+    const parsed = {};
+    for (const dimension of PetService.REVIEW_DIMENSIONS) {
+      if (!isScore(scores[dimension])) {
+        throw AppError.badRequest('INVALID_RATING', `请为 ${PetService.REVIEW_DIMENSIONS.join('/')} 各打1-5分`);
+      }
+      parsed[dimension] = scores[dimension];
+    }
+    return { rating, scores: parsed };
+  }
+
+  /**
+   * 评价已完成的预约
+   * @param {string} appointmentId - 预约ID
+   * @param {string} userId - 预约人ID
+   * @param {Object} data - { rating, scores, comment, photos }
+   * @returns {Promise<Object>} { review, ratings }
+   */
+  async createReview(appointmentId, userId, { rating, scores, comment, photos = [] } = {}) {
+    const parsed = this.parseScores({ rating, scores });
+    if (!Array.isArray(photos) || photos.length > MAX_PHOTOS || photos.some(url => typeof url !== 'string')) {
+      throw AppError.badRequest('INVALID_PHOTOS', `评价图片最多${MAX_PHOTOS}张`);
+    }
+
+    const { service, appointment, isCustomer } = await this.appointmentService.loadAppointment(appointmentId, userId);
+    if (!isCustomer) {
+      throw AppError.forbidden('NOT_APPOINTMENT_CUSTOMER', '只有预约人可以评价');
+    }
+    if (appointment.status !== 'completed') {
+      throw AppError.conflict('APPOINTMENT_NOT_COMPLETED', '服务完成后才能评价');
+    }
+    if (appointment.completedAt && Date.now() - appointment.completedAt.getTime() > this.windowDays * 24 * 60 * 60 * 1000) {
+      throw AppError.conflict('REVIEW_WINDOW_CLOSED', `服务完成${this.windowDays}天后不能再评价`);
+    }
+
+    const review = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      appointmentId: appointment._id,
+      ...parsed,
+      comment,
+      photos,
+      serviceUsed: appointment.serviceName,
+      visitDate: appointment.scheduledTime,
+      isVerified: true
+    };
+
+    const increments = {
+      'ratings.count': 1,
+      'ratings.scoredCount': 1,
+      'ratings.total': parsed.rating,
+      'ratings.negativeCount': parsed.rating <= PetService.NEGATIVE_RATING_MAX ? 1 : 0
+    };
+    for (const dimension of PetService.REVIEW_DIMENSIONS) {
+      increments[`ratings.breakdownTotals.${dimension}`] = parsed.scores[dimension];
+    }
+
+    // 以"该预约尚无评价"为条件追加，并发提交只有一条生效
+    const reviewed = await PetService.findOneAndUpdate(
+      { _id: service._id, 'reviews.appointmentId': { $ne: appointment._id } },
+      { $push: { reviews: review }, $inc: increments },
+      { new: true, runValidators: true }
+    );
+    if (!reviewed) {
+      throw AppError.conflict('REVIEW_EXISTS', '该预约已评价');
+    }
+
+    const updated = await this.refreshAverages(service._id);
+    await this.adjustCreditScore(updated.providerId, parsed.rating);
+    await this.notify(updated.providerId, 'service_review', updated, review);
+
+    console.log(`⭐ 新评价: ${updated._id} ${parsed.rating}分 (预约 ${appointment._id})`);
+    return { review: updated.reviews.id(review._id), ratings: updated.ratings };
+  }
+
+  /**
+   * 由累计值重算平均分与差评率。只依赖累计值，并发评价后重复执行结果一致
+   * @param {string} serviceId - 服务ID
+   * @returns {Promise<Object>} 更新后的服务
+   */
+  async refreshAverages(serviceId) {
+    const average = (field, count) => ({ $round: [{ $divide: [field, count] }, 2] });
+    const averages = {
+      'ratings.overall': average('$ratings.total', '$ratings.count'),
+      'ratings.negativeRate': { $divide: ['$ratings.negativeCount', '$ratings.count'] }
+    };
+    for (const dimension of PetService.REVIEW_DIMENSIONS) {
+      averages[`ratings.breakdown.${dimension}`] = average(`$ratings.breakdownTotals.${dimension}`, '$ratings.scoredCount');
+    }
+
+    return PetService.findOneAndUpdate(
+      { _id: serviceId, 'ratings.scoredCount': { $gt: 0 } },
+      [{ $set: averages }],
+      { new: true }
+    );
+  }
+
+  /**
+   * 好评与差评调整服务提供者信用分，中评不调整；失败不影响评价本身
+   * @param {string} providerId - 服务提供者ID
+   * @param {number} rating - 总评分
+   */
+  async adjustCreditScore(providerId, rating) {
+    let action = null;
+    if (rating >= POSITIVE_RATING_MIN) action = 'positive_rating';
+    if (rating <= PetService.NEGATIVE_RATING_MAX) action = 'negative_rating';
+    if (!action) return;
+
+    try {
+      await this.moralGuardService.updateCreditScore(providerId.toString(), action);
+    } catch (error) {
+      console.error(`信用分更新失败 [${providerId}]:`, error);
+    }
+  }
+
+  /**
+   * 服务的评价列表与评分统计
+   * @param {string} serviceId - 服务ID
+   * @param {Object} [options] - { page, limit }
+   * @returns {Promise<Object>} { ratings, items, total, page, limit }
+   */
+  async listReviews(serviceId, { page = 1, limit = 20 } = {}) {
+    const service = mongoose.Types.ObjectId.isValid(serviceId)
+      ? await PetService.findById(serviceId).select('ratings reviews').populate('reviews.userId', 'nickname avatar')
+      : null;
+    if (!service) {
+      throw AppError.notFound('SERVICE_NOT_FOUND', '服务不存在');
+    }
+
+    const sorted = [...service.reviews].sort((a, b) => b.createdAt - a.createdAt);
+    return {
+      ratings: service.ratings,
+      items: sorted.slice((page - 1) * limit, page * limit),
+      total: sorted.length,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * 服务提供者回复评价（再次回复覆盖原回复）
+   * @param {string} serviceId - 服务ID
+   * @param {string} reviewId - 评价ID
+   * @param {string} userId - 服务提供者ID
+   * @param {string} content - 回复内容
+   * @returns {Promise<Object>} 评价
+   */
+  async reply(serviceId, reviewId, userId, content) {
+    const text = String(content || '').trim();
+    if (!text || text.length > 500) {
+      throw AppError.badRequest('INVALID_REPLY', '回复内容为1-500字');
+    }
+
+    const service = mongoose.Types.ObjectId.isValid(serviceId) ? await PetService.findById(serviceId) : null;
+    if (!service) {
+      throw AppError.notFound('SERVICE_NOT_FOUND', '服务不存在');
+    }
+    if (service.providerId.toString() !== userId) {
+      throw AppError.forbidden('NOT_SERVICE_PROVIDER', '只有服务提供者可以回复评价');
+    }
+    const review = service.reviews.id(reviewId);
+    if (!review) {
+      throw AppError.notFound('REVIEW_NOT_FOUND', '评价不存在');
+    }
+
+    const updated = await PetService.findOneAndUpdate(
+      { _id: service._id, 'reviews._id': review._id },
+      { $set: { 'reviews.$.reply': { content: text, repliedAt: new Date() } } },
+      { new: true, runValidators: true }
+    );
+
+    const replied = updated.reviews.id(review._id);
+    await this.notify(replied.userId, 'review_reply', updated, replied);
+    return replied;
+  }
+
+  /**
+   * 评价与回复推送
+   * @param {string} recipientId - 接收人ID
+   * @param {string} subtype - service_review | review_reply
+   * @param {Object} service - 服务
+   * @param {Object} review - 评价
+   */
+  async notify(recipientId, subtype, service, review) {
+    if (!recipientId) return;
+
+    await this.emergencyProtocol.dealerService.notifyUser(recipientId, subtype, {
+      serviceId: service._id,
+      serviceTitle: service.title,
+      reviewId: review._id,
+      rating: review.rating
+    });
+  }
+}
+
+module.exports = ReviewService;
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const { User, Pet, PetService } = require('../models');
+const { AppError } = require('../utils/errors');
+
+// 服务提供者可直接编辑的字段；状态、认证、评分与预约由各自流程维护
+const EDITABLE_FIELDS = [
+  'serviceType', 'title', 'description', 'location', 'serviceRadius', 'contactInfo',
+  'services', 'qualifications', 'specialties', 'supportedSpecies', 'facilities', 'photos'
+];
+
+// 影响审核结论的字段，修改后需重新风控校验并重新认证
+const REVIEWED_FIELDS = ['serviceType', 'title', 'description', 'services', 'qualifications', 'specialties'];
+
+// 对外展示时隐藏的字段：预约与评价另有接口，发布元数据仅供风控
+const PRIVATE_FIELDS = ['appointments', 'reviews', 'calendarToken', 'metadata'];
+
+/**
+ * 宠物服务目录 - 基于道德经"上善若水，水善利万物而不争"理念
+ * 服务的发布、编辑、下架与检索统一经由 PetService，发布前经道德风控校验，匹配委托服务匹配算法
+ */
+class ServiceCatalogService {
+  /**
+   * @param {Object} options
+   * @param {MoralGuardService} options.moralGuardService - 道德风控服务
+   * @param {ServiceMatchingAlgorithm} options.serviceMatchingAlgorithm - 服务匹配算法
+   */
+  constructor({ moralGuardService, serviceMatchingAlgorithm } = {}) {
+    this.moralGuardService = moralGuardService;
+    this.serviceMatchingAlgorithm = serviceMatchingAlgorithm;
+  }
+
+  /**
+   * 挑选可编辑字段
+   * @param {Object} data - 请求数据
+   * @returns {Object} 可写入的字段
+   */
+  pickEditable(data = {}) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * 对外展示的服务信息
+   * @param {Object} service - 服务
+   * @returns {Object} 服务信息，附近搜索时带 distance(公里)
+   */
+  toView(service) {
+    const view = service.toJSON();
+    PRIVATE_FIELDS.forEach(field => delete view[field]);
+    return view;
+  }
+
+  /**
+   * 校验服务类型
+   * @param {string} [serviceType] - 服务类型
+   */
+  assertServiceType(serviceType) {
+    if (serviceType && !PetService.schema.path('serviceType').enumValues.includes(serviceType)) {
+      throw AppError.badRequest('INVALID_SERVICE_TYPE', '服务类型无效');
+    }
+  }
+
+  /**
+   * 加载服务并校验提供者身份
+   * @param {string} serviceId - 服务ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 服务
+   */
+  async loadOwnedService(serviceId, userId) {
+    const service = mongoose.Types.ObjectId.isValid(serviceId) ? await PetService.findById(serviceId) : null;
+    if (!service) {
+      throw AppError.notFound('SERVICE_NOT_FOUND', '服务不存在');
+    }
+    if (service.providerId.toString() !== userId) {
+      throw AppError.forbidden('NOT_SERVICE_PROVIDER', '只有服务提供者可以管理服务');
+    }
+    return service;
+  }
+
+  /**
+   * 公开服务列表，按评分排序
+   * @param {Object} [options] - { serviceType, page, limit }
+   * @returns {Promise<Object>} { items, total, page, limit }
+   */
+  async listServices({ serviceType, page = 1, limit = 20 } = {}) {
+    this.assertServiceType(serviceType);
+    const query = serviceType ? { ...PetService.LISTED_QUERY, serviceType } : PetService.LISTED_QUERY;
+
+    const [services, total] = await Promise.all([
+      PetService.find(query)
+        .select('-appointments -reviews')
+        .sort({ 'ratings.overall': -1, 'ratings.count': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PetService.countDocuments(query)
+    ]);
+
+    return { items: services.map(service => this.toView(service)), total, page, limit };
+  }
+
+  /**
+   * 我发布的服务（含待审核与已下架）
+   * @param {string} userId - 服务提供者ID
+   * @returns {Promise<Array>} 服务列表
+   */
+  async listMine(userId) {
+    const services = await PetService.findByProvider(userId).select('-appointments -reviews');
+    return services.map(service => this.toView(service));
+  }
+
+  /**
+   * 附近的服务，按距离排序
+   * @param {Object} options - { latitude, longitude, radius(公里), serviceType }
+   * @returns {Promise<Array>} 服务列表
+   */
+  async findNearby({ latitude, longitude, radius = 10, serviceType }) {
+    this.assertServiceType(serviceType);
+    const services = await PetService.findNearby(latitude, longitude, radius, serviceType);
+    return services.map(service => this.toView(service));
+  }
+
+  /**
+   * 服务详情，累计浏览次数
+   * @param {string} serviceId - 服务ID
+   * @returns {Promise<Object>} 服务信息
+   */
+  async getService(serviceId) {
+    const service = mongoose.Types.ObjectId.isValid(serviceId)
+      ? await PetService.findByIdAndUpdate(serviceId, { $inc: { 'stats.totalViews': 1 } }, { new: true })
+        .select('-appointments -reviews')
+        .populate('providerId', 'nickname avatar creditScore')
+      : null;
+    if (!service) {
+      throw AppError.notFound('SERVICE_NOT_FOUND', '服务不存在');
+    }
+    return this.toView(service);
+  }
+
+  /**
+   * 发布服务 - 经道德风控校验后创建，新服务待审核
+   * @param {string} userId - 服务提供者ID
+   * @param {Object} data - 服务数据
+   * @param {Object} [context] - { ipAddress }
+   * @returns {Promise<Object>} 服务信息
+   */
+  async createService(userId, data, { ipAddress } = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw AppError.notFound('USER_NOT_FOUND', '用户不存在');
+    }
+
+    const fields = this.pickEditable(data);
+    const check = await this.moralGuardService.validateServicePublication(userId, { ...fields, ipAddress });
+    if (!check.isValid) {
+      throw AppError.forbidden('SERVICE_PUBLICATION_REJECTED', check.violations[0].message, {
+        violations: check.violations
+      });
+    }
+
+    const service = await PetService.create({
+      ...fields,
+      providerId: user._id,
+      lastUpdated: new Date(),
+      metadata: { ipAddress }
+    });
+    await User.updateOne({ _id: user._id }, { $inc: { 'serviceSlots.currentServices': 1 } });
+
+    console.log(`🏪 服务已发布: ${service.title} (ID: ${service._id})`);
+    return this.toView(service);
+  }
+
+  /**
+   * 编辑服务，刷新 lastUpdated 以保持匹配时效性
+   * 修改类型、标题、项目、资质等审核字段时重新经道德风控校验，并退回待审核，重新认证前不再公开
+   * @param {string} serviceId - 服务ID
+   * @param {string} userId - 服务提供者ID
+   * @param {Object} data - 更新数据
+   * @returns {Promise<Object>} 服务信息
+   */
+  async updateService(serviceId, userId, data) {
+    const service = await this.loadOwnedService(serviceId, userId);
+    const { location, ...fields } = this.pickEditable(data);
+    this.assertServiceType(fields.serviceType);
+
+    service.set(fields);
+    if (location) {
+      service.set('location', { ...service.location.toObject(), ...location });
+    }
+
+    if (REVIEWED_FIELDS.some(field => service.isModified(field))) {
+      const check = await this.moralGuardService.validateServicePublication(userId, fields, { existingService: true });
+      if (!check.isValid) {
+        throw AppError.forbidden('SERVICE_PUBLICATION_REJECTED', check.violations[0].message, {
+          violations: check.violations
+        });
+      }
+
+      service.verificationStatus = 'pending';
+      service.verifiedAt = undefined;
+      if (service.status === 'active') {
+        service.status = 'pending_verification';
+      }
+    }
+    service.lastUpdated = new Date();
+    await service.save();
+    return this.toView(service);
+  }
+
+  /**
+   * 删除服务 - 有未结束的预约时不可删除，删除后归还发布名额
+   * @param {string} serviceId - 服务ID
+   * @param {string} userId - 服务提供者ID
+   */
+  async deleteService(serviceId, userId) {
+    const service = await this.loadOwnedService(serviceId, userId);
+    const hasActiveAppointments = service.appointments.some(appointment =>
+      PetService.APPOINTMENT_ACTIVE_STATUSES.includes(appointment.status)
+    );
+    if (hasActiveAppointments) {
+      throw AppError.conflict('SERVICE_HAS_APPOINTMENTS', '服务还有未结束的预约，请先处理预约');
+    }
+
+    await PetService.deleteOne({ _id: service._id });
+    await User.updateOne(
+      { _id: service.providerId, 'serviceSlots.currentServices': { $gt: 0 } },
+      { $inc: { 'serviceSlots.currentServices': -1 } }
+    );
+
+    console.log(`🗑️ 服务已删除: ${service._id}`);
+  }
+
+  /**
+   * 为用户匹配附近的服务，未指定位置时使用用户最近上报的位置，未指定物种时使用用户所养宠物的物种
+   * @param {string} userId - 寻求服务的用户ID
+   * @param {Object} options - { serviceType, latitude, longitude, radius(公里), species, priceBand, emergency, page, limit }
+   * @returns {Promise<Object>} { items: [{ service, score, distance(米), explanation }], total, page, limit }
+   */
+  async matchServices(userId, { serviceType, latitude, longitude, radius = 1, species, priceBand, emergency, page = 1, limit }) {
+    if (!serviceType) {
+      throw AppError.badRequest('INVALID_SERVICE_TYPE', '请指定服务类型');
+    }
+    this.assertServiceType(serviceType);
+
+    const { config } = this.serviceMatchingAlgorithm;
+    if (!Number.isInteger(page) || page < 1 ||
+        (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > config.maxPageSize))) {
+      throw AppError.badRequest('INVALID_PAGINATION', `page 必须为正整数，limit 必须为1-${config.maxPageSize}之间的整数`);
+    }
+    const speciesValues = PetService.schema.path('supportedSpecies').caster.enumValues;
+    if (species && species.some(item => !speciesValues.includes(item))) {
+      throw AppError.badRequest('INVALID_SPECIES', '宠物物种无效');
+    }
+    if (priceBand && !config.priceBands.some(item => item.band === priceBand)) {
+      throw AppError.badRequest('INVALID_PRICE_BAND', '价格档位无效');
+    }
+
+    let point = latitude !== undefined ? { type: 'Point', coordinates: [longitude, latitude] } : null;
+    if (!point) {
+      const user = await User.findById(userId).select('location');
+      point = user && user.location && user.location.point;
+    }
+    if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) {
+      throw AppError.badRequest('LOCATION_REQUIRED', '请先开启定位或指定位置');
+    }
+
+    const petSpecies = species || await Pet.find({ ownerId: userId }).distinct('species');
+    const result = await this.serviceMatchingAlgorithm.matchServices(userId, point, serviceType, radius * 1000, {
+      species: petSpecies,
+      priceBand,
+      emergency,
+      page,
+      limit
+    });
+    return { ...result, items: result.items.map(match => ({ ...match, service: this.toView(match.service) })) };
+  }
+}
+
+module.exports = ServiceCatalogService;
@@ -37,8 +37,8 @@ class StorageService {
       const ext = path.extname(originalName) || '';
       
       // 优化54: 安全文件名生成
-      const safeName = originalName.replace(/[^a-zA-Z0-9.-]/g, '_');
-      return `${timestamp}_${random}_${safeName}${ext}`;
+      const safeName = path.basename(originalName, ext).replace(/[^a-zA-Z0-9.-]/g, '_');
+      return `${timestamp}_${random}_${safeName}${ext.replace(/[^a-zA-Z0-9.]/g, '')}`;
     } catch (error) {
       console.error('Error generating filename:', error);
       return `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
@@ -72,6 +72,31 @@ class StorageService {
       return false;
     }
   }
+
+  // 保存图片，返回文件名与公开访问路径
+  saveImage(buffer, originalName) {
+    const filename = this.generateFilename(originalName);
+    fs.writeFileSync(this.getImagePath(filename), buffer);
+    return { filename, url: this.getImageUrl(filename) };
+  }
+
+  getImageUrl(filename) {
+    return `/uploads/images/${filename}`;
+  }
+
+  // 公开访问路径对应的本地图片路径，不是本地上传目录中的文件时返回null
+  getLocalImagePath(url) {
+    if (typeof url !== 'string' || !url.startsWith('/uploads/images/')) {
+      return null;
+    }
+    return this.getImagePath(path.basename(url));
+  }
+
+  // 按公开访问路径删除图片，仅处理本地上传目录中的文件
+  deleteImageByUrl(url) {
+    const filePath = this.getLocalImagePath(url);
+    return filePath ? this.delete(filePath) : false;
+  }
 }
 
 module.exports = new StorageService();
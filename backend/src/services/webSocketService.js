@@ -1,46 +1,24 @@
-import { Server as SocketIOServer } from 'socket.io';
-import { Server as HTTPServer } from 'http';
-import jwt from 'jsonwebtoken';
-import { User } from '../models';
-
-interface AuthenticatedSocket extends Socket {
-  userId?: string;
-  user?: any;
-}
-
-interface StarSeedRadiation {
-  starSeedId: string;
-  luminosity: number;
-  position: { x: number; y: number; z: number };
-  timestamp: Date;
-}
-
-interface ClusterUpdate {
-  clusterId: string;
-  members: any[];
-  averageResonance: number;
-  timestamp: Date;
-}
-
-interface UserActivity {
-  userId: string;
-  activity: 'online' | 'offline' | 'typing' | 'viewing';
-  timestamp: Date;
-}
-
+const { Server: SocketIOServer } = require('socket.io');
+const { AuthService } = require('../middleware/auth');
+const { User } = require('../models');
+
+/**
+ * 实时推送服务 - 基于 Socket.IO
+ * 连接时校验访问令牌，每个用户加入 user:<userId> 房间，业务服务通过 sendToUser 向用户的所有设备推送
+ */
 class WebSocketService {
-  private io: SocketIOServer;
-  private connectedUsers: Map<string, string> = new Map(); // userId -> socketId
-  private userRooms: Map<string, Set<string>> = new Map(); // userId -> Set<roomIds>
-
   // 构造函数 - 优化55: 增强配置和错误处理
-  constructor(httpServer: HTTPServer) {
+  constructor(httpServer) {
     try {
       // 优化55: 输入验证
       if (!httpServer) {
         throw new Error('HTTP server is required');
       }
 
+      this.connectedUsers = new Map(); // userId -> Set<socketId>
+      this.userRooms = new Map(); // userId -> Set<roomIds>
+      this.authService = new AuthService();
+
       this.io = new SocketIOServer(httpServer, {
         cors: {
           origin: process.env.CORS_ORIGIN || "http://localhost:3000",
@@ -63,20 +41,21 @@ class WebSocketService {
   }
 
   // 设置中间件
-  private setupMiddleware() {
-    // 身份验证中间件
-    this.io.use(async (socket: AuthenticatedSocket, next) => {
+  setupMiddleware() {
+    // 身份验证中间件，与HTTP接口使用同一套访问令牌
+    this.io.use(async (socket, next) => {
       try {
-        const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
-        
+        const authorization = socket.handshake.headers.authorization;
+        const token = socket.handshake.auth.token || (authorization && authorization.replace('Bearer ', ''));
+
         if (!token) {
           return next(new Error('Authentication error: No token provided'));
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'flulink-secret-key-2024') as any;
+        const decoded = await this.authService.verifyToken(token);
         const user = await User.findById(decoded.userId).select('-password');
-        
-        if (!user) {
+
+        if (!user || !user.isActive) {
           return next(new Error('Authentication error: User not found'));
         }
 
@@ -84,28 +63,31 @@ class WebSocketService {
         socket.user = user;
         next();
       } catch (error) {
-        console.error('Socket authentication error:', error);
+        console.error('Socket authentication error:', error.message);
         next(new Error('Authentication error: Invalid token'));
       }
     });
 
     // 连接日志中间件
-    this.io.use((socket: AuthenticatedSocket, next) => {
-      console.log(`Socket connecting: ${socket.userId} (${socket.user?.nickname})`);
+    this.io.use((socket, next) => {
+      console.log(`Socket connecting: ${socket.userId} (${socket.user && socket.user.nickname})`);
       next();
     });
   }
 
   // 设置事件处理器
-  private setupEventHandlers() {
-    this.io.on('connection', (socket: AuthenticatedSocket) => {
-      const userId = socket.userId!;
-      const user = socket.user!;
+  setupEventHandlers() {
+    this.io.on('connection', (socket) => {
+      const userId = socket.userId;
+      const user = socket.user;
 
       console.log(`User connected: ${user.nickname} (${userId})`);
 
-      // 存储用户连接
-      this.connectedUsers.set(userId, socket.id);
+      // 存储用户连接，同一用户可能有多台设备在线
+      if (!this.connectedUsers.has(userId)) {
+        this.connectedUsers.set(userId, new Set());
+      }
+      this.connectedUsers.get(userId).add(socket.id);
 
       // 发送连接成功事件
       socket.emit('connected', {
@@ -125,47 +107,52 @@ class WebSocketService {
       socket.join(`user:${userId}`);
 
       // 处理星种辐射事件
-      socket.on('star_seed_radiation', (data: StarSeedRadiation) => {
+      socket.on('star_seed_radiation', (data) => {
         this.handleStarSeedRadiation(socket, data);
       });
 
       // 处理星团更新事件
-      socket.on('cluster_update', (data: ClusterUpdate) => {
+      socket.on('cluster_update', (data) => {
         this.handleClusterUpdate(socket, data);
       });
 
       // 处理用户活动事件
-      socket.on('user_activity', (data: UserActivity) => {
+      socket.on('user_activity', (data) => {
         this.handleUserActivity(socket, data);
       });
 
       // 处理加入房间事件
-      socket.on('join_room', (roomId: string) => {
+      socket.on('join_room', (roomId) => {
         this.handleJoinRoom(socket, roomId);
       });
 
       // 处理离开房间事件
-      socket.on('leave_room', (roomId: string) => {
+      socket.on('leave_room', (roomId) => {
         this.handleLeaveRoom(socket, roomId);
       });
 
       // 处理星种互动事件
-      socket.on('star_seed_interaction', (data: any) => {
+      socket.on('star_seed_interaction', (data) => {
         this.handleStarSeedInteraction(socket, data);
       });
 
       // 处理星团成员变化事件
-      socket.on('cluster_member_change', (data: any) => {
+      socket.on('cluster_member_change', (data) => {
         this.handleClusterMemberChange(socket, data);
       });
 
       // 处理断开连接
       socket.on('disconnect', (reason) => {
         console.log(`User disconnected: ${user.nickname} (${userId}) - ${reason}`);
-        
-        // 移除用户连接
-        this.connectedUsers.delete(userId);
-        
+
+        // 移除用户连接，其他设备仍在线时保留房间记录
+        const sockets = this.connectedUsers.get(userId);
+        if (sockets) {
+          sockets.delete(socket.id);
+          if (sockets.size > 0) return;
+          this.connectedUsers.delete(userId);
+        }
+
         // 离开所有房间
         const userRooms = this.userRooms.get(userId);
         if (userRooms) {
@@ -191,12 +178,12 @@ class WebSocketService {
   }
 
   // 处理星种辐射事件
-  private handleStarSeedRadiation(socket: AuthenticatedSocket, data: StarSeedRadiation) {
-    const userId = socket.userId!;
-    
+  handleStarSeedRadiation(socket, data) {
+    const userId = socket.userId;
+
     // 验证用户权限（只有星种作者或星团成员可以触发辐射）
     // 这里可以添加权限验证逻辑
-    
+
     // 广播辐射事件到相关房间
     const radiationData = {
       ...data,
@@ -206,7 +193,7 @@ class WebSocketService {
 
     // 发送到星种房间
     socket.to(`star_seed:${data.starSeedId}`).emit('star_seed_radiation', radiationData);
-    
+
     // 发送到用户所在的星团房间
     const userRooms = this.userRooms.get(userId);
     if (userRooms) {
@@ -221,11 +208,11 @@ class WebSocketService {
   }
 
   // 处理星团更新事件
-  private handleClusterUpdate(socket: AuthenticatedSocket, data: ClusterUpdate) {
-    const userId = socket.userId!;
-    
+  handleClusterUpdate(socket, data) {
+    const userId = socket.userId;
+
     // 验证用户是否为星团成员
-    const isMember = data.members.some(member => member.userId === userId);
+    const isMember = (data.members || []).some(member => member.userId === userId);
     if (!isMember) {
       socket.emit('error', { message: 'Unauthorized: Not a cluster member' });
       return;
@@ -239,14 +226,14 @@ class WebSocketService {
     };
 
     socket.to(`cluster:${data.clusterId}`).emit('cluster_update', updateData);
-    
+
     console.log(`Cluster update: ${data.clusterId} by ${userId}`);
   }
 
   // 处理用户活动事件
-  private handleUserActivity(socket: AuthenticatedSocket, data: UserActivity) {
-    const userId = socket.userId!;
-    
+  handleUserActivity(socket, data) {
+    const userId = socket.userId;
+
     // 广播用户活动到相关房间
     const activityData = {
       ...data,
@@ -266,21 +253,27 @@ class WebSocketService {
   }
 
   // 处理加入房间事件
-  private handleJoinRoom(socket: AuthenticatedSocket, roomId: string) {
-    const userId = socket.userId!;
-    
+  handleJoinRoom(socket, roomId) {
+    const userId = socket.userId;
+
+    // 用户房间只能由服务端分配
+    if (typeof roomId !== 'string' || roomId.startsWith('user:')) {
+      socket.emit('error', { message: 'Unauthorized: Invalid room' });
+      return;
+    }
+
     socket.join(roomId);
-    
+
     // 更新用户房间记录
     if (!this.userRooms.has(userId)) {
       this.userRooms.set(userId, new Set());
     }
-    this.userRooms.get(userId)!.add(roomId);
+    this.userRooms.get(userId).add(roomId);
 
     // 通知房间内其他用户
     socket.to(roomId).emit('user_joined_room', {
       userId,
-      nickname: socket.user!.nickname,
+      nickname: socket.user.nickname,
       roomId,
       timestamp: new Date()
     });
@@ -289,11 +282,11 @@ class WebSocketService {
   }
 
   // 处理离开房间事件
-  private handleLeaveRoom(socket: AuthenticatedSocket, roomId: string) {
-    const userId = socket.userId!;
-    
+  handleLeaveRoom(socket, roomId) {
+    const userId = socket.userId;
+
     socket.leave(roomId);
-    
+
     // 更新用户房间记录
     const userRooms = this.userRooms.get(userId);
     if (userRooms) {
@@ -306,7 +299,7 @@ class WebSocketService {
     // 通知房间内其他用户
     socket.to(roomId).emit('user_left_room', {
       userId,
-      nickname: socket.user!.nickname,
+      nickname: socket.user.nickname,
       roomId,
       timestamp: new Date()
     });
@@ -315,9 +308,9 @@ class WebSocketService {
   }
 
   // 处理星种互动事件
-  private handleStarSeedInteraction(socket: AuthenticatedSocket, data: any) {
-    const userId = socket.userId!;
-    
+  handleStarSeedInteraction(socket, data) {
+    const userId = socket.userId;
+
     const interactionData = {
       ...data,
       userId,
@@ -326,7 +319,7 @@ class WebSocketService {
 
     // 广播到星种房间
     socket.to(`star_seed:${data.starSeedId}`).emit('star_seed_interaction', interactionData);
-    
+
     // 广播到星团房间
     const userRooms = this.userRooms.get(userId);
     if (userRooms) {
@@ -341,9 +334,9 @@ class WebSocketService {
   }
 
   // 处理星团成员变化事件
-  private handleClusterMemberChange(socket: AuthenticatedSocket, data: any) {
-    const userId = socket.userId!;
-    
+  handleClusterMemberChange(socket, data) {
+    const userId = socket.userId;
+
     const changeData = {
       ...data,
       changedBy: userId,
@@ -352,35 +345,43 @@ class WebSocketService {
 
     // 广播到星团房间
     socket.to(`cluster:${data.clusterId}`).emit('cluster_member_change', changeData);
-    
+
     console.log(`Cluster member change: ${data.clusterId} by ${userId}`);
   }
 
   // 获取在线用户数量
-  getOnlineUserCount(): number {
+  getOnlineUserCount() {
     return this.connectedUsers.size;
   }
 
   // 获取在线用户列表
-  getOnlineUsers(): string[] {
+  getOnlineUsers() {
     return Array.from(this.connectedUsers.keys());
   }
 
-  // 向特定用户发送消息
-  sendToUser(userId: string, event: string, data: any) {
-    const socketId = this.connectedUsers.get(userId);
-    if (socketId) {
-      this.io.to(socketId).emit(event, data);
+  /**
+   * 向特定用户的所有在线设备发送消息
+   * @param {string} userId - 用户ID
+   * @param {string} event - 事件名
+   * @param {Object} data - 消息内容
+   * @returns {boolean} 用户是否在线（未在线时消息未送出）
+   */
+  sendToUser(userId, event, data) {
+    const key = userId.toString();
+    if (!this.connectedUsers.has(key)) {
+      return false;
     }
+    this.io.to(`user:${key}`).emit(event, data);
+    return true;
   }
 
   // 向房间发送消息
-  sendToRoom(roomId: string, event: string, data: any) {
+  sendToRoom(roomId, event, data) {
     this.io.to(roomId).emit(event, data);
   }
 
   // 广播消息
-  broadcast(event: string, data: any) {
+  broadcast(event, data) {
     this.io.emit(event, data);
   }
 
@@ -388,6 +389,11 @@ class WebSocketService {
   getIO() {
     return this.io;
   }
+
+  // 关闭所有连接
+  close() {
+    this.io.close();
+  }
 }
 
-export default WebSocketService;
+module.exports = WebSocketService;
@@ -0,0 +1,267 @@
+const { Pet } = require('../models');
+const { AppError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 9分制体况评分的理想区间
+const IDEAL_BCS = { min: 4, max: 5 };
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * 简单移动平均：每个点取截至该点最近 window 个有效值的平均
+ * @param {Array} values - 数值序列，可含null
+ * @param {number} window - 窗口大小
+ * @returns {Array} 移动平均序列，无有效值处为null
+ */
+const movingAverage = (values, window) => {
+  const recent = [];
+  return values.map(value => {
+    if (value === null || value === undefined) {
+      return recent.length > 0 ? round(recent.reduce((sum, v) => sum + v, 0) / recent.length, 2) : null;
+    }
+    recent.push(value);
+    if (recent.length > window) recent.shift();
+    return round(recent.reduce((sum, v) => sum + v, 0) / recent.length, 2);
+  });
+};
+
+/**
+ * 体重追踪服务 - 基于道德经"合抱之木，生于毫末"理念
+ * 保存体重与体况评分的时间序列，计算移动平均与变化率，短期内变化过快时提醒主人
+ */
+class WeightTrackingService {
+  /**
+   * @param {Object} options
+   * @param {EmergencyProtocol} options.emergencyProtocol - 紧急协议服务实例，复用其推送通道
+   * @param {number} [options.alertPercent] - 触发提醒的体重变化百分比
+   * @param {number} [options.alertWindowDays] - 变化率的统计窗口(天)
+   */
+  constructor({ emergencyProtocol, alertPercent, alertWindowDays } = {}) {
+    this.emergencyProtocol = emergencyProtocol;
+    this.alertPercent = alertPercent || parseFloat(process.env.WEIGHT_ALERT_PERCENT) || 10;
+    this.alertWindowDays = alertWindowDays || parseFloat(process.env.WEIGHT_ALERT_WINDOW_DAYS) || 30;
+  }
+
+  async loadOwnedPet(petId, userId, permission) {
+    const pet = await Pet.findById(petId);
+    if (!pet) {
+      throw AppError.notFound('PET_NOT_FOUND', '宠物不存在');
+    }
+    if (!pet.hasPermission(userId, permission)) {
+      throw AppError.forbidden('NOT_PET_OWNER', '只有宠物主人可以管理体重记录');
+    }
+    return pet;
+  }
+
+  /**
+   * 校验一条测量数据
+   * @param {Object} data - { weight, bodyConditionScore, recordedAt, note }
+   * @returns {Object} 规范化后的测量
+   */
+  parseMeasurement({ weight, bodyConditionScore, recordedAt, note } = {}) {
+    const hasWeight = weight !== undefined && weight !== null && weight !== '';
+    const hasScore = bodyConditionScore !== undefined && bodyConditionScore !== null && bodyConditionScore !== '';
+    if (!hasWeight && !hasScore) {
+      throw AppError.badRequest('EMPTY_MEASUREMENT', '体重与体况评分至少填写一项');
+    }
+
+    const measurement = { note };
+    if (hasWeight) {
+      measurement.weight = Number(weight);
+      if (!Number.isFinite(measurement.weight) || measurement.weight <= 0 || measurement.weight > 200) {
+        throw AppError.badRequest('INVALID_WEIGHT', '体重必须为0-200之间的数值(kg)');
+      }
+    }
+    if (hasScore) {
+      measurement.bodyConditionScore = Number(bodyConditionScore);
+      if (!Number.isInteger(measurement.bodyConditionScore) || measurement.bodyConditionScore < 1 ||
+          measurement.bodyConditionScore > 9) {
+        throw AppError.badRequest('INVALID_BODY_CONDITION_SCORE', '体况评分必须为1-9之间的整数');
+      }
+    }
+
+    measurement.recordedAt = recordedAt ? new Date(recordedAt) : new Date();
+    if (Number.isNaN(measurement.recordedAt.getTime()) || measurement.recordedAt > new Date()) {
+      throw AppError.badRequest('INVALID_DATE', '记录时间无效或晚于当前时间');
+    }
+    return measurement;
+  }
+
+  sortedHistory(pet) {
+    return [...(pet.weightHistory || [])].sort((a, b) => a.recordedAt - b.recordedAt);
+  }
+
+  /**
+   * 分析最近窗口内的体重变化：以最新体重对比窗口内的最高与最低值
+   * @param {Array} history - 按时间排序的记录
+   * @returns {Object|null} 变化情况，体重记录不足两条时返回null
+   */
+  analyzeChange(history) {
+    const weighed = history.filter(entry => Number.isFinite(entry.weight));
+    const latest = weighed[weighed.length - 1];
+    if (!latest) return null;
+
+    const windowStart = latest.recordedAt.getTime() - this.alertWindowDays * DAY_MS;
+    const inWindow = weighed.filter(entry => entry.recordedAt.getTime() >= windowStart);
+    if (inWindow.length < 2) return null;
+
+    const baseline = inWindow[0];
+    const peak = inWindow.reduce((max, entry) => (entry.weight > max.weight ? entry : max));
+    const trough = inWindow.reduce((min, entry) => (entry.weight < min.weight ? entry : min));
+
+    return {
+      windowDays: this.alertWindowDays,
+      latest: { weight: latest.weight, recordedAt: latest.recordedAt },
+      baseline: { weight: baseline.weight, recordedAt: baseline.recordedAt },
+      percentChange: round((latest.weight - baseline.weight) / baseline.weight * 100),
+      lossFromPeakPercent: round((peak.weight - latest.weight) / peak.weight * 100),
+      gainFromLowPercent: round((latest.weight - trough.weight) / trough.weight * 100),
+      peak: { weight: peak.weight, recordedAt: peak.recordedAt },
+      low: { weight: trough.weight, recordedAt: trough.recordedAt }
+    };
+  }
+
+  /**
+   * 根据变化率与最新体况评分生成提醒
+   * @param {Array} history - 按时间排序的记录
+   * @returns {Array} 提醒列表
+   */
+  buildAlerts(history) {
+    const alerts = [];
+    const change = this.analyzeChange(history);
+
+    if (change && change.lossFromPeakPercent >= this.alertPercent) {
+      alerts.push({
+        type: 'rapid_weight_loss',
+        percent: change.lossFromPeakPercent,
+        windowDays: change.windowDays,
+        message: `${change.windowDays}天内体重下降${change.lossFromPeakPercent}%`
+      });
+    }
+    if (change && change.gainFromLowPercent >= this.alertPercent) {
+      alerts.push({
+        type: 'rapid_weight_gain',
+        percent: change.gainFromLowPercent,
+        windowDays: change.windowDays,
+        message: `${change.windowDays}天内体重上升${change.gainFromLowPercent}%`
+      });
+    }
+
+    const scored = history.filter(entry => Number.isFinite(entry.bodyConditionScore));
+    const latestScore = scored.length > 0 ? scored[scored.length - 1].bodyConditionScore : null;
+    if (latestScore !== null && latestScore < IDEAL_BCS.min) {
+      alerts.push({ type: 'underweight', bodyConditionScore: latestScore, message: `体况评分${latestScore}，偏瘦` });
+    } else if (latestScore !== null && latestScore > IDEAL_BCS.max) {
+      alerts.push({ type: 'overweight', bodyConditionScore: latestScore, message: `体况评分${latestScore}，偏胖` });
+    }
+
+    return alerts;
+  }
+
+  /**
+   * 新出现的体重变化提醒推送给主人，主人关闭健康通知时不推送
+   * @param {Object} pet - 宠物
+   * @param {Array} alerts - 新出现的提醒
+   */
+  async notifyAlerts(pet, alerts) {
+    if (alerts.length === 0) return;
+
+    await this.emergencyProtocol.dealerService.notifyUser(pet.ownerId, 'weight_alert', {
+      petId: pet._id,
+      petName: pet.name,
+      alerts
+    });
+  }
+
+  /**
+   * 体重记录列表
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Array>} 按时间排序的记录
+   */
+  async listMeasurements(petId, userId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'view');
+    return this.sortedHistory(pet);
+  }
+
+  /**
+   * 添加体重记录
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} data - { weight, bodyConditionScore, recordedAt, note }
+   * @returns {Promise<Object>} { measurement, alerts }
+   */
+  async addMeasurement(petId, userId, data) {
+    const measurement = this.parseMeasurement(data);
+    const pet = await this.loadOwnedPet(petId, userId, 'edit');
+
+    const previousAlerts = this.buildAlerts(this.sortedHistory(pet)).map(alert => alert.type);
+    const entry = pet.recordWeight({ ...measurement, recordedBy: userId });
+    await pet.save();
+
+    const alerts = this.buildAlerts(this.sortedHistory(pet));
+    await this.notifyAlerts(pet, alerts.filter(alert => !previousAlerts.includes(alert.type)));
+
+    return { measurement: entry, alerts };
+  }
+
+  /**
+   * 删除体重记录，最新体重随之回退
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {string} measurementId - 记录ID
+   */
+  async deleteMeasurement(petId, userId, measurementId) {
+    const pet = await this.loadOwnedPet(petId, userId, 'edit');
+    const entry = pet.weightHistory.id(measurementId);
+    if (!entry) {
+      throw AppError.notFound('MEASUREMENT_NOT_FOUND', '体重记录不存在');
+    }
+
+    entry.deleteOne();
+    const weighed = this.sortedHistory(pet).filter(item => Number.isFinite(item.weight));
+    pet.weight = weighed.length > 0 ? weighed[weighed.length - 1].weight : undefined;
+    await pet.save();
+  }
+
+  /**
+   * 体重趋势：移动平均、窗口变化率与提醒
+   * @param {string} petId - 宠物ID
+   * @param {string} userId - 用户ID
+   * @param {Object} [options] - { days: 返回最近多少天的数据, window: 移动平均点数 }
+   * @returns {Promise<Object>} { series, change, alerts }
+   */
+  async getTrend(petId, userId, { days = 180, window = 3 } = {}) {
+    const pet = await this.loadOwnedPet(petId, userId, 'view');
+    const history = this.sortedHistory(pet);
+
+    const weightAverages = movingAverage(history.map(entry => entry.weight), window);
+    const scoreAverages = movingAverage(history.map(entry => entry.bodyConditionScore), window);
+    const since = Date.now() - days * DAY_MS;
+
+    const series = history
+      .map((entry, index) => ({
+        _id: entry._id,
+        recordedAt: entry.recordedAt,
+        weight: entry.weight,
+        bodyConditionScore: entry.bodyConditionScore,
+        weightMovingAverage: weightAverages[index],
+        bodyConditionMovingAverage: scoreAverages[index],
+        note: entry.note
+      }))
+      .filter(point => point.recordedAt.getTime() >= since);
+
+    return {
+      petId: pet._id,
+      currentWeight: pet.weight,
+      window,
+      idealBodyCondition: IDEAL_BCS,
+      series,
+      change: this.analyzeChange(history),
+      alerts: this.buildAlerts(history)
+    };
+  }
+}
+
+module.exports = WeightTrackingService;
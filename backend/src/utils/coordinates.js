@@ -0,0 +1,66 @@
+const { AppError } = require('./errors');
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * 解析经纬度参数
+ * @param {Object} source - 参数来源（query 或 body）
+ * @returns {{latitude: number, longitude: number}} 经纬度
+ */
+const parseCoordinates = (source = {}) => {
+  const latitude = parseFloat(source.latitude);
+  const longitude = parseFloat(source.longitude);
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+      !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw AppError.badRequest('INVALID_COORDINATES', '经纬度参数无效');
+  }
+
+  return { latitude, longitude };
+};
+
+/**
+ * 计算两点间距离(公里) - Haversine公式
+ * @param {number} lat1 - 纬度1
+ * @param {number} lng1 - 经度1
+ * @param {number} lat2 - 纬度2
+ * @param {number} lng2 - 经度2
+ * @returns {number} 距离(公里)
+ */
+const haversineDistance = (lat1, lng1, lat2, lng2) => {
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lng2 - lng1) * Math.PI / 180;
+
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS_KM * c;
+};
+
+/**
+ * 判断点是否在多边形内 - 射线法；适用于城市范围的小区域，经纬度按平面处理
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} polygon - 顶点 [{ latitude, longitude }]，首尾无需重复
+ * @returns {boolean} 是否在多边形内
+ */
+const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+module.exports = {
+  parseCoordinates,
+  haversineDistance,
+  isPointInPolygon
+};
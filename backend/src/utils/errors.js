@@ -0,0 +1,47 @@
+/**
+ * AppError - 业务错误类
+ *
+ * 携带机器可读的错误码与HTTP状态码，由错误处理中间件统一转换为响应
+ *
+ * @class AppError
+ * @extends Error
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - 错误码，如 ALERT_NOT_FOUND
+   * @param {string} message - 面向用户的错误信息
+   * @param {number} statusCode - HTTP状态码
+   * @param {Object} [details] - 附加信息
+   */
+  constructor(code, message, statusCode = 400, details) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  static badRequest(code, message, details) {
+    return new AppError(code, message, 400, details);
+  }
+
+  static unauthorized(code, message, details) {
+    return new AppError(code, message, 401, details);
+  }
+
+  static forbidden(code, message, details) {
+    return new AppError(code, message, 403, details);
+  }
+
+  static notFound(code, message, details) {
+    return new AppError(code, message, 404, details);
+  }
+
+  static conflict(code, message, details) {
+    return new AppError(code, message, 409, details);
+  }
+}
+
+module.exports = {
+  AppError
+};
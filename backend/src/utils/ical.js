@@ -0,0 +1,145 @@
+/**
+ * iCalendar (RFC 5545) 生成工具
+ *
+ * 只覆盖预约日历用到的 VCALENDAR / VEVENT 子集；时间一律以UTC输出，无需附带 VTIMEZONE
+ */
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * 转义 TEXT 类型属性值
+ * @param {*} value - 原始文本
+ * @returns {string} 转义后的文本
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * 转义参数值（如 CN），含分隔符时加引号
+ * @param {*} value - 原始值
+ * @returns {string} 参数值
+ */
+const escapeParam = (value) => {
+  const text = String(value ?? '').replace(/["\r\n]/g, '');
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+};
+
+/**
+ * 格式化为UTC时间 YYYYMMDDTHHMMSSZ
+ * @param {Date|string|number} date - 时间
+ * @returns {string} DATE-TIME
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * 按75字节折行，不拆开多字节字符
+ * @param {string} line - 内容行
+ * @returns {string} 折行后的内容（CRLF分隔）
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // 续行以一个空格开头，占一个字节
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * 生成 VEVENT 内容行
+ * @param {Object} event
+ * @param {string} event.uid - 全局唯一ID
+ * @param {number} [event.sequence] - 修订序号，时间变更或取消时递增
+ * @param {Date} event.start - 开始时间
+ * @param {Date} event.end - 结束时间
+ * @param {string} event.summary - 标题
+ * @param {string} [event.description] - 描述
+ * @param {string} [event.location] - 地点
+ * @param {Object} [event.geo] - { latitude, longitude }
+ * @param {string} [event.status] - TENTATIVE | CONFIRMED | CANCELLED
+ * @param {Date} [event.created] - 创建时间
+ * @param {Date} [event.lastModified] - 最后修改时间
+ * @param {Object} [event.organizer] - { name, uri }
+ * @param {Object} [event.attendee] - { name, uri }
+ * @returns {Array<string>} 内容行
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.geo) lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.created) lines.push(`CREATED:${formatDateTime(event.created)}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  if (event.organizer) lines.push(`ORGANIZER;CN=${escapeParam(event.organizer.name)}:${event.organizer.uri}`);
+  if (event.attendee) {
+    lines.push(`ATTENDEE;CN=${escapeParam(event.attendee.name)};ROLE=REQ-PARTICIPANT:${event.attendee.uri}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * 生成完整的 iCalendar 文本
+ * @param {Object} calendar
+ * @param {string} [calendar.method] - PUBLISH | REQUEST | CANCEL
+ * @param {string} [calendar.name] - 日历名称
+ * @param {string} [calendar.refreshInterval] - 订阅刷新间隔（DURATION，如 PT15M）
+ * @param {Array<Object>} calendar.events - 事件，见 buildEvent
+ * @returns {string} text/calendar 内容
+ */
+const buildCalendar = ({ method, name, refreshInterval, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//FurLink//Appointments//ZH',
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshInterval) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`, `X-PUBLISHED-TTL:${refreshInterval}`);
+  }
+
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildEvent,
+  buildCalendar
+};
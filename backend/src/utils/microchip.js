@@ -0,0 +1,30 @@
+// ISO 11784/11785 芯片号：15位数字，前3位为国家代码(001-899)或厂商代码(900-998)，999为测试芯片
+const CHIP_LENGTH = 15;
+
+/**
+ * 规范化芯片号：去除空格、短横线等分隔符
+ * @param {string} value - 原始芯片号
+ * @returns {string} 规范化后的芯片号
+ */
+const normalizeChipNumber = (value) => String(value || '').replace(/[\s-]/g, '');
+
+/**
+ * 校验芯片号是否符合 ISO 11784/11785 15位格式
+ * @param {string} value - 芯片号（可含分隔符）
+ * @returns {boolean} 是否有效
+ */
+const isValidChipNumber = (value) => {
+  const number = normalizeChipNumber(value);
+  if (!new RegExp(`^\\d{${CHIP_LENGTH}}$`).test(number)) {
+    return false;
+  }
+
+  const code = parseInt(number.slice(0, 3), 10);
+  return code >= 1 && code <= 998;
+};
+
+module.exports = {
+  CHIP_LENGTH,
+  normalizeChipNumber,
+  isValidChipNumber
+};
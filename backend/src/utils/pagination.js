@@ -0,0 +1,38 @@
+const { AppError } = require('./errors');
+
+// 页码上限，避免超大 skip
+const MAX_PAGE = 10000;
+
+/**
+ * 解析正整数参数
+ * @param {*} value - 原始值
+ * @param {number} fallback - 缺省时的默认值
+ * @param {number} max - 上限
+ * @returns {number} 页码或每页数量
+ */
+const parsePositiveInt = (value, fallback, max) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const parsed = parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+    throw AppError.badRequest('INVALID_PAGINATION', `分页参数必须为1-${max}之间的整数`);
+  }
+  return parsed;
+};
+
+/**
+ * 解析分页参数
+ * @param {Object} query - 查询参数
+ * @param {Object} [options] - { defaultLimit, maxLimit }
+ * @returns {Object} { page, limit }
+ */
+const parsePagination = (query = {}, { defaultLimit = 20, maxLimit = 100 } = {}) => ({
+  page: parsePositiveInt(query.page, 1, MAX_PAGE),
+  limit: parsePositiveInt(query.limit, defaultLimit, maxLimit)
+});
+
+module.exports = {
+  parsePositiveInt,
+  parsePagination
+};
@@ -0,0 +1,106 @@
+// 预约空闲时段与冲突检测
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { PetService } = require('../src/models');
+const AppointmentService = require('../src/services/appointmentService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN_DAY = { open: '09:00', close: '12:00', closed: false };
+const BUSINESS_HOURS = Object.fromEntries(
+  ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => [day, OPEN_DAY])
+);
+
+// 营业时区(UTC+8)中一周后的日期
+const futureDate = () => new Date(Date.now() + 7 * 24 * HOUR_MS + 8 * HOUR_MS).toISOString().slice(0, 10);
+
+// 营业时区当天某时刻
+const localTime = (date, clock) => new Date(`${date}T${clock}:00+08:00`);
+
+const createService = (appointments = []) => new PetService({
+  providerId: '65a000000000000000000001',
+  serviceType: 'grooming',
+  title: '上门洗护',
+  location: { latitude: 31.23, longitude: 121.47 },
+  contactInfo: { businessHours: BUSINESS_HOURS },
+  services: [{ name: '洗澡', price: 80, duration: 60 }],
+  appointments
+});
+
+const createAppointmentService = (service) => {
+  const appointmentService = new AppointmentService({
+    slotMinutes: 30,
+    leadMinutes: 1,
+    maxDaysAhead: 60,
+    utcOffsetMinutes: 480
+  });
+  appointmentService.loadBookableService = async () => service;
+  return appointmentService;
+};
+
+test('overlaps 只把有效预约的重叠区间视为冲突，首尾相接不冲突', () => {
+  const date = futureDate();
+  const service = createService([
+    { scheduledTime: localTime(date, '10:00'), endTime: localTime(date, '11:00'), status: 'confirmed' },
+    { scheduledTime: localTime(date, '11:00'), endTime: localTime(date, '12:00'), status: 'cancelled' }
+  ]);
+  const appointmentService = createAppointmentService(service);
+  const at = (clock) => localTime(date, clock).getTime();
+
+  assert.equal(appointmentService.overlaps(service, at('09:30'), at('10:30')), true);
+  assert.equal(appointmentService.overlaps(service, at('10:15'), at('10:45')), true);
+  assert.equal(appointmentService.overlaps(service, at('09:00'), at('10:00')), false);
+  assert.equal(appointmentService.overlaps(service, at('11:00'), at('12:00')), false);
+});
+
+test('overlaps 忽略缺少起止时间的旧预约', () => {
+  const date = futureDate();
+  const service = createService([{ status: 'pending', scheduledTime: localTime(date, '10:00') }]);
+  const appointmentService = createAppointmentService(service);
+
+  assert.equal(appointmentService.overlaps(service, localTime(date, '09:00').getTime(), localTime(date, '12:00').getTime()), false);
+});
+
+test('getSlots 按营业时间与项目时长切分时段，并跳过已占用的时段', async () => {
+  const date = futureDate();
+  const service = createService([
+    { scheduledTime: localTime(date, '10:00'), endTime: localTime(date, '11:00'), status: 'confirmed' }
+  ]);
+  const appointmentService = createAppointmentService(service);
+
+  const result = await appointmentService.getSlots(service._id, { date });
+  const [day] = result.days;
+
+  assert.equal(result.duration, 60);
+  assert.equal(day.date, date);
+  assert.deepEqual(day.open, localTime(date, '09:00'));
+  assert.deepEqual(day.close, localTime(date, '12:00'));
+  assert.deepEqual(day.slots.map(slot => slot.start), [localTime(date, '09:00'), localTime(date, '11:00')]);
+  assert.deepEqual(day.slots.map(slot => slot.end), [localTime(date, '10:00'), localTime(date, '12:00')]);
+});
+
+test('getSlots 休息日没有时段', async () => {
+  const date = futureDate();
+  const service = createService();
+  const weekday = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][
+    new Date(`${date}T00:00:00Z`).getUTCDay()
+  ];
+  service.set(`contactInfo.businessHours.${weekday}.closed`, true);
+
+  const result = await createAppointmentService(service).getSlots(service._id, { date, days: 2 });
+
+  assert.equal(result.days.length, 2);
+  assert.equal(result.days[0].open, null);
+  assert.deepEqual(result.days[0].slots, []);
+  assert.equal(result.days[1].slots.length, 5);
+});
+
+test('getSlots 拒绝无效日期', async () => {
+  const service = createService();
+  await assert.rejects(
+    createAppointmentService(service).getSlots(service._id, { date: '2024-02-30' }),
+    { code: 'INVALID_DATE' }
+  );
+});
@@ -0,0 +1,33 @@
+// 预约状态流转
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { PetService } = require('../src/models');
+
+test('canTransitionAppointment 允许正常的预约流程', () => {
+  assert.equal(PetService.canTransitionAppointment('pending', 'confirmed'), true);
+  assert.equal(PetService.canTransitionAppointment('confirmed', 'in_progress'), true);
+  assert.equal(PetService.canTransitionAppointment('in_progress', 'completed'), true);
+  assert.equal(PetService.canTransitionAppointment('pending', 'cancelled'), true);
+});
+
+test('canTransitionAppointment 拒绝跳步、回退与终态之后的变更', () => {
+  assert.equal(PetService.canTransitionAppointment('pending', 'completed'), false);
+  assert.equal(PetService.canTransitionAppointment('confirmed', 'pending'), false);
+  assert.equal(PetService.canTransitionAppointment('completed', 'cancelled'), false);
+  assert.equal(PetService.canTransitionAppointment('cancelled', 'confirmed'), false);
+});
+
+test('canTransitionAppointment 对未知状态返回false', () => {
+  assert.equal(PetService.canTransitionAppointment('unknown', 'confirmed'), false);
+  assert.equal(PetService.canTransitionAppointment('pending', 'unknown'), false);
+});
+
+test('每个可进入的状态都有对应的时间字段', () => {
+  const targets = new Set(Object.values(PetService.APPOINTMENT_TRANSITIONS).flat());
+  targets.forEach(status => {
+    assert.ok(PetService.APPOINTMENT_STATUS_TIMESTAMPS[status], `${status} 缺少时间字段`);
+  });
+});
@@ -0,0 +1,85 @@
+// 护理提醒调度：单个主人或宠物失败不影响其余提醒
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import mongoose from 'mongoose';
+
+const require = createRequire(import.meta.url);
+const { Pet, User } = require('../src/models');
+const CareReminderScheduler = require('../src/services/careReminderScheduler');
+
+const now = new Date('2024-05-01T08:00:00Z');
+const ownerA = new mongoose.Types.ObjectId();
+const ownerB = new mongoose.Types.ObjectId();
+
+const createPet = (ownerId, name) => new Pet({
+  name,
+  species: 'dog',
+  ownerId,
+  careSchedules: [{ type: 'deworming', name: '体内驱虫', intervalDays: 90, nextDueAt: new Date('2024-04-30T00:00:00Z') }]
+});
+
+const pets = [createPet(ownerA, '旺财'), createPet(ownerA, '来福'), createPet(ownerB, '小白')];
+const original = { find: Pet.find, updateOne: Pet.updateOne, findById: User.findById };
+let updates;
+let failingPetId;
+
+beforeEach(() => {
+  updates = [];
+  failingPetId = null;
+  Pet.find = () => ({
+    sort: () => ({ select: () => ({ cursor: () => pets[Symbol.iterator]() }) })
+  });
+  Pet.updateOne = async (filter, update, options) => {
+    if (failingPetId && filter._id.equals(failingPetId)) {
+      throw new Error('validation failed');
+    }
+    updates.push({ filter, update, options });
+  };
+  User.findById = () => ({ select: async () => ({ isActive: true, preferences: { notifications: { health: true } } }) });
+});
+
+after(() => {
+  Pet.find = original.find;
+  Pet.updateOne = original.updateOne;
+  User.findById = original.findById;
+});
+
+const createScheduler = (sendToUser) => new CareReminderScheduler({ notifier: { sendToUser } });
+
+test('按主人汇总到期计划，每位主人只推送一次', async () => {
+  const sent = [];
+  const result = await createScheduler(async (userId, event, data) => {
+    sent.push({ userId, count: data.items.length });
+    return true;
+  }).remindDue(now);
+
+  assert.deepEqual(sent, [{ userId: ownerA.toString(), count: 2 }, { userId: ownerB.toString(), count: 1 }]);
+  assert.deepEqual(result, { owners: 2, reminded: 3, skipped: 0, failed: 0 });
+  assert.equal(updates.length, 3);
+  assert.ok(updates.every(({ update }) => update.$set['careSchedules.$[schedule].lastRemindedAt'] === now));
+});
+
+test('单只宠物记录失败不影响其他宠物与主人', async () => {
+  failingPetId = pets[0]._id;
+  const result = await createScheduler(async () => true).remindDue(now);
+
+  assert.deepEqual(result, { owners: 2, reminded: 3, skipped: 0, failed: 1 });
+  assert.deepEqual(updates.map(({ filter }) => filter._id), [pets[1]._id, pets[2]._id]);
+});
+
+test('单个主人推送异常时继续提醒其他主人', async () => {
+  const result = await createScheduler(async (userId) => {
+    if (userId === ownerA.toString()) throw new Error('socket closed');
+    return true;
+  }).remindDue(now);
+
+  assert.deepEqual(result, { owners: 1, reminded: 1, skipped: 0, failed: 1 });
+  assert.deepEqual(updates.map(({ filter }) => filter._id), [pets[2]._id]);
+});
+
+test('主人不在线时不记录提醒时间', async () => {
+  const result = await createScheduler(async () => false).remindDue(now);
+  assert.deepEqual(result, { owners: 0, reminded: 0, skipped: 3, failed: 0 });
+  assert.equal(updates.length, 0);
+});
@@ -0,0 +1,102 @@
+// 发现报告与走失宠物的匹配打分
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const FoundMatchService = require('../src/services/foundMatchService');
+const EmergencyProtocol = require('../src/services/emergencyProtocol');
+const { MemoryPropagationStore } = require('../src/services/propagationStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const lostAt = new Date('2024-05-01T08:00:00Z');
+const location = { latitude: 31.23, longitude: 121.47 };
+
+const matcher = new FoundMatchService({
+  emergencyProtocol: new EmergencyProtocol({ store: new MemoryPropagationStore() }),
+  radiusKm: 20,
+  maxAgeDays: 30
+});
+
+const createPet = (fields = {}) => ({
+  species: 'dog',
+  color: '黑白色',
+  breed: '边境牧羊犬',
+  specialMarks: [{ type: 'scar', location: '左耳', description: '缺口' }],
+  verificationStatus: 'pending',
+  ...fields
+});
+
+const createReport = (fields = {}) => ({
+  species: 'dog',
+  color: '黑白',
+  breedGuess: '边牧',
+  specialMarks: [{ type: 'scar', location: '左耳' }],
+  location,
+  foundAt: new Date(lostAt.getTime() + 2 * HOUR_MS),
+  ...fields
+});
+
+test('scoreCandidate 特征吻合、距离近的候选得分超过阈值', () => {
+  const { score, breakdown, distanceKm } = matcher.scoreCandidate(createReport(), { pet: createPet(), location, lostAt });
+
+  assert.equal(distanceKm, 0);
+  assert.equal(breakdown.species, 1);
+  assert.equal(breakdown.color, 1);
+  assert.equal(breakdown.marks, 1);
+  assert.ok(score >= matcher.threshold);
+});
+
+test('scoreCandidate 物种不同直接得0分', () => {
+  const { score } = matcher.scoreCandidate(createReport({ species: 'cat' }), { pet: createPet(), location, lostAt });
+  assert.equal(score, 0);
+});
+
+test('scoreCandidate 发现时间早于走失时间超出容忍时得0分', () => {
+  const report = createReport({ foundAt: new Date(lostAt.getTime() - 12 * HOUR_MS) });
+  assert.equal(matcher.scoreCandidate(report, { pet: createPet(), location, lostAt }).score, 0);
+
+  // 容忍范围内的时间误差仍参与匹配
+  const withinTolerance = createReport({ foundAt: new Date(lostAt.getTime() - 3 * HOUR_MS) });
+  assert.ok(matcher.scoreCandidate(withinTolerance, { pet: createPet(), location, lostAt }).score > 0);
+});
+
+test('scoreCandidate 距离越远得分越低，超出半径距离项为0', () => {
+  const near = matcher.scoreCandidate(createReport(), { pet: createPet(), location, lostAt });
+  const farLocation = { latitude: 31.5, longitude: 121.47 };
+  const far = matcher.scoreCandidate(createReport(), { pet: createPet(), location: farLocation, lostAt });
+
+  assert.ok(far.distanceKm > matcher.radiusKm);
+  assert.equal(far.breakdown.distance, 0);
+  assert.ok(near.score > far.score);
+});
+
+test('scoreCandidate 无法比较的项不计入，其余权重按比例归一', () => {
+  const report = createReport({ breedGuess: '', specialMarks: [] });
+  const { score, breakdown } = matcher.scoreCandidate(report, { pet: createPet(), location, lostAt: null });
+
+  assert.equal(breakdown.breed, null);
+  assert.equal(breakdown.marks, null);
+  assert.equal(breakdown.time, null);
+  // 仅毛色与距离参与且均为满分
+  assert.equal(score, 1);
+});
+
+test('scoreCandidate 芯片号一致即特征满分，不一致为0', () => {
+  const pet = createPet({ identification: { microchip: { number: '900123456789012' } } });
+  const chipReport = number => createReport({ specialMarks: [{ type: 'chip', description: `芯片 ${number}` }] });
+
+  assert.equal(matcher.scoreCandidate(chipReport('900123456789012'), { pet, location, lostAt }).breakdown.marks, 1);
+  assert.equal(matcher.scoreCandidate(chipReport('900000000000000'), { pet, location, lostAt }).breakdown.marks, 0);
+});
+
+test('scoreCandidate 已认证宠物额外加分且总分不超过1', () => {
+  const report = createReport({ color: '黄' });
+  const pending = matcher.scoreCandidate(report, { pet: createPet(), location, lostAt });
+  const verified = matcher.scoreCandidate(report, { pet: createPet({ verificationStatus: 'verified' }), location, lostAt });
+
+  assert.equal(Math.round((verified.score - pending.score) * 1000) / 1000, matcher.verifiedBoost);
+
+  const perfect = matcher.scoreCandidate(createReport(), { pet: createPet({ verificationStatus: 'verified' }), location, lostAt });
+  assert.ok(perfect.score <= 1);
+});
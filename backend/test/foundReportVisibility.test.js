@@ -0,0 +1,65 @@
+// 发现报告候选匹配按查看者过滤
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import mongoose from 'mongoose';
+
+const require = createRequire(import.meta.url);
+const { FoundReport, Pet } = require('../src/models');
+const FoundMatchService = require('../src/services/foundMatchService');
+
+const matcher = new FoundMatchService({});
+const id = () => new mongoose.Types.ObjectId();
+
+const reporterId = id();
+const ownerA = id();
+const ownerB = id();
+const coOwnerB = id();
+const strangerId = id();
+const petA = new Pet({ name: '旺财', species: 'dog', ownerId: ownerA });
+const petB = new Pet({ name: '来福', species: 'dog', ownerId: ownerB, coOwners: [{ userId: coOwnerB, permissions: ['alert'] }] });
+
+const report = new FoundReport({
+  reporterId,
+  species: 'dog',
+  location: { latitude: 31.23, longitude: 121.47 },
+  foundAt: new Date('2024-05-01T08:00:00Z'),
+  matches: [
+    { petId: petA._id, ownerId: ownerA, score: 0.9, distanceKm: 1.2 },
+    { petId: petB._id, ownerId: ownerB, score: 0.7, distanceKm: 3.4 }
+  ]
+});
+
+// 只为非直接主人的匹配加载宠物，校验共同主人权限
+const originalFind = Pet.find;
+Pet.find = ({ _id }) => ({
+  select: async () => [petA, petB].filter(pet => _id.$in.some(petId => petId.equals(pet._id)))
+});
+after(() => {
+  Pet.find = originalFind;
+});
+
+const ownerIdsOf = view => view.matches.map(match => match.ownerId.toString());
+
+test('发现者可以看到全部候选匹配', async () => {
+  const view = await matcher.toReportView(report, reporterId.toString());
+  assert.deepEqual(ownerIdsOf(view), [ownerA.toString(), ownerB.toString()]);
+  assert.equal(view.topMatch.ownerId.toString(), ownerA.toString());
+});
+
+test('宠物主人只能看到自己宠物的匹配', async () => {
+  const view = await matcher.toReportView(report, ownerB.toString());
+  assert.deepEqual(ownerIdsOf(view), [ownerB.toString()]);
+  assert.equal(view.topMatch.ownerId.toString(), ownerB.toString());
+});
+
+test('具备 alert 权限的共同主人可以看到该宠物的匹配', async () => {
+  const view = await matcher.toReportView(report, coOwnerB.toString());
+  assert.deepEqual(ownerIdsOf(view), [ownerB.toString()]);
+});
+
+test('其他用户看不到任何匹配', async () => {
+  const view = await matcher.toReportView(report, strangerId.toString());
+  assert.deepEqual(view.matches, []);
+  assert.equal(view.topMatch, null);
+});
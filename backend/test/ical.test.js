@@ -0,0 +1,59 @@
+// iCalendar 文本转义与折行
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { escapeText, foldLine, formatDateTime, buildCalendar } = require('../src/utils/ical');
+
+test('escapeText 转义反斜杠、分号、逗号与换行', () => {
+  assert.equal(escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+  assert.equal(escapeText(null), '');
+  assert.equal(escapeText(42), '42');
+});
+
+test('foldLine 不足75字节时不折行', () => {
+  const line = `SUMMARY:${'a'.repeat(67)}`;
+  assert.equal(line.length, 75);
+  assert.equal(foldLine(line), line);
+});
+
+test('foldLine 按75字节折行，续行以空格开头', () => {
+  const line = `DESCRIPTION:${'x'.repeat(200)}`;
+  const parts = foldLine(line).split('\r\n');
+
+  assert.equal(Buffer.byteLength(parts[0]), 75);
+  parts.slice(1).forEach(part => {
+    assert.ok(part.startsWith(' '));
+    assert.ok(Buffer.byteLength(part) <= 75);
+  });
+  assert.equal(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join(''), line);
+});
+
+test('foldLine 不拆开多字节字符', () => {
+  const line = `SUMMARY:${'宠'.repeat(60)}`;
+  const parts = foldLine(line).split('\r\n');
+
+  parts.forEach(part => assert.ok(Buffer.byteLength(part) <= 75));
+  assert.ok(parts.every(part => !part.includes('�')));
+  assert.equal(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join(''), line);
+});
+
+test('buildCalendar 输出 CRLF 分隔的 VCALENDAR，时间为UTC', () => {
+  const text = buildCalendar({
+    method: 'REQUEST',
+    events: [{
+      uid: 'appointment-1@furlink',
+      start: new Date('2024-05-01T02:00:00Z'),
+      end: new Date('2024-05-01T03:00:00Z'),
+      summary: '洗澡, 修剪'
+    }]
+  });
+
+  assert.equal(formatDateTime('2024-05-01T02:00:00.000Z'), '20240501T020000Z');
+  assert.ok(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(text.includes('\r\nMETHOD:REQUEST\r\n'));
+  assert.ok(text.includes('\r\nDTSTART:20240501T020000Z\r\n'));
+  assert.ok(text.includes('\r\nSUMMARY:洗澡\\, 修剪\r\n'));
+});
@@ -0,0 +1,65 @@
+// 医疗档案签名与校验
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const MedicalRecordService = require('../src/services/medicalRecordService');
+
+const service = new MedicalRecordService({ signingSecret: 'test-secret' });
+
+const bundle = {
+  version: 1,
+  pet: { name: '旺财', species: 'dog' },
+  vaccinations: [{ name: '狂犬疫苗', date: '2024-03-01' }],
+  medicalHistory: []
+};
+
+const signatureOf = value => ({ algorithm: 'HMAC-SHA256', value: service.sign(value) });
+
+test('签名后的档案可以通过校验', () => {
+  assert.equal(service.verify(bundle, signatureOf(bundle)), true);
+});
+
+test('档案被篡改后校验失败', () => {
+  const signature = signatureOf(bundle);
+  const tampered = { ...bundle, vaccinations: [{ name: '狂犬疫苗', date: '2024-04-01' }] };
+  assert.equal(service.verify(tampered, signature), false);
+});
+
+test('签名与字段顺序无关', () => {
+  const reordered = {
+    medicalHistory: [],
+    vaccinations: [{ date: '2024-03-01', name: '狂犬疫苗' }],
+    pet: { species: 'dog', name: '旺财' },
+    version: 1
+  };
+  assert.equal(service.verify(reordered, signatureOf(bundle)), true);
+});
+
+test('算法不符、签名缺失或格式错误时校验失败', () => {
+  const { value } = signatureOf(bundle);
+  assert.equal(service.verify(bundle, { algorithm: 'SHA256', value }), false);
+  assert.equal(service.verify(bundle, null), false);
+  assert.equal(service.verify(bundle, { algorithm: 'HMAC-SHA256', value: 123 }), false);
+  assert.equal(service.verify(bundle, { algorithm: 'HMAC-SHA256', value: value.slice(0, 10) }), false);
+});
+
+test('不同密钥签出的档案无法通过校验', () => {
+  const other = new MedicalRecordService({ signingSecret: 'another-secret' });
+  assert.equal(service.verify(bundle, { algorithm: 'HMAC-SHA256', value: other.sign(bundle) }), false);
+});
+
+test('未配置签名密钥时拒绝签名', () => {
+  const saved = { MEDICAL_RECORD_SECRET: process.env.MEDICAL_RECORD_SECRET, JWT_SECRET: process.env.JWT_SECRET };
+  delete process.env.MEDICAL_RECORD_SECRET;
+  delete process.env.JWT_SECRET;
+  try {
+    const unsigned = new MedicalRecordService();
+    assert.throws(() => unsigned.sign(bundle), { code: 'RECORD_SIGNING_UNAVAILABLE' });
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value !== undefined) process.env[key] = value;
+    }
+  }
+});
@@ -0,0 +1,52 @@
+// 宠物档案按查看者隐藏私密字段
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import mongoose from 'mongoose';
+
+const require = createRequire(import.meta.url);
+const { Pet } = require('../src/models');
+const PetProfileService = require('../src/services/petProfileService');
+
+const profileService = new PetProfileService();
+const ownerId = new mongoose.Types.ObjectId();
+const coOwnerId = new mongoose.Types.ObjectId();
+const strangerId = new mongoose.Types.ObjectId();
+
+const pet = new Pet({
+  name: '旺财',
+  species: 'dog',
+  ownerId,
+  coOwners: [{ userId: coOwnerId, permissions: ['view'] }],
+  careSchedules: [{
+    type: 'medication',
+    name: '心丝虫预防药',
+    intervalDays: 30,
+    dosage: '每次1片',
+    notes: '随餐服用',
+    nextDueAt: new Date('2024-06-01T00:00:00Z')
+  }]
+});
+pet.recordWeight({ weight: 12.5, bodyConditionScore: 5, recordedBy: ownerId, note: '术后复查' });
+
+test('非主人查看的档案不包含护理计划', () => {
+  const profile = profileService.toProfile(pet, strangerId);
+  assert.equal(profile.access, null);
+  assert.equal(profile.careSchedules, undefined);
+  assert.equal(profile.name, '旺财');
+});
+
+test('非主人查看的档案不包含体重记录，只保留当前体重', () => {
+  const profile = profileService.toProfile(pet, strangerId);
+  assert.equal(profile.weightHistory, undefined);
+  assert.equal(profile.weight, 12.5);
+});
+
+test('主人与共同主人可以看到护理计划与体重记录', () => {
+  for (const viewerId of [ownerId, coOwnerId]) {
+    const profile = profileService.toProfile(pet, viewerId);
+    assert.equal(profile.careSchedules.length, 1);
+    assert.equal(profile.careSchedules[0].dosage, '每次1片');
+    assert.equal(profile.weightHistory[0].note, '术后复查');
+  }
+});
@@ -0,0 +1,70 @@
+// 已认证宠物的证据变更后退回待审核
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import mongoose from 'mongoose';
+
+const require = createRequire(import.meta.url);
+const { Pet } = require('../src/models');
+
+const ownerId = new mongoose.Types.ObjectId();
+
+// 以数据库读取的方式构造已认证宠物，触发 init 钩子记录证据快照
+const loadVerifiedPet = () => Pet.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: '旺财',
+  species: 'dog',
+  breed: '柴犬',
+  color: '赤色',
+  ownerId,
+  photos: [{ _id: new mongoose.Types.ObjectId(), url: '/uploads/images/a.jpg', type: 'profile' }],
+  specialMarks: [{ _id: new mongoose.Types.ObjectId(), type: 'scar', location: '左耳' }],
+  identification: { microchip: { number: '900123456789012' }, tags: [] },
+  verificationStatus: 'verified',
+  verifiedAt: new Date('2024-05-01T00:00:00Z'),
+  verificationRequest: { submittedAt: new Date('2024-04-30T00:00:00Z'), submittedBy: ownerId },
+  verificationLog: [],
+  statusHistory: []
+});
+
+test('非证据字段的修改不影响认证', () => {
+  const pet = loadVerifiedPet();
+  pet.set({ name: '小旺', personality: ['活泼'] });
+  assert.equal(pet.resetVerificationIfEvidenceChanged(ownerId), false);
+  assert.equal(pet.verificationStatus, 'verified');
+});
+
+test('重新提交相同的特征不算变更', () => {
+  const pet = loadVerifiedPet();
+  pet.set({ color: '赤色', specialMarks: [{ type: 'scar', location: '左耳' }] });
+  assert.equal(pet.resetVerificationIfEvidenceChanged(ownerId), false);
+});
+
+test('证据字段变化后退回待审核并记录日志', () => {
+  const changes = [
+    pet => pet.set({ breed: '秋田犬' }),
+    pet => pet.photos.push({ url: '/uploads/images/b.jpg' }),
+    pet => pet.photos[0].deleteOne(),
+    pet => pet.set({ specialMarks: [{ type: 'scar', location: '右耳' }] }),
+    pet => { pet.identification.microchip = undefined; },
+    pet => pet.identification.tags.push({ type: 'collar_tag', code: 'A001' })
+  ];
+
+  for (const change of changes) {
+    const pet = loadVerifiedPet();
+    change(pet);
+    assert.equal(pet.resetVerificationIfEvidenceChanged(ownerId), true);
+    assert.equal(pet.verificationStatus, 'pending');
+    assert.equal(pet.verifiedAt, undefined);
+    assert.equal(pet.verificationLog.at(-1).action, 'reset');
+    assert.ok(pet.verificationRequest.submittedAt, '已提交的申请重新进入审核队列');
+  }
+});
+
+test('未认证的宠物不记录重置', () => {
+  const pet = loadVerifiedPet();
+  pet.verificationStatus = 'rejected';
+  pet.set({ breed: '秋田犬' });
+  assert.equal(pet.resetVerificationIfEvidenceChanged(ownerId), false);
+  assert.equal(pet.verificationLog.length, 0);
+});
@@ -0,0 +1,39 @@
+// 海报照片只读取本地上传文件
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const PosterService = require('../src/services/posterService');
+const storageService = require('../src/services/storageService');
+
+const posterService = new PosterService({});
+const photo = Buffer.from('poster-photo');
+const { url } = storageService.saveImage(photo, 'poster_test.jpg');
+after(() => storageService.deleteImageByUrl(url));
+
+test('远程照片地址不会被请求', async () => {
+  const originalFetch = globalThis.fetch;
+  let fetched = false;
+  globalThis.fetch = async () => {
+    fetched = true;
+    throw new Error('unexpected fetch');
+  };
+  try {
+    const pet = { photos: [{ type: 'profile', url: 'http://169.254.169.254/latest/meta-data' }] };
+    assert.equal(await posterService.loadPetPhoto(pet), null);
+    assert.equal(fetched, false);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
+
+test('跳过远程地址，读取本地上传的照片', async () => {
+  const pet = { photos: [{ type: 'profile', url: 'https://example.com/a.jpg' }, { type: 'other', url }] };
+  assert.deepEqual(await posterService.loadPetPhoto(pet), photo);
+});
+
+test('本地路径不能越出上传目录', () => {
+  assert.equal(storageService.getLocalImagePath('/uploads/images/../../package.json'), storageService.getImagePath('package.json'));
+  assert.equal(storageService.getLocalImagePath('/etc/passwd'), null);
+});
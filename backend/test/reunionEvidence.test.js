@@ -0,0 +1,44 @@
+// 团聚身份证据只比对不公开的宠物信息
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import mongoose from 'mongoose';
+
+const require = createRequire(import.meta.url);
+const { Pet } = require('../src/models');
+const ReunionService = require('../src/services/reunionService');
+const PetProfileService = require('../src/services/petProfileService');
+
+const reunionService = new ReunionService({});
+const ownerId = new mongoose.Types.ObjectId();
+
+const pet = new Pet({
+  name: '旺财',
+  species: 'dog',
+  ownerId,
+  specialMarks: [
+    { type: 'scar', location: '左耳', description: '耳尖缺口' },
+    { type: 'chip', description: '芯片 900123456789012' }
+  ],
+  identification: { microchip: { number: '900123456789012' } }
+});
+
+test('对外档案的特征只含类型，不含部位与描述', () => {
+  const profile = new PetProfileService().toProfile(pet, new mongoose.Types.ObjectId());
+  assert.deepEqual(profile.specialMarks, [{ type: 'scar' }, { type: 'chip' }]);
+});
+
+test('照抄公开特征无法通过身份核验', () => {
+  const evidence = { marks: Pet.publicMarks(pet.specialMarks) };
+  assert.deepEqual(reunionService.verifyIdentityEvidence(pet, evidence), { matched: false, matchedBy: null });
+});
+
+test('特征类型与部位吻合即通过核验', () => {
+  const evidence = { marks: [{ type: 'scar', location: ' 左耳 ' }] };
+  assert.deepEqual(reunionService.verifyIdentityEvidence(pet, evidence), { matched: true, matchedBy: 'marks' });
+});
+
+test('芯片号与登记一致即通过核验，不一致则失败', () => {
+  assert.equal(reunionService.verifyIdentityEvidence(pet, { chipNumber: '900 1234 5678 9012' }).matchedBy, 'chip');
+  assert.equal(reunionService.verifyIdentityEvidence(pet, { chipNumber: '900000000000000' }).matched, false);
+});
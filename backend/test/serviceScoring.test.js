@@ -0,0 +1,120 @@
+// 服务匹配排序打分
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { User, PetService } = require('../src/models');
+const serviceMatchingAlgorithm = require('../src/algorithms/serviceMatchingAlgorithm');
+const { rankingConfig } = require('../src/config/serviceRanking');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2024-05-01T04:00:00Z');
+
+const createService = ({ distance = 1, creditScore = 100, ratings, lastUpdated = now, ...fields } = {}) => {
+  const service = new PetService({
+    providerId: new User({ phone: '13800000000', password: 'secret1', creditScore }),
+    serviceType: 'veterinary',
+    title: '社区宠物医院',
+    location: { latitude: 31.23, longitude: 121.47 },
+    services: [{ name: '体检', price: 80 }],
+    ratings,
+    lastUpdated,
+    ...fields
+  });
+  service.$locals.distance = distance;
+  return service;
+};
+
+const createAlgorithm = (weights) => new serviceMatchingAlgorithm.constructor({
+  config: { ...rankingConfig, weights: { ...rankingConfig.weights, ...weights } }
+});
+
+const context = (overrides = {}) => ({ maxDistance: 5000, now, config: rankingConfig, ...overrides });
+
+test('scoreService 只在适用的信号之间归一化，贡献之和等于总分', () => {
+  const { score, explanation } = serviceMatchingAlgorithm.scoreService(createService(), context());
+  const signals = explanation.map(item => item.signal);
+
+  // 未指定物种、价格档位、急诊时这些信号不参与
+  assert.deepEqual([...signals].sort(), ['credit', 'distance', 'freshness', 'openNow', 'rating']);
+  const totalWeight = explanation.reduce((sum, item) => sum + item.weight, 0);
+  assert.ok(Math.abs(totalWeight - 1) < 0.01);
+  const contributions = explanation.reduce((sum, item) => sum + item.contribution, 0);
+  assert.ok(Math.abs(contributions - score) < 0.01);
+});
+
+test('scoreService 说明按贡献由高到低排列', () => {
+  const { explanation } = serviceMatchingAlgorithm.scoreService(createService(), context());
+  for (let i = 1; i < explanation.length; i++) {
+    assert.ok(explanation[i - 1].contribution >= explanation[i].contribution);
+  }
+});
+
+test('scoreService 距离越近、信用越高得分越高', () => {
+  const near = serviceMatchingAlgorithm.scoreService(createService({ distance: 0.5 }), context());
+  const far = serviceMatchingAlgorithm.scoreService(createService({ distance: 4.5 }), context());
+  const lowCredit = serviceMatchingAlgorithm.scoreService(createService({ distance: 0.5, creditScore: 60 }), context());
+
+  assert.ok(near.score > far.score);
+  assert.ok(near.score > lowCredit.score);
+});
+
+test('scoreService 评价少时评分向先验均分靠拢', () => {
+  const algorithm = createAlgorithm({ distance: 0, credit: 0, freshness: 0, openNow: 0, rating: 1 });
+  const fewReviews = algorithm.scoreService(createService({ ratings: { overall: 5, count: 1 } }), context());
+  const manyReviews = algorithm.scoreService(createService({ ratings: { overall: 5, count: 100 } }), context());
+
+  assert.ok(manyReviews.score > fewReviews.score);
+  assert.ok(fewReviews.score < 1);
+});
+
+test('scoreService 超过时效期的服务时效得分为0', () => {
+  const algorithm = createAlgorithm({ distance: 0, credit: 0, rating: 0, openNow: 0, freshness: 1 });
+  const stale = createService({ lastUpdated: new Date(now.getTime() - rankingConfig.freshnessDays * DAY_MS) });
+
+  assert.equal(algorithm.scoreService(stale, context()).score, 0);
+  assert.equal(algorithm.scoreService(createService(), context()).score, 1);
+});
+
+test('scoreService 紧急求助时急诊信号参与排序', () => {
+  const emergency = createService({ services: [{ name: '急诊', price: 200, isEmergency: true }] });
+  const regular = createService();
+
+  const withEmergency = serviceMatchingAlgorithm.scoreService(emergency, context({ emergency: true }));
+  const withoutEmergency = serviceMatchingAlgorithm.scoreService(regular, context({ emergency: true }));
+
+  assert.ok(withEmergency.explanation.some(item => item.signal === 'emergency' && item.value === 1));
+  assert.ok(withEmergency.score > withoutEmergency.score);
+});
+
+test('scoreService 所有信号权重为0时得分为0', () => {
+  const algorithm = createAlgorithm(Object.fromEntries(Object.keys(rankingConfig.weights).map(signal => [signal, 0])));
+  assert.deepEqual(algorithm.scoreService(createService(), context()), { score: 0, explanation: [] });
+});
+
+test('matchServices 附近服务超过候选上限时标记 total 已截断', async (t) => {
+  const algorithm = new serviceMatchingAlgorithm.constructor({ config: { ...rankingConfig, candidateLimit: 2, pageSize: 5 } });
+  const seeker = new User({ phone: '13900000000', password: 'secret1' });
+  let requestedLimit;
+  let nearby = [createService({ distance: 0.1 }), createService({ distance: 0.2 }), createService({ distance: 0.3 })];
+
+  t.mock.method(User, 'findById', async () => seeker);
+  t.mock.method(PetService, 'populate', async () => {});
+  t.mock.method(PetService, 'findWithinRadius', async (lat, lng, radius, query, { limit }) => {
+    requestedLimit = limit;
+    return nearby.slice(0, limit);
+  });
+
+  const point = { type: 'Point', coordinates: [121.47, 31.23] };
+  const capped = await algorithm.matchServices(seeker._id, point, 'veterinary', 5000);
+  assert.equal(requestedLimit, 3);
+  assert.equal(capped.capped, true);
+  assert.equal(capped.total, 2);
+  assert.equal(capped.items.length, 2);
+
+  nearby = nearby.slice(0, 2);
+  const complete = await algorithm.matchServices(seeker._id, point, 'veterinary', 5000);
+  assert.equal(complete.capped, false);
+  assert.equal(complete.total, 2);
+});
@@ -1,6 +1,9 @@
 // pages/emergency/emergency.js
+import { createEmergencyAlert, uploadAlertImage, safeApiCall } from '../../utils/api.js';
+
 Page({
   data: {
+    petId: '',
     petName: '',
     location: '',
     selectedDate: '',
@@ -11,6 +14,23 @@ Page({
 
   onLoad: function(options) {
     console.log('紧急寻宠页面加载');
+    if (options && options.petId) {
+      this.setData({
+        petId: options.petId,
+        petName: options.petName ? decodeURIComponent(options.petName) : ''
+      });
+    }
+  },
+
+  // 获取当前位置，失败时使用默认位置
+  getCurrentLocation: function() {
+    return new Promise((resolve) => {
+      wx.getLocation({
+        type: 'gcj02',
+        success: (res) => resolve({ latitude: res.latitude, longitude: res.longitude }),
+        fail: () => resolve(getApp().globalData.location)
+      });
+    });
   },
 
   onPetNameInput: function(e) {
@@ -68,11 +88,19 @@ Page({
     }
   },
 
-  publishAlert: function() {
+  publishAlert: async function() {
     try {
-      const { petName, location, selectedDate, phone, description, images } = this.data;
+      const { petId, petName, location, selectedDate, phone, description, images } = this.data;
       
       // 表单验证
+      if (!petId) {
+        wx.showToast({
+          title: '请先在宠物档案中选择宠物',
+          icon: 'none'
+        });
+        return;
+      }
+
       if (!petName) {
         wx.showToast({
           title: '请输入宠物名称',
@@ -102,19 +130,40 @@ Page({
         title: '发布中...'
       });
 
-      // 模拟发布紧急警报
+      const coordinates = await this.getCurrentLocation();
+
+      // 先上传照片，随警报一起发布；任一张失败则不发布，避免照片被丢弃
+      const attachments = [];
+      for (const filePath of images) {
+        const res = await safeApiCall(uploadAlertImage, filePath);
+        attachments.push(res.data.data);
+      }
+
+      await safeApiCall(createEmergencyAlert, {
+        petId,
+        alertType: 'lost',
+        title: `寻找走失的${petName}`,
+        description: description || `${petName}于${selectedDate || '近期'}在${location}走失`,
+        location: {
+          ...coordinates,
+          address: location
+        },
+        contactInfo: {
+          phone
+        },
+        attachments
+      });
+
+      wx.hideLoading();
+      wx.showToast({
+        title: '紧急警报发布成功',
+        icon: 'success'
+      });
+      
+      // 返回上一页或首页
       setTimeout(() => {
-        wx.hideLoading();
-        wx.showToast({
-          title: '紧急警报发布成功',
-          icon: 'success'
-        });
-        
-        // 返回上一页或首页
-        setTimeout(() => {
-          wx.navigateBack();
-        }, 1500);
-      }, 2000);
+        wx.navigateBack();
+      }, 1500);
     } catch (error) {
       console.log('发布警报异常:', error);
       wx.hideLoading();
@@ -1,4 +1,22 @@
 // pages/pets/pets.js
+import { getPets, createPet, deletePet, uploadPetPhoto, safeApiCall } from '../../utils/api.js';
+
+const SPECIES_OPTIONS = [
+  { value: 'dog', label: '狗狗', avatar: '🐕' },
+  { value: 'cat', label: '猫咪', avatar: '🐱' },
+  { value: 'bird', label: '鸟类', avatar: '🐦' },
+  { value: 'rabbit', label: '兔子', avatar: '🐰' },
+  { value: 'other', label: '其他', avatar: '🐾' }
+];
+
+const STATUS_TEXT = {
+  normal: '正常',
+  lost: '走失',
+  found: '已找到',
+  emergency: '紧急',
+  medical_attention: '就医中'
+};
+
 Page({
   data: {
     pets: []
@@ -6,7 +24,6 @@ Page({
 
   onLoad: function(options) {
     console.log('宠物页面加载');
-    this.loadPets();
   },
 
   onShow: function() {
@@ -14,58 +31,105 @@ Page({
     this.loadPets();
   },
 
-  loadPets: function() {
+  loadPets: async function() {
     try {
-      // 模拟加载宠物数据
-      const mockPets = [
-        {
-          id: 1,
-          name: '小白',
-          breed: '金毛',
-          age: 3,
-          avatar: '🐕',
-          status: 'normal',
-          statusText: '正常'
-        },
-        {
-          id: 2,
-          name: '咪咪',
-          breed: '英短',
-          age: 2,
-          avatar: '🐱',
-          status: 'normal',
-          statusText: '正常'
-        }
-      ];
-      
-      this.setData({
-        pets: mockPets
+      const res = await safeApiCall(getPets);
+      const pets = (res.data.data || []).map(pet => {
+        const species = SPECIES_OPTIONS.find(option => option.value === pet.species);
+        return {
+          id: pet._id,
+          name: pet.name,
+          breed: pet.breed || '',
+          age: pet.age,
+          avatar: species ? species.avatar : '🐾',
+          status: pet.status,
+          statusText: STATUS_TEXT[pet.status] || pet.status
+        };
       });
+
+      this.setData({ pets });
     } catch (error) {
       console.log('加载宠物数据失败:', error);
     }
   },
 
-  addPet: function() {
+  addPet: async function() {
     try {
-      wx.showToast({
-        title: '添加宠物功能开发中',
-        icon: 'none'
+      const nameRes = await wx.showModal({
+        title: '添加宠物',
+        editable: true,
+        placeholderText: '请输入宠物名字'
+      });
+      const name = (nameRes.content || '').trim();
+      if (!nameRes.confirm || !name) return;
+
+      const speciesRes = await wx.showActionSheet({
+        itemList: SPECIES_OPTIONS.map(option => option.label)
+      });
+      const species = SPECIES_OPTIONS[speciesRes.tapIndex].value;
+
+      wx.showLoading({ title: '保存中...' });
+      const res = await safeApiCall(createPet, { name, species });
+      wx.hideLoading();
+
+      wx.showToast({ title: '添加成功', icon: 'success' });
+      this.loadPets();
+
+      const photoRes = await wx.showModal({
+        title: '上传照片',
+        content: '现在为宠物上传一张照片吗？照片可用于寻宠海报和走失匹配'
       });
+      if (photoRes.confirm) {
+        await this.uploadPhoto(res.data.data._id);
+      }
     } catch (error) {
+      wx.hideLoading();
       console.log('添加宠物异常:', error);
     }
   },
 
-  viewPetDetail: function(e) {
+  uploadPhoto: async function(petId) {
+    const mediaRes = await wx.chooseMedia({
+      count: 1,
+      mediaType: ['image'],
+      sizeType: ['compressed']
+    });
+
+    wx.showLoading({ title: '上传中...' });
+    try {
+      await safeApiCall(uploadPetPhoto, petId, mediaRes.tempFiles[0].tempFilePath);
+      wx.hideLoading();
+      wx.showToast({ title: '上传成功', icon: 'success' });
+    } catch (error) {
+      wx.hideLoading();
+      throw error;
+    }
+  },
+
+  viewPetDetail: async function(e) {
     try {
       const petId = e.currentTarget.dataset.id;
-      wx.showToast({
-        title: '查看详情功能开发中',
-        icon: 'none'
+      const pet = this.data.pets.find(item => item.id === petId);
+
+      const actionRes = await wx.showActionSheet({
+        itemList: ['上传照片', '删除宠物']
       });
+
+      if (actionRes.tapIndex === 0) {
+        await this.uploadPhoto(petId);
+      } else if (actionRes.tapIndex === 1) {
+        const confirmRes = await wx.showModal({
+          title: '删除宠物',
+          content: `确定删除${pet ? pet.name : '该宠物'}的档案吗？`
+        });
+        if (!confirmRes.confirm) return;
+
+        await safeApiCall(deletePet, petId);
+        wx.showToast({ title: '已删除', icon: 'success' });
+        this.loadPets();
+      }
     } catch (error) {
       console.log('查看详情异常:', error);
     }
   }
-});
\ No newline at end of file
+});
@@ -3,6 +3,12 @@
 
 const API_BASE_URL = 'https://furlink-backend-us.zeabur.app';
 
+// 登录令牌
+function authHeader() {
+  const token = wx.getStorageSync('token');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 // 统一请求封装
 function request(options) {
   return new Promise((resolve, reject) => {
@@ -12,11 +18,12 @@ function request(options) {
       data: options.data || {},
       header: {
         'content-type': 'application/json',
+        ...authHeader(),
         ...options.header
       },
       timeout: options.timeout || 10000,
       success: function(res) {
-        if (res.statusCode === 200) {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
           resolve(res);
         } else {
           reject({
@@ -125,40 +132,249 @@ export function uploadPetPhoto(petId, filePath) {
       url: API_BASE_URL + `/api/pets/${petId}/photos`,
       filePath: filePath,
       name: 'photo',
-      success: resolve,
+      header: authHeader(),
+      success: function(res) {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          // uploadFile 返回的 data 为字符串
+          resolve({ ...res, data: JSON.parse(res.data) });
+        } else {
+          reject({
+            errMsg: `上传失败: ${res.statusCode}`,
+            statusCode: res.statusCode,
+            data: res.data
+          });
+        }
+      },
       fail: reject
     });
   });
 }
 
+export function deletePetPhoto(petId, photoId) {
+  return request({
+    url: `/api/pets/${petId}/photos/${photoId}`,
+    method: 'DELETE'
+  });
+}
+
+// 护理计划API（疫苗、驱虫、用药）
+export function getDueCareItems(withinDays = 7) {
+  return request({
+    url: `/api/pets/schedules/due?withinDays=${withinDays}`,
+    method: 'GET'
+  });
+}
+
+export function getPetSchedules(petId) {
+  return request({
+    url: `/api/pets/${petId}/schedules`,
+    method: 'GET'
+  });
+}
+
+export function createPetSchedule(petId, data) {
+  return request({
+    url: `/api/pets/${petId}/schedules`,
+    method: 'POST',
+    data: data
+  });
+}
+
+export function completePetSchedule(petId, scheduleId, data = {}) {
+  return request({
+    url: `/api/pets/${petId}/schedules/${scheduleId}/complete`,
+    method: 'POST',
+    data: data
+  });
+}
+
+// 宠物认证API
+export function getPetVerification(petId) {
+  return request({
+    url: `/api/pets/${petId}/verification`,
+    method: 'GET'
+  });
+}
+
+export function submitPetVerification(petId, data = {}) {
+  return request({
+    url: `/api/pets/${petId}/verification`,
+    method: 'POST',
+    data: data
+  });
+}
+
+// 安全区API
+export function getPetSafeZones(petId) {
+  return request({
+    url: `/api/pets/${petId}/safe-zones`,
+    method: 'GET'
+  });
+}
+
+export function createPetSafeZone(petId, data) {
+  return request({
+    url: `/api/pets/${petId}/safe-zones`,
+    method: 'POST',
+    data: data
+  });
+}
+
+export function deletePetSafeZone(petId, zoneId) {
+  return request({
+    url: `/api/pets/${petId}/safe-zones/${zoneId}`,
+    method: 'DELETE'
+  });
+}
+
 // 紧急寻回API
-export function getEmergencyAlerts() {
+export function getEmergencyAlerts(location, radius = 10) {
+  const { latitude, longitude } = location || getApp().globalData.location;
+  return request({
+    url: '/api/alerts/nearby',
+    method: 'GET',
+    data: { latitude, longitude, radius }
+  });
+}
+
+export function getEmergencyAlert(alertId) {
   return request({
-    url: '/api/emergency',
+    url: `/api/alerts/${alertId}`,
     method: 'GET'
   });
 }
 
+// 发布警报前上传附图，返回的 { url, type } 放入 attachments
+export function uploadAlertImage(filePath) {
+  return new Promise((resolve, reject) => {
+    wx.uploadFile({
+      url: API_BASE_URL + '/api/alerts/attachments',
+      filePath: filePath,
+      name: 'image',
+      header: authHeader(),
+      success: function(res) {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          // uploadFile 返回的 data 为字符串
+          resolve({ ...res, data: JSON.parse(res.data) });
+        } else {
+          reject({
+            errMsg: `上传失败: ${res.statusCode}`,
+            statusCode: res.statusCode,
+            data: res.data
+          });
+        }
+      },
+      fail: reject
+    });
+  });
+}
+
 export function createEmergencyAlert(data) {
   return request({
-    url: '/api/emergency',
+    url: '/api/alerts',
     method: 'POST',
     data: data
   });
 }
 
-export function updateEmergencyAlert(alertId, data) {
+export function respondToEmergencyAlert(alertId, data) {
   return request({
-    url: `/api/emergency/${alertId}`,
-    method: 'PUT',
+    url: `/api/alerts/${alertId}/responses`,
+    method: 'POST',
     data: data
   });
 }
 
-export function deleteEmergencyAlert(alertId) {
+export function reportSighting(alertId, data) {
   return request({
-    url: `/api/emergency/${alertId}`,
-    method: 'DELETE'
+    url: `/api/alerts/${alertId}/sightings`,
+    method: 'POST',
+    data: data
+  });
+}
+
+export function getSightingTrail(alertId) {
+  return request({
+    url: `/api/alerts/${alertId}/sightings/trail`,
+    method: 'GET'
+  });
+}
+
+export function claimReunion(alertId, data) {
+  return request({
+    url: `/api/alerts/${alertId}/reunion/claims`,
+    method: 'POST',
+    data: data
+  });
+}
+
+export function confirmReunion(alertId, claimId, data) {
+  return request({
+    url: `/api/alerts/${alertId}/reunion/claims/${claimId}/confirm`,
+    method: 'POST',
+    data: data
+  });
+}
+
+export function extendEmergencyAlert(alertId, hours) {
+  return request({
+    url: `/api/alerts/${alertId}/extend`,
+    method: 'POST',
+    data: { hours }
+  });
+}
+
+export function publishEmergencyAlert(alertId) {
+  return request({
+    url: `/api/alerts/${alertId}/publish`,
+    method: 'POST'
+  });
+}
+
+export function cancelEmergencyAlert(alertId) {
+  return request({
+    url: `/api/alerts/${alertId}/cancel`,
+    method: 'POST'
+  });
+}
+
+export function resolveEmergencyAlert(alertId, message) {
+  return request({
+    url: `/api/alerts/${alertId}/resolve`,
+    method: 'POST',
+    data: { message }
+  });
+}
+
+// 发现报告API
+export function createFoundReport(data) {
+  return request({
+    url: '/api/found-reports',
+    method: 'POST',
+    data: data
+  });
+}
+
+export function getNearbyFoundReports(location, radius = 10) {
+  const { latitude, longitude } = location || getApp().globalData.location;
+  return request({
+    url: '/api/found-reports/nearby',
+    method: 'GET',
+    data: { latitude, longitude, radius }
+  });
+}
+
+export function getFoundReport(reportId) {
+  return request({
+    url: `/api/found-reports/${reportId}`,
+    method: 'GET'
+  });
+}
+
+export function dismissFoundMatch(reportId, matchId) {
+  return request({
+    url: `/api/found-reports/${reportId}/matches/${matchId}/dismiss`,
+    method: 'POST'
   });
 }
 
@@ -175,21 +391,45 @@ export function searchNearbyPets(location) {
 }
 
 // 服务相关API
-export function getServices() {
+export function getServices(params = {}) {
   return request({
     url: '/api/services',
+    method: 'GET',
+    data: params
+  });
+}
+
+export function getMyServices() {
+  return request({
+    url: '/api/services/mine',
     method: 'GET'
   });
 }
 
-export function getNearbyServices(location) {
+export function getNearbyServices(location, serviceType) {
   return request({
     url: '/api/services/nearby',
-    method: 'POST',
+    method: 'GET',
     data: {
       latitude: location.latitude,
       longitude: location.longitude,
-      radius: 10000 // 10公里范围
+      radius: 10, // 10公里范围
+      ...(serviceType ? { serviceType } : {})
+    }
+  });
+}
+
+// options: { species, priceBand, emergency, radius, page, limit }，species 为物种数组
+export function matchServices(serviceType, location, options = {}) {
+  const { species, ...params } = options;
+  return request({
+    url: '/api/services/match',
+    method: 'GET',
+    data: {
+      serviceType,
+      ...(location ? { latitude: location.latitude, longitude: location.longitude } : {}),
+      ...(species && species.length > 0 ? { species: species.join(',') } : {}),
+      ...params
     }
   });
 }
@@ -225,33 +465,67 @@ export function deleteService(serviceId) {
 }
 
 // 预约相关API
-export function getBookings() {
+export function getServiceSlots(serviceId, date, options = {}) {
   return request({
-    url: '/api/bookings',
+    url: `/api/services/${serviceId}/slots`,
+    method: 'GET',
+    data: { date, ...options }
+  });
+}
+
+export function getBookings(params = {}) {
+  return request({
+    url: '/api/appointments',
+    method: 'GET',
+    data: params
+  });
+}
+
+export function getBooking(bookingId) {
+  return request({
+    url: `/api/appointments/${bookingId}`,
     method: 'GET'
   });
 }
 
 export function createBooking(data) {
   return request({
-    url: '/api/bookings',
+    url: '/api/appointments',
     method: 'POST',
     data: data
   });
 }
 
-export function updateBooking(bookingId, data) {
+export function rescheduleBooking(bookingId, scheduledTime) {
   return request({
-    url: `/api/bookings/${bookingId}`,
-    method: 'PUT',
-    data: data
+    url: `/api/appointments/${bookingId}/reschedule`,
+    method: 'POST',
+    data: { scheduledTime }
   });
 }
 
-export function cancelBooking(bookingId) {
+export function cancelBooking(bookingId, reason) {
   return request({
-    url: `/api/bookings/${bookingId}/cancel`,
-    method: 'POST'
+    url: `/api/appointments/${bookingId}/cancel`,
+    method: 'POST',
+    data: { reason }
+  });
+}
+
+// 服务评价API
+export function getServiceReviews(serviceId, params = {}) {
+  return request({
+    url: `/api/services/${serviceId}/reviews`,
+    method: 'GET',
+    data: params
+  });
+}
+
+export function createReview(bookingId, data) {
+  return request({
+    url: `/api/appointments/${bookingId}/review`,
+    method: 'POST',
+    data: data
   });
 }
 
@@ -340,21 +614,50 @@ export default {
   updatePet,
   deletePet,
   uploadPetPhoto,
+  deletePetPhoto,
+  getDueCareItems,
+  getPetSchedules,
+  createPetSchedule,
+  completePetSchedule,
+  getPetVerification,
+  submitPetVerification,
+  getPetSafeZones,
+  createPetSafeZone,
+  deletePetSafeZone,
   getEmergencyAlerts,
+  getEmergencyAlert,
+  uploadAlertImage,
   createEmergencyAlert,
-  updateEmergencyAlert,
-  deleteEmergencyAlert,
+  respondToEmergencyAlert,
+  reportSighting,
+  getSightingTrail,
+  claimReunion,
+  confirmReunion,
+  extendEmergencyAlert,
+  publishEmergencyAlert,
+  cancelEmergencyAlert,
+  resolveEmergencyAlert,
+  createFoundReport,
+  getNearbyFoundReports,
+  getFoundReport,
+  dismissFoundMatch,
   searchNearbyPets,
   getServices,
+  getMyServices,
   getNearbyServices,
+  matchServices,
   getServiceById,
   createService,
   updateService,
   deleteService,
+  getServiceSlots,
   getBookings,
+  getBooking,
   createBooking,
-  updateBooking,
+  rescheduleBooking,
   cancelBooking,
+  getServiceReviews,
+  createReview,
   getProvinces,
   getCities,
   getDistricts,
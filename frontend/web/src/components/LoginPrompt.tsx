@@ -0,0 +1,65 @@
+import React, { memo, useCallback, useState } from 'react'
+import { login } from '../config/auth'
+
+interface LoginPromptProps {
+  onLogin: () => void
+}
+
+// 未登录或登录失效时的登录表单
+export const LoginPrompt: React.FC<LoginPromptProps> = memo(({ onLogin }) => {
+  const [form, setForm] = useState({ phone: '', password: '' })
+  const [error, setError] = useState<string | null>(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = useCallback(async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!form.phone || !form.password) return
+
+    setSubmitting(true)
+    setError(null)
+    try {
+      await login(form.phone, form.password)
+      onLogin()
+    } catch (err) {
+      setError('登录失败，请检查手机号和密码')
+    } finally {
+      setSubmitting(false)
+    }
+  }, [form, onLogin])
+
+  return (
+    <div className="card text-center">
+      <span className="text-6xl mb-4 block">🔐</span>
+      <h3 className="text-xl font-semibold mb-2">请先登录</h3>
+      <p className="text-secondary mb-6">登录后查看和管理您的宠物</p>
+
+      {error && (
+        <div className="px-3 py-1 mb-4 rounded-lg bg-red-100 text-red-700 text-sm">{error}</div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <input
+          type="tel"
+          placeholder="手机号"
+          value={form.phone}
+          onChange={(e) => setForm(prev => ({ ...prev, phone: e.target.value }))}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md"
+        />
+        <input
+          type="password"
+          placeholder="密码"
+          value={form.password}
+          onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md"
+        />
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting ? '登录中...' : '登录'}
+        </button>
+      </form>
+    </div>
+  )
+})
+
+LoginPrompt.displayName = 'LoginPrompt'
+
+export default LoginPrompt
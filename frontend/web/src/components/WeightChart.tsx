@@ -0,0 +1,85 @@
+import React, { memo, useMemo } from 'react'
+
+export interface WeightPoint {
+  _id: string
+  recordedAt: string
+  weight?: number
+  bodyConditionScore?: number
+  weightMovingAverage?: number | null
+}
+
+interface WeightChartProps {
+  series: WeightPoint[]
+  width?: number
+  height?: number
+}
+
+const PADDING = { top: 16, right: 16, bottom: 28, left: 40 }
+
+// 体重折线图：实线为实测体重，虚线为移动平均
+export const WeightChart: React.FC<WeightChartProps> = memo(({ series, width = 640, height = 240 }) => {
+  const chart = useMemo(() => {
+    const points = series.filter(point => typeof point.weight === 'number')
+    if (points.length === 0) return null
+
+    const times = points.map(point => new Date(point.recordedAt).getTime())
+    const values = points.flatMap(point => [point.weight as number, point.weightMovingAverage ?? (point.weight as number)])
+    const minTime = Math.min(...times)
+    const maxTime = Math.max(...times)
+    // 上下留出10%余量，避免折线贴边
+    const spread = Math.max(...values) - Math.min(...values) || 1
+    const minValue = Math.min(...values) - spread * 0.1
+    const maxValue = Math.max(...values) + spread * 0.1
+
+    const innerWidth = width - PADDING.left - PADDING.right
+    const innerHeight = height - PADDING.top - PADDING.bottom
+    const x = (time: number) => PADDING.left + (maxTime === minTime ? innerWidth / 2 : (time - minTime) / (maxTime - minTime) * innerWidth)
+    const y = (value: number) => PADDING.top + (maxValue - value) / (maxValue - minValue) * innerHeight
+
+    const toPath = (coords: Array<[number, number]>) =>
+      coords.map(([px, py], index) => `${index === 0 ? 'M' : 'L'}${px.toFixed(1)},${py.toFixed(1)}`).join(' ')
+
+    return {
+      weightPath: toPath(points.map((point, index) => [x(times[index]), y(point.weight as number)])),
+      averagePath: toPath(points
+        .map((point, index) => [index, point.weightMovingAverage] as const)
+        .filter(([, average]) => typeof average === 'number')
+        .map(([index, average]) => [x(times[index]), y(average as number)])),
+      dots: points.map((point, index) => ({ id: point._id, cx: x(times[index]), cy: y(point.weight as number), weight: point.weight })),
+      yTicks: [minValue, (minValue + maxValue) / 2, maxValue].map(value => ({ value, y: y(value) })),
+      xLabels: [
+        { label: new Date(minTime).toLocaleDateString('zh-CN'), x: x(minTime), anchor: 'start' as const },
+        { label: new Date(maxTime).toLocaleDateString('zh-CN'), x: x(maxTime), anchor: 'end' as const }
+      ]
+    }
+  }, [series, width, height])
+
+  if (!chart) {
+    return <p className="text-muted text-center">暂无体重记录</p>
+  }
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} width="100%" role="img" aria-label="体重趋势图">
+      {chart.yTicks.map(tick => (
+        <g key={tick.value}>
+          <line x1={PADDING.left} x2={width - PADDING.right} y1={tick.y} y2={tick.y} stroke="#eee" />
+          <text x={PADDING.left - 6} y={tick.y + 4} fontSize="11" textAnchor="end" fill="#999">{tick.value.toFixed(1)}</text>
+        </g>
+      ))}
+      {chart.xLabels.map(item => (
+        <text key={item.anchor} x={item.x} y={height - 8} fontSize="11" textAnchor={item.anchor} fill="#999">{item.label}</text>
+      ))}
+      <path d={chart.averagePath} fill="none" stroke="#999" strokeWidth="2" strokeDasharray="6 4" />
+      <path d={chart.weightPath} fill="none" stroke="#f97316" strokeWidth="2.5" />
+      {chart.dots.map(dot => (
+        <circle key={dot.id} cx={dot.cx} cy={dot.cy} r="4" fill="#f97316">
+          <title>{`${dot.weight} kg`}</title>
+        </circle>
+      ))}
+    </svg>
+  )
+})
+
+WeightChart.displayName = 'WeightChart'
+
+export default WeightChart
@@ -0,0 +1,53 @@
+// FurLink 登录状态 - 访问令牌的唯一来源
+// 与小程序一致：通过 /api/auth/login 登录，令牌保存在本地的 token 键下
+
+import { apiCall } from './api';
+
+const TOKEN_KEY = 'token';
+
+// 读取访问令牌
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+// 保存访问令牌
+export const setToken = (token) => {
+  localStorage.setItem(TOKEN_KEY, token);
+};
+
+// 清除访问令牌（退出登录或令牌失效）
+export const clearToken = () => {
+  localStorage.removeItem(TOKEN_KEY);
+};
+
+// 带访问令牌的请求头
+export const authHeaders = () => {
+  const token = getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// 请求是否因未登录或令牌失效被拒绝
+export const isUnauthorized = (error) => /^HTTP 401\b/.test(error?.message || '');
+
+// 手机号密码登录，成功后保存令牌
+export const login = async (phone, password) => {
+  const res = await apiCall('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ phone, password })
+  });
+
+  const token = res.data?.token;
+  if (!token) {
+    throw new Error('登录响应缺少访问令牌');
+  }
+  setToken(token);
+  return res.data;
+};
+
+export default {
+  getToken,
+  setToken,
+  clearToken,
+  authHeaders,
+  isUnauthorized,
+  login
+};
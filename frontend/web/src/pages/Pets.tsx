@@ -1,55 +1,155 @@
-import React, { memo, useMemo, useCallback } from 'react'
+import React, { memo, useMemo, useCallback, useEffect, useState } from 'react'
 import { Heart, Plus } from 'lucide-react'
+import { apiCall } from '../config/api'
+import { authHeaders, clearToken, getToken, isUnauthorized } from '../config/auth'
+import WeightChart, { WeightPoint } from '../components/WeightChart'
+import LoginPrompt from '../components/LoginPrompt'
+
+interface Pet {
+  _id: string
+  name: string
+  species: string
+  breed?: string
+  age?: number
+  weight?: number
+  status: string
+}
+
+interface WeightAlert {
+  type: string
+  message: string
+}
+
+interface WeightTrend {
+  currentWeight?: number
+  series: WeightPoint[]
+  change: {
+    windowDays: number
+    percentChange: number
+  } | null
+  alerts: WeightAlert[]
+}
+
+const SPECIES_AVATARS: Record<string, string> = {
+  dog: '🐕',
+  cat: '🐱',
+  bird: '🐦',
+  rabbit: '🐰',
+  hamster: '🐹',
+  reptile: '🦎'
+}
+
+const STATUS_TEXT: Record<string, string> = {
+  normal: '正常',
+  lost: '走失',
+  found: '已找到',
+  emergency: '紧急',
+  medical_attention: '就医中'
+}
 
 // 优化后的Pets组件
 export const Pets: React.FC = memo(() => {
-  const pets = useMemo(() => [
-    {
-      id: 1,
-      name: '小白',
-      breed: '金毛',
-      age: 3,
-      avatar: '🐕',
-      status: 'normal',
-      statusText: '正常'
-    },
-    {
-      id: 2,
-      name: '咪咪',
-      breed: '英短',
-      age: 2,
-      avatar: '🐱',
-      status: 'normal',
-      statusText: '正常'
+  const [pets, setPets] = useState<Pet[]>([])
+  const [selectedId, setSelectedId] = useState<string | null>(null)
+  const [trend, setTrend] = useState<WeightTrend | null>(null)
+  const [form, setForm] = useState({ weight: '', bodyConditionScore: '' })
+  const [signedIn, setSignedIn] = useState(() => Boolean(getToken()))
+  const [error, setError] = useState<string | null>(null)
+
+  // 令牌失效时清除并回到登录，其他错误展示给用户
+  const handleError = useCallback((err: unknown, message: string) => {
+    if (isUnauthorized(err)) {
+      clearToken()
+      setSignedIn(false)
+      return
     }
-  ], [])
+    setError(message)
+  }, [])
+
+  const loadPets = useCallback(async () => {
+    try {
+      const res = await apiCall('pets', { headers: authHeaders() })
+      setPets(res.data || [])
+      setError(null)
+    } catch (err) {
+      handleError(err, '加载宠物数据失败，请稍后重试')
+    }
+  }, [handleError])
+
+  const loadTrend = useCallback(async (petId: string) => {
+    try {
+      const res = await apiCall(`/api/pets/${petId}/weights/trend`, { headers: authHeaders() })
+      setTrend(res.data)
+      setError(null)
+    } catch (err) {
+      setTrend(null)
+      handleError(err, '加载体重趋势失败，请稍后重试')
+    }
+  }, [handleError])
+
+  useEffect(() => {
+    if (signedIn) loadPets()
+  }, [signedIn, loadPets])
+
+  const handleLogin = useCallback(() => {
+    setError(null)
+    setSignedIn(true)
+  }, [])
 
   const handleAddPet = useCallback(() => {
     alert('添加宠物功能开发中')
   }, [])
 
-  const handleViewDetail = useCallback((petId: number) => {
-    alert(`查看宠物详情功能开发中 (ID: ${petId})`)
-  }, [])
+  const handleViewDetail = useCallback((petId: string) => {
+    setSelectedId(petId)
+    setTrend(null)
+    loadTrend(petId)
+  }, [loadTrend])
+
+  const handleAddMeasurement = useCallback(async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!selectedId || (!form.weight && !form.bodyConditionScore)) return
+
+    try {
+      await apiCall(`/api/pets/${selectedId}/weights`, {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          weight: form.weight ? Number(form.weight) : undefined,
+          bodyConditionScore: form.bodyConditionScore ? Number(form.bodyConditionScore) : undefined
+        })
+      })
+      setForm({ weight: '', bodyConditionScore: '' })
+      loadTrend(selectedId)
+      loadPets()
+    } catch (err) {
+      handleError(err, '保存体重记录失败，请检查输入后重试')
+    }
+  }, [selectedId, form, loadTrend, loadPets, handleError])
+
+  const selectedPet = useMemo(() => pets.find(pet => pet._id === selectedId), [pets, selectedId])
 
   const renderPetList = useMemo(() => (
     pets.length > 0 ? (
       <div className="grid gap-4">
         {pets.map((pet) => (
-          <div key={pet.id} className="card hover:shadow-lg transition-shadow cursor-pointer" onClick={() => handleViewDetail(pet.id)}>
+          <div key={pet._id} className="card hover:shadow-lg transition-shadow cursor-pointer" onClick={() => handleViewDetail(pet._id)}>
             <div className="flex items-center">
-              <div className="text-4xl mr-4">{pet.avatar}</div>
+              <div className="text-4xl mr-4">{SPECIES_AVATARS[pet.species] || '🐾'}</div>
               <div className="flex-1">
                 <h3 className="text-xl font-semibold mb-1">{pet.name}</h3>
                 <p className="text-secondary mb-1">{pet.breed}</p>
-                <p className="text-sm text-muted">{pet.age}岁</p>
+                <p className="text-sm text-muted">
+                  {pet.age !== undefined ? `${pet.age}岁` : ''}
+                  {pet.weight ? ` · ${pet.weight} kg` : ''}
+                </p>
               </div>
               <div className={`px-3 py-1 rounded-full text-sm font-medium ${
-                pet.status === 'normal' 
-                  ? 'bg-green-100 text-green-700' 
+                pet.status === 'normal'
+                  ? 'bg-green-100 text-green-700'
                   : 'bg-red-100 text-red-700'
               }`}>
-                {pet.statusText}
+                {STATUS_TEXT[pet.status] || pet.status}
               </div>
             </div>
           </div>
@@ -67,6 +167,52 @@ export const Pets: React.FC = memo(() => {
     )
   ), [pets, handleViewDetail, handleAddPet])
 
+  const renderWeightPanel = useMemo(() => (
+    selectedPet && (
+      <div className="card mt-4">
+        <div className="flex-between mb-2">
+          <h2 className="text-lg font-semibold">⚖️ {selectedPet.name} 的体重趋势</h2>
+          {trend?.change && (
+            <span className={`text-sm ${trend.change.percentChange < 0 ? 'text-red-700' : 'text-green-700'}`}>
+              近{trend.change.windowDays}天 {trend.change.percentChange > 0 ? '+' : ''}{trend.change.percentChange}%
+            </span>
+          )}
+        </div>
+
+        {trend?.alerts.map(item => (
+          <div key={item.type} className="px-3 py-1 mb-1 rounded-lg bg-red-100 text-red-700 text-sm">
+            ⚠️ {item.message}
+          </div>
+        ))}
+
+        <WeightChart series={trend?.series || []} />
+        <p className="text-sm text-muted mb-2">橙色为实测体重，虚线为移动平均</p>
+
+        <form onSubmit={handleAddMeasurement} className="flex items-center gap-4">
+          <input
+            type="number"
+            step="0.1"
+            min="0"
+            placeholder="体重 (kg)"
+            value={form.weight}
+            onChange={(e) => setForm(prev => ({ ...prev, weight: e.target.value }))}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            type="number"
+            min="1"
+            max="9"
+            placeholder="体况评分 1-9"
+            value={form.bodyConditionScore}
+            onChange={(e) => setForm(prev => ({ ...prev, bodyConditionScore: e.target.value }))}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <button type="submit" className="btn btn-primary">记录</button>
+        </form>
+      </div>
+    )
+  ), [selectedPet, trend, form, handleAddMeasurement])
+
   return (
     <div className="max-w-4xl mx-auto">
       {/* Header */}
@@ -83,11 +229,25 @@ export const Pets: React.FC = memo(() => {
         </div>
       </div>
 
-      {renderPetList}
+      {error && (
+        <div className="card mb-4 flex-between bg-red-100 text-red-700">
+          <span>⚠️ {error}</span>
+          <button onClick={() => (selectedId ? loadTrend(selectedId) : loadPets())} className="btn">重试</button>
+        </div>
+      )}
+
+      {signedIn ? (
+        <>
+          {renderPetList}
+          {renderWeightPanel}
+        </>
+      ) : (
+        <LoginPrompt onLogin={handleLogin} />
+      )}
     </div>
   )
 })
 
 Pets.displayName = 'Pets'
 
-export default Pets
\ No newline at end of file
+export default Pets